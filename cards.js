@@ -0,0 +1,341 @@
+// Result cards
+// A card type is a schema instead of a hand-built template: the title, badges, the fields
+// to list (icon, label and value - rows without a value are left out), links, an optional
+// list, a theme and where the card goes on the trip list and the map. Schema entries can be
+// plain values or functions of (data, options). Every card gets the same actions: save to
+// the trip, show on the map (when it has a location) and share. Outside the page (chat-cli.js)
+// cards are only written out as text.
+
+// In Node the scripts index.html loads before this one are modules; make them globals
+// like they are in the browser
+if (typeof module !== 'undefined' && module.exports) {
+    Object.assign(globalThis, require('./safe-html.js'), { I18n: require('./i18n.js') });
+}
+
+class Cards {
+    static schemas = {};
+    
+    static register(type, schema) {
+        this.schemas[type] = { className: 'recommendation', ...schema };
+    }
+    
+    static resolve(entry, data, options) {
+        return typeof entry === 'function' ? entry(data, options) : entry;
+    }
+    
+    static isEmpty(value) {
+        return value === null || value === undefined || value === '' || value === false || (Array.isArray(value) && value.length === 0);
+    }
+    
+    // The fields that have a value, ready to be written out as markup or text
+    static rows(schema, data, options) {
+        return (schema.fields || [])
+            .map(field => ({ field, value: this.resolve(field.value, data, options) }))
+            .filter(({ value }) => !this.isEmpty(value))
+            .map(({ field, value }) => {
+                const icon = this.resolve(field.icon, data, options);
+                const label = this.resolve(field.label, data, options);
+                return {
+                    heading: [icon, label && `${label}:`].filter(Boolean).join(' '),
+                    labelled: Boolean(label),
+                    small: Boolean(field.small),
+                    text: Array.isArray(value) ? value.join(', ') : String(value)
+                };
+            });
+    }
+    
+    static links(schema, data, options) {
+        return (schema.links || [])
+            .map(link => ({ href: this.resolve(link.href, data, options), label: this.resolve(link.label, data, options) }))
+            .filter(link => link.href);
+    }
+    
+    static markup(schema, data, options) {
+        const badges = (schema.badges || []).map(badge => this.resolve(badge, data, options)).filter(Boolean);
+        const list = this.resolve(schema.list, data, options) || [];
+        const rows = this.rows(schema, data, options).map(row => {
+            if (row.labelled && !row.small) return html`<p><strong>${row.heading}</strong> ${row.text}</p>`;
+            const line = [row.heading, row.text].filter(Boolean).join(' ');
+            return row.small ? html`<p><small>${line}</small></p>` : html`<p>${line}</p>`;
+        });
+        
+        return html`
+            <h4>${this.resolve(schema.title, data, options)}${badges.map(badge => html` <span class="card-badge">${badge}</span>`)}</h4>
+            ${rows}
+            ${list.map(entry => html`<p>• ${entry}</p>`)}
+            ${this.links(schema, data, options).map(link => html`<p>${SafeHTML.link(link.href, link.label)}</p>`)}
+        `;
+    }
+    
+    // Plain-text version for sharing
+    static text(schema, data, options) {
+        return [
+            this.resolve(schema.title, data, options),
+            ...this.rows(schema, data, options).map(row => [row.heading, row.text].filter(Boolean).join(' ')),
+            ...(this.resolve(schema.list, data, options) || []).map(entry => `• ${entry}`),
+            ...this.links(schema, data, options).map(link => SafeHTML.url(link.href)).filter(Boolean)
+        ].join('\n');
+    }
+    
+    // Build a card; options.city defaults to the current city, options.placeId links it to
+    // a marker that is already on the map, options.theme overrides the schema's theme
+    static create(type, data, options = {}) {
+        const schema = this.schemas[type];
+        options = { city: currentCity, ...options };
+        
+        const card = document.createElement('div');
+        const theme = options.theme || schema.theme;
+        card.className = theme ? `${schema.className} card-${theme}` : schema.className;
+        SafeHTML.render(card, this.markup(schema, data, options));
+        
+        const actions = document.createElement('div');
+        actions.className = 'card-actions';
+        const item = schema.trip ? schema.trip(data, options) : null;
+        if (options.placeId) {
+            linkPlaceCard(card, options.placeId);
+            actions.appendChild(this.button(I18n.t('card.map'), () => PlaceMap.panTo(options.placeId)));
+        } else if (item && item.lat !== null && item.lon !== null) {
+            actions.appendChild(this.button(I18n.t('card.map'), () => this.showOnMap(card, options.city, item, schema.mapCategory)));
+        }
+        actions.appendChild(this.button(I18n.t('card.share'), button => this.share(schema, data, options, button)));
+        if (item) addSaveButton(actions, item);
+        card.prepend(actions);
+        return card;
+    }
+    
+    static append(type, data, options = {}) {
+        const card = this.create(type, data, options);
+        document.getElementById('messages').appendChild(card);
+        return card;
+    }
+    
+    static button(label, onClick) {
+        const button = document.createElement('button');
+        button.textContent = label;
+        // Cards linked to the map pan on click; the actions shouldn't
+        button.addEventListener('click', event => {
+            event.stopPropagation();
+            onClick(button);
+        });
+        return button;
+    }
+    
+    // Cards from local data have no marker yet; the trip item knows roughly where they are
+    static showOnMap(card, city, item, category) {
+        const [placeId] = PlaceMap.addPlaces(city, [item], category || 'tourist');
+        PlaceMap.show();
+        linkPlaceCard(card, placeId);
+        PlaceMap.panTo(placeId);
+    }
+    
+    // The share sheet where there is one, otherwise the clipboard, otherwise the text in the chat
+    static async share(schema, data, options, button) {
+        const text = this.text(schema, data, options);
+        if (navigator.share) {
+            // Dismissing the share sheet rejects; there's nothing to do then
+            await navigator.share({ text }).catch(() => {});
+            return;
+        }
+        
+        const copied = navigator.clipboard ? await navigator.clipboard.writeText(text).then(() => true, () => false) : false;
+        if (copied) {
+            button.textContent = I18n.t('card.copied');
+            setTimeout(() => {
+                button.textContent = I18n.t('card.share');
+            }, 1500);
+        } else {
+            addBotMessage(`${I18n.t('card.copyThis')}\n${text}`, I18n.t('category.info'));
+        }
+    }
+}
+
+// The four place searches only differ in the type icon, the fallback category (a catalogue
+// key) and the trip kind
+const PLACE_CARD_VARIANTS = {
+    food: { typeIcon: '🏷️', fallback: 'place.fallback.food', trip: 'food' },
+    culture: { typeIcon: '🏛️', fallback: 'place.fallback.culture', trip: 'culture', addressLabel: 'place.location' },
+    tourist: { typeIcon: '🏛️', fallback: 'place.fallback.tourist', trip: 'place' },
+    shopping: { typeIcon: '🏬', fallback: 'place.fallback.shopping', trip: 'shopping' }
+};
+
+// Places from the places providers; options.category is the search category
+Cards.register('place', {
+    title: place => place.name,
+    fields: [
+        { icon: '📍', label: (place, options) => I18n.t(PLACE_CARD_VARIANTS[options.category].addressLabel || 'place.address'), value: place => place.address },
+        { icon: (place, options) => PLACE_CARD_VARIANTS[options.category].typeIcon, label: () => I18n.t('place.type'), value: place => place.type },
+        { icon: '⭐', label: () => I18n.t('place.category'), value: (place, options) => place.category || I18n.t(PLACE_CARD_VARIANTS[options.category].fallback) },
+        { icon: '📏', label: () => I18n.t('place.distance'), value: place => place.distanceKm !== undefined ? `${place.distanceKm.toFixed(1)} km` : null },
+        { icon: '🍜', label: () => I18n.t('place.cuisine'), value: place => place.cuisine },
+        { icon: '⏰', label: () => I18n.t('place.hours'), value: place => place.openingHours },
+        { icon: '♿', label: () => I18n.t('place.wheelchair'), value: place => place.wheelchair },
+        { icon: '📊', label: () => I18n.t('common.source'), value: place => place.source }
+    ],
+    links: [{ href: place => place.website, label: () => `🔗 ${I18n.t('common.website')}` }],
+    trip: (place, options) => TripList.fromPlace(options.city, place, PLACE_CARD_VARIANTS[options.category].trip)
+});
+
+// News articles from the news providers
+Cards.register('event', {
+    title: event => event.title,
+    fields: [
+        { value: event => event.description },
+        { icon: '📰', label: () => I18n.t('common.source'), value: event => event.source, small: true }
+    ],
+    links: [{ href: event => event.url, label: () => `🔗 ${I18n.t('common.readMore')}` }],
+    trip: (event, options) => TripList.fromNews(options.city, event)
+});
+
+Cards.register('weather', {
+    className: 'weather-info',
+    title: weather => `🌡️ ${weather.temperature}°C`,
+    fields: [
+        { label: () => I18n.t('weather.condition'), value: weather => weather.condition },
+        { label: () => I18n.t('weather.humidity'), value: weather => `${weather.humidity}%` },
+        { label: () => I18n.t('weather.wind'), value: weather => `${weather.windSpeed} m/s` },
+        { label: () => I18n.t('weather.pressure'), value: weather => `${weather.pressure} hPa` },
+        { icon: '📡', label: () => I18n.t('common.source'), value: weather => `${weather.source} | ${weather.timestamp}`, small: true }
+    ]
+});
+
+// TraditionalClothingAPI items
+Cards.register('clothing', {
+    title: item => item.name,
+    badges: [item => item.type.toUpperCase()],
+    mapCategory: 'clothing',
+    fields: [
+        { label: () => I18n.t('card.description'), value: item => item.description },
+        { icon: '🎭', label: () => I18n.t('card.bestFor'), value: item => item.occasions },
+        { icon: '🎨', label: () => I18n.t('card.colors'), value: item => item.colors || I18n.t('card.various') },
+        { icon: '💰', label: () => I18n.t('card.priceRange'), value: item => item.price_range },
+        { icon: '🏠', label: () => I18n.t('card.rental'), value: item => item.rental_available ? I18n.t('card.yes') : null },
+        { icon: '🛒', label: () => I18n.t('card.whereToBuy'), value: item => item.where_to_buy },
+        { icon: '💡', label: () => I18n.t('card.stylingTips'), value: item => item.styling_tips },
+        { icon: '👗', label: () => I18n.t('card.accessories'), value: item => item.accessories },
+        { icon: '📚', label: () => I18n.t('card.culturalSignificance'), value: item => item.cultural_significance, small: true }
+    ],
+    trip: (item, options) => TripList.fromLocal(options.city, 'clothing', item)
+});
+
+Cards.register('culturalGuide', {
+    className: 'ai-insight',
+    theme: 'warm',
+    title: () => I18n.t('card.culturalGuide'),
+    fields: [
+        { label: () => I18n.t('card.bestSeasons'), value: context => context.best_seasons },
+        { label: () => I18n.t('card.etiquette'), value: context => context.cultural_etiquette },
+        { label: () => I18n.t('card.photos'), value: context => context.photo_opportunities },
+        { label: () => I18n.t('card.learning'), value: context => context.learning_opportunities }
+    ]
+});
+
+// LocalRecommendationsAPI entries
+Cards.register('dish', {
+    title: food => `🥘 ${food.name}`,
+    badges: [food => food.mustTry ? I18n.t('card.mustTry') : null],
+    mapCategory: 'food',
+    fields: [
+        { label: () => I18n.t('card.description'), value: food => food.description },
+        { icon: '📍', label: () => I18n.t('card.whereToFind'), value: food => food.where },
+        { icon: '💰', label: () => I18n.t('card.price'), value: food => food.price }
+    ],
+    trip: (food, options) => TripList.fromLocal(options.city, 'dish', food)
+});
+
+Cards.register('restaurant', {
+    title: restaurant => `🏪 ${restaurant.name}`,
+    mapCategory: 'food',
+    fields: [
+        { label: () => I18n.t('place.cuisine'), value: restaurant => restaurant.cuisine },
+        { icon: '📍', label: () => I18n.t('card.area'), value: restaurant => restaurant.area },
+        { icon: '✨', label: () => I18n.t('card.specialty'), value: restaurant => restaurant.specialty },
+        { icon: '💰', label: () => I18n.t('card.price'), value: restaurant => restaurant.price },
+        { icon: '📅', label: () => I18n.t('card.reservation'), value: restaurant => restaurant.reservation }
+    ],
+    trip: (restaurant, options) => TripList.fromLocal(options.city, 'restaurant', restaurant)
+});
+
+Cards.register('outfit', {
+    title: clothing => `👗 ${clothing.type}`,
+    mapCategory: 'clothing',
+    fields: [
+        { label: () => I18n.t('card.description'), value: clothing => clothing.description },
+        { label: () => I18n.t('card.bestFor'), value: clothing => clothing.occasions },
+        { icon: '🛒', label: () => I18n.t('card.whereToBuy'), value: clothing => clothing.where },
+        { icon: '💰', label: () => I18n.t('card.price'), value: clothing => clothing.price }
+    ],
+    trip: (clothing, options) => TripList.fromLocal(options.city, 'clothing', clothing)
+});
+
+Cards.register('landmark', {
+    title: place => `🏗️ ${place.name}`,
+    mapCategory: 'tourist',
+    fields: [
+        { label: () => I18n.t('place.type'), value: place => place.type },
+        { icon: '📍', label: () => I18n.t('card.area'), value: place => place.area },
+        { icon: '✨', label: () => I18n.t('card.highlights'), value: place => place.highlights },
+        { icon: '⏰', label: () => I18n.t('card.bestTime'), value: place => place.bestTime },
+        { icon: '🎫', label: () => I18n.t('card.entry'), value: place => place.entry }
+    ],
+    trip: (place, options) => TripList.fromLocal(options.city, 'place', place)
+});
+
+Cards.register('festival', {
+    title: event => `🎪 ${event.name}`,
+    mapCategory: 'culture',
+    fields: [
+        { icon: '📅', label: () => I18n.t('card.period'), value: event => event.period },
+        { label: () => I18n.t('card.description'), value: event => event.description },
+        { icon: '📍', label: () => I18n.t('card.locations'), value: event => event.locations },
+        { icon: '🎯', label: () => I18n.t('card.significance'), value: event => event.significance }
+    ],
+    trip: (event, options) => TripList.fromLocal(options.city, 'event', event)
+});
+
+Cards.register('market', {
+    title: market => `🏪 ${market.name}`,
+    mapCategory: 'shopping',
+    fields: [
+        { label: () => I18n.t('place.type'), value: market => market.type },
+        { icon: '📍', label: () => I18n.t('card.area'), value: market => market.area },
+        { icon: '🛒', label: () => I18n.t('card.specialties'), value: market => market.specialties },
+        { icon: '⏰', label: () => I18n.t('place.hours'), value: market => market.hours },
+        { icon: '💸', label: () => I18n.t('card.bargaining'), value: market => market.bargaining }
+    ],
+    trip: (market, options) => TripList.fromLocal(options.city, 'market', market)
+});
+
+Cards.register('climate', {
+    theme: 'sky',
+    title: weather => I18n.t('card.currentWeather', { temperature: weather.temperature }),
+    fields: [
+        { label: () => I18n.t('weather.condition'), value: weather => weather.condition },
+        { label: () => I18n.t('weather.humidity'), value: weather => weather.humidity },
+        { label: () => I18n.t('card.bestTimeToVisit'), value: weather => weather.bestTime }
+    ]
+});
+
+Cards.register('insight', {
+    theme: 'warm',
+    title: () => I18n.t('card.culturalInsight'),
+    fields: [{ value: insight => insight }]
+});
+
+Cards.register('tips', {
+    title: () => I18n.t('card.localTips'),
+    list: tips => tips
+});
+
+Cards.register('budget', {
+    title: () => I18n.t('card.budgetOptions'),
+    fields: [
+        { icon: '🏨', label: () => I18n.t('card.accommodation'), value: budget => budget.accommodation },
+        { icon: '🍽️', label: () => I18n.t('card.food'), value: budget => budget.food },
+        { icon: '🚌', label: () => I18n.t('card.transport'), value: budget => budget.transport },
+        { icon: '🎭', label: () => I18n.t('card.activities'), value: budget => budget.activities }
+    ]
+});
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Cards;
+}
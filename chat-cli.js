@@ -0,0 +1,339 @@
+// Command-line chat: the page's intent router and data layer with answers in the terminal
+// Asks one question and exits, or keeps asking when none is given (a number picks one of
+// the offered quick replies, "exit" leaves). Answers are printed as text, or with --json
+// as one { question, city, blocks } object per question.
+// Usage: node chat-cli.js [--city <name>] [--offline] [--json] [--verbose] [question]
+//   --city     city to start in (default Tokyo); a city named in a question still switches
+//   --offline  demo data only, no network requests
+//   --json     machine-readable answers
+//   --verbose  keep the data layer's logging (written to stderr)
+
+const readline = require('readline');
+const { IntentRouter, intentLabel } = require('./intent-router.js');
+const Cards = require('./cards.js');
+
+const usage = 'Usage: node chat-cli.js [--city <name>] [--offline] [--json] [--verbose] [question]';
+
+function parseArgs(args) {
+    const options = { city: 'tokyo', offline: false, json: false, verbose: false, help: false, question: [] };
+    for (let index = 0; index < args.length; index++) {
+        const arg = args[index];
+        if (arg === '--city') {
+            options.city = args[++index];
+        } else if (arg.startsWith('--city=')) {
+            options.city = arg.slice('--city='.length);
+        } else if (arg === '--offline' || arg === '--json' || arg === '--verbose') {
+            options[arg.slice(2)] = true;
+        } else if (arg === '--help' || arg === '-h') {
+            options.help = true;
+        } else if (arg.startsWith('--')) {
+            throw new Error(`Unknown option ${arg}`);
+        } else {
+            options.question.push(arg);
+        }
+    }
+    if (!options.city) throw new Error('--city needs a city name');
+    options.question = options.question.join(' ').trim();
+    return options;
+}
+
+// Everything an answer shows, in order: { type, text, ...details }
+let blocks = [];
+let choices = [];
+let currentCity = null;
+
+function add(block) {
+    blocks.push(block);
+}
+
+// Cards are written out as the same plain text the page shares
+function addCard(type, data, options = {}) {
+    add({ type: 'card', card: type, text: Cards.text(Cards.schemas[type], data, { city: currentCity, ...options }), data });
+}
+
+function addCards(type, items, options = {}) {
+    items.forEach(item => addCard(type, item, options));
+}
+
+// Place answers: one page of places, or the "nothing found" suggestion
+async function answerPlaces(category, keys, options) {
+    const places = await IntentRouter.findPlaces(category, options);
+    add({ type: 'message', category: I18n.t(keys.category), text: I18n.t(keys.heading, { city: currentCity.name }) });
+    if (places.length > 0) {
+        addCards('place', places, { category });
+    } else {
+        add({ type: 'message', category: I18n.t(keys.noneCategory), text: I18n.t(keys.none) });
+    }
+}
+
+async function answerWeather(options) {
+    if (!options.timeframe) {
+        const weather = await WeatherAPI.getCurrentWeather(currentCity);
+        add({ type: 'message', category: I18n.t('category.liveWeather'), text: I18n.t('weather.current', { city: currentCity.name }) });
+        addCard('weather', weather);
+        return;
+    }
+
+    const { forecast, days, heading, weekendBeyond } = await IntentRouter.forecast(options.timeframe, options.dateRange);
+    add({ type: 'message', category: I18n.t('category.forecast'), text: heading });
+    if (weekendBeyond) {
+        add({ type: 'message', category: I18n.t('category.info'), text: I18n.t('forecast.weekendBeyond') });
+    }
+    add({
+        type: 'forecast',
+        text: days.map(day => `${IntentRouter.formatDay(day.date)}: ${day.maxTemp}° / ${day.minTemp}°C, ${day.condition}, 💧 ${day.precipitationChance}%`).join('\n'),
+        days
+    });
+    add({ type: 'note', text: `📡 ${I18n.t('common.source')}: ${forecast.source}` });
+}
+
+async function answerClothing() {
+    const clothing = await TraditionalClothingAPI.getTraditionalClothing(currentCity);
+    ConversationContext.recordResults(clothing.traditional);
+    if (clothing.traditional.length > 0) {
+        add({ type: 'message', category: I18n.t('category.traditionalWear'), text: I18n.t('clothing.options') });
+        addCards('clothing', clothing.traditional);
+    } else {
+        add({ type: 'message', category: I18n.t('category.info'), text: I18n.t('clothing.none') });
+    }
+    if (clothing.cultural_context) addCard('culturalGuide', clothing.cultural_context);
+    if (clothing.rental_options.length > 0) {
+        add({ type: 'message', category: I18n.t('category.budgetTip'), text: I18n.t('clothing.rentalTip', { count: clothing.rental_options.length }) });
+    }
+}
+
+// The page offers these as buttons; a terminal gets them all at once
+async function answerLocal() {
+    const local = await LocalRecommendationsAPI.getLocalRecommendations(currentCity);
+    const sections = [
+        ['local.food', 'category.localCuisine', 'dish', local.local_food],
+        ['local.restaurants', 'category.topRestaurants', 'restaurant', local.restaurants],
+        ['local.places', 'category.mustVisit', 'landmark', local.famous_places],
+        ['local.events', 'category.culturalEvents', 'festival', local.cultural_events],
+        ['local.shopping', 'category.shoppingMarkets', 'market', local.shopping_markets]
+    ];
+    sections
+        .filter(([, , , items]) => items && items.length > 0)
+        .forEach(([heading, category, type, items]) => {
+            add({ type: 'message', category: I18n.t(category), text: I18n.t(heading) });
+            addCards(type, items);
+        });
+    if (local.local_tips && local.local_tips.length > 0) {
+        add({ type: 'message', category: I18n.t('category.localInsights'), text: I18n.t('local.insights') });
+        addCard('tips', local.local_tips);
+    }
+}
+
+async function answerPhrases(message) {
+    const book = PhrasebookAPI.getPhrasebook(currentCity);
+    ConversationContext.recordResults([]);
+    if (!book) {
+        const key = PhrasebookAPI.getLanguage(currentCity) === 'en' ? 'phrases.english' : 'phrases.unavailable';
+        add({ type: 'message', category: I18n.t('category.phrasebook'), text: I18n.t(key, { city: currentCity.name }) });
+        return;
+    }
+
+    const language = I18n.languages[book.language].label;
+    const query = PhrasebookAPI.extractQuery(I18n.toEnglish(message));
+    const matches = query ? PhrasebookAPI.search(query, currentCity) : [];
+    const phrases = entries => ({
+        type: 'phrases',
+        text: entries.map(entry => `${entry.english}\n  ${entry.phrase}\n  🔤 ${entry.transliteration}${entry.note ? `\n  💡 ${entry.note}` : ''}`).join('\n'),
+        phrases: entries
+    });
+
+    if (matches.length > 0) {
+        add({ type: 'message', category: I18n.t('category.phrasebook'), text: I18n.t('phrases.found', { query, language }) });
+        add(phrases(matches));
+        return;
+    }
+    if (query) {
+        add({ type: 'message', category: I18n.t('category.info'), text: I18n.t('phrases.notFound', { query }) });
+    }
+    add({ type: 'message', category: I18n.t('category.phrasebook'), text: I18n.t('phrases.heading', { language, city: currentCity.name }) });
+    PhrasebookAPI.sections.forEach(section => {
+        add({ type: 'section', text: I18n.t(`phrases.section.${section}`) });
+        add(phrases(book.sections[section]));
+    });
+}
+
+async function answerItinerary(options) {
+    ConversationContext.recordResults([]);
+    const plan = await ItineraryPlanner.planFor(currentCity, options.slots);
+    if (!plan) {
+        const cities = CityAPI.getPresets().filter(city => ItineraryPlanner.hasData(city)).map(city => city.name).join(', ');
+        add({ type: 'message', category: I18n.t('category.itinerary'), text: I18n.t('itinerary.unavailable', { city: currentCity.name, cities }) });
+        return;
+    }
+
+    const count = plan.days.length;
+    add({ type: 'message', category: I18n.t('category.itinerary'), text: I18n.t(count === 1 ? 'itinerary.heading.one' : 'itinerary.heading.other', { count, city: currentCity.name }) });
+    if (plan.rearranged) {
+        add({ type: 'message', category: I18n.t('category.info'), text: I18n.t('itinerary.weatherMoved') });
+    }
+    if (plan.events.length > 0) {
+        add({ type: 'note', text: `🎉 ${I18n.t('itinerary.events')}: ${plan.events.map(event => `${event.name} (${event.period})`).join(' · ')}` });
+    }
+    plan.days.forEach((day, index) => {
+        const weather = day.forecast ? ` · ${day.forecast.condition}, ${day.forecast.maxTemp}°` : '';
+        const stops = day.stops.map(stop => `  ${stop.slot ? `${I18n.t(`itinerary.slot.${stop.slot}`)}: ` : ''}${ItineraryPlanner.icons[stop.kind]} ${stop.name}${stop.area ? ` · ${stop.area}` : ''}`);
+        add({ type: 'itinerary', text: [`${I18n.t('itinerary.day', { number: index + 1 })} · ${IntentRouter.formatDay(`${day.date}T12:00:00`)}${weather}`, ...stops].join('\n'), day });
+    });
+}
+
+async function answerGeneral(message) {
+    const answer = message ? await AIAPI.answerQuestion(message, currentCity) : null;
+    if (!answer) {
+        add({ type: 'message', category: I18n.t('category.generalHelp'), text: I18n.t('general.help') });
+        return;
+    }
+
+    if (answer.generated) {
+        add({ type: 'message', category: I18n.t('category.aiAnswer'), text: answer.text });
+    } else {
+        add({ type: 'message', category: I18n.t('category.localGuide'), text: `${I18n.t('general.localGuide', { city: currentCity.name })}\n${answer.text}` });
+    }
+    const datasets = [...new Set(answer.sources.map(passage => passage.dataset))];
+    add({ type: 'note', text: `📚 ${I18n.t('general.sources')}: ${datasets.join(', ')} (${I18n.t('general.dataset', { city: currentCity.name })})` });
+}
+
+IntentRouter.use({
+    get city() {
+        return currentCity;
+    },
+    setCity(city) {
+        currentCity = city;
+        ConversationContext.recordResults([]);
+    },
+    message: (text, category) => add({ type: 'message', category, text }),
+    slots: slots => add({ type: 'slots', text: `🎯 ${I18n.t('slots.understood')}: ${EntityExtractor.describe(slots)}`, slots }),
+    section: (index, total, intent, confidence) => add({
+        type: 'section',
+        text: `${index + 1}/${total} ${intentLabel(intent)} · ${I18n.t('multi.match', { percent: Math.round(confidence * 100) })}`,
+        intent
+    }),
+    clarify(candidates) {
+        choices = candidates.map(({ intent }) => intent);
+        add({
+            type: 'clarify',
+            category: I18n.t('category.quickQuestion'),
+            text: [I18n.t('clarify.prompt'), ...choices.map((intent, index) => `  ${index + 1}. ${intentLabel(intent)}`)].join('\n'),
+            options: choices
+        });
+    },
+    detail(item) {
+        add({ type: 'message', category: I18n.t('category.details'), text: I18n.t('details.intro', { name: item.name || item.title }) });
+        const skip = ['name', 'title', 'lat', 'lon', 'importance', 'distanceKm'];
+        const rows = Object.entries(item)
+            .filter(([key, value]) => !skip.includes(key) && value !== null && value !== undefined && value !== '')
+            .map(([key, value]) => `${key.replace(/([A-Z])/g, ' $1').replace(/_/g, ' ')}: ${Array.isArray(value) ? value.join(', ') : value}`);
+        add({ type: 'card', card: 'detail', text: [item.name || item.title, ...rows].join('\n'), data: item });
+    },
+    answers: {
+        weather: answerWeather,
+        food: options => answerPlaces('food', { heading: 'food.heading', category: 'category.localCuisine', none: 'food.none', noneCategory: 'category.foodSuggestion' }, options),
+        culture: options => answerPlaces('culture', { heading: 'culture.heading', category: 'category.culturalSites', none: 'culture.none', noneCategory: 'category.suggestion' }, options),
+        places: options => answerPlaces('tourist', { heading: 'places.heading', category: 'category.touristAttractions', none: 'places.none', noneCategory: 'category.suggestion' }, options),
+        shopping: options => answerPlaces('shopping', { heading: 'shopping.heading', category: 'category.shopping', none: 'shopping.none', noneCategory: 'category.shoppingSuggestion' }, options),
+        events: async () => {
+            const events = await NewsAPI.getLocalEvents(currentCity);
+            ConversationContext.recordResults(events);
+            add({ type: 'message', category: I18n.t('category.localEvents'), text: I18n.t('events.heading', { city: currentCity.name }) });
+            addCards('event', events);
+        },
+        clothing: () => answerClothing(),
+        local: () => answerLocal(),
+        phrases: (options, message) => answerPhrases(message),
+        itinerary: answerItinerary,
+        general: (options, message) => answerGeneral(message)
+    }
+});
+
+// Answers go straight to stdout; console output is the data layer's logging
+function output(text) {
+    process.stdout.write(`${text}\n`);
+}
+
+function print(question, json) {
+    if (json) {
+        output(JSON.stringify({ question, city: currentCity.displayName, blocks }));
+        return;
+    }
+    const lines = blocks.map(block => {
+        if (block.category) return `${block.category}\n${block.text}`;
+        if (block.type === 'section') return `── ${block.text} ──`;
+        if (block.type === 'card') return block.text.split('\n').map(line => `  │ ${line}`).join('\n');
+        return block.text;
+    });
+    output(`${lines.join('\n\n')}\n`);
+}
+
+// A number picks one of the quick replies offered for the previous question
+async function ask(input, json) {
+    blocks = [];
+    const choice = ConversationContext.pendingClarification && /^\d+$/.test(input) ? choices[Number(input) - 1] : null;
+    try {
+        if (choice) {
+            await IntentRouter.choose(choice);
+        } else {
+            await IntentRouter.handle(input);
+        }
+    } catch (error) {
+        console.error('Error processing message:', error);
+        add({ type: 'message', category: I18n.t('category.error'), text: I18n.t('error.generic') });
+    }
+    print(input, json);
+}
+
+async function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        process.stderr.write(`${error.message}\n${usage}\n`);
+        process.exit(2);
+    }
+    if (options.help) {
+        output(usage);
+        return;
+    }
+
+    // Cache hits, API calls and failed providers are logged; only show them with --verbose
+    const log = options.verbose ? (...args) => process.stderr.write(`${args.join(' ')}\n`) : () => {};
+    ['log', 'info', 'warn', 'error', 'debug'].forEach(method => {
+        console[method] = log;
+    });
+
+    ProviderRegistry.offline = options.offline;
+    currentCity = await CityAPI.resolveCity(options.city);
+    if (!currentCity) {
+        process.stderr.write(`Unknown city: ${options.city}\n`);
+        process.exit(1);
+    }
+
+    if (options.question) {
+        await ask(options.question, options.json);
+        process.exit(0);
+    }
+
+    // One question per line; the prompt is only shown on a terminal
+    const interactive = process.stdin.isTTY;
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: interactive });
+    const prompt = () => {
+        if (!interactive) return;
+        rl.setPrompt(`${currentCity.name}> `);
+        rl.prompt();
+    };
+
+    prompt();
+    for await (const line of rl) {
+        const input = line.trim();
+        if (input === 'exit' || input === 'quit') break;
+        if (input) await ask(input, options.json);
+        prompt();
+    }
+    rl.close();
+    process.exit(0);
+}
+
+main();
@@ -0,0 +1,3913 @@
+// CulturalBot data layer: configuration, the shared cache, the provider registry, the API
+// classes (cities, weather, places, AI, news, local data, phrasebook, trip planner) and the
+// conversation state the intent router works from. Nothing here touches the page, so it
+// also loads in Node: require('./cultural-apis.js').
+
+// In Node the scripts index.html loads before this one are modules; make them globals
+// like they are in the browser
+if (typeof module !== 'undefined' && module.exports) {
+    Object.assign(globalThis, {
+        I18n: require('./i18n.js'),
+        INTENT_UTTERANCES: require('./intent-utterances.js'),
+        IntentClassifier: require('./intent-classifier.js')
+    });
+}
+
+// Secure Configuration with Environment Variable Support
+// Priority: 1) Runtime config 2) Build-time env vars 3) Default values
+
+// Function to safely get configuration values
+function getEnvVar(key, defaultValue = null) {
+    // Try multiple sources for environment variables
+    if (typeof window !== 'undefined' && window.CONFIG && window.CONFIG[key]) {
+        return window.CONFIG[key];
+    }
+    if (typeof process !== 'undefined' && process.env && process.env[key]) {
+        return process.env[key];
+    }
+    return defaultValue;
+}
+
+// Secure API Configuration
+const API_CONFIG = {
+    // OpenWeatherMap Free API (1000 calls/day)
+    weather: {
+        apiKey: getEnvVar('OPENWEATHER_API_KEY'),
+        baseUrl: 'https://api.openweathermap.org/data/2.5',
+        dailyBudget: Number(getEnvVar('OPENWEATHER_DAILY_BUDGET', 1000)),
+        get enabled() { return !!this.apiKey && this.apiKey !== 'YOUR_OPENWEATHER_API_KEY' && this.apiKey !== null; }
+    },
+    
+    // Nominatim (OpenStreetMap) - Completely free, at most one request per second
+    places: {
+        baseUrl: 'https://nominatim.openstreetmap.org',
+        dailyBudget: Number(getEnvVar('NOMINATIM_DAILY_BUDGET', 0)), // 0 = no budget, only counted
+        rateLimit: { interval: 1000, concurrency: 1 },
+        enabled: true
+    },
+    
+    // Overpass API (OpenStreetMap points of interest) - Completely free (~10000 queries/day)
+    overpass: {
+        baseUrl: 'https://overpass-api.de/api',
+        dailyBudget: Number(getEnvVar('OVERPASS_DAILY_BUDGET', 10000)),
+        rateLimit: { interval: 0, concurrency: 2 }, // two query slots per client
+        timeout: 30000, // queries may run for their [timeout:25] on the server, plus the transfer
+        enabled: true
+    },
+    
+    // Hugging Face Inference API - Free
+    ai: {
+        apiKey: getEnvVar('HUGGINGFACE_TOKEN'),
+        baseUrl: 'https://api-inference.huggingface.co',
+        generationModel: 'HuggingFaceH4/zephyr-7b-beta', // answers general questions
+        multilingualModel: 'joeddav/xlm-roberta-large-xnli', // classifies non-English messages
+        timeout: 30000, // inference is slower than the data APIs
+        dailyBudget: Number(getEnvVar('HUGGINGFACE_DAILY_BUDGET', 0)),
+        get enabled() { return !!this.apiKey && this.apiKey !== 'YOUR_HUGGING_FACE_TOKEN' && this.apiKey !== null; }
+    },
+    
+    // NewsAPI Free (1000 requests/day)
+    news: {
+        apiKey: getEnvVar('NEWS_API_KEY'),
+        baseUrl: 'https://newsapi.org/v2',
+        dailyBudget: Number(getEnvVar('NEWS_API_DAILY_BUDGET', 1000)),
+        get enabled() { return !!this.apiKey && this.apiKey !== 'YOUR_NEWSAPI_KEY' && this.apiKey !== null; }
+    }
+};
+
+// Shared cache layer persisted to localStorage so API responses survive reloads
+// Each API class owns a namespace with its own TTL. Entries older than the TTL are
+// kept for a further stale window so they can be served while a refresh runs in the
+// background (stale-while-revalidate). Total stored size is capped; the oldest
+// entries across all namespaces are evicted first.
+class SharedCache {
+    static namespaces = new Map();
+    static storagePrefix = 'culturalbot-cache:';
+    static maxStorageBytes = 2 * 1024 * 1024; // well under the ~5MB localStorage quota
+    
+    constructor(namespace, ttl, staleWindow = ttl) {
+        this.namespace = namespace;
+        this.ttl = ttl;
+        this.staleWindow = staleWindow;
+        this.entries = new Map();
+        SharedCache.namespaces.set(namespace, this);
+        this.load();
+    }
+    
+    // localStorage can be missing (Node) or throw on access (privacy modes)
+    static get storage() {
+        try {
+            return typeof localStorage !== 'undefined' ? localStorage : null;
+        } catch (error) {
+            return null;
+        }
+    }
+    
+    static storageKeys() {
+        const storage = this.storage;
+        if (!storage) return [];
+        const keys = [];
+        for (let i = 0; i < storage.length; i++) {
+            const key = storage.key(i);
+            if (key && key.startsWith(this.storagePrefix)) {
+                keys.push(key);
+            }
+        }
+        return keys;
+    }
+    
+    storageKey(key) {
+        return `${SharedCache.storagePrefix}${this.namespace}:${key}`;
+    }
+    
+    // Restore this namespace's entries from storage, dropping expired ones
+    load() {
+        const storage = SharedCache.storage;
+        const prefix = `${SharedCache.storagePrefix}${this.namespace}:`;
+        SharedCache.storageKeys()
+            .filter(fullKey => fullKey.startsWith(prefix))
+            .forEach(fullKey => {
+                try {
+                    const entry = JSON.parse(storage.getItem(fullKey));
+                    if (entry && !this.isExpired(entry)) {
+                        this.entries.set(fullKey.slice(prefix.length), entry);
+                    } else {
+                        storage.removeItem(fullKey);
+                    }
+                } catch (error) {
+                    storage.removeItem(fullKey);
+                }
+            });
+    }
+    
+    isFresh(entry) {
+        return Date.now() - entry.timestamp < this.ttl;
+    }
+    
+    isExpired(entry) {
+        return Date.now() - entry.timestamp >= this.ttl + this.staleWindow;
+    }
+    
+    // Map-compatible: returns { data, timestamp } while fresh or stale, undefined once expired
+    get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return undefined;
+        if (this.isExpired(entry)) {
+            this.delete(key);
+            return undefined;
+        }
+        return entry;
+    }
+    
+    set(key, entry) {
+        this.entries.set(key, entry);
+        this.persist(key, entry);
+        return this;
+    }
+    
+    delete(key) {
+        const storage = SharedCache.storage;
+        if (storage) storage.removeItem(this.storageKey(key));
+        return this.entries.delete(key);
+    }
+    
+    clear() {
+        Array.from(this.entries.keys()).forEach(key => this.delete(key));
+    }
+    
+    get size() {
+        return this.entries.size;
+    }
+    
+    persist(key, entry) {
+        const storage = SharedCache.storage;
+        if (!storage) return;
+        
+        let serialized;
+        try {
+            serialized = JSON.stringify(entry);
+        } catch (error) {
+            return; // not serialisable, keep it in memory only
+        }
+        
+        try {
+            storage.setItem(this.storageKey(key), serialized);
+        } catch (error) {
+            // Quota exceeded: free space and retry once
+            SharedCache.evict(serialized.length * 2);
+            try {
+                storage.setItem(this.storageKey(key), serialized);
+            } catch (retryError) {
+                console.log('⚠️ Cache storage full, keeping entry in memory only');
+            }
+        }
+        SharedCache.evict(0);
+    }
+    
+    // Remove the oldest persisted entries until the stored total (plus room) fits the cap
+    static evict(room) {
+        const storage = this.storage;
+        if (!storage) return;
+        
+        const stored = this.storageKeys().map(fullKey => {
+            const raw = storage.getItem(fullKey) || '';
+            let timestamp = 0;
+            try {
+                timestamp = JSON.parse(raw).timestamp || 0;
+            } catch (error) {
+                // unreadable entries sort first and are evicted
+            }
+            return { fullKey, bytes: fullKey.length + raw.length, timestamp };
+        }).sort((a, b) => a.timestamp - b.timestamp);
+        
+        let total = stored.reduce((sum, item) => sum + item.bytes, 0);
+        for (const item of stored) {
+            if (total + room <= this.maxStorageBytes) break;
+            storage.removeItem(item.fullKey);
+            total -= item.bytes;
+            
+            // Keep the in-memory copy in sync with what was evicted
+            const [namespace, ...rest] = item.fullKey.slice(this.storagePrefix.length).split(':');
+            const cache = this.namespaces.get(namespace);
+            if (cache) cache.entries.delete(rest.join(':'));
+        }
+    }
+    
+    static clearAll() {
+        let removed = 0;
+        this.namespaces.forEach(cache => {
+            removed += cache.size;
+            cache.clear();
+        });
+        // Also drop leftovers from namespaces that no longer exist
+        const storage = this.storage;
+        this.storageKeys().forEach(fullKey => storage.removeItem(fullKey));
+        return removed;
+    }
+    
+    static getStats() {
+        const storage = this.storage;
+        const bytes = this.storageKeys()
+            .reduce((sum, fullKey) => sum + fullKey.length + (storage.getItem(fullKey) || '').length, 0);
+        const entries = Array.from(this.namespaces.values()).reduce((sum, cache) => sum + cache.size, 0);
+        return { entries, bytes, persistent: !!storage };
+    }
+}
+
+// Daily request meter for live providers
+// Every HTTP request a provider makes is recorded here by RequestScheduler and counts against
+// its dailyBudget - failed and empty responses too, since the API counts them. Counts are kept
+// with the (UTC) day in localStorage, so they survive reloads and start over the next day.
+// From warnAt of the budget the provider is cache-only; at the budget it is skipped and
+// the next provider answers (see ProviderRegistry).
+class QuotaMeter {
+    static storageKey = 'culturalbot-quota';
+    static warnAt = 0.9;
+    static day = null;
+    static counts = {};
+    static warnings = []; // mode changes the front end hasn't shown yet
+    
+    static today() {
+        return new Date().toISOString().slice(0, 10);
+    }
+    
+    static load() {
+        const storage = SharedCache.storage;
+        try {
+            const saved = storage ? JSON.parse(storage.getItem(this.storageKey) || 'null') : null;
+            this.day = saved && saved.day;
+            this.counts = (saved && saved.counts) || {};
+        } catch (error) {
+            this.counts = {};
+        }
+        this.rollover();
+    }
+    
+    static save() {
+        const storage = SharedCache.storage;
+        try {
+            if (storage) storage.setItem(this.storageKey, JSON.stringify({ day: this.day, counts: this.counts }));
+        } catch (error) {
+            console.warn('Could not save API quota usage:', error);
+        }
+    }
+    
+    static rollover() {
+        const today = this.today();
+        if (this.day === today) return;
+        this.day = today;
+        this.counts = {};
+        this.save();
+    }
+    
+    static used(id) {
+        this.rollover();
+        return this.counts[id] || 0;
+    }
+    
+    static budget(provider) {
+        const budget = Number(provider.dailyBudget);
+        return budget > 0 ? budget : null;
+    }
+    
+    // 'live', 'cacheOnly' from warnAt of the budget, or 'exhausted'
+    static mode(provider) {
+        const budget = this.budget(provider);
+        if (!budget || provider.isLive === false) return 'live';
+        const used = this.used(provider.id);
+        if (used >= budget) return 'exhausted';
+        return used >= budget * this.warnAt ? 'cacheOnly' : 'live';
+    }
+    
+    static record(id) {
+        const provider = ProviderRegistry.findProvider(id) || { id, name: id };
+        const before = this.mode(provider);
+        this.counts[id] = this.used(id) + 1;
+        this.save();
+        
+        const mode = this.mode(provider);
+        if (mode !== before) {
+            const warning = { id, name: provider.name, mode, used: this.counts[id], budget: this.budget(provider) };
+            console.warn(`📊 ${provider.name} has used ${warning.used}/${warning.budget} requests today - now ${mode}`);
+            this.warnings.push(warning);
+        }
+    }
+    
+    // Mode changes since the last call, for the front end to announce
+    static takeWarnings() {
+        const warnings = this.warnings;
+        this.warnings = [];
+        return warnings;
+    }
+    
+    // Today's numbers for every live provider, grouped by service
+    static usage() {
+        return ProviderRegistry.getServices().flatMap(service => (ProviderRegistry.providers.get(service.id) || [])
+            .filter(provider => provider.isLive !== false)
+            .map(provider => ({
+                service: service.id,
+                id: provider.id,
+                name: provider.name,
+                used: this.used(provider.id),
+                budget: this.budget(provider),
+                mode: this.mode(provider),
+                enabled: provider.enabled !== false
+            })));
+    }
+}
+
+QuotaMeter.load();
+
+// Shared request scheduler
+// Every HTTP request the providers make goes through RequestScheduler.fetch. Requests are
+// queued per host and sent within the host's rate limit (API_CONFIG.<service>.rateLimit:
+// the minimum interval between requests and how many may run at once), so overlapping
+// lookups can't break a usage policy - Nominatim allows one request per second. A request
+// identical to one already on its way shares that one's response. A request is aborted
+// once the service's timeout has passed since it was queued, however much of that it spent
+// waiting for its turn. A 429 or 5xx is retried after its Retry-After, Hugging Face's
+// estimated model loading time or a jittered exponential backoff, holding back the whole
+// host meanwhile, up to maxRetries times; a wait past maxRetryDelay or the timeout hands
+// the error response back instead. cancel() drops everything still pending when the
+// question it was for is replaced. Every request sent, retries included, goes to QuotaMeter.
+class RequestScheduler {
+    static defaultLimit = { interval: 0, concurrency: 4 };
+    static timeout = 10000; // from queueing to the answer, unless the service sets its own
+    static maxRetries = 2;
+    static retryDelay = 1000; // first backoff without a Retry-After, doubled for each retry
+    static maxRetryDelay = 30000; // longer waits hand the error back instead of retrying
+    // Identifies the app to the APIs. Browsers send the page as Referer: they don't let
+    // scripts set User-Agent, and the header would make every cross-origin request preflighted.
+    static userAgent = getEnvVar('CULTURALBOT_USER_AGENT', 'CulturalBot/1.0 (+https://github.com/laveehere/guidobylvx)');
+    static hosts = new Map();
+    static inFlight = new Map();
+    
+    // fetch() for the provider with this id, scheduled for the URL's host
+    static fetch(id, url, options = {}) {
+        const key = `${options.method || 'GET'} ${url} ${options.body || ''}`;
+        const shared = this.inFlight.get(key);
+        if (shared) {
+            console.log(`🔗 Sharing an identical request to ${shared.host}`);
+            return new Promise((resolve, reject) => shared.waiters.push({ resolve, reject }));
+        }
+        
+        const host = new URL(url).host;
+        const timeout = this.timeoutFor(host);
+        const request = {
+            id, url, host, key, options: this.identify(options), attempt: 0, waiters: [],
+            controller: new AbortController(), deadline: Date.now() + timeout, cancelled: false
+        };
+        request.timer = setTimeout(() => this.expire(request, timeout), timeout);
+        const promise = new Promise((resolve, reject) => request.waiters.push({ resolve, reject }));
+        this.inFlight.set(key, request);
+        this.queue(host).requests.push(request);
+        this.drain(host);
+        return promise;
+    }
+    
+    // Abort every queued and running request; whoever waits on one gets an AbortError
+    static cancel() {
+        const error = this.error('AbortError', 'Request cancelled');
+        const requests = Array.from(this.inFlight.values());
+        this.inFlight.clear();
+        this.hosts.forEach(queue => {
+            queue.requests = [];
+        });
+        requests.forEach(request => {
+            request.cancelled = true;
+            clearTimeout(request.timer);
+            request.controller.abort(error);
+            request.waiters.forEach(waiter => waiter.reject(error));
+        });
+        if (requests.length > 0) {
+            console.log(`🛑 Cancelled ${requests.length} pending request(s)`);
+        }
+    }
+    
+    // The timeout ran out: a request still in the queue is dropped there, one on the wire is
+    // aborted and fails in send()
+    static expire(request, timeout) {
+        const error = this.error('TimeoutError', `${request.host} did not answer within ${timeout / 1000}s`);
+        request.controller.abort(error);
+        const queue = this.queue(request.host);
+        const index = queue.requests.indexOf(request);
+        if (index !== -1) {
+            queue.requests.splice(index, 1);
+            this.inFlight.delete(request.key);
+            request.waiters.forEach(waiter => waiter.reject(error));
+        }
+        // An empty queue has nothing to wake up for
+        if (queue.requests.length === 0 && queue.timer) {
+            clearTimeout(queue.timer);
+            queue.timer = null;
+        }
+    }
+    
+    static isCancelled(error) {
+        return !!error && error.name === 'AbortError';
+    }
+    
+    // A .catch() handler that gives the fallback for any failure except a cancellation,
+    // so a replaced question stops instead of going on with fallback data
+    static unlessCancelled(fallback) {
+        return error => {
+            if (this.isCancelled(error)) throw error;
+            return fallback;
+        };
+    }
+    
+    static error(name, message) {
+        return new DOMException(message, name);
+    }
+    
+    // The fetch options with the app's identification added
+    static identify(options) {
+        if (typeof window !== 'undefined') {
+            return { referrerPolicy: 'strict-origin-when-cross-origin', ...options };
+        }
+        return { ...options, headers: { 'User-Agent': this.userAgent, ...options.headers } };
+    }
+    
+    // API_CONFIG settings of the service at this host
+    static serviceFor(host) {
+        return Object.values(API_CONFIG).find(config => config.baseUrl && new URL(config.baseUrl).host === host) || {};
+    }
+    
+    static limitFor(host) {
+        return { ...this.defaultLimit, ...this.serviceFor(host).rateLimit };
+    }
+    
+    static timeoutFor(host) {
+        return this.serviceFor(host).timeout || this.timeout;
+    }
+    
+    static queue(host) {
+        if (!this.hosts.has(host)) {
+            this.hosts.set(host, { requests: [], active: 0, nextAt: 0, timer: null });
+        }
+        return this.hosts.get(host);
+    }
+    
+    // Send what the host's limit allows now and come back when the next slot opens
+    static drain(host) {
+        const queue = this.queue(host);
+        const limit = this.limitFor(host);
+        while (queue.requests.length > 0 && queue.active < limit.concurrency) {
+            const wait = queue.nextAt - Date.now();
+            if (wait > 0) {
+                if (!queue.timer) {
+                    queue.timer = setTimeout(() => {
+                        queue.timer = null;
+                        this.drain(host);
+                    }, wait);
+                }
+                return;
+            }
+            queue.nextAt = Date.now() + limit.interval;
+            this.send(queue, queue.requests.shift());
+        }
+    }
+    
+    static async send(queue, request) {
+        queue.active++;
+        QuotaMeter.record(request.id);
+        try {
+            const response = await fetch(request.url, { ...request.options, signal: request.controller.signal });
+            const delay = this.shouldRetry(response) ? await this.backoff(response, request.attempt + 1) : null;
+            if (request.cancelled) return;
+            const retry = delay !== null && delay <= this.maxRetryDelay && Date.now() + delay < request.deadline &&
+                request.attempt < this.maxRetries;
+            if (retry) {
+                // The host said to slow down, so nothing else goes there before the retry either
+                queue.nextAt = Math.max(queue.nextAt, Date.now() + delay);
+                request.attempt++;
+                console.warn(`⏳ ${request.host} answered ${response.status}, retrying in ${Math.ceil(delay / 1000)}s`);
+                queue.requests.unshift(request);
+            } else {
+                clearTimeout(request.timer);
+                this.inFlight.delete(request.key);
+                // Requests that joined get their own copy of the body
+                request.waiters.forEach((waiter, index) => waiter.resolve(index === 0 ? response : response.clone()));
+            }
+        } catch (error) {
+            if (request.cancelled) return;
+            clearTimeout(request.timer);
+            this.inFlight.delete(request.key);
+            request.waiters.forEach(waiter => waiter.reject(error));
+        } finally {
+            queue.active--;
+            this.drain(request.host);
+        }
+    }
+    
+    static shouldRetry(response) {
+        return response.status === 429 || response.status >= 500;
+    }
+    
+    // Milliseconds to wait before the given attempt: the Retry-After (seconds or a date), the
+    // estimated_time of a Hugging Face model that is still loading, otherwise retryDelay
+    // doubled for each attempt and jittered so clients that failed together don't retry together
+    static async backoff(response, attempt) {
+        const retryAfter = response.headers && response.headers.get('Retry-After');
+        if (retryAfter) {
+            const seconds = Number(retryAfter);
+            const delay = Number.isNaN(seconds) ? new Date(retryAfter).getTime() - Date.now() : seconds * 1000;
+            if (delay >= 0) return delay;
+        }
+        
+        if (response.status === 503) {
+            try {
+                const body = await response.clone().json();
+                if (body && body.estimated_time > 0) return Math.ceil(body.estimated_time * 1000);
+            } catch (error) {
+                // Not a JSON body
+            }
+        }
+        
+        return Math.round(this.retryDelay * 2 ** (attempt - 1) * (0.5 + Math.random()));
+    }
+}
+
+// Pluggable data-provider registry
+// Every service (weather, places, ai, news) keeps an ordered list of providers.
+// A provider is a plain object: { id, name, priority, isLive, enabled, dailyBudget, ...operations }
+// where each operation (e.g. getCurrentWeather) is an async method that returns data,
+// or null when it has nothing to offer. Providers are tried from highest priority down,
+// so a failing live API falls through to the next one and finally to demo data.
+// Extra providers can be registered from a separate script loaded after this file.
+// Live providers with a dailyBudget are metered by QuotaMeter: near the budget cached
+// answers are no longer refreshed, and at the budget the provider is skipped.
+class ProviderRegistry {
+    static services = new Map();
+    static providers = new Map();
+    static offline = false; // demo providers only, e.g. `node chat-cli.js --offline`
+    
+    static defineService(id, details) {
+        this.services.set(id, { id, ...details });
+        if (!this.providers.has(id)) {
+            this.providers.set(id, []);
+        }
+    }
+    
+    static register(service, provider) {
+        if (!this.services.has(service)) {
+            throw new Error(`Unknown service "${service}" - call ProviderRegistry.defineService first`);
+        }
+        if (!provider || !provider.id) {
+            throw new Error('Providers need an id');
+        }
+        
+        // Re-registering an id replaces the previous provider
+        const list = this.providers.get(service).filter(existing => existing.id !== provider.id);
+        list.push(provider);
+        this.providers.set(service, list);
+        return provider;
+    }
+    
+    static unregister(service, id) {
+        const list = this.providers.get(service) || [];
+        this.providers.set(service, list.filter(provider => provider.id !== id));
+    }
+    
+    static getServices() {
+        return Array.from(this.services.values());
+    }
+    
+    // Enabled providers for a service, highest priority first
+    static getProviders(service, operation = null) {
+        return (this.providers.get(service) || [])
+            .filter(provider => provider.enabled !== false)
+            .filter(provider => !this.offline || provider.isLive === false)
+            .filter(provider => QuotaMeter.mode(provider) !== 'exhausted')
+            .filter(provider => !operation || typeof provider[operation] === 'function')
+            .sort((a, b) => (b.priority || 0) - (a.priority || 0));
+    }
+    
+    // The provider that will answer first, used for status reporting
+    static getActiveProvider(service) {
+        return this.getProviders(service)[0] || null;
+    }
+    
+    static isLive(service) {
+        const provider = this.getActiveProvider(service);
+        return !!provider && provider.isLive !== false;
+    }
+    
+    static findProvider(id) {
+        for (const list of this.providers.values()) {
+            const provider = list.find(candidate => candidate.id === id);
+            if (provider) return provider;
+        }
+        return null;
+    }
+    
+    // The provider that would answer is close to its daily budget, so cached data is kept
+    static isCacheOnly(service, operation) {
+        const provider = this.getProviders(service, operation)[0];
+        return !!provider && QuotaMeter.mode(provider) === 'cacheOnly';
+    }
+    
+    static revalidating = new Set();
+    
+    // Run an operation against the providers of a service with caching and failover
+    static async request(service, operation, args = [], options = {}) {
+        const { cache, cacheKey } = options;
+        
+        if (cache && cacheKey) {
+            const cached = cache.get(cacheKey);
+            if (cached && cache.isFresh(cached)) {
+                console.log(`🎯 Using cached ${service} data`);
+                return cached.data;
+            }
+            if (cached && this.isCacheOnly(service, operation)) {
+                console.log(`💾 Serving cached ${service} data, daily quota nearly used`);
+                return cached.data;
+            }
+            if (cached) {
+                // Stale-while-revalidate: answer now, refresh in the background
+                console.log(`♻️ Serving stale ${service} data while refreshing`);
+                this.revalidate(service, operation, args, options);
+                return cached.data;
+            }
+        }
+        
+        return this.fetchFromProviders(service, operation, args, options);
+    }
+    
+    static revalidate(service, operation, args, options) {
+        const key = `${service}:${options.cacheKey}`;
+        if (this.revalidating.has(key)) return;
+        
+        this.revalidating.add(key);
+        this.fetchFromProviders(service, operation, args, options)
+            .catch(error => console.error(`❌ Background refresh of ${service} failed:`, error))
+            .finally(() => this.revalidating.delete(key));
+    }
+    
+    static async fetchFromProviders(service, operation, args, options) {
+        const { cache, cacheKey } = options;
+        
+        for (const provider of this.getProviders(service, operation)) {
+            try {
+                const data = await provider[operation](...args);
+                
+                if (data === null || data === undefined || (Array.isArray(data) && data.length === 0)) {
+                    console.log(`⚠️ ${provider.name} returned no ${service} data, trying next provider`);
+                    continue;
+                }
+                
+                // Only live results are cached; demo data is cheap to rebuild
+                if (provider.isLive !== false && cache && cacheKey) {
+                    cache.set(cacheKey, {
+                        data: data,
+                        timestamp: Date.now()
+                    });
+                }
+                
+                return data;
+            } catch (error) {
+                // A cancelled request means nobody wants the answer any more, not a failing provider
+                if (RequestScheduler.isCancelled(error)) throw error;
+                console.error(`❌ ${provider.name} (${service}) error:`, error);
+            }
+        }
+        
+        console.log(`❌ No ${service} provider could answer ${operation}`);
+        return null;
+    }
+    
+    static logStatus() {
+        console.log('🔧 API Configuration Status (Live-First Mode):');
+        this.getServices().forEach(service => {
+            const provider = this.getActiveProvider(service.id);
+            const status = !provider ? '❌ DISABLED'
+                : provider.isLive !== false ? `✅ LIVE - ${provider.name}`
+                : `⚠️ DEMO - ${service.demoHint}`;
+            console.log(`${service.title}:`, status);
+        });
+        console.log('🎯 Priority: Live APIs → Demo fallback only when APIs fail');
+    }
+}
+
+ProviderRegistry.defineService('weather', { label: 'Weather', title: 'Weather', demoHint: 'add API key for live' });
+ProviderRegistry.defineService('places', { label: 'Places', title: 'Places', demoHint: 'live places unavailable' });
+ProviderRegistry.defineService('ai', { label: 'AI/NLP', title: 'AI Responses', demoHint: 'add token for live' });
+ProviderRegistry.defineService('news', { label: 'Events', title: 'News/Events', demoHint: 'add API key for live' });
+
+// City resolution - turns free text like "kyoto" or "Lisbon, Portugal" into a
+// normalized city record: { key, name, displayName, country, countryCode, lat, lon, boundingBox }.
+// The eight built-in cities resolve offline; anything else is geocoded via Nominatim.
+class CityAPI {
+    static cacheTimeout = 7 * 24 * 60 * 60 * 1000; // 7 days - cities don't move
+    static cache = new SharedCache('cities', this.cacheTimeout);
+    
+    // Boxes are [south, north, west, east] in decimal degrees
+    static presets = {
+        tokyo: { name: 'Tokyo', country: 'Japan', countryCode: 'jp', lat: 35.6762, lon: 139.6503, box: [35.50, 35.90, 139.55, 139.95], emoji: '🗾' },
+        paris: { name: 'Paris', country: 'France', countryCode: 'fr', lat: 48.8566, lon: 2.3522, box: [48.8156, 48.9022, 2.2242, 2.4699], emoji: '🗼' },
+        mumbai: { name: 'Mumbai', country: 'India', countryCode: 'in', lat: 19.0760, lon: 72.8777, box: [18.89, 19.27, 72.77, 72.99], emoji: '🇮🇳' },
+        istanbul: { name: 'Istanbul', country: 'Turkey', countryCode: 'tr', lat: 41.0082, lon: 28.9784, box: [40.80, 41.32, 28.50, 29.45], emoji: '🕌' },
+        newyork: { name: 'New York', country: 'USA', countryCode: 'us', lat: 40.7128, lon: -74.0060, box: [40.4774, 40.9176, -74.2591, -73.7004], emoji: '🗽' },
+        london: { name: 'London', country: 'UK', countryCode: 'gb', lat: 51.5074, lon: -0.1278, box: [51.2868, 51.6919, -0.5103, 0.3340], emoji: '🏰' },
+        delhi: { name: 'Delhi', country: 'India', countryCode: 'in', lat: 28.6139, lon: 77.2090, box: [28.40, 28.88, 76.84, 77.35], emoji: '🏛️' },
+        barcelona: { name: 'Barcelona', country: 'Spain', countryCode: 'es', lat: 41.3874, lon: 2.1686, box: [41.3170, 41.4679, 2.0524, 2.2283], emoji: '🏛️' }
+    };
+    
+    // "New York, USA" -> "newyork", matching the keys used by the per-city tables
+    static toKey(text) {
+        return String(text).split(',')[0].toLowerCase()
+            .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+            .replace(/[^a-z0-9]/g, '');
+    }
+    
+    static fromPreset(key) {
+        const preset = this.presets[key];
+        if (!preset) return null;
+        const [south, north, west, east] = preset.box;
+        return {
+            key,
+            name: preset.name,
+            displayName: `${preset.name}, ${preset.country}`,
+            country: preset.country,
+            countryCode: preset.countryCode,
+            lat: preset.lat,
+            lon: preset.lon,
+            boundingBox: { south, north, west, east },
+            emoji: preset.emoji,
+            source: 'Built-in'
+        };
+    }
+    
+    // Accepts a city record or a bare key/name and always returns a record.
+    // Unknown names get a minimal record without coordinates.
+    static toRecord(city) {
+        if (city && typeof city === 'object') return city;
+        const key = this.toKey(city || '');
+        const cached = this.cache.get(key);
+        return this.fromPreset(key) || (cached && cached.data) || {
+            key,
+            name: String(city),
+            displayName: String(city),
+            country: null,
+            countryCode: null,
+            lat: null,
+            lon: null,
+            boundingBox: null,
+            emoji: '🌍',
+            source: 'Unresolved'
+        };
+    }
+    
+    static getPresets() {
+        return Object.keys(this.presets).map(key => this.fromPreset(key));
+    }
+    
+    // Resolve free text to a city record, or null when nothing matches
+    static async resolveCity(query) {
+        const text = String(query || '').trim();
+        if (!text) return null;
+        
+        const preset = this.fromPreset(this.toKey(text));
+        if (preset) return preset;
+        
+        const city = await ProviderRegistry.request('places', 'geocodeCity', [text], {
+            cache: this.cache,
+            cacheKey: this.toKey(text)
+        });
+        
+        // Also remember it under its own key so toRecord(city.key) finds it later
+        if (city && city.key !== this.toKey(text)) {
+            this.cache.set(city.key, { data: city, timestamp: Date.now() });
+        }
+        return city;
+    }
+    
+    // Build a record from a Nominatim search result
+    static fromNominatim(result) {
+        const address = result.address || {};
+        const name = address.city || address.town || address.village || address.municipality ||
+            address.state || result.name || result.display_name.split(',')[0].trim();
+        const [south, north, west, east] = (result.boundingbox || []).map(Number);
+        return {
+            key: this.toKey(name),
+            name,
+            displayName: address.country ? `${name}, ${address.country}` : name,
+            country: address.country || null,
+            countryCode: address.country_code || null,
+            lat: Number(result.lat),
+            lon: Number(result.lon),
+            boundingBox: result.boundingbox ? { south, north, west, east } : null,
+            emoji: '🌍',
+            source: 'OpenStreetMap (LIVE)'
+        };
+    }
+}
+
+// Enhanced Weather API with caching
+class WeatherAPI {
+    static cacheTimeout = 10 * 60 * 1000; // 10 minutes
+    static cache = new SharedCache('weather', this.cacheTimeout);
+    
+    static async getCurrentWeather(city) {
+        city = CityAPI.toRecord(city);
+        return ProviderRegistry.request('weather', 'getCurrentWeather', [city], {
+            cache: this.cache,
+            cacheKey: `weather_${city.key}`
+        });
+    }
+    
+    // Multi-day forecast, one summary entry per day
+    static async getForecast(city, days = 5) {
+        city = CityAPI.toRecord(city);
+        return ProviderRegistry.request('weather', 'getForecast', [city, days], {
+            cache: this.cache,
+            cacheKey: `forecast_${city.key}_${days}`
+        });
+    }
+
+    // Group 3-hour slots by calendar day in the city, whatever the browser's time zone is.
+    // `timezone` is the city's offset from UTC in seconds (OpenWeatherMap's city.timezone).
+    // Days are dated at noon like Open-Meteo's, so getDay() and toISODate() give the city's day
+    static summarizeForecast(list, timezone = 0) {
+        const byDay = new Map();
+
+        list.forEach(slot => {
+            const key = new Date((slot.dt + timezone) * 1000).toISOString().slice(0, 10);
+            if (!byDay.has(key)) {
+                byDay.set(key, { date: new Date(`${key}T12:00:00`), temps: [], conditions: {}, humidity: [], pop: 0 });
+            }
+            const day = byDay.get(key);
+            day.temps.push(slot.main.temp_min, slot.main.temp_max);
+            day.humidity.push(slot.main.humidity);
+            day.pop = Math.max(day.pop, slot.pop || 0);
+            const condition = slot.weather && slot.weather[0] ? slot.weather[0].description : 'unknown';
+            day.conditions[condition] = (day.conditions[condition] || 0) + 1;
+        });
+
+        return Array.from(byDay.values()).map(day => ({
+            date: day.date,
+            label: day.date.toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' }),
+            weekday: day.date.getDay(),
+            minTemp: Math.round(Math.min(...day.temps)),
+            maxTemp: Math.round(Math.max(...day.temps)),
+            // Most frequent description across the day's slots
+            condition: Object.entries(day.conditions).sort((a, b) => b[1] - a[1])[0][0],
+            humidity: Math.round(day.humidity.reduce((sum, h) => sum + h, 0) / day.humidity.length),
+            precipitationChance: Math.round(day.pop * 100)
+        }));
+    }
+
+    static getSimulatedForecast(city, days = 5) {
+        const current = this.getSimulatedWeather(city);
+        const conditions = ['partly cloudy', 'clear sky', 'light rain', 'scattered clouds', 'overcast clouds'];
+        const precipitation = [20, 5, 70, 15, 35];
+
+        const forecastDays = [];
+        for (let i = 0; i < days; i++) {
+            const date = new Date();
+            date.setDate(date.getDate() + i);
+            forecastDays.push({
+                date,
+                label: date.toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' }),
+                weekday: date.getDay(),
+                minTemp: current.temperature - 4 + (i % 2),
+                maxTemp: current.temperature + 3 - (i % 3),
+                condition: conditions[i % conditions.length],
+                humidity: current.humidity,
+                precipitationChance: precipitation[i % precipitation.length]
+            });
+        }
+
+        return {
+            days: forecastDays,
+            timestamp: new Date().toLocaleString(),
+            source: 'Demo Data (Add API key for live)',
+            isRealTime: false
+        };
+    }
+
+    static getSimulatedWeather(city) {
+        const temps = { tokyo: 22, paris: 16, mumbai: 28, delhi: 32, newyork: 18 };
+        return {
+            temperature: temps[city.key] || 20,
+            condition: 'partly cloudy',
+            humidity: 65,
+            windSpeed: 5.2,
+            pressure: 1013,
+            timestamp: new Date().toLocaleString(),
+            source: 'Demo Data (Add API key for live)',
+            isRealTime: false
+        };
+    }
+}
+
+// Weather providers: OpenWeatherMap (API key) → Open-Meteo (keyless) → demo data
+ProviderRegistry.register('weather', {
+    id: 'openweathermap',
+    name: 'OpenWeatherMap',
+    priority: 100,
+    isLive: true,
+    get enabled() { return API_CONFIG.weather.enabled; },
+    get dailyBudget() { return API_CONFIG.weather.dailyBudget; },
+    
+    // Coordinates are unambiguous; fall back to the name for unresolved cities
+    locationQuery(city) {
+        return city.lat !== null && city.lon !== null
+            ? `lat=${city.lat}&lon=${city.lon}`
+            : `q=${encodeURIComponent(city.name)}`;
+    },
+    
+    async getCurrentWeather(city) {
+        console.log('🌤️ Fetching LIVE weather data from OpenWeatherMap...');
+        const response = await RequestScheduler.fetch('openweathermap',
+            `${API_CONFIG.weather.baseUrl}/weather?${this.locationQuery(city)}&appid=${API_CONFIG.weather.apiKey}&units=metric`
+        );
+        
+        if (!response.ok) {
+            console.log('⚠️ Weather API response error:', response.status);
+            return null;
+        }
+        
+        const data = await response.json();
+        console.log('✅ Successfully fetched LIVE weather data');
+        return {
+            temperature: Math.round(data.main.temp),
+            condition: data.weather[0].description,
+            humidity: data.main.humidity,
+            windSpeed: data.wind.speed,
+            pressure: data.main.pressure,
+            timestamp: new Date().toLocaleString(),
+            source: 'OpenWeatherMap API (LIVE)',
+            isRealTime: true
+        };
+    },
+    
+    // 5-day/3-hour endpoint, summarised per day
+    async getForecast(city, days) {
+        console.log('📅 Fetching LIVE forecast data from OpenWeatherMap...');
+        const response = await RequestScheduler.fetch('openweathermap',
+            `${API_CONFIG.weather.baseUrl}/forecast?${this.locationQuery(city)}&appid=${API_CONFIG.weather.apiKey}&units=metric`
+        );
+        
+        if (!response.ok) {
+            console.log('⚠️ Forecast API response error:', response.status);
+            return null;
+        }
+        
+        const data = await response.json();
+        const forecastDays = WeatherAPI.summarizeForecast(data.list || [], data.city ? data.city.timezone : 0).slice(0, days);
+        if (forecastDays.length === 0) {
+            return null;
+        }
+        
+        console.log('✅ Successfully fetched LIVE forecast data');
+        return {
+            days: forecastDays,
+            timestamp: new Date().toLocaleString(),
+            source: 'OpenWeatherMap Forecast API (LIVE)',
+            isRealTime: true
+        };
+    }
+});
+
+ProviderRegistry.register('weather', {
+    id: 'open-meteo',
+    name: 'Open-Meteo',
+    priority: 50,
+    isLive: true,
+    enabled: true,
+    dailyBudget: Number(getEnvVar('OPEN_METEO_DAILY_BUDGET', 10000)), // free for non-commercial use up to 10000 calls/day
+    baseUrl: 'https://api.open-meteo.com/v1',
+    geocodingUrl: 'https://geocoding-api.open-meteo.com/v1',
+    
+    // WMO weather interpretation codes used by Open-Meteo
+    conditions: {
+        0: 'clear sky', 1: 'mainly clear', 2: 'partly cloudy', 3: 'overcast clouds',
+        45: 'fog', 48: 'rime fog', 51: 'light drizzle', 53: 'drizzle', 55: 'dense drizzle',
+        61: 'light rain', 63: 'moderate rain', 65: 'heavy rain', 71: 'light snow', 73: 'snow',
+        75: 'heavy snow', 80: 'rain showers', 81: 'heavy rain showers', 82: 'violent rain showers',
+        95: 'thunderstorm', 96: 'thunderstorm with hail', 99: 'thunderstorm with heavy hail'
+    },
+    
+    async locate(city) {
+        if (city.lat !== null && city.lon !== null) {
+            return { latitude: city.lat, longitude: city.lon };
+        }
+        const response = await RequestScheduler.fetch('open-meteo',
+            `${this.geocodingUrl}/search?name=${encodeURIComponent(city.name)}&count=1&format=json`
+        );
+        if (!response.ok) return null;
+        const data = await response.json();
+        return data.results && data.results.length > 0 ? data.results[0] : null;
+    },
+    
+    async getCurrentWeather(city) {
+        const location = await this.locate(city);
+        if (!location) return null;
+        
+        console.log('🌤️ Fetching LIVE weather data from Open-Meteo...');
+        const response = await RequestScheduler.fetch('open-meteo',
+            `${this.baseUrl}/forecast?latitude=${location.latitude}&longitude=${location.longitude}` +
+            '&current=temperature_2m,relative_humidity_2m,wind_speed_10m,surface_pressure,weather_code&wind_speed_unit=ms'
+        );
+        if (!response.ok) {
+            console.log('⚠️ Open-Meteo response error:', response.status);
+            return null;
+        }
+        
+        const data = await response.json();
+        const current = data.current;
+        return {
+            temperature: Math.round(current.temperature_2m),
+            condition: this.conditions[current.weather_code] || 'unknown',
+            humidity: current.relative_humidity_2m,
+            windSpeed: current.wind_speed_10m,
+            pressure: Math.round(current.surface_pressure),
+            timestamp: new Date().toLocaleString(),
+            source: 'Open-Meteo API (LIVE)',
+            isRealTime: true
+        };
+    },
+    
+    async getForecast(city, days) {
+        const location = await this.locate(city);
+        if (!location) return null;
+        
+        console.log('📅 Fetching LIVE forecast data from Open-Meteo...');
+        const response = await RequestScheduler.fetch('open-meteo',
+            `${this.baseUrl}/forecast?latitude=${location.latitude}&longitude=${location.longitude}` +
+            '&daily=temperature_2m_max,temperature_2m_min,precipitation_probability_max,relative_humidity_2m_mean,weather_code' +
+            `&timezone=auto&forecast_days=${days}`
+        );
+        if (!response.ok) {
+            console.log('⚠️ Open-Meteo response error:', response.status);
+            return null;
+        }
+        
+        const daily = (await response.json()).daily;
+        return {
+            days: daily.time.map((isoDate, i) => {
+                const date = new Date(`${isoDate}T12:00:00`);
+                return {
+                    date,
+                    label: date.toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' }),
+                    weekday: date.getDay(),
+                    minTemp: Math.round(daily.temperature_2m_min[i]),
+                    maxTemp: Math.round(daily.temperature_2m_max[i]),
+                    condition: this.conditions[daily.weather_code[i]] || 'unknown',
+                    humidity: Math.round(daily.relative_humidity_2m_mean ? daily.relative_humidity_2m_mean[i] : 0),
+                    precipitationChance: daily.precipitation_probability_max[i] || 0
+                };
+            }),
+            timestamp: new Date().toLocaleString(),
+            source: 'Open-Meteo Forecast API (LIVE)',
+            isRealTime: true
+        };
+    }
+});
+
+ProviderRegistry.register('weather', {
+    id: 'demo-weather',
+    name: 'Demo Data',
+    priority: -1,
+    isLive: false,
+    enabled: true,
+    getCurrentWeather(city) {
+        console.log('📊 Using demo weather data (API unavailable or failed)');
+        return WeatherAPI.getSimulatedWeather(city);
+    },
+    getForecast(city, days) {
+        console.log('📊 Using demo forecast data (API unavailable or failed)');
+        return WeatherAPI.getSimulatedForecast(city, days);
+    }
+});
+
+// Places API using OpenStreetMap Nominatim (Free)
+class PlacesAPI {
+    static cacheTimeout = 30 * 60 * 1000; // 30 minutes
+    static cache = new SharedCache('places', this.cacheTimeout);
+    static resultLimit = 15; // handlers page through these five at a time
+    
+    static async searchPlaces(city, category) {
+        city = CityAPI.toRecord(city);
+        
+        // Searches are constrained to the city's extent, so make sure we know it
+        if (!city.boundingBox) {
+            city = (await CityAPI.resolveCity(city.name)) || city;
+        }
+        
+        return ProviderRegistry.request('places', 'searchPlaces', [city, category], {
+            cache: this.cache,
+            cacheKey: `places_${city.key}_${category}`
+        });
+    }
+    
+    // Generate appropriate search queries based on city and category
+    static generateSearchQueries(city, category) {
+    const queries = [];
+
+    const cityData = {
+        delhi: {
+            culture: ['Red Fort Delhi', 'Qutub Minar Delhi', 'Humayun Tomb Delhi', 'Lotus Temple Delhi', 'National Museum Delhi'],
+            tourist: ['India Gate Delhi', 'Red Fort Delhi', 'Lotus Temple Delhi', 'Akshardham Temple Delhi'],
+            food: ['restaurants Delhi', 'popular restaurants Delhi', 'local food Delhi', 'best places to eat Delhi'],
+            shopping: ['markets Delhi', 'famous shopping markets Delhi', 'shopping districts Delhi', 'local bazaars Delhi']
+        },
+        tokyo: {
+            culture: ['Senso-ji Temple Tokyo', 'Meiji Shrine Tokyo', 'Tokyo National Museum', 'Imperial Palace Tokyo'],
+            tourist: ['Tokyo Tower', 'Tokyo Skytree', 'Shibuya Crossing Tokyo', 'Asakusa Tokyo'],
+            food: ['restaurants Tokyo', 'Tsukiji Market Tokyo', 'best sushi Tokyo', 'local food Tokyo'],
+            shopping: ['Shibuya shopping district Tokyo', 'Harajuku shopping Tokyo', 'Ginza Tokyo markets', 'Akihabara Tokyo']
+        },
+        mumbai: {
+            culture: ['Gateway of India Mumbai', 'Chhatrapati Shivaji Terminus Mumbai', 'Elephanta Caves Mumbai'],
+            tourist: ['Marine Drive Mumbai', 'Gateway of India Mumbai', 'Juhu Beach Mumbai'],
+            food: ['restaurants Mumbai', 'Mohammed Ali Road Mumbai', 'best street food Mumbai', 'local food Mumbai'],
+            shopping: ['Linking Road Mumbai', 'Colaba Causeway Mumbai', 'Crawford Market Mumbai', 'Fashion Street Mumbai']
+        },
+        paris: {
+            culture: ['Louvre Museum Paris', 'Notre Dame Paris', 'Musée d\'Orsay Paris', 'Sainte-Chapelle Paris'],
+            tourist: ['Eiffel Tower Paris', 'Arc de Triomphe Paris', 'Champs-Élysées Paris', 'Montmartre Paris'],
+            food: ['restaurants Paris', 'Le Marais Paris food', 'Latin Quarter Paris restaurants', 'best bistros Paris'],
+            shopping: ['Champs-Élysées Paris shops', 'Le Marais Paris markets', 'Galeries Lafayette Paris', 'Rue Saint-Honoré Paris']
+        },
+        newyork: {
+            culture: ['Metropolitan Museum New York', 'MoMA New York', 'Guggenheim Museum New York'],
+            tourist: ['Statue of Liberty New York', 'Central Park New York', 'Times Square New York', 'Brooklyn Bridge New York'],
+            food: ['restaurants New York', 'Little Italy New York', 'Chinatown New York', 'best pizza New York'],
+            shopping: ['Fifth Avenue New York', 'SoHo New York', 'Chelsea Market New York', 'Union Square Market New York']
+        },
+        london: {
+            culture: ['British Museum London', 'Tate Modern London', 'National Gallery London', 'Westminster Abbey London'],
+            tourist: ['Big Ben London', 'Tower Bridge London', 'London Eye', 'Buckingham Palace London'],
+            food: ['restaurants London', 'Borough Market London', 'Camden Market London food', 'Covent Garden London'],
+            shopping: ['Oxford Street London', 'Camden Market London shops', 'Portobello Road London', 'Covent Garden Market London']
+        },
+        istanbul: {
+            culture: ['Hagia Sophia Istanbul', 'Blue Mosque Istanbul', 'Topkapi Palace Istanbul'],
+            tourist: ['Galata Tower Istanbul', 'Bosphorus Bridge Istanbul', 'Taksim Square Istanbul'],
+            food: ['restaurants Istanbul', 'Grand Bazaar Istanbul food', 'Eminönü Istanbul restaurants', 'local food Istanbul'],
+            shopping: ['Grand Bazaar Istanbul', 'Istinye Park Istanbul', 'Spice Bazaar Istanbul', 'Nişantaşı Istanbul']
+        },
+        barcelona: {
+            culture: ['Sagrada Familia Barcelona', 'Park Güell Barcelona', 'Picasso Museum Barcelona'],
+            tourist: ['Casa Batlló Barcelona', 'Gothic Quarter Barcelona', 'La Rambla Barcelona'],
+            food: ['restaurants Barcelona', 'Boquería Market Barcelona', 'Gothic Quarter Barcelona food', 'local tapas Barcelona'],
+            shopping: ['Passeig de Gràcia Barcelona', 'Gothic Quarter Barcelona shops', 'El Born Barcelona markets']
+        }
+    };
+
+    const cityQueries = cityData[city.key];
+    const name = city.name;
+
+    if (cityQueries && cityQueries[category]) {
+        queries.push(...cityQueries[category].slice(0, 5));
+    }
+
+    if (queries.length === 0) {
+        switch (category) {
+            case 'culture':
+                queries.push(`museums ${name}`, `temples ${name}`, `heritage sites ${name}`, `art galleries ${name}`);
+                break;
+            case 'food':
+                queries.push(`restaurants ${name}`, `food markets ${name}`, `local cuisine ${name}`, `best places to eat ${name}`);
+                break;
+            case 'shopping':
+                queries.push(`famous markets ${name}`, `shopping districts ${name}`, `local bazaars ${name}`, `markets ${name}`);
+                break;
+            case 'places':
+            case 'tourist':
+                queries.push(`tourist attractions ${name}`, `landmarks ${name}`, `monuments ${name}`, `famous places ${name}`);
+                break;
+            default:
+                queries.push(`${category} in ${name}`, `top ${category} ${name}`);
+        }
+    }
+
+    queries.push(`${category} in ${name}`, `top ${category} ${name}`);
+
+    return queries.slice(0, 5);
+}
+    
+    // Great-circle distance between two { lat, lon } points
+    static distanceKm(a, b) {
+        const toRad = degrees => parseFloat(degrees) * Math.PI / 180;
+        const dLat = toRad(b.lat) - toRad(a.lat);
+        const dLon = toRad(b.lon) - toRad(a.lon);
+        const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLon / 2) ** 2;
+        return 6371 * 2 * Math.asin(Math.sqrt(h));
+    }
+    
+    // Rough 1 (budget) to 4 (luxury) price level; OSM rarely tags prices, so the venue type decides
+    static priceLevel(place) {
+        if (typeof place.price === 'string' && place.price.includes('$')) {
+            return place.price.split('-')[0].length;
+        }
+        const levels = {
+            fast_food: 1, food_court: 1, street_vendor: 1, marketplace: 1, food_street: 1, food_lane: 1,
+            market: 1, food_market: 1, public_market: 1, covered_market: 1,
+            cafe: 2, ramen_alley: 2, dining_district: 2, shopping_street: 2,
+            restaurant: 3, mall: 3, department_store: 3, shopping_avenue: 4
+        };
+        return levels[place.type] || 2;
+    }
+    
+    // Nominatim viewbox parameter: left,top,right,bottom as lon,lat pairs
+    static toViewbox(box) {
+        return `${box.west},${box.north},${box.east},${box.south}`;
+    }
+    
+    static isInsideBoundingBox(place, box) {
+        const lat = parseFloat(place.lat);
+        const lon = parseFloat(place.lon);
+        return lat >= box.south && lat <= box.north && lon >= box.west && lon <= box.east;
+    }
+    
+    // Extract a clean location name from the API response
+    static extractLocationName(place) {
+        // Try to get a clean name from various fields
+        if (place.namedetails && place.namedetails.name) {
+            return place.namedetails.name;
+        }
+        
+        if (place.display_name) {
+            // Take the first part before the first comma
+            const firstPart = place.display_name.split(',')[0].trim();
+            return firstPart;
+        }
+        
+        return place.name || place.type || 'Unnamed Location';
+    }
+    
+    // Remove duplicate places based on name and coordinates
+    static removeDuplicates(places) {
+        const seen = new Set();
+        return places.filter(place => {
+            const key = `${place.name.toLowerCase()}_${Math.round(place.lat * 1000)}_${Math.round(place.lon * 1000)}`;
+            if (seen.has(key)) {
+                return false;
+            }
+            seen.add(key);
+            return true;
+        });
+    }
+    
+    // Fallback places when API fails
+    static getFallbackPlaces(city, category) {
+        const fallbacks = {
+            delhi: {
+                culture: [
+                    { name: 'Red Fort', address: 'Netaji Subhash Marg, Lal Qila, Delhi', type: 'historical_monument', source: 'Demo Data (API failed)' },
+                    { name: 'Qutub Minar', address: 'Mehrauli, Delhi', type: 'unesco_heritage', source: 'Demo Data (API failed)' },
+                    { name: 'Humayun\'s Tomb', address: 'Mathura Road, Delhi', type: 'mughal_architecture', source: 'Demo Data (API failed)' }
+                ],
+                tourist: [
+                    { name: 'India Gate', address: 'Rajpath, New Delhi', type: 'war_memorial', source: 'Demo Data (API failed)' },
+                    { name: 'Lotus Temple', address: 'Lotus Temple Road, Delhi', type: 'bahai_temple', source: 'Demo Data (API failed)' },
+                    { name: 'Akshardham Temple', address: 'Noida Mor, Delhi', type: 'hindu_temple', source: 'Demo Data (API failed)' }
+                ],
+                shopping: [
+                    { name: 'Connaught Place', address: 'Connaught Place, New Delhi', type: 'shopping_district', source: 'Demo Data (API failed)' },
+                    { name: 'Khan Market', address: 'Khan Market, New Delhi', type: 'market', source: 'Demo Data (API failed)' }
+                ],
+                food: [
+                    { name: 'Chandni Chowk', address: 'Chandni Chowk, Old Delhi', type: 'food_street', source: 'Demo Data (API failed)' },
+                    { name: 'Paranthe Wali Gali', address: 'Chandni Chowk, Delhi', type: 'food_lane', source: 'Demo Data (API failed)' }
+                ]
+            },
+            tokyo: {
+                culture: [
+                    { name: 'Senso-ji Temple', address: 'Asakusa, Tokyo', type: 'buddhist_temple', source: 'Demo Data (API failed)' },
+                    { name: 'Meiji Shrine', address: 'Shibuya, Tokyo', type: 'shinto_shrine', source: 'Demo Data (API failed)' },
+                    { name: 'Tokyo National Museum', address: 'Ueno, Tokyo', type: 'museum', source: 'Demo Data (API failed)' }
+                ],
+                tourist: [
+                    { name: 'Tokyo Tower', address: 'Minato, Tokyo', type: 'landmark', source: 'Demo Data (API failed)' },
+                    { name: 'Tokyo Skytree', address: 'Sumida, Tokyo', type: 'broadcasting_tower', source: 'Demo Data (API failed)' },
+                    { name: 'Shibuya Crossing', address: 'Shibuya, Tokyo', type: 'intersection', source: 'Demo Data (API failed)' }
+                ],
+                shopping: [
+                    { name: 'Shibuya', address: 'Shibuya, Tokyo', type: 'shopping_district', source: 'Demo Data (API failed)' },
+                    { name: 'Harajuku', address: 'Harajuku, Tokyo', type: 'fashion_district', source: 'Demo Data (API failed)' }
+                ],
+                food: [
+                    { name: 'Tsukiji Outer Market', address: 'Chuo, Tokyo', type: 'fish_market', source: 'Demo Data (API failed)' },
+                    { name: 'Ramen Yokocho', address: 'Shinjuku, Tokyo', type: 'ramen_alley', source: 'Demo Data (API failed)' }
+                ]
+            },
+            mumbai: {
+                culture: [
+                    { name: 'Gateway of India', address: 'Apollo Bunder, Mumbai', type: 'historical_monument', source: 'Demo Data (API failed)' },
+                    { name: 'Chhatrapati Shivaji Terminus', address: 'Fort, Mumbai', type: 'railway_station', source: 'Demo Data (API failed)' }
+                ],
+                tourist: [
+                    { name: 'Marine Drive', address: 'Marine Drive, Mumbai', type: 'promenade', source: 'Demo Data (API failed)' },
+                    { name: 'Juhu Beach', address: 'Juhu, Mumbai', type: 'beach', source: 'Demo Data (API failed)' }
+                ],
+                shopping: [
+                    { name: 'Linking Road', address: 'Bandra West, Mumbai', type: 'shopping_street', source: 'Demo Data (API failed)' },
+                    { name: 'Colaba Causeway', address: 'Colaba, Mumbai', type: 'shopping_street', source: 'Demo Data (API failed)' }
+                ],
+                food: [
+                    { name: 'Mohammed Ali Road', address: 'Mohammed Ali Road, Mumbai', type: 'food_street', source: 'Demo Data (API failed)' }
+                ]
+            },
+            paris: {
+                culture: [
+                    { name: 'Louvre Museum', address: 'Rue de Rivoli, Paris', type: 'art_museum', source: 'Demo Data (API failed)' },
+                    { name: 'Notre-Dame', address: 'Île de la Cité, Paris', type: 'cathedral', source: 'Demo Data (API failed)' }
+                ],
+                tourist: [
+                    { name: 'Eiffel Tower', address: 'Champ de Mars, Paris', type: 'iron_tower', source: 'Demo Data (API failed)' },
+                    { name: 'Arc de Triomphe', address: 'Place Charles de Gaulle, Paris', type: 'triumphal_arch', source: 'Demo Data (API failed)' }
+                ],
+                shopping: [
+                    { name: 'Champs-Élysées', address: 'Champs-Élysées, Paris', type: 'shopping_avenue', source: 'Demo Data (API failed)' }
+                ],
+                food: [
+                    { name: 'Latin Quarter', address: 'Latin Quarter, Paris', type: 'dining_district', source: 'Demo Data (API failed)' }
+                ]
+            },
+            newyork: {
+                culture: [
+                    { name: 'Metropolitan Museum', address: 'Upper East Side, New York', type: 'art_museum', source: 'Demo Data (API failed)' },
+                    { name: 'MoMA', address: 'Midtown Manhattan, New York', type: 'modern_art_museum', source: 'Demo Data (API failed)' }
+                ],
+                tourist: [
+                    { name: 'Statue of Liberty', address: 'Liberty Island, New York', type: 'statue', source: 'Demo Data (API failed)' },
+                    { name: 'Central Park', address: 'Manhattan, New York', type: 'urban_park', source: 'Demo Data (API failed)' }
+                ],
+                shopping: [
+                    { name: 'Fifth Avenue', address: 'Fifth Avenue, Manhattan', type: 'shopping_avenue', source: 'Demo Data (API failed)' }
+                ],
+                food: [
+                    { name: 'Little Italy', address: 'Little Italy, Manhattan', type: 'ethnic_neighborhood', source: 'Demo Data (API failed)' }
+                ]
+            },
+            london: {
+                culture: [
+                    { name: 'British Museum', address: 'Great Russell Street, London', type: 'history_museum', source: 'Demo Data (API failed)' },
+                    { name: 'Tate Modern', address: 'Bankside, London', type: 'art_gallery', source: 'Demo Data (API failed)' }
+                ],
+                tourist: [
+                    { name: 'Big Ben', address: 'Westminster, London', type: 'clock_tower', source: 'Demo Data (API failed)' },
+                    { name: 'Tower Bridge', address: 'Tower Hamlets, London', type: 'bridge', source: 'Demo Data (API failed)' }
+                ],
+                shopping: [
+                    { name: 'Oxford Street', address: 'Oxford Street, London', type: 'shopping_street', source: 'Demo Data (API failed)' }
+                ],
+                food: [
+                    { name: 'Borough Market', address: 'Southwark, London', type: 'food_market', source: 'Demo Data (API failed)' }
+                ]
+            },
+            istanbul: {
+                culture: [
+                    { name: 'Hagia Sophia', address: 'Sultanahmet, Istanbul', type: 'historical_building', source: 'Demo Data (API failed)' },
+                    { name: 'Topkapi Palace', address: 'Sultanahmet, Istanbul', type: 'palace_museum', source: 'Demo Data (API failed)' }
+                ],
+                tourist: [
+                    { name: 'Blue Mosque', address: 'Sultanahmet, Istanbul', type: 'mosque', source: 'Demo Data (API failed)' },
+                    { name: 'Galata Tower', address: 'Galata, Istanbul', type: 'medieval_tower', source: 'Demo Data (API failed)' }
+                ],
+                shopping: [
+                    { name: 'Grand Bazaar', address: 'Beyazıt, Istanbul', type: 'covered_market', source: 'Demo Data (API failed)' }
+                ],
+                food: [
+                    { name: 'Eminönü', address: 'Eminönü, Istanbul', type: 'food_district', source: 'Demo Data (API failed)' }
+                ]
+            },
+            barcelona: {
+                culture: [
+                    { name: 'Sagrada Familia', address: 'Sagrada Família, Barcelona', type: 'basilica', source: 'Demo Data (API failed)' },
+                    { name: 'Park Güell', address: 'Gràcia, Barcelona', type: 'public_park', source: 'Demo Data (API failed)' }
+                ],
+                tourist: [
+                    { name: 'Casa Batlló', address: 'Passeig de Gràcia, Barcelona', type: 'modernist_building', source: 'Demo Data (API failed)' },
+                    { name: 'Gothic Quarter', address: 'Ciutat Vella, Barcelona', type: 'historic_district', source: 'Demo Data (API failed)' }
+                ],
+                shopping: [
+                    { name: 'Passeig de Gràcia', address: 'Passeig de Gràcia, Barcelona', type: 'shopping_avenue', source: 'Demo Data (API failed)' }
+                ],
+                food: [
+                    { name: 'Boquería Market', address: 'La Rambla, Barcelona', type: 'public_market', source: 'Demo Data (API failed)' }
+                ]
+            }
+        };
+        
+        // Get city and category specific fallbacks
+        const cityFallbacks = fallbacks[city.key];
+        if (cityFallbacks && cityFallbacks[category]) {
+            return cityFallbacks[category];
+        }
+        
+        // Generic fallback if no specific data available
+        return [
+            { name: `Popular ${category} destination in ${city.name}`, address: `${city.name} city center`, type: category, source: 'Demo Data (API failed)' },
+            { name: `Local ${category} spot in ${city.name}`, address: `${city.name} downtown area`, type: category, source: 'Demo Data (API failed)' }
+        ];
+    }
+}
+
+// Places providers: OpenStreetMap Nominatim → curated demo data
+ProviderRegistry.register('places', {
+    id: 'nominatim',
+    name: 'OpenStreetMap',
+    priority: 100,
+    isLive: true,
+    get enabled() { return API_CONFIG.places.enabled; },
+    get dailyBudget() { return API_CONFIG.places.dailyBudget; },
+    
+    async searchPlaces(city, category) {
+        console.log('📍 Fetching LIVE places data from OpenStreetMap...');
+        // Generate proper search queries for each category and city
+        const searchQueries = PlacesAPI.generateSearchQueries(city, category);
+        const allPlaces = [];
+        
+        // Without a viewbox Nominatim ignores bounded=1, so only send it when we have one
+        const bounds = city.boundingBox
+            ? `&viewbox=${PlacesAPI.toViewbox(city.boundingBox)}&bounded=1`
+            : '';
+        
+        // Search for multiple query types to get diverse results
+        for (const query of searchQueries) {
+            try {
+                const response = await RequestScheduler.fetch('nominatim',
+                    `${API_CONFIG.places.baseUrl}/search?q=${encodeURIComponent(query)}&format=json&limit=3&addressdetails=1&extratags=1${bounds}`
+                );
+                
+                if (response.ok) {
+                    const data = await response.json();
+                    const places = data
+                        .filter(place => place.display_name && place.lat && place.lon)
+                        .map(place => ({
+                            name: PlacesAPI.extractLocationName(place),
+                            address: place.display_name,
+                            lat: place.lat,
+                            lon: place.lon,
+                            type: place.type || place.class || 'attraction',
+                            category: place.class,
+                            importance: place.importance || 0,
+                            source: 'OpenStreetMap (LIVE)'
+                        }));
+                    
+                    allPlaces.push(...places);
+                }
+            } catch (queryError) {
+                if (RequestScheduler.isCancelled(queryError)) throw queryError;
+                console.log(`Query failed: ${query}`, queryError);
+            }
+        }
+        
+        // Drop anything outside the city before de-duplicating and ranking
+        const insideCity = city.boundingBox
+            ? allPlaces.filter(place => PlacesAPI.isInsideBoundingBox(place, city.boundingBox))
+            : allPlaces;
+        if (insideCity.length < allPlaces.length) {
+            console.log(`🧭 Dropped ${allPlaces.length - insideCity.length} places outside ${city.name}`);
+        }
+        
+        // Remove duplicates and sort by importance
+        const uniquePlaces = PlacesAPI.removeDuplicates(insideCity);
+        const sortedPlaces = uniquePlaces
+            .sort((a, b) => (b.importance || 0) - (a.importance || 0))
+            .slice(0, PlacesAPI.resultLimit);
+        
+        if (sortedPlaces.length > 0) {
+            console.log('✅ Successfully fetched LIVE places data');
+        }
+        return sortedPlaces;
+    },
+    
+    // Free-text city lookup, used by CityAPI.resolveCity
+    async geocodeCity(query) {
+        console.log(`🧭 Geocoding "${query}" with OpenStreetMap...`);
+        const response = await RequestScheduler.fetch('nominatim',
+            `${API_CONFIG.places.baseUrl}/search?q=${encodeURIComponent(query)}&format=json&limit=5&addressdetails=1&accept-language=en`
+        );
+        
+        if (!response.ok) {
+            return null;
+        }
+        
+        // Prefer settlements and administrative areas over same-named shops or streets
+        const results = await response.json();
+        const settlement = results.find(result =>
+            (result.class === 'place' && ['city', 'town', 'village', 'municipality'].includes(result.type)) ||
+            (result.class === 'boundary' && result.type === 'administrative')
+        );
+        return settlement ? CityAPI.fromNominatim(settlement) : null;
+    }
+});
+
+ProviderRegistry.register('places', {
+    id: 'demo-places',
+    name: 'Demo Data',
+    priority: -1,
+    isLive: false,
+    enabled: true,
+    searchPlaces(city, category) {
+        console.log('📊 Using demo places data (API failed or no results)');
+        return PlacesAPI.getFallbackPlaces(city, category);
+    }
+});
+
+// Overpass API - real venues from OpenStreetMap tags
+// Free-text Nominatim searches mostly return the city itself or one landmark, so
+// food, shopping and culture go through OSM tag queries instead. buildQuery and
+// toPlaces are pure, so recorded Overpass JSON can be replayed through toPlaces.
+class OverpassAPI {
+    static resultLimit = 60;
+    
+    // OSM tag filters per category
+    static categoryFilters = {
+        food: [
+            '["amenity"~"^(restaurant|cafe|fast_food|food_court)$"]'
+        ],
+        shopping: [
+            '["amenity"="marketplace"]',
+            '["shop"~"^(marketplace|mall|department_store)$"]'
+        ],
+        culture: [
+            '["tourism"~"^(museum|gallery)$"]',
+            '["amenity"~"^(theatre|arts_centre)$"]',
+            '["historic"~"^(monument|castle|palace)$"]'
+        ]
+    };
+    
+    static supports(category) {
+        return !!this.categoryFilters[category];
+    }
+    
+    // Overpass QL for every named node/way/relation matching the category inside the box
+    static buildQuery(city, category) {
+        const { south, west, north, east } = city.boundingBox;
+        const box = `${south},${west},${north},${east}`;
+        const statements = this.categoryFilters[category]
+            .map(filter => `  nwr${filter}["name"](${box});`)
+            .join('\n');
+        return `[out:json][timeout:25];\n(\n${statements}\n);\nout center tags ${this.resultLimit};`;
+    }
+    
+    // Turn an Overpass response into the place shape used by the handlers
+    static toPlaces(data, category, city) {
+        return (data.elements || [])
+            .map(element => {
+                const tags = element.tags || {};
+                const lat = element.lat !== undefined ? element.lat : element.center && element.center.lat;
+                const lon = element.lon !== undefined ? element.lon : element.center && element.center.lon;
+                if (!tags.name || lat === undefined || lon === undefined) return null;
+                
+                return {
+                    name: tags['name:en'] || tags.name,
+                    address: this.formatAddress(tags, city),
+                    lat: String(lat),
+                    lon: String(lon),
+                    type: tags.amenity || tags.shop || tags.tourism || tags.historic || category,
+                    category: category,
+                    cuisine: tags.cuisine ? tags.cuisine.split(';').map(item => item.replace(/_/g, ' ')).join(', ') : null,
+                    openingHours: tags.opening_hours || null,
+                    website: this.websiteUrl(tags.website || tags['contact:website']),
+                    wheelchair: tags.wheelchair || null,
+                    dietary: this.dietaryOptions(tags),
+                    importance: this.rank(tags),
+                    osmId: `${element.type}/${element.id}`,
+                    source: 'OpenStreetMap Overpass (LIVE)'
+                };
+            })
+            .filter(place => place !== null);
+    }
+    
+    // Website tags are free text typed by mappers: often a bare "www.example.com", sometimes
+    // several URLs separated by ";", occasionally something that isn't a web address at all.
+    // Only an http(s) URL is kept
+    static websiteUrl(value) {
+        const first = String(value || '').split(';')[0].trim();
+        if (!first) return null;
+        try {
+            const url = new URL(/^[a-z][a-z\d+.-]*:(?!\d)/i.test(first) ? first : `https://${first}`);
+            return ['http:', 'https:'].includes(url.protocol) ? url.href : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // diet:vegetarian=yes|only and friends, plus vegetarian/vegan cuisines
+    static dietaryOptions(tags) {
+        const options = Object.keys(tags)
+            .filter(key => key.startsWith('diet:') && ['yes', 'only'].includes(tags[key]))
+            .map(key => key.slice(5).replace(/-/g, '_'));
+        (tags.cuisine || '').split(';').forEach(cuisine => {
+            if (['vegetarian', 'vegan'].includes(cuisine) && !options.includes(cuisine)) options.push(cuisine);
+        });
+        return options;
+    }
+    
+    static formatAddress(tags, city) {
+        const street = [tags['addr:housenumber'], tags['addr:street']].filter(Boolean).join(' ');
+        const parts = [street, tags['addr:suburb'] || tags['addr:district'], tags['addr:city'] || (city && city.name)];
+        return parts.filter(Boolean).join(', ') || 'Address not listed';
+    }
+    
+    // Well-documented venues (wikidata entry, opening hours, website...) rank first
+    static rank(tags) {
+        const detail = ['cuisine', 'opening_hours', 'website', 'wheelchair', 'phone', 'addr:street']
+            .filter(key => tags[key]).length;
+        return (tags.wikidata || tags.wikipedia ? 0.5 : 0) + detail * 0.08;
+    }
+}
+
+ProviderRegistry.register('places', {
+    id: 'overpass',
+    name: 'OpenStreetMap Overpass',
+    priority: 150,
+    isLive: true,
+    get enabled() { return API_CONFIG.overpass.enabled; },
+    get dailyBudget() { return API_CONFIG.overpass.dailyBudget; },
+    
+    // Only answers categories with tag filters; everything else falls through to Nominatim
+    async searchPlaces(city, category) {
+        if (!OverpassAPI.supports(category) || !city.boundingBox) {
+            return null;
+        }
+        
+        console.log(`🏪 Fetching LIVE ${category} venues from Overpass...`);
+        const response = await RequestScheduler.fetch('overpass', `${API_CONFIG.overpass.baseUrl}/interpreter`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            body: `data=${encodeURIComponent(OverpassAPI.buildQuery(city, category))}`
+        });
+        
+        if (!response.ok) {
+            console.log('⚠️ Overpass API response error:', response.status);
+            return null;
+        }
+        
+        const places = OverpassAPI.toPlaces(await response.json(), category, city);
+        const topPlaces = PlacesAPI.removeDuplicates(places)
+            .sort((a, b) => (b.importance || 0) - (a.importance || 0))
+            .slice(0, PlacesAPI.resultLimit);
+        
+        if (topPlaces.length > 0) {
+            console.log('✅ Successfully fetched LIVE venues from Overpass');
+        }
+        return topPlaces;
+    }
+});
+
+// AI Processing using Hugging Face (Free)
+class AIAPI {
+    static async processQuery(message) {
+        // The offline classifier and slot rules only read English, so non-English messages
+        // also get an English gloss; the multilingual model classifies the original text
+        const language = I18n.detect(message) || I18n.language;
+        const english = I18n.toEnglish(message, language);
+        
+        // Intent and slots are independent model calls, so run them side by side
+        const [result, slots] = await Promise.all([
+            ProviderRegistry.request('ai', 'processQuery', [message, { language, english }]),
+            ProviderRegistry.request('ai', 'extractEntities', [english])
+        ]);
+        return IntentFeedback.apply({ ...result, language, slots: slots || EntityExtractor.extract(english) }, message);
+    }
+    
+    // Answer a free-form question from the city's local dataset; null when nothing relevant is known
+    static async answerQuestion(question, city) {
+        city = CityAPI.toRecord(city);
+        const localData = await LocalRecommendationsAPI.getLocalRecommendations(city);
+        const passages = LocalKnowledge.retrieve(I18n.toEnglish(question), LocalKnowledge.passages(localData), city);
+        if (passages.length === 0) return null;
+        
+        return ProviderRegistry.request('ai', 'answerQuestion', [question, city, passages]);
+    }
+    
+    // Detect whether a weather question asks about the future rather than right now
+    static detectTimeframe(message) {
+        const lower = message.toLowerCase();
+        if (lower.includes('weekend')) return 'weekend';
+        if (lower.includes('tomorrow')) return 'tomorrow';
+        if (lower.includes('forecast')) return 'forecast';
+        return null;
+    }
+    
+    // Classifier labels that are answered by another intent's handler
+    static intentAliases = { traditional: 'clothing', market: 'shopping', markets: 'shopping' };
+    
+    // Secondary intents need at least this score to get their own section
+    static multiIntentThreshold = 0.4;
+    static maxIntents = 3;
+    
+    // Ask rather than guess below this score, or when the runner-up is this close
+    static clarifyThreshold = 0.35;
+    static clarifyMargin = 0.1;
+    
+    // Offline intent detection with the naive Bayes classifier (intent-classifier.js)
+    static getSimulatedResponse(message) {
+        const text = this.withoutCity(message);
+        const intents = IntentClassifier.detectIntents(text)
+            .filter(entry => entry.intent !== 'general');
+        
+        const candidates = IntentClassifier.classify(text);
+        
+        // Default to general
+        if (intents.length === 0) {
+            return { intent: 'general', confidence: 0.7, intents: [{ intent: 'general', confidence: 0.7 }], candidates };
+        }
+        
+        return {
+            intent: intents[0].intent,
+            confidence: intents[0].confidence,
+            timeframe: this.detectTimeframe(message),
+            intents,
+            candidates,
+            source: 'Offline classifier'
+        };
+    }
+    
+    // The city says where, not what: left in, "food in Paris" leans towards itinerary because
+    // the training set plans trips to Paris. The city slot (and the preposition before it)
+    // is taken out before classifying
+    static withoutCity(message) {
+        const city = EntityExtractor.extractCity(message);
+        if (!city) return message;
+        
+        const name = city.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        return message
+            .replace(new RegExp(`(?:\\b(?:in|at|to|around|for|visiting)\\s+)?(?<![\\p{L}\\p{M}])${name}(?![\\p{L}\\p{M}])`, 'giu'), ' ')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+    
+    // Intents worth answering for one message, best first: the top intent always,
+    // plus any others scoring above the threshold. Aliases are merged.
+    static selectIntents(aiResult) {
+        const scored = aiResult.intents || [{ intent: aiResult.intent, confidence: aiResult.confidence }];
+        const selected = [];
+        
+        scored.forEach(({ intent, confidence }, index) => {
+            const canonical = this.intentAliases[intent] || intent;
+            if (index > 0 && confidence < this.multiIntentThreshold) return;
+            if (selected.some(entry => entry.intent === canonical)) return;
+            selected.push({ intent: canonical, confidence });
+        });
+        
+        // General help only makes sense on its own
+        const specific = selected.filter(entry => entry.intent !== 'general');
+        return (specific.length > 0 ? specific : selected).slice(0, this.maxIntents);
+    }
+    
+    // Up to three intents to offer when a single-intent result is too uncertain to act on:
+    // the best score is under clarifyThreshold or the runner-up is within clarifyMargin.
+    // Returns null when the router should just answer.
+    static clarificationCandidates(aiResult, intents) {
+        if (intents.length > 1 || !aiResult.candidates) return null;
+        
+        const candidates = [];
+        aiResult.candidates.forEach(({ intent, confidence }) => {
+            const canonical = this.intentAliases[intent] || intent;
+            if (!candidates.some(entry => entry.intent === canonical)) {
+                candidates.push({ intent: canonical, confidence });
+            }
+        });
+        
+        const [top, runnerUp] = candidates;
+        if (!top) return null;
+        const unsure = top.confidence < this.clarifyThreshold ||
+            (runnerUp && top.confidence - runnerUp.confidence < this.clarifyMargin);
+        return unsure ? candidates.slice(0, 3) : null;
+    }
+}
+
+// AI providers: Hugging Face zero-shot classification → offline naive Bayes classifier
+ProviderRegistry.register('ai', {
+    id: 'huggingface',
+    name: 'Hugging Face',
+    priority: 100,
+    isLive: true,
+    get enabled() { return API_CONFIG.ai.enabled; },
+    get dailyBudget() { return API_CONFIG.ai.dailyBudget; },
+    
+    async processQuery(message, { language = 'en', english = message } = {}) {
+        // Intent classification; bart-large-mnli is English-only, XLM-RoBERTa reads the rest
+        const model = language === 'en' ? 'facebook/bart-large-mnli' : API_CONFIG.ai.multilingualModel;
+        const response = await RequestScheduler.fetch('huggingface',
+            `${API_CONFIG.ai.baseUrl}/models/${model}`,
+            {
+                headers: {
+                    'Authorization': `Bearer ${API_CONFIG.ai.apiKey}`,
+                    'Content-Type': 'application/json'
+                },
+                method: 'POST',
+                body: JSON.stringify({
+                    inputs: message,
+                    parameters: {
+                        candidate_labels: ['weather', 'food', 'culture', 'events', 'places', 'shopping', 'clothing', 'local', 'traditional', 'phrases', 'itinerary'],
+                        // Score each label independently so one message can carry several intents
+                        multi_label: true
+                    }
+                })
+            }
+        );
+        
+        if (!response.ok) {
+            return null;
+        }
+        
+        const data = await response.json();
+        // No labels means the model had nothing to say; the offline classifier answers instead
+        if (!Array.isArray(data.labels) || data.labels.length === 0) {
+            return null;
+        }
+        return {
+            intent: data.labels[0],
+            confidence: data.scores[0],
+            intents: data.labels.map((label, index) => ({ intent: label, confidence: data.scores[index] })),
+            candidates: data.labels.map((label, index) => ({ intent: label, confidence: data.scores[index] })),
+            timeframe: AIAPI.detectTimeframe(english),
+            source: 'Hugging Face AI'
+        };
+    },
+    
+    // Named-entity recognition finds place names; rules fill in dates, budget, diet and party size
+    async extractEntities(message) {
+        const response = await RequestScheduler.fetch('huggingface',
+            `${API_CONFIG.ai.baseUrl}/models/dslim/bert-base-NER`,
+            {
+                headers: {
+                    'Authorization': `Bearer ${API_CONFIG.ai.apiKey}`,
+                    'Content-Type': 'application/json'
+                },
+                method: 'POST',
+                body: JSON.stringify({
+                    inputs: message,
+                    parameters: { aggregation_strategy: 'simple' }
+                })
+            }
+        );
+        
+        if (!response.ok) {
+            return null;
+        }
+        
+        const entities = await response.json();
+        const slots = EntityExtractor.extract(message);
+        const location = (Array.isArray(entities) ? entities : [])
+            .filter(entity => entity.entity_group === 'LOC')
+            .map(entity => ({ ...entity, word: String(entity.word).replace(/\s*##/g, '').trim() }))
+            // The model tags languages and nouns like "Japanese" or "Market" as LOC too
+            .filter(entity => entity.word && EntityExtractor.isPlaceName(entity.word))
+            .sort((a, b) => b.score - a.score)[0];
+        if (location && location.score > 0.6) {
+            slots.city = location.word;
+        }
+        return slots;
+    },
+    
+    // Text generation grounded in retrieved local passages
+    async answerQuestion(question, city, passages) {
+        const response = await RequestScheduler.fetch('huggingface',
+            `${API_CONFIG.ai.baseUrl}/models/${API_CONFIG.ai.generationModel}`,
+            {
+                headers: {
+                    'Authorization': `Bearer ${API_CONFIG.ai.apiKey}`,
+                    'Content-Type': 'application/json'
+                },
+                method: 'POST',
+                body: JSON.stringify({
+                    inputs: LocalKnowledge.buildPrompt(question, city, passages),
+                    parameters: { max_new_tokens: 160, temperature: 0.3, return_full_text: false }
+                })
+            }
+        );
+        
+        if (!response.ok) {
+            return null;
+        }
+        
+        const data = await response.json();
+        const text = (Array.isArray(data) && data[0] ? data[0].generated_text : '').trim();
+        if (!text) {
+            return null;
+        }
+        
+        // Cite the facts the model referenced, or all of them if it didn't say
+        const cited = [...new Set((text.match(/\[(\d+)\]/g) || []).map(ref => parseInt(ref.slice(1), 10) - 1))]
+            .filter(index => passages[index]);
+        return {
+            text,
+            sources: cited.length > 0 ? cited.map(index => passages[index]) : passages,
+            generated: true,
+            source: 'Hugging Face AI'
+        };
+    }
+});
+
+ProviderRegistry.register('ai', {
+    id: 'offline-classifier',
+    name: 'Offline Classifier',
+    priority: -1,
+    isLive: false,
+    enabled: true,
+    processQuery(message, { english = message } = {}) {
+        return AIAPI.getSimulatedResponse(english);
+    },
+    extractEntities(message) {
+        return EntityExtractor.extract(message);
+    },
+    // Retrieval only: quote the best-matching passages
+    answerQuestion(question, city, passages) {
+        return {
+            text: passages.map((passage, index) => `[${index + 1}] ${passage.text}`).join('\n'),
+            sources: passages,
+            generated: false
+        };
+    }
+});
+
+// Entity extraction - pulls slots out of a message so handlers can filter results:
+// "Vegetarian food in Mumbai under ₹500 this Saturday for 4" ->
+// { city: 'Mumbai', dateRange: {...}, budget: { amount: 500, currency: 'INR' }, dietary: ['vegetarian'], partySize: 4 }
+class EntityExtractor {
+    static weekdays = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+    static months = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+    // Capitalised words that follow "in/to/at" without being places: "say thank you in Japanese",
+    // "what to wear to Church", "tipping in Restaurants"
+    static languages = ['english', 'japanese', 'chinese', 'mandarin', 'cantonese', 'korean', 'thai', 'vietnamese', 'indonesian', 'malay',
+        'filipino', 'tagalog', 'hindi', 'tamil', 'bengali', 'urdu', 'arabic', 'hebrew', 'persian', 'farsi', 'turkish', 'greek', 'russian',
+        'polish', 'czech', 'german', 'dutch', 'french', 'spanish', 'italian', 'portuguese', 'swedish', 'norwegian', 'danish', 'finnish',
+        'swahili', 'american', 'british', 'european', 'asian', 'african', 'indian', 'mexican', 'local'];
+    static commonNouns = ['church', 'cathedral', 'temple', 'shrine', 'mosque', 'synagogue', 'museum', 'gallery', 'theatre', 'theater',
+        'restaurant', 'cafe', 'café', 'bar', 'pub', 'club', 'hotel', 'hostel', 'market', 'mall', 'shop', 'store', 'beach', 'park', 'garden',
+        'airport', 'station', 'street', 'downtown', 'city', 'town', 'village', 'centre', 'center', 'office', 'work', 'school', 'university',
+        'hospital', 'home', 'dinner', 'lunch', 'breakfast', 'festival', 'wedding', 'party', 'castle', 'palace', 'summer', 'winter',
+        'spring', 'autumn', 'general', 'public'];
+    static numberWords = { one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10, twelve: 12 };
+    
+    static currencies = {
+        '₹': 'INR', 'rs': 'INR', 'inr': 'INR', 'rupee': 'INR', 'rupees': 'INR',
+        '$': 'USD', 'usd': 'USD', 'dollar': 'USD', 'dollars': 'USD', 'bucks': 'USD',
+        '€': 'EUR', 'eur': 'EUR', 'euro': 'EUR', 'euros': 'EUR',
+        '£': 'GBP', 'gbp': 'GBP', 'pound': 'GBP', 'pounds': 'GBP',
+        '¥': 'JPY', 'jpy': 'JPY', 'yen': 'JPY',
+        '₺': 'TRY', 'try': 'TRY', 'lira': 'TRY'
+    };
+    
+    // Rough conversion so budgets can be compared to price levels
+    static usdRates = { USD: 1, INR: 0.012, EUR: 1.08, GBP: 1.27, JPY: 0.0067, TRY: 0.03 };
+    
+    static dietaryTerms = {
+        vegetarian: /\b(vegetarian|veggie|veg)\b/,
+        vegan: /\bvegan\b/,
+        halal: /\bhalal\b/,
+        kosher: /\bkosher\b/,
+        gluten_free: /\bgluten[- ]?free\b|\bcoeliac\b|\bceliac\b/,
+        jain: /\bjain\b/,
+        pescatarian: /\bpesc(?:a|e)tarian\b/,
+        dairy_free: /\bdairy[- ]?free\b|\blactose[- ]?free\b/
+    };
+    
+    static extract(message) {
+        const lower = message.toLowerCase();
+        const slots = {
+            city: this.extractCity(message),
+            dateRange: this.extractDateRange(lower),
+            budget: this.extractBudget(lower),
+            dietary: Object.keys(this.dietaryTerms).filter(diet => this.dietaryTerms[diet].test(lower)),
+            partySize: this.extractPartySize(lower),
+            days: this.extractTripLength(lower)
+        };
+        return slots;
+    }
+    
+    static isEmpty(slots) {
+        return !slots || (!slots.city && !slots.dateRange && !slots.budget && !slots.partySize && !slots.days &&
+            (!slots.dietary || slots.dietary.length === 0));
+    }
+    
+    // Built-in city names anywhere, else the first capitalised place after "in/at/to/around"
+    static extractCity(message) {
+        const lower = message.toLowerCase();
+        const preset = CityAPI.getPresets().find(city => new RegExp(`\\b${city.name.toLowerCase()}\\b`).test(lower));
+        if (preset) return preset.name;
+        
+        const matches = message.matchAll(/\b(?:in|at|to|around|visiting)\s+((?:\p{Lu}[\p{L}\p{M}'’-]+)(?:\s+\p{Lu}[\p{L}\p{M}'’-]+)*)/gu);
+        const match = Array.from(matches).find(([, candidate]) => this.isPlaceName(candidate));
+        return match ? match[1] : null;
+    }
+    
+    // Whether a capitalised phrase can be a place, however it was found: no weekdays or months,
+    // and not only languages or everyday nouns ("Japanese Restaurants"; "Hyde Park" still counts)
+    static isPlaceName(candidate) {
+        const words = candidate.toLowerCase().split(/\s+/);
+        if (words.some(word => this.weekdays.includes(word) || this.months.includes(word))) return false;
+        return !words.every(word => this.isCommonWord(word));
+    }
+    
+    // A language, nationality or everyday noun, plurals included
+    static isCommonWord(word) {
+        const forms = [word, word.replace(/s$/, ''), word.replace(/es$/, '')];
+        return forms.some(form => this.languages.includes(form) || this.commonNouns.includes(form));
+    }
+    
+    static toISODate(date) {
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    }
+    
+    static range(start, end, label) {
+        return { start: this.toISODate(start), end: this.toISODate(end), label };
+    }
+    
+    static extractDateRange(lower, today = new Date()) {
+        const addDays = (date, days) => {
+            const next = new Date(date);
+            next.setDate(next.getDate() + days);
+            return next;
+        };
+        
+        if (/\b(today|tonight|this evening)\b/.test(lower)) return this.range(today, today, 'today');
+        if (/\bday after tomorrow\b/.test(lower)) return this.range(addDays(today, 2), addDays(today, 2), 'the day after tomorrow');
+        if (/\btomorrow\b/.test(lower)) return this.range(addDays(today, 1), addDays(today, 1), 'tomorrow');
+        
+        if (/\bweekend\b/.test(lower)) {
+            // During a weekend "this weekend" is the current one and "next weekend" the following
+            const inWeekend = today.getDay() === 0 || today.getDay() === 6;
+            let saturday = addDays(today, today.getDay() === 0 ? -1 : 6 - today.getDay());
+            if (inWeekend && /\bnext weekend\b/.test(lower)) saturday = addDays(saturday, 7);
+            return this.range(saturday, addDays(saturday, 1), 'the weekend');
+        }
+        
+        if (/\bnext week\b/.test(lower)) {
+            const monday = addDays(today, ((8 - today.getDay()) % 7) || 7);
+            return this.range(monday, addDays(monday, 6), 'next week');
+        }
+        if (/\bthis week\b/.test(lower)) {
+            return this.range(today, addDays(today, (7 - today.getDay()) % 7), 'this week');
+        }
+        
+        // "this saturday", "on friday", "next monday"
+        const weekday = lower.match(new RegExp(`\\b(this|next|on)?\\s*(${this.weekdays.join('|')})\\b`));
+        if (weekday) {
+            const target = this.weekdays.indexOf(weekday[2]);
+            let offset = (target - today.getDay() + 7) % 7;
+            // "next monday" said on a Monday means a week from today
+            if (weekday[1] === 'next' && offset === 0) offset = 7;
+            const day = addDays(today, offset);
+            return this.range(day, day, weekday[2].charAt(0).toUpperCase() + weekday[2].slice(1));
+        }
+        
+        // ISO dates and "5 march" / "march 5"
+        const iso = lower.match(/\b(\d{4})-(\d{2})-(\d{2})\b/);
+        if (iso) {
+            const date = new Date(Number(iso[1]), Number(iso[2]) - 1, Number(iso[3]));
+            return this.range(date, date, this.toISODate(date));
+        }
+        const monthPattern = this.months.map(month => month.slice(0, 3) + `(?:${month.slice(3)})?`).join('|');
+        const dayMonth = lower.match(new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+(${monthPattern})\\b|\\b(${monthPattern})\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b`));
+        if (dayMonth) {
+            const day = Number(dayMonth[1] || dayMonth[4]);
+            const monthName = dayMonth[2] || dayMonth[3];
+            const month = this.months.findIndex(name => name.startsWith(monthName.slice(0, 3)));
+            const date = new Date(today.getFullYear(), month, day);
+            if (date < addDays(today, -1)) date.setFullYear(date.getFullYear() + 1);
+            return this.range(date, date, `${day} ${this.months[month].charAt(0).toUpperCase()}${this.months[month].slice(1, 3)}`);
+        }
+        
+        return null;
+    }
+    
+    // "under ₹500", "less than 30 euros", "max $20", "budget of 1000 rs"
+    static extractBudget(lower) {
+        const symbols = '₹$€£¥₺';
+        const words = Object.keys(this.currencies).filter(key => /^[a-z]+$/.test(key)).join('|');
+        const amount = '(\\d+(?:[.,]\\d+)?)\\s*(k)?';
+        const match = lower.match(new RegExp(
+            '(under|below|less than|up to|upto|max(?:imum)?|within|budget(?: of)?|around|about)?\\s*' +
+            `(?:([${symbols}])\\s*${amount}|${amount}\\s*((?:${words})\\b|[${symbols}]))`
+        ));
+        if (!match) return null;
+        
+        const [, qualifier, symbolBefore, amountBefore, thousandsBefore, amountAfter, thousandsAfter, currencyAfter] = match;
+        const currency = this.currencies[symbolBefore || currencyAfter];
+        if (!currency) return null;
+        
+        const value = parseFloat((amountBefore || amountAfter).replace(',', '.'));
+        return {
+            amount: (thousandsBefore || thousandsAfter) ? value * 1000 : value,
+            currency,
+            comparator: /under|below|less than|up to|upto|max|within|budget/.test(qualifier || '') ? 'max' : 'about'
+        };
+    }
+    
+    static extractPartySize(lower) {
+        const toNumber = word => this.numberWords[word] || parseInt(word, 10);
+        const number = `(\\d+|${Object.keys(this.numberWords).join('|')})`;
+        
+        const patterns = [
+            // "for 3 days" is a trip length, not a party size
+            new RegExp(`\\b(?:for|party of|table for|group of|family of|we are|we're)\\s+${number}(?![\\d\\s-]*(?:days?|nights?|weeks?)\\b)(?:\\s+(?:people|persons|guests|adults|of us|pax))?\\b`),
+            new RegExp(`\\b${number}\\s+(?:people|persons|guests|adults|of us|pax)\\b`)
+        ];
+        for (const pattern of patterns) {
+            const match = lower.match(pattern);
+            if (match) {
+                const size = toNumber(match[1]);
+                // "for 2026" or "for 500" are not party sizes
+                if (size > 0 && size <= 50) return size;
+            }
+        }
+        if (/\b(couple|two of us|for two)\b/.test(lower)) return 2;
+        if (/\b(solo|alone|by myself|just me)\b/.test(lower)) return 1;
+        return null;
+    }
+    
+    // "3 days", "a five-day trip", "one week"; weekends come through extractDateRange
+    static extractTripLength(lower) {
+        const toNumber = word => (word === 'a' || word === 'an') ? 1 : this.numberWords[word] || parseInt(word, 10);
+        const number = `(\\d+|an?|${Object.keys(this.numberWords).join('|')})`;
+        
+        const days = lower.match(new RegExp(`\\b${number}[\\s-]*days?\\b`));
+        if (days) {
+            const count = toNumber(days[1]);
+            return count > 0 && count <= 30 ? count : null;
+        }
+        const weeks = lower.match(new RegExp(`\\b${number}[\\s-]*weeks?\\b`));
+        if (weeks) {
+            const count = toNumber(weeks[1]);
+            return count > 0 && count <= 4 ? count * 7 : null;
+        }
+        return /\bday trip\b/.test(lower) ? 1 : null;
+    }
+    
+    // Budget per person expressed as the 1-4 price level used by PlacesAPI.priceLevel
+    static budgetToPriceLevel(budget, partySize = 1) {
+        const usd = budget.amount * (this.usdRates[budget.currency] || 1) / (partySize || 1);
+        if (usd < 15) return 1;
+        if (usd < 40) return 2;
+        if (usd < 100) return 3;
+        return 4;
+    }
+    
+    static describe(slots) {
+        const parts = [];
+        if (slots.city) parts.push(`📍 ${slots.city}`);
+        if (slots.dateRange) parts.push(`📅 ${slots.dateRange.label}`);
+        if (slots.budget) parts.push(`💰 ${slots.budget.comparator === 'max' ? 'under ' : '~'}${slots.budget.amount} ${slots.budget.currency}`);
+        if (slots.dietary && slots.dietary.length > 0) parts.push(`🥗 ${slots.dietary.map(diet => diet.replace('_', '-')).join(', ')}`);
+        if (slots.partySize) parts.push(`👥 ${slots.partySize} ${slots.partySize === 1 ? 'person' : 'people'}`);
+        if (slots.days) parts.push(`🗓️ ${slots.days} ${slots.days === 1 ? 'day' : 'days'}`);
+        return parts.join(' · ');
+    }
+}
+
+// Enhanced Traditional Clothing Module with Free APIs
+// Provides comprehensive traditional clothing information and shopping guidance
+
+class TraditionalClothingAPI {
+    static cacheTimeout = 60 * 60 * 1000; // 1 hour cache
+    static cache = new SharedCache('clothing', this.cacheTimeout);
+    
+    // Comprehensive traditional clothing database
+    static clothingDatabase = {
+    tokyo: [
+        {
+            name: "Kimono",
+            type: "formal_wear",
+            description: "Traditional Japanese robe with wide sleeves and a broad sash (obi)",
+            occasions: ["tea ceremonies", "festivals", "weddings", "formal events"],
+            colors: ["deep blue", "cherry blossom pink", "gold", "burgundy"],
+            price_range: "¥15,000 - ¥500,000",
+            rental_available: true,
+            cultural_significance: "Symbol of Japanese culture and tradition",
+            where_to_buy: ["Asakusa", "Ginza", "Kyoto (day trip)"],
+            styling_tips: "Wear with proper undergarments (juban), choose colors based on season",
+            accessories: ["obi (sash)", "geta (wooden sandals)", "hair ornaments"]
+        },
+        {
+            name: "Yukata",
+            type: "casual_wear",
+            description: "Lightweight cotton kimono, perfect for summer festivals",
+            occasions: ["summer festivals", "fireworks displays", "hot springs"],
+            colors: ["indigo blue", "white", "floral patterns"],
+            price_range: "¥3,000 - ¥20,000",
+            rental_available: true,
+            cultural_significance: "Casual traditional wear for summer events",
+            where_to_buy: ["Shibuya", "Harajuku", "department stores"],
+            styling_tips: "Wear with simple obi, perfect for beginners",
+            accessories: ["simple obi", "sandals", "hand fan"]
+        }
+    ],
+    mumbai: [
+        {
+            name: "Saree",
+            type: "formal_wear",
+            description: "Elegant draped garment, symbol of Indian femininity",
+            occasions: ["weddings", "festivals", "formal events", "office wear"],
+            colors: ["vibrant reds", "golden yellow", "royal blue", "emerald green"],
+            price_range: "₹500 - ₹50,000+",
+            rental_available: true,
+            cultural_significance: "Represents Indian tradition and elegance",
+            where_to_buy: ["Linking Road", "Colaba Causeway", "Crawford Market"],
+            styling_tips: "Choose blouse design carefully, draping style varies by region",
+            accessories: ["jewelry", "bangles", "bindi", "traditional footwear"]
+        }
+    ],
+    paris: [
+        {
+            name: "French Provincial Dress",
+            type: "regional_wear",
+            description: "Traditional French regional costume with embroidered details",
+            occasions: ["folk festivals", "cultural events", "themed parties"],
+            colors: ["white with colorful embroidery", "blue", "red"],
+            price_range: "€50 - €300",
+            rental_available: true,
+            cultural_significance: "Represents French regional heritage",
+            where_to_buy: ["Le Marais", "antique shops", "costume stores"]
+        }
+    ],
+    istanbul: [
+        {
+            name: "Şalvar",
+            type: "traditional_wear",
+            description: "Baggy trousers worn traditionally by both men and women",
+            occasions: ["daily wear", "cultural festivals"],
+            colors: ["white", "earth tones", "bright patterns"],
+            price_range: "₺100 - ₺1,000",
+            rental_available: false,
+            cultural_significance: "Part of traditional Ottoman attire",
+            where_to_buy: ["Grand Bazaar", "Kadıköy Market"],
+            styling_tips: "Pair with embroidered shirts or vests",
+            accessories: ["fez hats", "handcrafted belts"]
+        }
+    ],
+    new_york: [
+        {
+            name: "Modern Urbanwear",
+            type: "casual_wear",
+            description: "Fashion-forward clothing inspired by the city’s diversity",
+            occasions: ["daily wear", "parties"],
+            colors: ["black", "white", "bold colors"],
+            price_range: "$50 - $1,000+",
+            rental_available: true,
+            cultural_significance: "Representation of New York’s dynamic fashion scene",
+            where_to_buy: ["SoHo", "Brooklyn boutiques"],
+            styling_tips: "Mix vintage and contemporary pieces",
+            accessories: ["caps", "sneakers", "statement jewelry"]
+        }
+    ],
+    london: [
+        {
+            name: "Savile Row Suit",
+            type: "formal_wear",
+            description: "Tailor-made bespoke suits famous worldwide",
+            occasions: ["business", "formal events"],
+            colors: ["navy", "gray", "black"],
+            price_range: "£500 - £5,000+",
+            rental_available: false,
+            cultural_significance: "Iconic British tailoring tradition",
+            where_to_buy: ["Savile Row"],
+            styling_tips: "Complement with crisp shirts and classic ties",
+            accessories: ["cufflinks", "leather shoes"]
+        }
+    ],
+    delhi: [
+        {
+            name: "Kurta Pajama",
+            type: "formal_wear",
+            description: "Traditional men's outfit made of long shirt and pants",
+            occasions: ["festivals", "weddings", "formal occasions"],
+            colors: ["white", "cream", "bright colors"],
+            price_range: "₹800 - ₹10,000",
+            rental_available: true,
+            cultural_significance: "Essential traditional wear for Indian men",
+            where_to_buy: ["Chandni Chowk", "Janpath Market"],
+            styling_tips: "Choose embroidered fabrics for weddings",
+            accessories: ["mojari shoes", "shawls"]
+        }
+    ],
+    barcelona: [
+        {
+            name: "Catalan Traditional Dress",
+            type: "regional_wear",
+            description: "Colorful traditional costume with symbolic designs",
+            occasions: ["festivals", "cultural events"],
+            colors: ["red", "yellow", "black"],
+            price_range: "€30 - €200",
+            rental_available: true,
+            cultural_significance: "Represents Catalan identity",
+            where_to_buy: ["La Rambla", "local markets"],
+            styling_tips: "Wear with matching accessories like sashes",
+            accessories: ["berets", "woven belts"]
+        }
+    ]
+};
+
+    // Get comprehensive traditional clothing information
+    static async getTraditionalClothing(city, preferences = {}) {
+        city = CityAPI.toRecord(city);
+        const cacheKey = `clothing_${city.key}_${JSON.stringify(preferences)}`;
+        const cached = this.cache.get(cacheKey);
+        
+        if (cached && Date.now() - cached.timestamp < this.cacheTimeout) {
+
+            return cached.data;
+        }
+        
+        const cityData = this.clothingDatabase[city.key];
+        
+        if (!cityData) {
+
+            return this.getGenericClothingInfo(city);
+        }
+        
+        let filteredClothing = Array.isArray(cityData) ? cityData : [];
+
+
+        
+        if (preferences.occasion) {
+            filteredClothing = filteredClothing.filter(item => 
+                item.occasions.some(occ => 
+                    occ.toLowerCase().includes(preferences.occasion.toLowerCase())
+                )
+            );
+        }
+        
+        const result = {
+            traditional: filteredClothing,
+            shopping_areas: cityData.shopping_areas || [],
+            styling_services: await this.findStylingServices(city),
+            rental_options: filteredClothing.filter(item => item.rental_available),
+            cultural_context: this.getCulturalContext(city)
+        };
+        
+
+        
+        this.cache.set(cacheKey, {
+            data: result,
+            timestamp: Date.now()
+        });
+        
+        return result;
+    }
+    
+    // Find styling services using Places API
+    static async findStylingServices(city) {
+        try {
+            const places = await PlacesAPI.searchPlaces(city, 'clothing');
+            return places.map(place => ({
+                name: place.name,
+                address: place.address,
+                type: 'styling_service',
+                source: 'OpenStreetMap'
+            }));
+        } catch (error) {
+            if (RequestScheduler.isCancelled(error)) throw error;
+            return [];
+        }
+    }
+    
+    // Get cultural context for traditional clothing
+    static getCulturalContext(city) {
+        const contexts = {
+            tokyo: {
+                best_seasons: "Spring (cherry blossom) and autumn festivals",
+                cultural_etiquette: "Respect traditional dressing rules, consider professional dressing services",
+                photo_opportunities: "Temple visits, traditional gardens, cultural districts",
+                learning_opportunities: "Kimono dressing classes available in Asakusa and Kyoto"
+            },
+            mumbai: {
+                best_seasons: "Festival seasons (Diwali, Navratri) and wedding season (winter)",
+                cultural_etiquette: "Color significance matters, regional draping styles vary",
+                photo_opportunities: "Heritage buildings, temples, cultural festivals",
+                learning_opportunities: "Saree draping workshops, jewelry styling sessions"
+            }
+        };
+        
+        return contexts[city.key] || {
+            best_seasons: "Check local cultural calendar",
+            cultural_etiquette: "Research local customs and traditions",
+            photo_opportunities: "Cultural sites and traditional markets",
+            learning_opportunities: "Local cultural centers and workshops"
+        };
+    }
+    
+    // Generic clothing info for cities not in database
+    static getGenericClothingInfo(city) {
+        return {
+            traditional: [
+                {
+                    name: "Local Traditional Wear",
+                    description: "Explore local markets and cultural centers for traditional clothing",
+                    where_to_buy: ["local markets", "cultural districts", "heritage areas"],
+                    recommendation: "Visit local museums and cultural centers to learn about traditional dress"
+                }
+            ],
+            shopping_areas: [
+                {
+                    area: "Cultural Districts",
+                    specialty: "Traditional and cultural items",
+                    best_for: "authentic local experience"
+                }
+            ],
+            cultural_context: {
+                recommendation: "Research local customs and visit cultural centers for authentic information"
+            }
+        };
+    }
+}
+
+// Local Recommendations API for comprehensive city guidance
+class LocalRecommendationsAPI {
+    static cacheTimeout = 30 * 60 * 1000; // 30 minutes
+    static cache = new SharedCache('local', this.cacheTimeout);
+    
+    // Enhanced demo data structure for comprehensive local recommendations
+    static demoData = {
+        "tokyo": {
+            localFood: [
+                { name: "Sushi", description: "Vinegared rice with fresh seafood, Tokyo's iconic dish", where: "Ginza, Tsukiji Outer Market", price: "$$$", mustTry: true },
+                { name: "Ramen", description: "Rich noodle soup with various toppings", where: "Shibuya, Shinjuku districts", price: "$$", mustTry: true },
+                { name: "Tempura", description: "Lightly battered and fried seafood and vegetables", where: "Asakusa traditional restaurants", price: "$$$", mustTry: false },
+                { name: "Yakitori", description: "Grilled chicken skewers with tare sauce", where: "Yakitori alleys in Shinjuku", price: "$$", mustTry: false },
+                { name: "Takoyaki", description: "Octopus balls from Osaka, popular in Tokyo", where: "Street stalls, festival areas", price: "$", mustTry: false },
+                { name: "Mochi", description: "Sweet rice cake, especially good during New Year", where: "Traditional sweet shops", price: "$", mustTry: false }
+            ],
+            restaurants: [
+                { name: "Sukiyabashi Jiro", cuisine: "Sushi", area: "Ginza", specialty: "World-famous sushi omakase experience", price: "$$$$", reservation: "Required" },
+                { name: "Ichiran Ramen", cuisine: "Ramen", area: "Shibuya", specialty: "Individual booth ramen experience", price: "$$", reservation: "Not needed" },
+                { name: "Gonpachi", cuisine: "Japanese", area: "Shibuya", specialty: "Traditional atmosphere, inspired Kill Bill restaurant", price: "$$$", reservation: "Recommended" },
+                { name: "Nabezo", cuisine: "Hot Pot", area: "Multiple locations", specialty: "All-you-can-eat shabu-shabu and sukiyaki", price: "$$", reservation: "Not needed" },
+                { name: "Robot Restaurant", cuisine: "Entertainment", area: "Shinjuku", specialty: "Dinner show with robots and lasers", price: "$$$", reservation: "Required" }
+            ],
+            traditionalClothing: [
+                { type: "Kimono", description: "Traditional Japanese robe with elaborate patterns", occasions: "Festivals, tea ceremonies, formal events", where: "Asakusa rental shops, Ginza boutiques", price: "$$$" },
+                { type: "Yukata", description: "Summer cotton kimono, lighter and more casual", occasions: "Summer festivals, hot spring visits", where: "Department stores, tourist areas", price: "$$" },
+                { type: "Hakama", description: "Traditional pleated pants worn over kimono", occasions: "Formal ceremonies, martial arts, graduations", where: "Specialty shops in Asakusa", price: "$$$" },
+                { type: "Haori", description: "Short kimono jacket worn as outer layer", occasions: "Casual wear, modern fashion", where: "Vintage shops in Harajuku", price: "$$" }
+            ],
+            famousPlaces: [
+                { name: "Senso-ji Temple", type: "Religious Site", area: "Asakusa", highlights: "Tokyo's oldest temple (645 AD), traditional architecture", bestTime: "Early morning", entry: "Free" },
+                { name: "Tokyo Skytree", type: "Landmark", area: "Sumida", highlights: "Tallest structure in Japan (634m), panoramic city views", bestTime: "Sunset", entry: "$$" },
+                { name: "Imperial Palace", type: "Historical Site", area: "Chiyoda", highlights: "Emperor's residence, beautiful East Gardens", bestTime: "Spring (cherry blossoms)", entry: "Free (gardens)" },
+                { name: "Shibuya Crossing", type: "Cultural Icon", area: "Shibuya", highlights: "World's busiest pedestrian crossing, urban energy", bestTime: "Evening rush hour", entry: "Free" },
+                { name: "Meiji Shrine", type: "Religious Site", area: "Shibuya", highlights: "Dedicated to Emperor Meiji, peaceful forest in city", bestTime: "Early morning", entry: "Free" },
+                { name: "Tsukiji Outer Market", type: "Food Market", area: "Chuo", highlights: "Fresh seafood, street food, culinary adventure", bestTime: "Early morning", entry: "Free" }
+            ],
+            culturalEvents: [
+                { name: "Cherry Blossom Festival (Sakura)", period: "March-May", description: "Hanami picnics under blooming cherry trees, Japan's most celebrated season", locations: "Ueno Park, Shinjuku Gyoen, Chidorigafuchi", significance: "Symbol of life's beauty and fragility" },
+                { name: "Kanda Matsuri", period: "Mid-May (odd years)", description: "One of Tokyo's three great festivals with portable shrines", locations: "Kanda Shrine area", significance: "Pray for good harvest and prosperity" },
+                { name: "Bon Odori", period: "July-August", description: "Traditional summer dance festivals to honor ancestors", locations: "Various temples and parks citywide", significance: "Welcome spirits of ancestors" },
+                { name: "Autumn Leaves Festival", period: "November-December", description: "Koyo (autumn leaf viewing) in temples and parks", locations: "Nikko, Mount Fuji area, city parks", significance: "Appreciation of nature's cycles" }
+            ],
+            shoppingMarkets: [
+                { name: "Tsukiji Outer Market", type: "Food Market", area: "Chuo", specialties: "Fresh seafood, sushi, Japanese knives, kitchen tools", hours: "5:00 AM - 2:00 PM", bargaining: "Limited" },
+                { name: "Shibuya Center Gai", type: "Shopping District", area: "Shibuya", specialties: "Youth fashion, electronics, pop culture items", hours: "10:00 AM - 10:00 PM", bargaining: "No" },
+                { name: "Ginza", type: "Luxury District", area: "Chuo", specialties: "High-end brands, department stores, luxury goods", hours: "10:00 AM - 8:00 PM", bargaining: "No" },
+                { name: "Harajuku Takeshita Street", type: "Fashion Street", area: "Shibuya", specialties: "Unique fashion, pop culture items, street food", hours: "10:00 AM - 8:00 PM", bargaining: "Limited" },
+                { name: "Ameyoko Market", type: "Street Market", area: "Ueno", specialties: "Vintage items, snacks, bargain shopping", hours: "10:00 AM - 7:00 PM", bargaining: "Yes" }
+            ]
+        },
+        "mumbai": {
+            localFood: [
+                { name: "Vada Pav", description: "Mumbai's iconic street burger with spiced potato fritter", where: "Street vendors citywide, Ashok Vada Pav", price: "$", mustTry: true },
+                { name: "Pav Bhaji", description: "Spicy mixed vegetable curry served with buttered bread", where: "Juhu Beach, Mohammed Ali Road", price: "$", mustTry: true },
+                { name: "Dosa", description: "South Indian crepe with coconut chutney and sambar", where: "Matunga area, South Indian restaurants", price: "$", mustTry: false },
+                { name: "Bhel Puri", description: "Crunchy mix of puffed rice, sev, and chutneys", where: "Chowpatty Beach, street vendors", price: "$", mustTry: true },
+                { name: "Biryani", description: "Aromatic basmati rice with spiced meat or vegetables", where: "Mohammed Ali Road, Lucky Restaurant", price: "$$", mustTry: false },
+                { name: "Mumbai Sandwich", description: "Multi-layered vegetable sandwich with green chutney", where: "Street vendors, especially Oval Maidan", price: "$", mustTry: false }
+            ],
+            restaurants: [
+                { name: "Leopold Cafe", cuisine: "Continental", area: "Colaba", specialty: "Historic cafe featured in Shantaram, European cuisine", price: "$$", reservation: "Not needed" },
+                { name: "Trishna", cuisine: "Seafood", area: "Fort", specialty: "Modern Indian coastal cuisine with innovative presentations", price: "$$$", reservation: "Required" },
+                { name: "Britannia & Co", cuisine: "Parsi", area: "Ballard Estate", specialty: "Traditional Parsi dishes, berry pulao", price: "$$", reservation: "Not needed" },
+                { name: "Khyber", cuisine: "North Indian", area: "Fort", specialty: "Mughlai cuisine in elegant cave-like ambiance", price: "$$$", reservation: "Recommended" },
+                { name: "Cafe Mondegar", cuisine: "Continental", area: "Colaba", specialty: "Retro cafe with comic book murals", price: "$$", reservation: "Not needed" }
+            ],
+            traditionalClothing: [
+                { type: "Saree", description: "Six-yard traditional draped garment in silk or cotton", occasions: "Weddings, festivals, formal events", where: "Linking Road, Crawford Market, Zaveri Bazaar", price: "$$-$$$" },
+                { type: "Kurta", description: "Traditional tunic worn with pants or jeans", occasions: "Daily wear, festivals, casual events", where: "Colaba Causeway, local markets", price: "$-$$" },
+                { type: "Lehenga", description: "Embroidered skirt with blouse and dupatta", occasions: "Weddings, major celebrations", where: "Designer stores in Bandra, Zaveri Bazaar", price: "$$$" },
+                { type: "Dhoti", description: "Traditional men's unstitched garment", occasions: "Religious ceremonies, cultural events", where: "Crawford Market, traditional stores", price: "$" }
+            ],
+            famousPlaces: [
+                { name: "Gateway of India", type: "Historical Monument", area: "Apollo Bunder", highlights: "Iconic arch overlooking Arabian Sea, British colonial architecture", bestTime: "Evening", entry: "Free" },
+                { name: "Marine Drive", type: "Promenade", area: "South Mumbai", highlights: "Queen's Necklace waterfront, Art Deco buildings", bestTime: "Sunset", entry: "Free" },
+                { name: "Elephanta Caves", type: "UNESCO Site", area: "Elephanta Island", highlights: "Ancient rock-cut temples with Lord Shiva sculptures", bestTime: "Morning", entry: "$ (plus ferry)" },
+                { name: "Chhatrapati Shivaji Terminus", type: "Railway Station", area: "Fort", highlights: "UNESCO World Heritage Victorian Gothic architecture", bestTime: "Daytime", entry: "Free (exterior)" },
+                { name: "Juhu Beach", type: "Beach", area: "Juhu", highlights: "Popular beach with street food and Bollywood celebrity homes", bestTime: "Evening", entry: "Free" },
+                { name: "Haji Ali Dargah", type: "Religious Site", area: "Mahalaxmi", highlights: "Islamic shrine on a tidal island", bestTime: "Low tide", entry: "Free" }
+            ],
+            culturalEvents: [
+                { name: "Ganesh Chaturthi", period: "August-September", description: "11-day festival celebrating Lord Ganesha with elaborate decorations", locations: "Lalbaugcha Raja, Ganeshgalli, citywide", significance: "Removal of obstacles, new beginnings" },
+                { name: "Diwali", period: "October-November", description: "Festival of Lights with fireworks, sweets, and family gatherings", locations: "Citywide, especially residential areas", significance: "Victory of light over darkness" },
+                { name: "Mumbai Festival", period: "January", description: "Cultural celebrations showcasing city's diversity", locations: "Various venues across Mumbai", significance: "Celebration of Mumbai's cosmopolitan culture" },
+                { name: "Navratri", period: "September-October", description: "Nine nights of Gujarati folk dance and music", locations: "Garba venues, cultural centers", significance: "Worship of Divine Feminine" }
+            ],
+            shoppingMarkets: [
+                { name: "Crawford Market", type: "Traditional Market", area: "Fort", specialties: "Fresh fruits, spices, textiles, household items", hours: "11:00 AM - 8:00 PM", bargaining: "Yes" },
+                { name: "Linking Road", type: "Shopping Street", area: "Bandra", specialties: "Fashion, jewelry, shoes, street shopping", hours: "10:00 AM - 10:00 PM", bargaining: "Yes" },
+                { name: "Colaba Causeway", type: "Tourist Market", area: "Colaba", specialties: "Handicrafts, antiques, souvenirs, ethnic wear", hours: "10:00 AM - 10:00 PM", bargaining: "Yes" },
+                { name: "Fashion Street", type: "Garment Market", area: "Fort", specialties: "Affordable clothing, accessories, bags", hours: "11:00 AM - 8:00 PM", bargaining: "Yes" },
+                { name: "Zaveri Bazaar", type: "Jewelry Market", area: "Fort", specialties: "Gold, silver, precious stones, wedding jewelry", hours: "11:00 AM - 8:00 PM", bargaining: "Limited" }
+            ]
+        },
+        "delhi": {
+            localFood: [
+                { name: "Paranthas", description: "Stuffed Indian flatbread with various fillings", where: "Paranthe Wali Gali, Chandni Chowk", price: "$", mustTry: true },
+                { name: "Chole Bhature", description: "Spiced chickpeas with large fried bread", where: "Old Delhi dhabas, Sitaram Diwan Chand", price: "$", mustTry: true },
+                { name: "Butter Chicken", description: "Creamy tomato-based chicken curry, Delhi's gift to world", where: "Moti Mahal, Karim's", price: "$$", mustTry: true },
+                { name: "Golgappa", description: "Crispy hollow shells filled with spiced water", where: "Street vendors near India Gate, Connaught Place", price: "$", mustTry: true },
+                { name: "Kebabs", description: "Grilled meat skewers with aromatic spices", where: "Chandni Chowk, Khan Market", price: "$$", mustTry: false },
+                { name: "Kulfi", description: "Traditional Indian ice cream with cardamom", where: "Kuremal Mohan Lal Kulfi Wale", price: "$", mustTry: false }
+            ],
+            restaurants: [
+                { name: "Karim's", cuisine: "Mughlai", area: "Old Delhi", specialty: "Historic restaurant since 1913, mutton korma", price: "$$", reservation: "Not needed" },
+                { name: "Indian Accent", cuisine: "Modern Indian", area: "New Delhi", specialty: "Contemporary interpretation of Indian classics", price: "$$$$", reservation: "Required" },
+                { name: "Bukhara", cuisine: "North Indian", area: "Diplomatic Enclave", specialty: "Dal Bukhara, tandoor specialties, no cutlery dining", price: "$$$$", reservation: "Required" },
+                { name: "Pandara Road", cuisine: "Multi-cuisine", area: "India Gate", specialty: "Row of restaurants offering diverse North Indian cuisine", price: "$$$", reservation: "Recommended" },
+                { name: "Paranthe Wali Gali", cuisine: "Street Food", area: "Chandni Chowk", specialty: "Variety of stuffed paranthas in historic lane", price: "$", reservation: "Not needed" }
+            ],
+            traditionalClothing: [
+                { type: "Salwar Kameez", description: "Traditional three-piece outfit with tunic, pants, and scarf", occasions: "Daily wear, festivals, office wear", where: "Karol Bagh, Connaught Place", price: "$-$$" },
+                { type: "Sherwani", description: "Formal men's wear with intricate embroidery", occasions: "Weddings, formal events", where: "Chandni Chowk, Khan Market", price: "$$$" },
+                { type: "Ghagra Choli", description: "Traditional skirt and blouse ensemble", occasions: "Festivals, cultural events, weddings", where: "Rajouri Garden, Lajpat Nagar", price: "$$-$$$" },
+                { type: "Nehru Jacket", description: "Sleeveless jacket named after India's first PM", occasions: "Formal events, cultural programs", where: "Connaught Place, Janpath", price: "$$" }
+            ],
+            famousPlaces: [
+                { name: "Red Fort", type: "Historical Monument", area: "Old Delhi", highlights: "Mughal fortress, UNESCO World Heritage, Independence Day venue", bestTime: "Morning", entry: "$" },
+                { name: "India Gate", type: "War Memorial", area: "Rajpath", highlights: "42m high memorial arch, evening gathering spot", bestTime: "Evening", entry: "Free" },
+                { name: "Qutub Minar", type: "UNESCO Site", area: "Mehrauli", highlights: "73m tall victory tower, Indo-Islamic architecture", bestTime: "Morning", entry: "$" },
+                { name: "Lotus Temple", type: "Religious Site", area: "South Delhi", highlights: "Bahá'í House of Worship, lotus-shaped architecture", bestTime: "Sunset", entry: "Free" },
+                { name: "Humayun's Tomb", type: "Mausoleum", area: "Delhi", highlights: "Inspiration for Taj Mahal, Mughal garden tomb", bestTime: "Afternoon", entry: "$" },
+                { name: "Jama Masjid", type: "Religious Site", area: "Old Delhi", highlights: "India's largest mosque, Mughal architecture", bestTime: "Non-prayer times", entry: "Free" }
+            ],
+            culturalEvents: [
+                { name: "Diwali", period: "October-November", description: "Festival of Lights with spectacular celebrations across the capital", locations: "India Gate, Chandni Chowk, residential areas citywide", significance: "Victory of good over evil, light over darkness" },
+                { name: "Holi", period: "March", description: "Festival of Colors celebrating spring's arrival", locations: "Vrindavan (nearby), city parks, residential areas", significance: "Triumph of good, end of winter" },
+                { name: "Dussehra", period: "September-October", description: "10-day festival with Ramlila performances and Ravana effigies", locations: "Red Fort grounds, Ramlila grounds", significance: "Victory of Lord Rama over demon king Ravana" },
+                { name: "Delhi International Arts Festival", period: "November", description: "Cultural performances, art exhibitions, international participation", locations: "Various cultural venues like NCPA, Siri Fort", significance: "Celebration of global arts and culture" }
+            ],
+            shoppingMarkets: [
+                { name: "Chandni Chowk", type: "Historical Market", area: "Old Delhi", specialties: "Traditional items, street food, textiles, spices", hours: "10:00 AM - 8:00 PM", bargaining: "Yes" },
+                { name: "Connaught Place", type: "Commercial Hub", area: "Central Delhi", specialties: "Books, branded clothes, restaurants", hours: "10:00 AM - 8:00 PM", bargaining: "Limited" },
+                { name: "Khan Market", type: "Upmarket Shopping", area: "South Delhi", specialties: "Books, boutiques, cafes, branded goods", hours: "10:00 AM - 8:00 PM", bargaining: "No" },
+                { name: "Karol Bagh", type: "Shopping District", area: "Central Delhi", specialties: "Wedding shopping, electronics, textiles", hours: "10:00 AM - 9:00 PM", bargaining: "Yes" },
+                { name: "Lajpat Nagar", type: "Local Market", area: "South Delhi", specialties: "Clothing, footwear, accessories, affordable shopping", hours: "10:00 AM - 8:00 PM", bargaining: "Yes" }
+            ]
+        },
+        "paris": {
+            localFood: [
+                { name: "Croissant", description: "Buttery, flaky pastry perfect for breakfast", where: "Local boulangeries, morning cafes", price: "$", mustTry: true },
+                { name: "Escargot", description: "Cooked snails in garlic butter and herbs", where: "Traditional bistros, L'Ami Jean", price: "$$$", mustTry: false },
+                { name: "Coq au Vin", description: "Chicken braised in wine with mushrooms", where: "Classic French brasseries", price: "$$$", mustTry: false },
+                { name: "Macarons", description: "Colorful almond cookies with various fillings", where: "Ladurée, Pierre Hermé", price: "$$", mustTry: true },
+                { name: "French Onion Soup", description: "Rich onion broth topped with cheese and bread", where: "Les Halles area bistros", price: "$$", mustTry: false },
+                { name: "Crêpes", description: "Thin pancakes with sweet or savory fillings", where: "Street vendors, Breizh Café", price: "$", mustTry: true }
+            ],
+            restaurants: [
+                { name: "Le Comptoir du Relais", cuisine: "French Bistro", area: "Saint-Germain", specialty: "Traditional bistro fare in authentic atmosphere", price: "$$$", reservation: "Required" },
+                { name: "L'As du Fallafel", cuisine: "Middle Eastern", area: "Le Marais", specialty: "Best falafel in Paris, Jewish quarter specialty", price: "$", reservation: "Not needed" },
+                { name: "Breizh Café", cuisine: "Crêperie", area: "Le Marais", specialty: "Modern Japanese-French fusion crêpes", price: "$$", reservation: "Recommended" },
+                { name: "Du Pain et des Idées", cuisine: "Bakery", area: "République", specialty: "Artisanal pastries and sourdough bread", price: "$", reservation: "Not needed" },
+                { name: "Le Grand Véfour", cuisine: "Fine Dining", area: "Palais Royal", specialty: "Michelin-starred restaurant with 200+ year history", price: "$$$$", reservation: "Required" }
+            ],
+            traditionalClothing: [
+                { type: "Breton Stripes", description: "Classic French striped sailor shirt", occasions: "Casual wear, iconic French style", where: "Galeries Lafayette, local boutiques", price: "$-$$" },
+                { type: "Beret", description: "Traditional French wool cap", occasions: "Fashion accessory, cultural events", where: "Montmartre souvenir shops", price: "$" },
+                { type: "French Scarf", description: "Silk square scarf worn around neck", occasions: "Fashion accessory for all occasions", where: "Hermès, department stores", price: "$$-$$$" },
+                { type: "Chanel Suit", description: "Iconic tweed suit design", occasions: "Formal events, high fashion", where: "Chanel boutiques, luxury stores", price: "$$$$" }
+            ],
+            famousPlaces: [
+                { name: "Eiffel Tower", type: "Landmark", area: "Champ de Mars", highlights: "Iron lattice tower, symbol of Paris, evening light show", bestTime: "Sunset", entry: "$$" },
+                { name: "Louvre Museum", type: "Art Museum", area: "Rivoli", highlights: "World's largest art museum, Mona Lisa, glass pyramid", bestTime: "Early morning", entry: "$$$" },
+                { name: "Notre-Dame Cathedral", type: "Religious Site", area: "Île de la Cité", highlights: "Gothic architecture, historical significance (under restoration)", bestTime: "Midday", entry: "Free (exterior)" },
+                { name: "Arc de Triomphe", type: "Monument", area: "Champs-Élysées", highlights: "Triumphal arch, Tomb of Unknown Soldier, city views", bestTime: "Afternoon", entry: "$$" },
+                { name: "Sacré-Cœur Basilica", type: "Religious Site", area: "Montmartre", highlights: "Romano-Byzantine architecture, panoramic Paris views", bestTime: "Sunset", entry: "Free" },
+                { name: "Seine River Cruise", type: "Activity", area: "Citywide", highlights: "See Paris from water, illuminated monuments", bestTime: "Evening", entry: "$$" }
+            ],
+            culturalEvents: [
+                { name: "Bastille Day", period: "July 14", description: "French National Day with military parade and fireworks", locations: "Champs-Élysées parade, Eiffel Tower fireworks", significance: "French Revolution commemoration" },
+                { name: "Nuit Blanche", period: "First Saturday of October", description: "All-night contemporary arts festival", locations: "Museums, galleries, public spaces citywide", significance: "Celebration of contemporary art and culture" },
+                { name: "Paris Fashion Week", period: "September & March", description: "International fashion shows and presentations", locations: "Grand Palais, various venues", significance: "Global fashion industry showcase" },
+                { name: "Fête de la Musique", period: "June 21", description: "Free music performances throughout the city", locations: "Streets, parks, venues citywide", significance: "Summer solstice celebration through music" }
+            ],
+            shoppingMarkets: [
+                { name: "Marché aux Puces", type: "Flea Market", area: "Saint-Ouen", specialties: "Antiques, vintage items, collectibles", hours: "Saturday-Monday 9:00 AM - 6:00 PM", bargaining: "Yes" },
+                { name: "Champs-Élysées", type: "Shopping Avenue", area: "8th Arrondissement", specialties: "Luxury brands, flagship stores, cafes", hours: "10:00 AM - 8:00 PM", bargaining: "No" },
+                { name: "Le Marais", type: "Historic District", area: "3rd-4th Arrondissement", specialties: "Vintage shops, Jewish quarter specialties, trendy boutiques", hours: "10:00 AM - 7:00 PM", bargaining: "Limited" },
+                { name: "Rue de Rivoli", type: "Shopping Street", area: "1st Arrondissement", specialties: "Souvenir shops, department stores, tourist items", hours: "10:00 AM - 7:00 PM", bargaining: "No" },
+                { name: "Galeries Lafayette", type: "Department Store", area: "9th Arrondissement", specialties: "Luxury fashion, gourmet food hall, French brands", hours: "9:30 AM - 8:00 PM", bargaining: "No" }
+            ]
+        },
+        "newyork": {
+            localFood: [
+                { name: "New York Pizza", description: "Large thin crust pizza sold by the slice", where: "Joe's Pizza, Di Fara, local pizzerias", price: "$", mustTry: true },
+                { name: "Bagels", description: "Chewy bread rings with cream cheese and lox", where: "Ess-a-Bagel, H&H Bagels, local delis", price: "$", mustTry: true },
+                { name: "Cheesecake", description: "Rich, creamy New York-style dessert", where: "Junior's, Eileen's Special Cheesecake", price: "$$", mustTry: false },
+                { name: "Pastrami Sandwich", description: "Hot corned beef sandwich on rye bread", where: "Katz's Delicatessen, Carnegie Deli", price: "$$", mustTry: true },
+                { name: "Hot Dog", description: "Street vendor classic with mustard and sauerkraut", where: "Central Park vendors, Times Square carts", price: "$", mustTry: false },
+                { name: "Black and White Cookie", description: "Large cookie with vanilla and chocolate icing", where: "Local bakeries, delis citywide", price: "$", mustTry: false }
+            ],
+            restaurants: [
+                { name: "Katz's Delicatessen", cuisine: "Jewish Deli", area: "Lower East Side", specialty: "Pastrami sandwich, historic deli since 1888", price: "$$", reservation: "Not needed" },
+                { name: "Peter Luger", cuisine: "Steakhouse", area: "Brooklyn", specialty: "Dry-aged steaks since 1887, cash only", price: "$$$$", reservation: "Required" },
+                { name: "Xi'an Famous Foods", cuisine: "Chinese", area: "Multiple locations", specialty: "Hand-pulled noodles, spicy Western Chinese cuisine", price: "$", reservation: "Not needed" },
+                { name: "Joe's Pizza", cuisine: "Pizza", area: "Multiple locations", specialty: "Classic New York slice, thin crust", price: "$", reservation: "Not needed" },
+                { name: "Eleven Madison Park", cuisine: "Fine Dining", area: "Flatiron", specialty: "Plant-based tasting menu, Michelin stars", price: "$$$$", reservation: "Required" }
+            ],
+            traditionalClothing: [
+                { type: "Yankees Cap", description: "Iconic baseball cap representing NYC", occasions: "Casual wear, sports events", where: "Yankee Stadium shop, sports stores", price: "$" },
+                { type: "I ❤️ NY T-shirt", description: "Classic tourist souvenir shirt", occasions: "Casual wear, tourist memento", where: "Times Square, souvenir shops", price: "$" },
+                { type: "Broadway Show Merch", description: "Theater-themed clothing and accessories", occasions: "Casual wear, show memorabilia", where: "Theater District shops", price: "$-$$" },
+                { type: "FDNY/NYPD Gear", description: "New York emergency services apparel", occasions: "Casual wear, city pride", where: "Official stores, souvenir shops", price: "$-$$" }
+            ],
+            famousPlaces: [
+                { name: "Statue of Liberty", type: "Monument", area: "Liberty Island", highlights: "Symbol of freedom, harbor views, crown access", bestTime: "Morning", entry: "$$ (includes ferry)" },
+                { name: "Central Park", type: "Urban Park", area: "Manhattan", highlights: "843-acre green oasis, recreational activities", bestTime: "Afternoon", entry: "Free" },
+                { name: "Times Square", type: "Entertainment District", area: "Midtown", highlights: "Bright LED billboards, Broadway theaters, energy", bestTime: "Evening", entry: "Free" },
+                { name: "Brooklyn Bridge", type: "Bridge", area: "Brooklyn/Manhattan", highlights: "Iconic suspension bridge, pedestrian walkway", bestTime: "Sunset", entry: "Free" },
+                { name: "9/11 Memorial", type: "Memorial", area: "Financial District", highlights: "Tribute to victims, reflecting pools, museum", bestTime: "Midday", entry: "Free (memorial), $ (museum)" },
+                { name: "Empire State Building", type: "Skyscraper", area: "Midtown", highlights: "Art Deco architecture, observation decks", bestTime: "Sunset", entry: "$$$" }
+            ],
+            culturalEvents: [
+                { name: "New Year's Eve Ball Drop", period: "December 31", description: "Iconic countdown celebration in Times Square", locations: "Times Square", significance: "Global New Year celebration" },
+                { name: "Macy's Thanksgiving Parade", period: "Thanksgiving Day", description: "Giant balloon parade with floats and performances", locations: "Central Park West to Herald Square", significance: "American Thanksgiving tradition" },
+                { name: "Summer in the City", period: "June-August", description: "Outdoor concerts, festivals, and cultural events", locations: "Central Park, Brooklyn Bridge Park, various venues", significance: "Celebration of NYC summer culture" },
+                { name: "Halloween Parade", period: "October 31", description: "World's largest Halloween celebration", locations: "Greenwich Village", significance: "Creative expression and community celebration" }
+            ],
+            shoppingMarkets: [
+                { name: "Times Square", type: "Tourist Shopping", area: "Midtown", specialties: "Souvenir shops, theater merchandise, chain stores", hours: "24/7", bargaining: "No" },
+                { name: "Fifth Avenue", type: "Luxury Shopping", area: "Midtown", specialties: "High-end brands, flagship stores, jewelry", hours: "10:00 AM - 8:00 PM", bargaining: "No" },
+                { name: "SoHo", type: "Fashion District", area: "Lower Manhattan", specialties: "Designer boutiques, art galleries, trendy fashion", hours: "11:00 AM - 7:00 PM", bargaining: "No" },
+                { name: "Chelsea Market", type: "Food Market", area: "Chelsea", specialties: "Gourmet food, artisanal products, restaurants", hours: "7:00 AM - 9:00 PM", bargaining: "No" },
+                { name: "Brooklyn Flea Market", type: "Vintage Market", area: "Brooklyn", specialties: "Vintage clothing, antiques, handmade crafts", hours: "Saturday-Sunday 10:00 AM - 5:00 PM", bargaining: "Yes" }
+            ]
+        }
+    };
+    
+    static async getLocalRecommendations(city) {
+        city = CityAPI.toRecord(city);
+        const cacheKey = `local_rec_${city.key}`;
+        const cached = this.cache.get(cacheKey);
+        
+        if (cached && Date.now() - cached.timestamp < this.cacheTimeout) {
+            return cached.data;
+        }
+        
+        try {
+            // Get comprehensive recommendations using demo data and enhanced local information
+            const cityData = this.demoData[city.key];
+            
+            if (!cityData) {
+                return this.getBasicRecommendations(city);
+            }
+            
+            const recommendations = {
+                weather: await WeatherAPI.getCurrentWeather(city).catch(RequestScheduler.unlessCancelled({ temperature: 20, condition: 'pleasant' })),
+                local_food: cityData.localFood,
+                restaurants: cityData.restaurants,
+                traditional_clothing: cityData.traditionalClothing,
+                famous_places: cityData.famousPlaces,
+                cultural_events: cityData.culturalEvents,
+                shopping_markets: cityData.shoppingMarkets,
+                events: await NewsAPI.getLocalEvents(city).catch(RequestScheduler.unlessCancelled([])),
+                local_tips: this.getLocalTips(city),
+                budget_options: this.getBudgetRecommendations(city),
+                cultural_insights: this.getCulturalInsights(city),
+                etiquette: this.getEtiquette(city)
+            };
+            
+            this.cache.set(cacheKey, {
+                data: recommendations,
+                timestamp: Date.now()
+            });
+            
+            return recommendations;
+        } catch (error) {
+            if (RequestScheduler.isCancelled(error)) throw error;
+            console.error('Error getting local recommendations:', error);
+            return this.getBasicRecommendations(city);
+        }
+    }
+    
+    static getLocalFood(city) {
+        const cityData = this.demoData[city.key];
+        return cityData ? cityData.localFood : [
+            { name: "Local Specialties", description: "Try traditional dishes", where: "Local restaurants and markets", price: "$$", mustTry: true }
+        ];
+    }
+    
+    static getTopRestaurants(city) {
+        const cityData = this.demoData[city.key];
+        return cityData ? cityData.restaurants : [
+            { name: "Local Restaurant", cuisine: "Regional", area: "City Center", specialty: "Local specialties", price: "$$", reservation: "Recommended" }
+        ];
+    }
+    
+    static getTraditionalClothing(city) {
+        const cityData = this.demoData[city.key];
+        return cityData ? cityData.traditionalClothing : [
+            { type: "Local Traditional Wear", description: "Regional clothing", occasions: "Cultural events", where: "Local markets", price: "$$" }
+        ];
+    }
+    
+    static getFamousPlaces(city) {
+        const cityData = this.demoData[city.key];
+        return cityData ? cityData.famousPlaces : [
+            { name: "City Center", type: "Urban Area", area: "Downtown", highlights: "Main attractions and landmarks", bestTime: "Daytime", entry: "Free" }
+        ];
+    }
+    
+    static getCulturalEvents(city) {
+        const cityData = this.demoData[city.key];
+        return cityData ? cityData.culturalEvents : [
+            { name: "Local Cultural Celebration", period: "Various times", description: "Regional festivals and events", locations: "City venues", significance: "Cultural heritage" }
+        ];
+    }
+    
+    static getShoppingMarkets(city) {
+        const cityData = this.demoData[city.key];
+        return cityData ? cityData.shoppingMarkets : [
+            { name: "Central Market", type: "Local Market", area: "City Center", specialties: "Local goods and crafts", hours: "9:00 AM - 6:00 PM", bargaining: "Yes" }
+        ];
+    }
+    
+    static getLocalTips(city) {
+        const tips = {
+            tokyo: [
+                "Use IC cards (Suica/Pasmo) for convenient public transport",
+                "Learn basic bowing etiquette - slight bow for greetings",
+                "Try convenience store food - surprisingly high quality",
+                "Visit both traditional districts (Asakusa) and modern areas (Shibuya)",
+                "Remove shoes when entering homes and some restaurants",
+                "Download Google Translate app for camera translation"
+            ],
+            mumbai: [
+                "Use local trains for efficient travel, but avoid rush hours",
+                "Try street food at Mohammed Ali Road and Juhu Beach",
+                "Bargain at local markets but be respectful",
+                "Respect local customs and dress modestly at religious sites",
+                "Monsoon season (June-September) brings heavy rains",
+                "Keep cash handy as many places don't accept cards"
+            ],
+            delhi: [
+                "Use Delhi Metro for convenient and safe travel",
+                "Bargain in local markets but not in malls or branded stores",
+                "Try street food but choose busy stalls for freshness",
+                "Dress modestly when visiting religious sites",
+                "Air quality can be poor, especially in winter months",
+                "Drink bottled water and avoid ice in street drinks"
+            ],
+            paris: [
+                "Learn basic French greetings - 'Bonjour' and 'Merci'",
+                "Visit local cafes for authentic Parisian experience",
+                "Use metro for easy transportation across the city",
+                "Explore neighborhoods beyond major tourist areas",
+                "Most shops close on Sundays except in tourist areas",
+                "Tip 10% at restaurants if service charge not included"
+            ],
+            newyork: [
+                "Walk fast and stay right on sidewalks",
+                "Use subway MetroCard for efficient city travel",
+                "Tip 18-20% at restaurants and bars",
+                "Central Park is perfect for jogging and relaxing",
+                "Broadway shows require advance booking",
+                "Don't be afraid to ask locals for directions - most are helpful"
+            ]
+        };
+        
+        return tips[city.key] || [
+            "Research local customs before visiting",
+            "Try local cuisine and visit traditional markets",
+            "Use public transportation when available",
+            "Respect cultural norms and dress codes",
+            "Learn a few basic phrases in the local language",
+            "Keep important documents and emergency contacts handy"
+        ];
+    }
+    
+    static getBudgetRecommendations(city) {
+        const budget = {
+            tokyo: {
+                accommodation: "Consider capsule hotels, business hotels, or Airbnb in outer districts",
+                food: "Convenience stores, ramen shops, standing sushi bars, lunch sets",
+                transport: "Day passes for JR/Metro, walking between nearby attractions",
+                activities: "Free temples, parks, observation decks in department stores"
+            },
+            mumbai: {
+                accommodation: "Budget hotels in Colaba, hostels, or guesthouses in Bandra",
+                food: "Street food, local dhabas, South Indian restaurants in Matunga",
+                transport: "Local trains (second class), buses, shared auto-rickshaws",
+                activities: "Free beaches, markets, Heritage walks, Elephanta Caves"
+            },
+            delhi: {
+                accommodation: "Budget hotels in Paharganj, hostels, or guesthouses in residential areas",
+                food: "Street food in Old Delhi, local dhabas, government canteens",
+                transport: "Delhi Metro day passes, buses, shared auto-rickshaws",
+                activities: "Free monuments, markets, cultural events, walking tours"
+            },
+            paris: {
+                accommodation: "Budget hotels in 18th-20th arrondissements, hostels, Airbnb",
+                food: "Local bistros, bakeries, markets, lunch menus, happy hour",
+                transport: "Metro day/week passes, Vélib bike sharing, walking",
+                activities: "Free museums (first Sunday), parks, churches, street art tours"
+            },
+            newyork: {
+                accommodation: "Hostels in Manhattan, budget hotels in outer boroughs, Airbnb",
+                food: "Food trucks, delis, happy hour specials, ethnic restaurants",
+                transport: "Weekly MetroCard, Citi Bike sharing, walking across bridges",
+                activities: "Free museums (suggested donation), Central Park, Brooklyn Bridge, Staten Island Ferry"
+            }
+        };
+        
+        return budget[city.key] || {
+            accommodation: "Consider local guesthouses, hostels, or budget hotels",
+            food: "Try local street food, markets, and family-run restaurants",
+            transport: "Use public transportation and walking when possible",
+            activities: "Look for free cultural events, museums, and public attractions"
+        };
+    }
+    
+    static getCulturalInsights(city) {
+        const insights = {
+            tokyo: "Balance respect for tradition with openness to innovation. Bow when greeting, be punctual, and appreciate both ancient temples and cutting-edge technology. Silence is valued, especially on public transport.",
+            mumbai: "Embrace the diversity and energy of India's financial capital. The city never sleeps, and neither should your spirit of adventure. Respect for all religions and adaptability are key to enjoying Mumbai's vibrant culture.",
+            delhi: "Experience the perfect blend of ancient history and modern India. Respect religious sites, enjoy bargaining in markets, and savor the rich Mughal heritage alongside contemporary Indian culture.",
+            paris: "Appreciate art, cuisine, and intellectual discourse. Take time to enjoy cafe culture, dress elegantly, and embrace the French art de vivre (art of living). Quality over quantity is valued in all aspects of life.",
+            newyork: "Move fast, think big, and embrace diversity. This city rewards ambition and celebrates individual expression while fostering community spirit. Be direct in communication and open to new experiences."
+        };
+        
+        return insights[city.key] || "Research local cultural values and customs to enhance your travel experience. Be respectful, open-minded, and ready to learn from local traditions.";
+    }
+    
+    static getEtiquette(city) {
+        const etiquette = {
+            tokyo: [
+                "People bow to greet, thank and apologise; a deeper, longer bow shows more respect",
+                "Tipping is not customary and can cause confusion - excellent service is expected",
+                "Talking on the phone on trains is considered rude; keep your voice low",
+                "Don't stick chopsticks upright in rice - it resembles a funeral rite",
+                "Walking while eating is frowned upon; finish snacks where you bought them"
+            ],
+            mumbai: [
+                "Greet with 'Namaste' and palms pressed together, especially with elders",
+                "Remove shoes before entering temples, mosques and many homes",
+                "Eat and pass things with your right hand; the left is considered unclean",
+                "Public displays of affection are best kept discreet",
+                "Cover shoulders and knees at religious sites such as Haji Ali and Siddhivinayak"
+            ],
+            delhi: [
+                "Greet with 'Namaste'; a handshake is fine in business settings",
+                "Cover your head at gurdwaras like Bangla Sahib and remove shoes at all places of worship",
+                "Use your right hand for eating and giving or receiving items",
+                "Haggling is expected at bazaars but keep it friendly",
+                "Ask before photographing people, especially women and at religious sites"
+            ],
+            paris: [
+                "Always say 'Bonjour' when entering a shop and 'Au revoir' when leaving",
+                "Greetings between friends are la bise - light cheek kisses",
+                "Keep your voice down in restaurants and on the metro",
+                "Service is included in restaurant bills; rounding up is a courtesy, not an obligation",
+                "Don't ask for dishes to be modified - the chef's choices are respected"
+            ],
+            newyork: [
+                "Stand right, walk left on escalators and keep moving on busy sidewalks",
+                "Tipping 18-20% is expected at restaurants, bars and in taxis",
+                "Let people off the subway before getting on",
+                "Be direct and brief - New Yorkers value people's time",
+                "Don't stop suddenly in the middle of the sidewalk to take photos"
+            ]
+        };
+        
+        return etiquette[city.key] || [
+            "Learn how locals greet each other and return the gesture",
+            "Dress modestly and remove shoes where asked at religious sites",
+            "Ask before photographing people",
+            "Check whether tipping is customary before you pay"
+        ];
+    }
+    
+    static getBasicRecommendations(city) {
+        return {
+            weather: { temperature: 20, condition: 'pleasant' },
+            local_food: this.getLocalFood(city),
+            restaurants: this.getTopRestaurants(city),
+            traditional_clothing: this.getTraditionalClothing(city),
+            famous_places: this.getFamousPlaces(city),
+            cultural_events: this.getCulturalEvents(city),
+            shopping_markets: this.getShoppingMarkets(city),
+            events: [],
+            local_tips: this.getLocalTips(city),
+            budget_options: this.getBudgetRecommendations(city),
+            cultural_insights: this.getCulturalInsights(city),
+            etiquette: this.getEtiquette(city)
+        };
+    }
+}
+
+// Phrasebook: curated phrases in each city's local language
+// Phrases are grouped by situation and carry a romanised transliteration (a pronunciation
+// respelling for Latin-script languages). Playback uses the browser's speech synthesis
+// with a voice for the language when one is installed.
+class PhrasebookAPI {
+    static sections = ['greetings', 'dining', 'shopping', 'emergency'];
+    
+    // Local language by country code; English-speaking countries need no phrasebook
+    static countryLanguages = {
+        jp: 'ja', in: 'hi', fr: 'fr', tr: 'tr', es: 'es', mx: 'es', ar: 'es', co: 'es', pe: 'es', cl: 'es',
+        us: 'en', gb: 'en', ie: 'en', ca: 'en', au: 'en', nz: 'en'
+    };
+    
+    static emergencyNumbers = {
+        jp: { police: '110', ambulance: '119' },
+        in: { general: '112' },
+        fr: { general: '112', police: '17', ambulance: '15' },
+        tr: { general: '112' },
+        es: { general: '112' },
+        mx: { general: '911' }
+    };
+    
+    static hagglingNotes = {
+        ja: "Prices are fixed in shops and markets - haggling isn't done, but asking about tax-free shopping is",
+        hi: "Bargaining is expected at street markets and bazaars; start at about half the asking price and meet in the middle",
+        fr: "Prices are fixed in shops; gentle haggling is fine at flea markets like Saint-Ouen",
+        tr: "Bargaining is part of the fun in the Grand Bazaar and street markets, but not in malls or supermarkets",
+        es: "Prices are fixed in shops; a friendly discount request can work at street markets"
+    };
+    
+    static phrases = {
+        ja: {
+            greetings: [
+                { english: "Hello", phrase: "こんにちは", transliteration: "konnichiwa" },
+                { english: "Thank you", phrase: "ありがとうございます", transliteration: "arigatō gozaimasu" },
+                { english: "Excuse me / sorry", phrase: "すみません", transliteration: "sumimasen" },
+                { english: "Nice to meet you", phrase: "はじめまして", transliteration: "hajimemashite" },
+                { english: "Goodbye", phrase: "さようなら", transliteration: "sayōnara" },
+                { english: "Do you speak English?", phrase: "英語を話せますか？", transliteration: "eigo o hanasemasu ka?" }
+            ],
+            dining: [
+                { english: "A table for two, please", phrase: "二人です", transliteration: "futari desu" },
+                { english: "The menu, please", phrase: "メニューをお願いします", transliteration: "menyū o onegai shimasu" },
+                { english: "I'm vegetarian", phrase: "ベジタリアンです", transliteration: "bejitarian desu" },
+                { english: "This is delicious", phrase: "おいしいです", transliteration: "oishii desu" },
+                { english: "The bill, please", phrase: "お会計をお願いします", transliteration: "okaikei o onegai shimasu" },
+                { english: "Thank you for the meal", phrase: "ごちそうさまでした", transliteration: "gochisōsama deshita", note: "Said when leaving a restaurant or finishing a meal" }
+            ],
+            shopping: [
+                { english: "How much is this?", phrase: "これはいくらですか？", transliteration: "kore wa ikura desu ka?" },
+                { english: "Can I pay by card?", phrase: "カードで払えますか？", transliteration: "kādo de haraemasu ka?" },
+                { english: "Is this tax-free?", phrase: "免税できますか？", transliteration: "menzei dekimasu ka?" },
+                { english: "I'll take this", phrase: "これをください", transliteration: "kore o kudasai" },
+                { english: "Just looking, thanks", phrase: "見ているだけです", transliteration: "mite iru dake desu" }
+            ],
+            emergency: [
+                { english: "Help!", phrase: "助けて！", transliteration: "tasukete!" },
+                { english: "Please call the police", phrase: "警察を呼んでください", transliteration: "keisatsu o yonde kudasai" },
+                { english: "Please call an ambulance", phrase: "救急車を呼んでください", transliteration: "kyūkyūsha o yonde kudasai" },
+                { english: "I'm lost", phrase: "道に迷いました", transliteration: "michi ni mayoimashita" },
+                { english: "Where is the hospital?", phrase: "病院はどこですか？", transliteration: "byōin wa doko desu ka?" },
+                { english: "Where is the toilet?", phrase: "トイレはどこですか？", transliteration: "toire wa doko desu ka?" }
+            ]
+        },
+        hi: {
+            greetings: [
+                { english: "Hello", phrase: "नमस्ते", transliteration: "namaste", note: "Said with palms pressed together" },
+                { english: "Thank you", phrase: "धन्यवाद", transliteration: "dhanyavaad" },
+                { english: "Excuse me / sorry", phrase: "माफ़ कीजिए", transliteration: "maaf kijiye" },
+                { english: "How are you?", phrase: "आप कैसे हैं?", transliteration: "aap kaise hain?" },
+                { english: "Goodbye", phrase: "फिर मिलेंगे", transliteration: "phir milenge" },
+                { english: "Do you speak English?", phrase: "क्या आप अंग्रेज़ी बोलते हैं?", transliteration: "kya aap angrezi bolte hain?" }
+            ],
+            dining: [
+                { english: "A table for two, please", phrase: "दो लोगों के लिए टेबल चाहिए", transliteration: "do logon ke liye table chahiye" },
+                { english: "I'm vegetarian", phrase: "मैं शाकाहारी हूँ", transliteration: "main shakahari hoon" },
+                { english: "Not too spicy, please", phrase: "कम मसालेदार, कृपया", transliteration: "kam masaledaar, kripya" },
+                { english: "Water, please", phrase: "पानी दीजिए", transliteration: "paani dijiye" },
+                { english: "The bill, please", phrase: "बिल दीजिए", transliteration: "bill dijiye" },
+                { english: "Very tasty!", phrase: "बहुत स्वादिष्ट!", transliteration: "bahut swaadisht!" }
+            ],
+            shopping: [
+                { english: "How much is this?", phrase: "यह कितने का है?", transliteration: "yeh kitne ka hai?" },
+                { english: "That's too expensive", phrase: "यह बहुत महँगा है", transliteration: "yeh bahut mehenga hai" },
+                { english: "Please lower the price a little", phrase: "थोड़ा कम कीजिए", transliteration: "thoda kam kijiye" },
+                { english: "What's your final price?", phrase: "आख़िरी दाम क्या है?", transliteration: "aakhri daam kya hai?" },
+                { english: "I'll take it", phrase: "मैं ले लूँगा", transliteration: "main le loonga", note: "Women say \"le loongi\"" },
+                { english: "Just looking, thanks", phrase: "बस देख रहा हूँ", transliteration: "bas dekh raha hoon", note: "Women say \"dekh rahi hoon\"" }
+            ],
+            emergency: [
+                { english: "Help!", phrase: "बचाओ!", transliteration: "bachao!" },
+                { english: "Please call the police", phrase: "पुलिस को बुलाइए", transliteration: "police ko bulaiye" },
+                { english: "Please call a doctor", phrase: "डॉक्टर को बुलाइए", transliteration: "doctor ko bulaiye" },
+                { english: "I'm lost", phrase: "मैं रास्ता भूल गया हूँ", transliteration: "main raasta bhool gaya hoon", note: "Women say \"bhool gayi hoon\"" },
+                { english: "Where is the hospital?", phrase: "अस्पताल कहाँ है?", transliteration: "aspataal kahaan hai?" },
+                { english: "Where is the toilet?", phrase: "शौचालय कहाँ है?", transliteration: "shauchaalay kahaan hai?" }
+            ]
+        },
+        fr: {
+            greetings: [
+                { english: "Hello / good day", phrase: "Bonjour", transliteration: "bohn-ZHOOR", note: "Say it when entering any shop" },
+                { english: "Good evening", phrase: "Bonsoir", transliteration: "bohn-SWAHR" },
+                { english: "Thank you", phrase: "Merci", transliteration: "mair-SEE" },
+                { english: "Excuse me / sorry", phrase: "Excusez-moi", transliteration: "ex-kew-ZAY mwah" },
+                { english: "Goodbye", phrase: "Au revoir", transliteration: "oh ruh-VWAHR" },
+                { english: "Do you speak English?", phrase: "Parlez-vous anglais ?", transliteration: "par-LAY voo ahn-GLAY" }
+            ],
+            dining: [
+                { english: "A table for two, please", phrase: "Une table pour deux, s'il vous plaît", transliteration: "ewn TAH-bluh poor DUH, seel voo PLAY" },
+                { english: "The menu, please", phrase: "La carte, s'il vous plaît", transliteration: "lah KART, seel voo PLAY" },
+                { english: "I'm vegetarian", phrase: "Je suis végétarien", transliteration: "zhuh swee vay-zhay-tah-RYAN", note: "Women say \"végétarienne\" (vay-zhay-tah-RYEN)" },
+                { english: "A jug of tap water, please", phrase: "Une carafe d'eau, s'il vous plaît", transliteration: "ewn kah-RAHF DOH, seel voo PLAY" },
+                { english: "The bill, please", phrase: "L'addition, s'il vous plaît", transliteration: "lah-dee-SYOHN, seel voo PLAY" }
+            ],
+            shopping: [
+                { english: "How much is it?", phrase: "C'est combien ?", transliteration: "say kohm-BYAN" },
+                { english: "Can I pay by card?", phrase: "Je peux payer par carte ?", transliteration: "zhuh puh pay-YAY par KART" },
+                { english: "It's a bit expensive", phrase: "C'est un peu cher", transliteration: "say tuhn puh SHAIR" },
+                { english: "Can you do me a better price?", phrase: "Vous pouvez me faire un prix ?", transliteration: "voo poo-VAY muh fair uhn PREE" },
+                { english: "Just looking, thanks", phrase: "Je regarde, merci", transliteration: "zhuh ruh-GARD, mair-SEE" }
+            ],
+            emergency: [
+                { english: "Help!", phrase: "Au secours !", transliteration: "oh suh-KOOR" },
+                { english: "Please call the police", phrase: "Appelez la police !", transliteration: "ah-PLAY lah poh-LEES" },
+                { english: "Please call an ambulance", phrase: "Appelez une ambulance !", transliteration: "ah-PLAY ewn ahm-bew-LAHNS" },
+                { english: "I'm lost", phrase: "Je suis perdu", transliteration: "zhuh swee pair-DEW", note: "Women write \"perdue\"; it sounds the same" },
+                { english: "Where is the hospital?", phrase: "Où est l'hôpital ?", transliteration: "oo ay loh-pee-TAHL" },
+                { english: "Where is the toilet?", phrase: "Où sont les toilettes ?", transliteration: "oo sohn lay twah-LET" }
+            ]
+        },
+        tr: {
+            greetings: [
+                { english: "Hello", phrase: "Merhaba", transliteration: "mehr-hah-BAH" },
+                { english: "Thank you", phrase: "Teşekkür ederim", transliteration: "teh-shek-KEWR eh-deh-reem" },
+                { english: "Please", phrase: "Lütfen", transliteration: "LEWT-fen" },
+                { english: "Excuse me / sorry", phrase: "Affedersiniz", transliteration: "ahf-feh-DEHR-see-neez" },
+                { english: "Goodbye", phrase: "Hoşça kalın", transliteration: "HOSH-chah kah-luhn", note: "Said by the person leaving" },
+                { english: "Do you speak English?", phrase: "İngilizce biliyor musunuz?", transliteration: "een-gee-LEEZ-jeh bee-lee-YOR moo-soo-nooz" }
+            ],
+            dining: [
+                { english: "A table for two, please", phrase: "İki kişilik bir masa, lütfen", transliteration: "ee-KEE kee-shee-LEEK beer mah-SAH, LEWT-fen" },
+                { english: "The menu, please", phrase: "Menü, lütfen", transliteration: "meh-NEW, LEWT-fen" },
+                { english: "I'm vegetarian", phrase: "Vejetaryenim", transliteration: "veh-zheh-tar-YEH-neem" },
+                { english: "Enjoy your meal", phrase: "Afiyet olsun", transliteration: "ah-fee-YET ol-SOON" },
+                { english: "The bill, please", phrase: "Hesap, lütfen", transliteration: "heh-SAHP, LEWT-fen" }
+            ],
+            shopping: [
+                { english: "How much is this?", phrase: "Bu ne kadar?", transliteration: "boo NEH kah-dar" },
+                { english: "That's too expensive", phrase: "Çok pahalı", transliteration: "chok pah-hah-LUH" },
+                { english: "Can you lower the price?", phrase: "İndirim yapar mısınız?", transliteration: "een-dee-REEM yah-PAR muh-suh-nuhz" },
+                { english: "What's your final price?", phrase: "Son fiyat ne?", transliteration: "son fee-YAHT neh" },
+                { english: "I'll take it", phrase: "Alıyorum", transliteration: "ah-luh-YOH-room" }
+            ],
+            emergency: [
+                { english: "Help!", phrase: "İmdat!", transliteration: "eem-DAHT" },
+                { english: "Please call the police", phrase: "Polisi arayın!", transliteration: "poh-lee-SEE ah-rah-YUHN" },
+                { english: "Please call an ambulance", phrase: "Ambulans çağırın!", transliteration: "ahm-boo-LAHNS chah-uh-RUHN" },
+                { english: "I'm lost", phrase: "Kayboldum", transliteration: "kai-bol-DOOM" },
+                { english: "Where is the hospital?", phrase: "Hastane nerede?", transliteration: "hahs-tah-NEH neh-reh-DEH" },
+                { english: "Where is the toilet?", phrase: "Tuvalet nerede?", transliteration: "too-vah-LET neh-reh-DEH" }
+            ]
+        },
+        es: {
+            greetings: [
+                { english: "Hello", phrase: "Hola", transliteration: "OH-lah" },
+                { english: "Good morning", phrase: "Buenos días", transliteration: "BWEH-nohs DEE-ahs" },
+                { english: "Thank you", phrase: "Gracias", transliteration: "GRAH-thyahs", note: "\"GRAH-syahs\" in Latin America" },
+                { english: "Please", phrase: "Por favor", transliteration: "por fah-VOR" },
+                { english: "Excuse me / sorry", phrase: "Perdone", transliteration: "pehr-DOH-neh" },
+                { english: "Goodbye", phrase: "Adiós", transliteration: "ah-DYOHS" }
+            ],
+            dining: [
+                { english: "A table for two, please", phrase: "Una mesa para dos, por favor", transliteration: "OO-nah MEH-sah PAH-rah DOHS, por fah-VOR" },
+                { english: "The menu, please", phrase: "La carta, por favor", transliteration: "lah KAR-tah, por fah-VOR" },
+                { english: "I'm vegetarian", phrase: "Soy vegetariano", transliteration: "soy beh-heh-tah-RYAH-noh", note: "Women say \"vegetariana\"" },
+                { english: "Water, please", phrase: "Agua, por favor", transliteration: "AH-gwah, por fah-VOR" },
+                { english: "The bill, please", phrase: "La cuenta, por favor", transliteration: "lah KWEN-tah, por fah-VOR" }
+            ],
+            shopping: [
+                { english: "How much is it?", phrase: "¿Cuánto cuesta?", transliteration: "KWAHN-toh KWES-tah" },
+                { english: "Can I pay by card?", phrase: "¿Puedo pagar con tarjeta?", transliteration: "PWEH-doh pah-GAR kohn tar-HEH-tah" },
+                { english: "It's too expensive", phrase: "Es muy caro", transliteration: "ehs mooy KAH-roh" },
+                { english: "Can you give me a discount?", phrase: "¿Me hace un descuento?", transliteration: "meh AH-theh oon dehs-KWEN-toh" },
+                { english: "Just looking, thanks", phrase: "Solo estoy mirando, gracias", transliteration: "SOH-loh ehs-TOY mee-RAHN-doh, GRAH-thyahs" }
+            ],
+            emergency: [
+                { english: "Help!", phrase: "¡Socorro!", transliteration: "soh-KOH-rroh" },
+                { english: "Please call the police", phrase: "¡Llame a la policía!", transliteration: "YAH-meh ah lah poh-lee-THEE-ah" },
+                { english: "Please call an ambulance", phrase: "¡Llame a una ambulancia!", transliteration: "YAH-meh ah OO-nah ahm-boo-LAHN-thyah" },
+                { english: "I'm lost", phrase: "Estoy perdido", transliteration: "ehs-TOY pehr-DEE-doh", note: "Women say \"perdida\"" },
+                { english: "Where is the hospital?", phrase: "¿Dónde está el hospital?", transliteration: "DOHN-deh ehs-TAH ehl ohs-pee-TAHL" },
+                { english: "Where is the toilet?", phrase: "¿Dónde están los servicios?", transliteration: "DOHN-deh ehs-TAHN lohs sehr-VEE-thyohs" }
+            ]
+        }
+    };
+    
+    static getLanguage(city) {
+        city = CityAPI.toRecord(city);
+        return this.countryLanguages[city.countryCode] || null;
+    }
+    
+    // The city's phrasebook, or null when its language isn't covered (or is English)
+    static getPhrasebook(city) {
+        city = CityAPI.toRecord(city);
+        const language = this.getLanguage(city);
+        if (!this.phrases[language]) return null;
+        
+        return {
+            language,
+            sections: this.phrases[language],
+            hagglingNote: this.hagglingNotes[language],
+            emergencyNumbers: this.emergencyNumbers[city.countryCode] || null
+        };
+    }
+    
+    // "how do I say thank you here?" -> "thank you"; null when no phrase is being asked for.
+    // Glossed Turkish, Hindi and Japanese put the phrase first: "merhaba how do you say".
+    static extractQuery(message) {
+        const match = message.match(/\b(?:how (?:do|would|can|should) (?:i|you|we|one) say|how to say|what(?:'s| is| are) the (?:words?|phrases?) for|say|translate)\s+(.+)$/i) ||
+            message.match(/^(.+?)\s+how (?:do you|to) say\s*[?!.]*$/i);
+        if (!match) return null;
+        
+        const query = match[1]
+            .replace(/[?!.]+$/, '')
+            .replace(/(?:\s+(?:here|there|locally|in (?:this city|the local language|[a-z]+)))+$/i, '')
+            .replace(/^["'“‘]|["'”’]$/g, '')
+            .trim();
+        return query || null;
+    }
+    
+    // Best matches for a query in English, the local language or its transliteration
+    static search(query, city, limit = 3) {
+        const book = this.getPhrasebook(city);
+        const terms = [...new Set(this.tokenize(query))];
+        if (!book || terms.length === 0) return [];
+        
+        return this.sections
+            .flatMap(section => book.sections[section].map((entry, index) => ({ ...entry, section, index })))
+            .map(entry => {
+                const words = new Set(this.tokenize(`${entry.english} ${entry.phrase} ${entry.transliteration}`));
+                return { entry, score: terms.filter(term => words.has(term)).length / terms.length };
+            })
+            .filter(result => result.score >= 0.5)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit)
+            .map(result => result.entry);
+    }
+    
+    // Accents are dropped so "arigato" finds "arigatō" and "hopital" finds "hôpital"
+    static tokenize(text) {
+        return LocalKnowledge.tokenize(text.normalize('NFD').replace(/[\u0300-\u036f]/g, ''));
+    }
+    
+    static get canSpeak() {
+        return typeof speechSynthesis !== 'undefined' && typeof SpeechSynthesisUtterance !== 'undefined';
+    }
+    
+    // Read a phrase aloud, a little slower than conversational speed
+    static speak(text, language) {
+        if (!this.canSpeak) return false;
+        
+        const utterance = new SpeechSynthesisUtterance(text);
+        utterance.lang = I18n.languages[language].locale;
+        utterance.rate = 0.85;
+        const voice = speechSynthesis.getVoices().find(candidate => candidate.lang.replace('_', '-').startsWith(language));
+        if (voice) utterance.voice = voice;
+        
+        speechSynthesis.cancel();
+        speechSynthesis.speak(utterance);
+        return true;
+    }
+}
+
+// Day-by-day trip plans from LocalRecommendationsAPI's demo data
+// Famous places are clustered by neighbourhood into days and ordered by their best time
+// of day; lunch and dinner go to the nearest restaurant not used yet, markets fill light
+// days and festivals that fall on the trip dates are added. When a forecast is available
+// and rain is expected, the days with the most outdoor stops are moved to the driest
+// dates. The current plan is kept here so the rendered card can be edited and redrawn.
+class ItineraryPlanner {
+    static defaultDays = 3;
+    static maxDays = 7;
+    static stopsPerDay = 3; // sights per day; the rest are listed as not scheduled
+    static wetThreshold = 60; // % chance of rain from which a day counts as wet
+    static anywhereKm = 3; // assumed distance to restaurants with "Multiple locations"
+    
+    // Parts of a day in order; meals sit between the sightseeing slots
+    static slots = ['morning', 'midday', 'lunch', 'afternoon', 'sunset', 'dinner', 'evening'];
+    
+    static icons = { place: '📍', market: '🛍️', meal: '🍽️', event: '🎉', custom: '✏️' };
+    
+    // Place types that are mostly spent outside
+    static outdoorTypes = /beach|park|promenade|bridge|crossing|icon|monument|memorial|mausoleum|landmark|historical site|unesco|activity|market|district/i;
+    
+    // Rough neighbourhood centres for the cities with demo data, keyed by the "area" field
+    static areaCoordinates = {
+        tokyo: {
+            'Asakusa': [35.7148, 139.7967], 'Sumida': [35.7101, 139.8107], 'Chiyoda': [35.6852, 139.7528],
+            'Shibuya': [35.6595, 139.7005], 'Chuo': [35.6655, 139.7707], 'Ginza': [35.6717, 139.7650],
+            'Shinjuku': [35.6938, 139.7034], 'Ueno': [35.7101, 139.7747]
+        },
+        mumbai: {
+            'Apollo Bunder': [18.9220, 72.8347], 'South Mumbai': [18.9440, 72.8230], 'Elephanta Island': [18.9633, 72.9315],
+            'Fort': [18.9340, 72.8356], 'Juhu': [19.0988, 72.8267], 'Mahalaxmi': [18.9827, 72.8089],
+            'Colaba': [18.9067, 72.8147], 'Ballard Estate': [18.9380, 72.8400], 'Bandra': [19.0596, 72.8295]
+        },
+        delhi: {
+            'Old Delhi': [28.6562, 77.2410], 'Rajpath': [28.6129, 77.2295], 'Mehrauli': [28.5245, 77.1855],
+            'South Delhi': [28.5535, 77.2588], 'Delhi': [28.5933, 77.2507], 'New Delhi': [28.5918, 77.2273],
+            'Diplomatic Enclave': [28.5973, 77.1739], 'India Gate': [28.6129, 77.2295], 'Chandni Chowk': [28.6506, 77.2303],
+            'Central Delhi': [28.6315, 77.2167]
+        },
+        paris: {
+            'Champ de Mars': [48.8556, 2.2986], 'Rivoli': [48.8606, 2.3376], 'Île de la Cité': [48.8530, 2.3499],
+            'Champs-Élysées': [48.8698, 2.3075], 'Montmartre': [48.8867, 2.3431], 'Saint-Germain': [48.8530, 2.3340],
+            'Le Marais': [48.8575, 2.3600], 'République': [48.8675, 2.3630], 'Palais Royal': [48.8638, 2.3370],
+            'Saint-Ouen': [48.9020, 2.3430], '8th Arrondissement': [48.8718, 2.3118], '3rd-4th Arrondissement': [48.8590, 2.3580],
+            '1st Arrondissement': [48.8625, 2.3360], '9th Arrondissement': [48.8735, 2.3320]
+        },
+        newyork: {
+            'Liberty Island': [40.6892, -74.0445], 'Manhattan': [40.7829, -73.9654], 'Midtown': [40.7549, -73.9840],
+            'Brooklyn/Manhattan': [40.7061, -73.9969], 'Financial District': [40.7115, -74.0125], 'Lower East Side': [40.7187, -73.9875],
+            'Brooklyn': [40.7098, -73.9623], 'Flatiron': [40.7416, -73.9872], 'Lower Manhattan': [40.7233, -74.0030],
+            'Chelsea': [40.7424, -74.0061]
+        }
+    };
+    
+    static current = null; // { cityKey, cityName, days: [{ date, forecast, stops }], unscheduled, events, rearranged }
+    static element = null;
+    
+    static hasData(city) {
+        return Boolean(LocalRecommendationsAPI.demoData[city.key]);
+    }
+    
+    static locate(cityKey, area) {
+        const coordinates = (this.areaCoordinates[cityKey] || {})[area];
+        return coordinates ? { lat: coordinates[0], lon: coordinates[1] } : null;
+    }
+    
+    static centroid(stops) {
+        const located = stops.filter(stop => stop.location);
+        if (located.length === 0) return null;
+        return {
+            lat: located.reduce((sum, stop) => sum + stop.location.lat, 0) / located.length,
+            lon: located.reduce((sum, stop) => sum + stop.location.lon, 0) / located.length
+        };
+    }
+    
+    // Part of the day a place suits, from its free-text bestTime
+    static slotFor(bestTime = '') {
+        const time = bestTime.toLowerCase();
+        if (/morning/.test(time)) return 'morning';
+        if (/midday|daytime/.test(time)) return 'midday';
+        if (/sunset|dusk/.test(time)) return 'sunset';
+        if (/evening|night/.test(time)) return 'evening';
+        // "Afternoon", and conditions like "Low tide" that aren't a time of day
+        return 'afternoon';
+    }
+    
+    // Early-opening markets are a morning stop, round-the-clock ones an evening stop
+    static marketSlot(hours = '') {
+        const opening = hours.match(/(\d{1,2}):\d{2}\s*AM/i);
+        if (opening && Number(opening[1]) < 9) return 'morning';
+        return /24\/7/.test(hours) ? 'evening' : 'afternoon';
+    }
+    
+    static isWet(day) {
+        return Boolean(day.forecast) && day.forecast.precipitationChance >= this.wetThreshold;
+    }
+    
+    // Months (0-11) named in a period such as "March-May" or "September & March"
+    static eventMonths(period) {
+        const names = EntityExtractor.months;
+        const found = (period.toLowerCase().match(new RegExp(names.join('|'), 'g')) || []).map(name => names.indexOf(name));
+        if (found.length === 2 && period.includes('-')) {
+            const months = [];
+            for (let month = found[0]; month !== found[1]; month = (month + 1) % 12) months.push(month);
+            return months.concat(found[1]);
+        }
+        return found;
+    }
+    
+    static placeStop(cityKey, place) {
+        return {
+            kind: 'place',
+            name: place.name,
+            area: place.area,
+            slot: this.slotFor(place.bestTime),
+            outdoor: this.outdoorTypes.test(place.type || ''),
+            detail: place.highlights,
+            tip: `⏰ ${place.bestTime}`,
+            location: this.locate(cityKey, place.area)
+        };
+    }
+    
+    static marketStop(cityKey, market) {
+        return {
+            kind: 'market',
+            name: market.name,
+            area: market.area,
+            slot: this.marketSlot(market.hours),
+            outdoor: this.outdoorTypes.test(market.type || ''),
+            detail: market.specialties,
+            tip: `🕒 ${market.hours}`,
+            location: this.locate(cityKey, market.area)
+        };
+    }
+    
+    static mealStop(cityKey, restaurant, slot) {
+        return {
+            kind: 'meal',
+            name: restaurant.name,
+            area: restaurant.area,
+            slot,
+            outdoor: false,
+            detail: `${restaurant.cuisine} - ${restaurant.specialty}`,
+            tip: `💰 ${restaurant.price} · 📞 ${restaurant.reservation}`,
+            location: this.locate(cityKey, restaurant.area)
+        };
+    }
+    
+    // Split located stops into `count` groups of neighbouring areas by sweeping around
+    // their centre, starting after the widest empty angle so no group spans it
+    static clusterByArea(stops, count) {
+        const centre = this.centroid(stops);
+        const swept = stops
+            .map(stop => ({ stop, angle: Math.atan2(stop.location.lat - centre.lat, stop.location.lon - centre.lon) }))
+            .sort((a, b) => a.angle - b.angle);
+        
+        let start = 0;
+        let widest = -1;
+        swept.forEach((item, index) => {
+            const previous = swept[(index + swept.length - 1) % swept.length];
+            const gap = (item.angle - previous.angle + 2 * Math.PI) % (2 * Math.PI);
+            if (gap > widest) {
+                widest = gap;
+                start = index;
+            }
+        });
+        const ordered = swept.slice(start).concat(swept.slice(0, start)).map(item => item.stop);
+        
+        const groups = [];
+        let offset = 0;
+        for (let day = 0; day < count; day++) {
+            const size = Math.floor(ordered.length / count) + (day < ordered.length % count ? 1 : 0);
+            groups.push(ordered.slice(offset, offset + size));
+            offset += size;
+        }
+        return groups;
+    }
+    
+    // Nearest restaurant to a set of stops. `used` counts meals per restaurant so far; any
+    // restaurant used fewer times wins, which spreads repeats out on long trips.
+    static pickRestaurant(cityKey, restaurants, near, used) {
+        const centre = this.centroid(near);
+        const ranked = restaurants
+            .map(restaurant => {
+                const location = this.locate(cityKey, restaurant.area);
+                const distance = location && centre ? PlacesAPI.distanceKm(centre, location) : this.anywhereKm;
+                return { restaurant, distance: distance + (used.get(restaurant.name) || 0) * 1000 };
+            })
+            .sort((a, b) => a.distance - b.distance);
+        return ranked.length > 0 ? ranked[0].restaurant : null;
+    }
+    
+    // Insert a stop before the first one that comes later in the day; stops without a slot go last
+    static insertBySlot(stops, stop) {
+        const rank = stop.slot ? this.slots.indexOf(stop.slot) : this.slots.length;
+        const index = stops.findIndex(other => other.slot && this.slots.indexOf(other.slot) > rank);
+        stops.splice(index === -1 ? stops.length : index, 0, stop);
+    }
+    
+    // Build a plan. options: { days, start: 'YYYY-MM-DD', forecast: WeatherAPI forecast days }
+    static plan(city, data, options = {}) {
+        const count = Math.max(1, Math.min(options.days || this.defaultDays, this.maxDays));
+        const forecast = new Map((options.forecast || []).map(day => [EntityExtractor.toISODate(new Date(day.date)), day]));
+        
+        const startDate = new Date(`${options.start || EntityExtractor.toISODate(new Date())}T12:00:00`);
+        const days = Array.from({ length: count }, (_, index) => {
+            const date = new Date(startDate);
+            date.setDate(date.getDate() + index);
+            const iso = EntityExtractor.toISODate(date);
+            return { date: iso, forecast: forecast.get(iso) || null, stops: [] };
+        });
+        
+        // Sights with a known area are grouped by neighbourhood; the rest (river cruises,
+        // "Citywide") can go anywhere, so they join the lightest day
+        const places = data.famousPlaces.map(place => this.placeStop(city.key, place));
+        const located = places.filter(stop => stop.location);
+        const groups = located.length > 0 ? this.clusterByArea(located, count) : days.map(() => []);
+        
+        const unscheduled = [];
+        groups.forEach(group => {
+            // Keep the stops closest to the group's centre when a day is too full
+            const centre = this.centroid(group);
+            group.sort((a, b) => PlacesAPI.distanceKm(centre, a.location) - PlacesAPI.distanceKm(centre, b.location));
+            unscheduled.push(...group.splice(this.stopsPerDay));
+        });
+        places.filter(stop => !stop.location).forEach(stop => {
+            const lightest = groups.reduce((best, group) => group.length < best.length ? group : best);
+            (lightest.length < this.stopsPerDay ? lightest : unscheduled).push(stop);
+        });
+        
+        // Markets top up the lightest day one at a time, nearest first; ones that are also
+        // famous places are skipped
+        const markets = data.shoppingMarkets
+            .filter(market => !data.famousPlaces.some(place => place.name === market.name))
+            .map(market => this.marketStop(city.key, market));
+        while (markets.length > 0) {
+            const group = groups.reduce((best, candidate) => candidate.length < best.length ? candidate : best);
+            if (group.length >= this.stopsPerDay) break;
+            
+            const centre = this.centroid(group);
+            const distance = market => centre && market.location ? PlacesAPI.distanceKm(centre, market.location) : this.anywhereKm;
+            const nearest = markets.reduce((best, market, index) => distance(market) < distance(markets[best]) ? index : best, 0);
+            group.push(markets.splice(nearest, 1)[0]);
+        }
+        
+        // With rain forecast, the groups with the most outdoor stops take the driest dates.
+        // Days past the end of the forecast rank between dry and wet ones.
+        const assigned = groups.slice();
+        if (days.some(day => this.isWet(day))) {
+            const rainChance = day => day.forecast ? day.forecast.precipitationChance : this.wetThreshold - 1;
+            const outdoorCount = group => group.filter(stop => stop.outdoor).length;
+            const byDryness = days.map((day, index) => ({ day, index })).sort((a, b) => rainChance(a.day) - rainChance(b.day));
+            const byOutdoor = groups.slice().sort((a, b) => outdoorCount(b) - outdoorCount(a));
+            byDryness.forEach(({ index }, rank) => {
+                assigned[index] = byOutdoor[rank];
+            });
+        }
+        
+        const used = new Map();
+        days.forEach((day, index) => {
+            const group = assigned[index];
+            const stops = group.slice().sort((a, b) => this.slots.indexOf(a.slot) - this.slots.indexOf(b.slot));
+            
+            // Lunch near the morning's stops, dinner near the evening's
+            const beforeLunch = stops.filter(stop => this.slots.indexOf(stop.slot) < this.slots.indexOf('lunch'));
+            const afterLunch = stops.filter(stop => this.slots.indexOf(stop.slot) > this.slots.indexOf('lunch'));
+            [['lunch', beforeLunch], ['dinner', afterLunch]].forEach(([slot, near]) => {
+                // Never the same restaurant twice in a day
+                const choices = data.restaurants.filter(restaurant => !stops.some(stop => stop.kind === 'meal' && stop.name === restaurant.name));
+                const restaurant = this.pickRestaurant(city.key, choices, near.length > 0 ? near : stops, used);
+                if (restaurant) {
+                    used.set(restaurant.name, (used.get(restaurant.name) || 0) + 1);
+                    this.insertBySlot(stops, this.mealStop(city.key, restaurant, slot));
+                }
+            });
+            day.stops = stops;
+        });
+        
+        // Festivals on a fixed date become an evening stop that day; ones spanning months
+        // are listed for the whole trip
+        const events = [];
+        const tripMonths = new Set(days.map(day => new Date(`${day.date}T12:00:00`).getMonth()));
+        data.culturalEvents.forEach(event => {
+            const fixed = event.period.match(/^([a-z]+)\s+(\d{1,2})$/i);
+            if (fixed && EntityExtractor.months.includes(fixed[1].toLowerCase())) {
+                const month = EntityExtractor.months.indexOf(fixed[1].toLowerCase());
+                const day = days.find(candidate => {
+                    const date = new Date(`${candidate.date}T12:00:00`);
+                    return date.getMonth() === month && date.getDate() === Number(fixed[2]);
+                });
+                if (day) {
+                    this.insertBySlot(day.stops, {
+                        kind: 'event',
+                        name: event.name,
+                        area: null,
+                        slot: 'evening',
+                        outdoor: false,
+                        detail: event.description,
+                        tip: `📍 ${event.locations}`,
+                        location: null
+                    });
+                }
+            } else if (this.eventMonths(event.period).some(month => tripMonths.has(month))) {
+                events.push(event);
+            }
+        });
+        
+        return {
+            cityKey: city.key,
+            cityName: city.name,
+            days,
+            unscheduled,
+            events,
+            rearranged: assigned.some((group, index) => group !== groups[index])
+        };
+    }
+    
+    // Plan for the slots of a question, or null when there is no local data for the city.
+    // An explicit length wins; otherwise a date range sets it ("this weekend" is two days).
+    // The forecast only steers outdoor stops; without one every day is treated as dry.
+    static async planFor(city, slots = {}) {
+        const data = LocalRecommendationsAPI.demoData[city.key];
+        if (!data) return null;
+        
+        const range = slots.dateRange;
+        const days = slots.days || (range
+            ? Math.round((new Date(range.end) - new Date(range.start)) / (24 * 60 * 60 * 1000)) + 1
+            : this.defaultDays);
+        const forecast = await WeatherAPI.getForecast(city, 5).catch(RequestScheduler.unlessCancelled(null));
+        return this.plan(city, data, {
+            days,
+            start: range ? range.start : EntityExtractor.toISODate(new Date()),
+            forecast: forecast ? forecast.days : []
+        });
+    }
+    
+    // Edits on the current plan; each returns false when there was nothing to change
+    static moveStop(dayIndex, stopIndex, offset) {
+        const stops = this.current.days[dayIndex].stops;
+        const target = stopIndex + offset;
+        if (target < 0 || target >= stops.length) return false;
+        [stops[stopIndex], stops[target]] = [stops[target], stops[stopIndex]];
+        return true;
+    }
+    
+    static moveToDay(dayIndex, stopIndex, targetDay) {
+        if (!this.current.days[targetDay] || targetDay === dayIndex) return false;
+        const [stop] = this.current.days[dayIndex].stops.splice(stopIndex, 1);
+        this.insertBySlot(this.current.days[targetDay].stops, stop);
+        return true;
+    }
+    
+    // Removed sights stay listed under "not scheduled" so they can be added back
+    static removeStop(dayIndex, stopIndex) {
+        const [stop] = this.current.days[dayIndex].stops.splice(stopIndex, 1);
+        if (!stop) return false;
+        if (stop.kind !== 'custom') this.current.unscheduled.push(stop);
+        return true;
+    }
+    
+    static schedule(index, targetDay) {
+        if (!this.current.days[targetDay] || !this.current.unscheduled[index]) return false;
+        const [stop] = this.current.unscheduled.splice(index, 1);
+        this.insertBySlot(this.current.days[targetDay].stops, stop);
+        return true;
+    }
+    
+    static addStop(dayIndex, name) {
+        const text = String(name || '').trim();
+        if (!text || !this.current.days[dayIndex]) return false;
+        this.current.days[dayIndex].stops.push({ kind: 'custom', name: text, area: null, slot: null, outdoor: false, detail: null, tip: null, location: null });
+        return true;
+    }
+}
+
+// Retrieval over a city's LocalRecommendationsAPI data
+// Splits the dataset into short passages tagged with where they came from, and ranks
+// them against a question by TF-IDF weighted word overlap. Generative answers use the
+// top passages as context; offline answers quote them directly.
+class LocalKnowledge {
+    static datasetLabels = {
+        local_tips: 'Local tips',
+        cultural_insights: 'Cultural insights',
+        etiquette: 'Etiquette',
+        local_food: 'Local food',
+        famous_places: 'Famous places',
+        cultural_events: 'Cultural events',
+        budget_options: 'Budget options'
+    };
+    
+    static stopWords = new Set(['a', 'an', 'the', 'and', 'or', 'but', 'is', 'are', 'was', 'were', 'be', 'do', 'does',
+        'did', 'i', 'you', 'we', 'they', 'it', 'in', 'on', 'at', 'to', 'for', 'of', 'with', 'about', 'what', 'why',
+        'how', 'when', 'where', 'who', 'which', 'can', 'should', 'would', 'could', 'there', 'their', 'this', 'that',
+        'me', 'my', 'your', 'some', 'any', 'tell', 'know', 'here', 'so', 'if', 'as', 'from', 'by', 'much']);
+    
+    static minScore = 0.5;
+    
+    // Flatten the recommendation record into { dataset, text } passages
+    static passages(localData) {
+        const passages = [];
+        const add = (key, text) => {
+            if (text) passages.push({ dataset: this.datasetLabels[key], text });
+        };
+        
+        (localData.local_tips || []).forEach(tip => add('local_tips', tip));
+        (localData.etiquette || []).forEach(rule => add('etiquette', rule));
+        (localData.cultural_insights || '').split(/(?<=\.)\s+/).forEach(sentence => add('cultural_insights', sentence));
+        (localData.local_food || []).forEach(food => add('local_food', `${food.name}: ${food.description} (${food.where})`));
+        (localData.famous_places || []).forEach(place => add('famous_places', `${place.name}: ${place.highlights}, best visited ${place.bestTime.toLowerCase()}`));
+        (localData.cultural_events || []).forEach(event => add('cultural_events', `${event.name} (${event.period}): ${event.description}. ${event.significance}`));
+        Object.entries(localData.budget_options || {}).forEach(([topic, advice]) => add('budget_options', `Budget ${topic}: ${advice}`));
+        
+        return passages;
+    }
+    
+    // Lowercased content words with common suffixes trimmed ("bowing" -> "bow", "tipping" -> "tip")
+    static tokenize(text) {
+        return (text.toLowerCase().match(/[a-z\u00c0-\u024f]+/g) || [])
+            .filter(word => word.length > 1 && !this.stopWords.has(word))
+            .map(word => this.stem(word));
+    }
+    
+    static stem(word) {
+        if (word.length <= 4) return word;
+        const base = word.replace(/(?:ing|ed)$/, '');
+        if (base !== word) return base.replace(/([^aeiouls])\1$/, '$1');
+        return word.replace(/([^s])s$/, '$1');
+    }
+    
+    // Best passages for the question; the city's own name is ignored since every passage is about it
+    static retrieve(question, passages, city, limit = 3) {
+        const cityWords = new Set(this.tokenize(city.name));
+        const terms = [...new Set(this.tokenize(question))].filter(term => !cityWords.has(term));
+        if (terms.length === 0) return [];
+        
+        const documents = passages.map(passage => new Set(this.tokenize(passage.text)));
+        const idf = term => {
+            const matches = documents.filter(words => words.has(term)).length;
+            return Math.log((documents.length + 1) / (matches + 1)) + 1;
+        };
+        const weights = new Map(terms.map(term => [term, idf(term)]));
+        
+        return passages
+            .map((passage, index) => ({
+                ...passage,
+                score: terms.reduce((sum, term) => sum + (documents[index].has(term) ? weights.get(term) : 0), 0)
+                    / Math.sqrt(documents[index].size || 1)
+            }))
+            .filter(passage => passage.score >= this.minScore)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit);
+    }
+    
+    // Instruction prompt for the text-generation model; facts are numbered so they can be cited
+    static buildPrompt(question, city, passages) {
+        const facts = passages.map((passage, index) => `[${index + 1}] (${passage.dataset}) ${passage.text}`).join('\n');
+        return `<|system|>
+You are CulturalBot, a friendly travel guide for ${city.displayName}. Answer in ${I18n.languages[I18n.language].name}, in 2-3 sentences, using only the numbered facts, and cite the facts you use like [1]. If the facts don't cover the question, say so.</s>
+<|user|>
+Facts:
+${facts}
+
+Question: ${question}</s>
+<|assistant|>
+`;
+    }
+}
+
+// News/Events API
+class NewsAPI {
+    static cacheTimeout = 60 * 60 * 1000; // 1 hour
+    static cache = new SharedCache('news', this.cacheTimeout);
+    
+    static async getLocalEvents(city) {
+        city = CityAPI.toRecord(city);
+        return ProviderRegistry.request('news', 'getLocalEvents', [city], {
+            cache: this.cache,
+            cacheKey: `news_${city.key}`
+        });
+    }
+    
+    static getSimulatedEvents(city) {
+        return [
+            {
+                title: `Local Cultural Festival in ${city.name}`,
+                description: 'Traditional music and food festival happening this weekend',
+                source: 'Local Events (Demo)'
+            }
+        ];
+    }
+}
+
+// News providers: NewsAPI → demo events
+ProviderRegistry.register('news', {
+    id: 'newsapi',
+    name: 'NewsAPI',
+    priority: 100,
+    isLive: true,
+    get enabled() { return API_CONFIG.news.enabled; },
+    get dailyBudget() { return API_CONFIG.news.dailyBudget; },
+    
+    async getLocalEvents(city) {
+        const response = await RequestScheduler.fetch('newsapi',
+            `${API_CONFIG.news.baseUrl}/everything?q=${encodeURIComponent(`"${city.name}" events culture`)}&sortBy=publishedAt&pageSize=3&apiKey=${API_CONFIG.news.apiKey}`
+        );
+        
+        if (!response.ok) {
+            return null;
+        }
+        
+        const data = await response.json();
+        return data.articles.map(article => ({
+            title: article.title,
+            description: article.description,
+            url: article.url,
+            publishedAt: article.publishedAt,
+            source: article.source.name
+        }));
+    }
+});
+
+ProviderRegistry.register('news', {
+    id: 'demo-news',
+    name: 'Demo Events',
+    priority: -1,
+    isLive: false,
+    enabled: true,
+    getLocalEvents(city) {
+        return NewsAPI.getSimulatedEvents(city);
+    }
+});
+
+// Conversation memory - what the last answer was about, so follow-ups like
+// "cheaper ones?", "and in Paris?" or "the second place" can be resolved against it
+class ConversationContext {
+    static lastIntent = null;
+    static lastCity = null;
+    static lastMessage = null;
+    static lastOptions = {};
+    static results = [];      // items shown in the last answer, in display order
+    static totalResults = 0;  // how many the search returned before paging/filtering
+    static turns = [];
+    static maxTurns = 20;
+    static pendingClarification = null; // { message, aiResult, options } while quick replies are shown
+    
+    static recordTurn(intent, city, message, options = {}) {
+        this.lastIntent = intent;
+        this.lastCity = city;
+        this.lastMessage = message;
+        this.lastOptions = options;
+        this.turns.push({ intent, city: city.key, message, timestamp: Date.now() });
+        if (this.turns.length > this.maxTurns) {
+            this.turns.shift();
+        }
+    }
+    
+    static recordResults(results, total = results.length) {
+        this.results = results;
+        this.totalResults = total;
+    }
+    
+    static reset() {
+        this.lastIntent = null;
+        this.lastCity = null;
+        this.lastMessage = null;
+        this.lastOptions = {};
+        this.results = [];
+        this.totalResults = 0;
+    }
+}
+
+// Intents users picked from clarification quick replies
+// Stored in localStorage and replayed into the offline classifier as extra training
+// examples; repeating a clarified message skips straight to the chosen intent.
+class IntentFeedback {
+    static storageKey = 'culturalbot-intent-feedback';
+    static maxEntries = 200;
+    static entries = [];
+    
+    static normalize(text) {
+        return text.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+    }
+    
+    static load() {
+        const storage = SharedCache.storage;
+        try {
+            this.entries = storage ? JSON.parse(storage.getItem(this.storageKey) || '[]') : [];
+        } catch (error) {
+            this.entries = [];
+        }
+        this.entries.forEach(entry => IntentClassifier.learn(entry.text, entry.intent));
+    }
+    
+    static record(text, intent) {
+        const normalized = this.normalize(text);
+        this.entries = this.entries.filter(entry => this.normalize(entry.text) !== normalized);
+        this.entries.push({ text, intent, timestamp: Date.now() });
+        this.entries = this.entries.slice(-this.maxEntries);
+        IntentClassifier.learn(text, intent);
+        
+        const storage = SharedCache.storage;
+        try {
+            if (storage) storage.setItem(this.storageKey, JSON.stringify(this.entries));
+        } catch (error) {
+            console.warn('Could not save intent feedback:', error);
+        }
+        console.log(`📝 Learned "${text}" → ${intent}`);
+    }
+    
+    static lookup(text) {
+        const normalized = this.normalize(text);
+        const entry = this.entries.find(item => this.normalize(item.text) === normalized);
+        return entry ? entry.intent : null;
+    }
+    
+    // Override a classification with the user's earlier choice for the same message
+    static apply(aiResult, message) {
+        const intent = this.lookup(message);
+        if (!intent) return aiResult;
+        return {
+            ...aiResult,
+            intent,
+            confidence: 1,
+            intents: [{ intent, confidence: 1 }],
+            candidates: null,
+            source: 'Your earlier choice'
+        };
+    }
+}
+
+IntentFeedback.load();
+
+// Maps follow-up messages onto the conversation context.
+// Returns null for anything that reads like a fresh question.
+class FollowUpResolver {
+    static ordinals = {
+        first: 0, '1st': 0, second: 1, '2nd': 1, third: 2, '3rd': 2,
+        fourth: 3, '4th': 3, fifth: 4, '5th': 4, last: -1
+    };
+    
+    static resolve(message, context) {
+        if (!context.lastIntent) return null;
+        
+        const lower = message.toLowerCase().trim().replace(/[?!.]+$/, '');
+        const ordinalWords = Object.keys(this.ordinals).join('|');
+        
+        // "near the first one", "close to the 2nd place", "near it"
+        const near = lower.match(new RegExp(`\\b(?:near|close to|around)\\s+(?:the\\s+)?(?:(${ordinalWords})\\s*(?:one|place|result|option)?|it|there)\\b`));
+        if (near) {
+            return { type: 'near', index: near[1] ? this.ordinals[near[1]] : 0, intent: this.mentionedIntent(message) };
+        }
+        
+        // "cheaper ones?", "anything more affordable", "on a tighter budget" - only comparatives,
+        // so "budget hotels in Tokyo" stays a question of its own
+        if (/\b(?:cheaper|less expensive|more affordable|(?:tighter|smaller|lower) budget)\b/.test(lower)) {
+            return { type: 'cheaper', intent: this.mentionedIntent(message) };
+        }
+        
+        // "more", "show me more", "any others?"
+        if (/^(?:(?:show|give|tell)(?: me)?\s+)?(?:some\s+)?more(?:\s+(?:please|results|options|places|ones))?$|\bany (?:others|more)\b|\bnext (?:ones|page|results)\b/.test(lower)) {
+            return { type: 'more' };
+        }
+        
+        // "the second place", "tell me about the 3rd one"
+        const ordinal = lower.match(new RegExp(`\\b(?:the\\s+)?(${ordinalWords})\\s+(?:one|place|result|option|restaurant|event|item)\\b`));
+        if (ordinal) {
+            return { type: 'detail', index: this.ordinals[ordinal[1]] };
+        }
+        
+        // "and in Paris?", "what about London", "how about for kyoto"
+        const city = lower.match(/^(?:and|what about|how about|ok(?:ay)?,?\s+(?:and|what about))\s+(?:in\s+|for\s+)?(.+)$|^(?:and\s+)?in\s+(.+)$/);
+        if (city) {
+            const cityQuery = (city[1] || city[2]).trim();
+            // "what about food?" is a new topic, not a city
+            if (!CityAPI.presets[CityAPI.toKey(cityQuery)] && this.mentionedIntent(cityQuery)) return null;
+            return { type: 'city', cityQuery };
+        }
+        
+        return null;
+    }
+    
+    // Intent named in the message itself, e.g. "restaurants near the first one"
+    static mentionedIntent(text) {
+        const result = AIAPI.getSimulatedResponse(text);
+        return result.intent === 'general' ? null : result.intent;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        getEnvVar, API_CONFIG, SharedCache, QuotaMeter, RequestScheduler, ProviderRegistry, CityAPI, WeatherAPI, PlacesAPI,
+        OverpassAPI, AIAPI, EntityExtractor, TraditionalClothingAPI, LocalRecommendationsAPI, PhrasebookAPI,
+        ItineraryPlanner, LocalKnowledge, NewsAPI, ConversationContext, IntentFeedback, FollowUpResolver
+    };
+}
@@ -0,0 +1,19 @@
+// Evaluation harness for the offline intent classifier
+// Trains on the "train" utterances (temperature fitted on "calibration") and prints
+// per-intent precision and recall on the held-out "test" utterances, plus accuracy,
+// calibration error and every miss. Exits with 1 when the calibration error is above
+// IntentClassifier.maxCalibrationError.
+// Usage: node evaluate-intents.js
+
+const INTENT_UTTERANCES = require('./intent-utterances.js');
+const IntentClassifier = require('./intent-classifier.js');
+
+IntentClassifier.train(INTENT_UTTERANCES.train, INTENT_UTTERANCES.calibration);
+const report = IntentClassifier.evaluate(INTENT_UTTERANCES.test);
+
+console.log(IntentClassifier.formatReport(report));
+
+if (report.calibrationError > IntentClassifier.maxCalibrationError) {
+    console.error('\n❌ Confidences are off by more than the calibration target');
+    process.exitCode = 1;
+}
@@ -1,73 +1,30 @@
 // Enhanced CulturalBot with Free APIs Integration
 // Performance-optimized with real API calls
-
-// Secure Configuration with Environment Variable Support
-// Priority: 1) Runtime config 2) Build-time env vars 3) Default values
-
-// Function to safely get configuration values
-function getEnvVar(key, defaultValue = null) {
-    // Try multiple sources for environment variables
-    if (typeof window !== 'undefined' && window.CONFIG && window.CONFIG[key]) {
-        return window.CONFIG[key];
-    }
-    if (typeof process !== 'undefined' && process.env && process.env[key]) {
-        return process.env[key];
-    }
-    return defaultValue;
-}
-
-// Secure API Configuration
-const API_CONFIG = {
-    // OpenWeatherMap Free API (1000 calls/day)
-    weather: {
-        apiKey: getEnvVar('OPENWEATHER_API_KEY'),
-        baseUrl: 'https://api.openweathermap.org/data/2.5',
-        get enabled() { return !!this.apiKey && this.apiKey !== 'YOUR_OPENWEATHER_API_KEY' && this.apiKey !== null; }
-    },
-    
-    // Nominatim (OpenStreetMap) - Completely free
-    places: {
-        baseUrl: 'https://nominatim.openstreetmap.org',
-        enabled: true
-    },
-    
-    // Hugging Face Inference API - Free
-    ai: {
-        apiKey: getEnvVar('HUGGINGFACE_TOKEN'),
-        baseUrl: 'https://api-inference.huggingface.co',
-        get enabled() { return !!this.apiKey && this.apiKey !== 'YOUR_HUGGING_FACE_TOKEN' && this.apiKey !== null; }
-    },
-    
-    // NewsAPI Free (1000 requests/day)
-    news: {
-        apiKey: getEnvVar('NEWS_API_KEY'),
-        baseUrl: 'https://newsapi.org/v2',
-        get enabled() { return !!this.apiKey && this.apiKey !== 'YOUR_NEWSAPI_KEY' && this.apiKey !== null; }
-    }
-};
-
-// Add configuration status logging
-console.log('🔧 API Configuration Status (Live-First Mode):');
-console.log('Weather API:', API_CONFIG.weather.enabled ? '✅ LIVE - OpenWeatherMap' : '⚠️ DEMO - Add API key for live data');
-console.log('Places API:', API_CONFIG.places.enabled ? '✅ LIVE - OpenStreetMap' : '❌ DISABLED');
-console.log('AI API:', API_CONFIG.ai.enabled ? '✅ LIVE - Hugging Face' : '⚠️ DEMO - Add token for live responses');
-console.log('News API:', API_CONFIG.news.enabled ? '✅ LIVE - NewsAPI' : '⚠️ DEMO - Add API key for live news');
-console.log('🎯 Priority: Live APIs → Demo fallback only when APIs fail');
+// This is the page: chat, cards, map, trip list and sessions. The data layer is in
+// cultural-apis.js and questions are routed by intent-router.js.
 
 // Global variables
-let currentCity = 'tokyo';
+let currentCity = null; // normalized city record, see CityAPI
 let responseCache = new Map();
-let apiCallCount = { weather: 0, places: 0, ai: 0, news: 0 };
+let latestRequest = 0; // the question or city change being answered, see startRequest
+
+// Start in Tokyo until the user picks another city
+currentCity = CityAPI.toRecord('tokyo');
 
 // Initialize the application
 document.addEventListener('DOMContentLoaded', function() {
+    ChatSessions.start();
     initializeApp();
     setupEventListeners();
     updateAPIStatus();
+    showAPIUsageStats();
+    renderTripPanel();
+    renderSessionList();
+    replaySharedSession();
 });
 
 function initializeApp() {
-    addBotMessage('🚀 Enhanced CulturalBot is ready! Prioritizing live APIs for authentic, real-time information.', '🤖 System Ready');
+    addBotMessage(I18n.t('system.ready'), I18n.t('category.systemReady'));
     
     // Show API capabilities and status
     setTimeout(() => {
@@ -75,33 +32,45 @@ function initializeApp() {
         apiInfo.className = 'api-powered';
         
         // Check API status and provide appropriate messaging
-        const weatherLive = API_CONFIG.weather.enabled;
-        const placesLive = API_CONFIG.places.enabled;
-        const aiLive = API_CONFIG.ai.enabled;
-        const newsLive = API_CONFIG.news.enabled;
-        
-        let statusMessage = '<strong>🔥 Live Data Sources:</strong><br>';
-        
-        statusMessage += `• Weather: ${weatherLive ? '✅ Live OpenWeatherMap' : '⚠️ Demo data (add API key for live)'}<br>`;
-        statusMessage += `• Places: ${placesLive ? '✅ Live OpenStreetMap' : '❌ Error'}<br>`;
-        statusMessage += `• AI Responses: ${aiLive ? '✅ Live Hugging Face' : '⚠️ Demo data (add token for live)'}<br>`;
-        statusMessage += `• News/Events: ${newsLive ? '✅ Live NewsAPI' : '⚠️ Demo data (add API key for live)'}<br>`;
-        
-        if (!weatherLive || !aiLive || !newsLive) {
-            statusMessage += '<br><strong>💡 For full live experience:</strong> Add your API keys in config.js';
-        }
+        let allLive = true;
+        const services = ProviderRegistry.getServices().map(service => {
+            const provider = ProviderRegistry.getActiveProvider(service.id);
+            const live = ProviderRegistry.isLive(service.id);
+            allLive = allLive && live;
+            return html`• ${service.title}: ${live ? `✅ Live ${provider.name}` : `⚠️ Demo data (${service.demoHint})`}<br>`;
+        });
         
-        apiInfo.innerHTML = statusMessage;
+        SafeHTML.render(apiInfo, html`
+            <strong>🔥 Live Data Sources:</strong><br>
+            ${services}
+            ${allLive ? '' : html`<br><strong>💡 For full live experience:</strong> Add your API keys in config.js`}
+        `);
         document.getElementById('messages').appendChild(apiInfo);
         document.getElementById('messages').scrollTop = document.getElementById('messages').scrollHeight;
     }, 1000);
 }
 
 function setupEventListeners() {
-    // City selector change
-    document.getElementById('citySelect').addEventListener('change', function() {
-        currentCity = this.value;
-        updateCityInfo();
+    // Free-text city input (suggestions come from the built-in cities)
+    const cityInput = document.getElementById('cityInput');
+    SafeHTML.render(document.getElementById('cityOptions'), html`${CityAPI.getPresets()
+        .map(city => html`<option value="${city.displayName}">${city.emoji} ${city.displayName}</option>`)}`);
+    cityInput.addEventListener('change', function() {
+        changeCity(this.value);
+    });
+    cityInput.addEventListener('keypress', function(e) {
+        if (e.key === 'Enter') {
+            changeCity(this.value);
+        }
+    });
+    
+    // Reply language: auto-detect from each message, or always the one picked here
+    const languageSelect = document.getElementById('languageSelect');
+    SafeHTML.render(languageSelect, html`<option value="">${I18n.t('language.auto')}</option>${Object.entries(I18n.languages)
+        .map(([code, language]) => html`<option value="${code}">${language.label}</option>`)}`);
+    languageSelect.value = I18n.chosen || '';
+    languageSelect.addEventListener('change', function() {
+        I18n.choose(this.value);
     });
     
     // Category buttons
@@ -111,6 +80,27 @@ function setupEventListeners() {
         });
     });
     
+    // Cache controls
+    document.getElementById('clearCacheBtn').addEventListener('click', clearCache);
+    
+    // Trip list exports
+    document.querySelectorAll('[data-export]').forEach(btn => {
+        btn.addEventListener('click', function() {
+            exportTrip(this.dataset.export);
+        });
+    });
+    
+    // Chat sessions: saved as the conversation changes, exported or shared from the sidebar
+    new MutationObserver(() => ChatSessions.scheduleCapture())
+        .observe(document.getElementById('messages'), { childList: true, subtree: true });
+    document.getElementById('newChatBtn').addEventListener('click', startNewChat);
+    document.getElementById('shareSessionBtn').addEventListener('click', shareSession);
+    document.querySelectorAll('[data-session-export]').forEach(btn => {
+        btn.addEventListener('click', function() {
+            exportSession(this.dataset.sessionExport);
+        });
+    });
+    
     // Enter key for message input
     document.getElementById('messageInput').addEventListener('keypress', function(e) {
         if (e.key === 'Enter') {
@@ -119,1660 +109,1892 @@ function setupEventListeners() {
     });
 }
 
+function updateCacheStatus() {
+    const stats = SharedCache.getStats();
+    const size = stats.bytes > 1024 ? `${(stats.bytes / 1024).toFixed(1)} KB` : `${stats.bytes} B`;
+    document.getElementById('cacheStatus').textContent = stats.persistent
+        ? `${stats.entries} cached · ${size}`
+        : `${stats.entries} cached (memory only)`;
+}
+
+function clearCache() {
+    const removed = SharedCache.clearAll();
+    updateCacheStatus();
+    addBotMessage(I18n.t(removed === 1 ? 'cache.cleared.one' : 'cache.cleared.other', { count: removed }), I18n.t('category.cacheCleared'));
+}
+
 function updateAPIStatus() {
-    document.getElementById('weatherStatus').className = 
-        API_CONFIG.weather.enabled ? 'status-active' : 'status-inactive';
-    document.getElementById('placesStatus').className = 
-        API_CONFIG.places.enabled ? 'status-active' : 'status-inactive';
-    document.getElementById('aiStatus').className = 
-        API_CONFIG.ai.enabled ? 'status-active' : 'status-inactive';
-    document.getElementById('eventsStatus').className = 
-        API_CONFIG.news.enabled ? 'status-active' : 'status-inactive';
+    const statusList = document.getElementById('apiStatusList');
+    statusList.innerHTML = '';
+    
+    ProviderRegistry.getServices().forEach(service => {
+        const provider = ProviderRegistry.getActiveProvider(service.id);
+        const item = document.createElement('div');
+        item.className = 'status-item';
+        SafeHTML.render(item, html`
+            <span>${service.label}:</span>
+            <span id="${service.id}Status" class="${ProviderRegistry.isLive(service.id) ? 'status-active' : 'status-inactive'}"
+                  title="${provider ? provider.name : 'No provider'}">⚡ Ready</span>
+        `);
+        statusList.appendChild(item);
+    });
+    
+    updateCacheStatus();
 }
 
-// Enhanced Weather API with caching
-class WeatherAPI {
-    static cache = new Map();
-    static cacheTimeout = 10 * 60 * 1000; // 10 minutes
+// The chat is the router's front end on the page
+IntentRouter.use({
+    get city() {
+        return currentCity;
+    },
+    setCity: setCurrentCity,
+    message: addBotMessage,
+    slots(slots) {
+        const slotDiv = document.createElement('div');
+        slotDiv.className = 'api-powered';
+        SafeHTML.render(slotDiv, html`🎯 <strong>${I18n.t('slots.understood')}:</strong> ${EntityExtractor.describe(slots)}`);
+        document.getElementById('messages').appendChild(slotDiv);
+    },
+    section(index, total, intent, confidence) {
+        const header = document.createElement('div');
+        header.className = 'intent-section';
+        SafeHTML.render(header, html`
+            <span>${index + 1}/${total}</span>
+            <strong>${intentLabel(intent)}</strong>
+            <small>${I18n.t('multi.match', { percent: Math.round(confidence * 100) })}</small>
+        `);
+        document.getElementById('messages').appendChild(header);
+    },
+    clarify: askForClarification,
+    detail: showResultDetail,
+    answers: {
+        weather: options => handleWeatherQuery(options.timeframe, options.dateRange),
+        food: handleFoodQuery,
+        culture: handleCultureQuery,
+        events: () => handleEventsQuery(),
+        places: handlePlacesQuery,
+        shopping: handleShoppingQuery,
+        clothing: () => handleEnhancedClothingQuery(),
+        local: () => handleLocalRecommendations(),
+        phrases: (options, message) => handlePhrasesQuery(message),
+        itinerary: handleItineraryQuery,
+        general: (options, message) => handleGeneralQuery(message)
+    }
+});
+
+// Buttons in the chat name their action in data-action and take its arguments from their
+// other data-* attributes, so no data ends up inside script
+const CHAT_ACTIONS = {
+    chooseIntent: data => chooseIntent(data.intent),
+    speakPhrase: data => speakPhrase(data.language, data.section, Number(data.index)),
+    showLocalDetail: data => showLocalDetail(data.section, data.city),
+    showLocalTips: data => showLocalTips(data.city)
+};
+
+// Wire up the action buttons under `root` once it is rendered
+function bindChatActions(root) {
+    root.querySelectorAll('[data-action]').forEach(button => {
+        const action = CHAT_ACTIONS[button.dataset.action];
+        if (action) button.addEventListener('click', () => action(button.dataset));
+    });
+}
+
+// Offer quick replies for the likely intents; the router waits for the pick
+function askForClarification(candidates) {
+    addBotMessage(I18n.t('clarify.prompt'), I18n.t('category.quickQuestion'));
+    const repliesDiv = document.createElement('div');
+    repliesDiv.className = 'quick-suggestions clarification';
+    SafeHTML.render(repliesDiv, html`${candidates.map(({ intent }) =>
+        html`<button class="quick-btn" data-action="chooseIntent" data-intent="${intent}">${intentLabel(intent)}</button>`
+    )}`);
+    bindChatActions(repliesDiv);
+    document.getElementById('messages').appendChild(repliesDiv);
+    document.getElementById('messages').scrollTop = document.getElementById('messages').scrollHeight;
+}
+
+// Quick-reply handler: answer the pending message with the chosen intent
+async function chooseIntent(intent) {
+    if (!ConversationContext.pendingClarification) return;
+    document.querySelectorAll('.clarification .quick-btn').forEach(button => {
+        button.disabled = true;
+    });
     
-    static async getCurrentWeather(city) {
-        const cacheKey = `weather_${city}`;
-        const cached = this.cache.get(cacheKey);
+    addUserMessage(intentLabel(intent));
+    ChatSessions.recordIntent(intent);
+    const request = startRequest();
+    
+    try {
+        await IntentRouter.choose(intent);
+        showAPIUsageStats();
+        updateCacheStatus();
+    } catch (error) {
+        if (RequestScheduler.isCancelled(error)) return;
+        console.error('Error processing message:', error);
+        addBotMessage(I18n.t('error.generic'), I18n.t('category.error'));
+    } finally {
+        finishRequest(request);
+    }
+}
+
+// Full card for a single referenced result (place, event or clothing item)
+function showResultDetail(item) {
+    addBotMessage(I18n.t('details.intro', { name: item.name || item.title }), I18n.t('category.details'));
+    
+    const detailDiv = document.createElement('div');
+    detailDiv.className = 'recommendation';
+    const skip = ['name', 'title', 'lat', 'lon', 'importance', 'distanceKm'];
+    const rows = Object.entries(item)
+        .filter(([key, value]) => !skip.includes(key) && value !== null && value !== undefined && value !== '')
+        .map(([key, value]) => html`<p><strong>${key.replace(/([A-Z])/g, ' $1').replace(/_/g, ' ')}:</strong> ${Array.isArray(value) ? value.join(', ') : value}</p>`);
+    SafeHTML.render(detailDiv, html`<h4>${item.name || item.title}</h4>${rows}`);
+    document.getElementById('messages').appendChild(detailDiv);
+    
+    if (item.lat && item.lon) {
+        const category = ConversationContext.lastIntent === 'places' ? 'tourist' : ConversationContext.lastIntent;
+        const [placeId] = PlaceMap.addPlaces(currentCity, [item], category);
+        linkPlaceCard(detailDiv, placeId);
+        PlaceMap.panTo(placeId);
+    }
+    document.getElementById('messages').scrollTop = document.getElementById('messages').scrollHeight;
+}
+
+// Main message processing function
+async function sendMessage(message) {
+    if (!message) {
+        message = document.getElementById('messageInput').value.trim();
+        if (!message) return;
+        document.getElementById('messageInput').value = '';
+    }
+    
+    // Add user message
+    addUserMessage(message);
+    ChatSessions.recordQuery(message);
+    
+    // Show loading
+    const request = startRequest();
+    
+    try {
+        await IntentRouter.handle(message);
         
-        if (cached && Date.now() - cached.timestamp < this.cacheTimeout) {
-            console.log('🎯 Using cached weather data');
-            return cached.data;
-        }
+        // Show API usage stats
+        showAPIUsageStats();
+        updateCacheStatus();
         
-        // Priority 1: Try live API if enabled
-        if (API_CONFIG.weather.enabled) {
-            try {
-                console.log('🌤️ Fetching LIVE weather data from OpenWeatherMap...');
-                const response = await fetch(
-                    `${API_CONFIG.weather.baseUrl}/weather?q=${city}&appid=${API_CONFIG.weather.apiKey}&units=metric`
-                );
-                
-                if (response.ok) {
-                    const data = await response.json();
-                    const weatherData = {
-                        temperature: Math.round(data.main.temp),
-                        condition: data.weather[0].description,
-                        humidity: data.main.humidity,
-                        windSpeed: data.wind.speed,
-                        pressure: data.main.pressure,
-                        timestamp: new Date().toLocaleString(),
-                        source: 'OpenWeatherMap API (LIVE)',
-                        isRealTime: true
-                    };
-                    
-                    // Cache the result
-                    this.cache.set(cacheKey, {
-                        data: weatherData,
-                        timestamp: Date.now()
-                    });
-                    
-                    apiCallCount.weather++;
-                    console.log('✅ Successfully fetched LIVE weather data');
-                    return weatherData;
-                } else {
-                    console.log('⚠️ Weather API response error:', response.status);
-                }
-            } catch (error) {
-                console.error('❌ Weather API error:', error);
-            }
-        }
+    } catch (error) {
+        // Replaced by a newer message or city change, which answers instead
+        if (RequestScheduler.isCancelled(error)) return;
+        console.error('Error processing message:', error);
+        addBotMessage(I18n.t('error.generic'), I18n.t('category.error'));
+    } finally {
+        finishRequest(request);
+    }
+}
+
+async function handleWeatherQuery(timeframe = null, dateRange = null) {
+    if (timeframe) {
+        await handleForecastQuery(timeframe, dateRange);
+        return;
+    }
+    
+    const weather = await WeatherAPI.getCurrentWeather(currentCity);
+    
+    addBotMessage(I18n.t('weather.current', { city: currentCity.name }), I18n.t('category.liveWeather'));
+    
+    Cards.append('weather', weather);
+    
+    if (weather.isRealTime) {
+        const indicator = document.createElement('div');
+        indicator.className = 'performance-indicator';
+        indicator.textContent = I18n.t('weather.realTime');
+        document.getElementById('messages').appendChild(indicator);
+    }
+}
+
+async function handleForecastQuery(timeframe, dateRange = null) {
+    const { forecast, days, heading, weekendBeyond } = await IntentRouter.forecast(timeframe, dateRange);
+    addBotMessage(heading, I18n.t('category.forecast'));
+    
+    if (weekendBeyond) {
+        addBotMessage(I18n.t('forecast.weekendBeyond'), I18n.t('category.info'));
+    }
+    
+    const stripDiv = document.createElement('div');
+    stripDiv.className = 'forecast-strip';
+    SafeHTML.render(stripDiv, html`${days.map(day => html`
+        <div class="forecast-day">
+            <h4>${IntentRouter.formatDay(day.date)}</h4>
+            <p class="forecast-temp">${day.maxTemp}° / ${day.minTemp}°C</p>
+            <p>${day.condition}</p>
+            <p><small>💧 ${day.precipitationChance}% | 💦 ${day.humidity}%</small></p>
+        </div>
+    `)}`);
+    document.getElementById('messages').appendChild(stripDiv);
+    
+    const sourceDiv = document.createElement('div');
+    sourceDiv.className = 'api-powered';
+    SafeHTML.render(sourceDiv, html`📡 ${I18n.t('common.source')}: ${forecast.source} | ${forecast.timestamp}`);
+    document.getElementById('messages').appendChild(sourceDiv);
+    document.getElementById('messages').scrollTop = document.getElementById('messages').scrollHeight;
+}
+
+async function handleFoodQuery(options = {}) {
+    const places = await IntentRouter.findPlaces('food', options);
+
+    addBotMessage(I18n.t('food.heading', { city: currentCity.name }), I18n.t('category.localCuisine'));
+
+    if (places.length > 0) {
+        const placeIds = PlaceMap.addPlaces(currentCity, places, 'food');
+        PlaceMap.show();
         
-        // Priority 2: Fallback to demo data when API fails or not configured
-        console.log('📊 Using demo weather data (API unavailable or failed)');
-        return this.getSimulatedWeather(city);
+        places.forEach((place, index) => {
+            Cards.append('place', place, { category: 'food', placeId: placeIds[index] });
+        });
+
+        const tipDiv = document.createElement('div');
+        tipDiv.className = 'api-powered';
+        SafeHTML.render(tipDiv, SafeHTML.raw(I18n.t('food.tip')));
+        document.getElementById('messages').appendChild(tipDiv);
+    } else {
+        addBotMessage(I18n.t('food.none'), I18n.t('category.foodSuggestion'));
     }
+}
+
+async function handleEventsQuery() {
+    const events = await NewsAPI.getLocalEvents(currentCity);
+    ConversationContext.recordResults(events);
     
-    static getSimulatedWeather(city) {
-        const temps = { tokyo: 22, paris: 16, mumbai: 28, delhi: 32, newyork: 18 };
-        return {
-            temperature: temps[city] || 20,
-            condition: 'partly cloudy',
-            humidity: 65,
-            windSpeed: 5.2,
-            pressure: 1013,
-            timestamp: new Date().toLocaleString(),
-            source: 'Demo Data (Add API key for live)',
-            isRealTime: false
-        };
+    addBotMessage(I18n.t('events.heading', { city: currentCity.name }), I18n.t('category.localEvents'));
+    
+    events.forEach(event => Cards.append('event', event));
+}
+
+async function handleCultureQuery(options = {}) {
+    const places = await IntentRouter.findPlaces('culture', options);
+    
+    addBotMessage(I18n.t('culture.heading', { city: currentCity.name }), I18n.t('category.culturalSites'));
+    
+    if (places.length > 0) {
+        const placeIds = PlaceMap.addPlaces(currentCity, places, 'culture');
+        PlaceMap.show();
+        
+        places.forEach((place, index) => {
+            Cards.append('place', place, { category: 'culture', placeId: placeIds[index] });
+        });
+    } else {
+        addBotMessage(I18n.t('culture.none'), I18n.t('category.suggestion'));
     }
 }
 
-// Places API using OpenStreetMap Nominatim (Free)
-class PlacesAPI {
-    static cache = new Map();
-    static cacheTimeout = 30 * 60 * 1000; // 30 minutes
+async function handlePlacesQuery(options = {}) {
+    const places = await IntentRouter.findPlaces('tourist', options);
+    
+    addBotMessage(I18n.t('places.heading', { city: currentCity.name }), I18n.t('category.touristAttractions'));
     
-    static async searchPlaces(city, category) {
-        const cacheKey = `places_${city}_${category}`;
-        const cached = this.cache.get(cacheKey);
+    if (places.length > 0) {
+        const placeIds = PlaceMap.addPlaces(currentCity, places, 'tourist');
+        PlaceMap.show();
         
-        if (cached && Date.now() - cached.timestamp < this.cacheTimeout) {
-            console.log('🎯 Using cached places data');
-            return cached.data;
-        }
+        places.forEach((place, index) => {
+            Cards.append('place', place, { category: 'tourist', placeId: placeIds[index] });
+        });
         
-        // Priority 1: Always try live OpenStreetMap API first (it's free)
-        try {
-            console.log('📍 Fetching LIVE places data from OpenStreetMap...');
-            // Generate proper search queries for each category and city
-            const searchQueries = this.generateSearchQueries(city, category);
-            const allPlaces = [];
-            
-            // Search for multiple query types to get diverse results
-            for (const query of searchQueries) {
-                try {
-                    const response = await fetch(
-                        `${API_CONFIG.places.baseUrl}/search?q=${encodeURIComponent(query)}&format=json&limit=3&addressdetails=1&bounded=1&extratags=1`
-                    );
-                    
-                    if (response.ok) {
-                        const data = await response.json();
-                        const places = data
-                            .filter(place => place.display_name && place.lat && place.lon)
-                            .map(place => ({
-                                name: this.extractLocationName(place),
-                                address: place.display_name,
-                                lat: place.lat,
-                                lon: place.lon,
-                                type: place.type || place.class || 'attraction',
-                                category: place.class,
-                                importance: place.importance || 0,
-                                source: 'OpenStreetMap (LIVE)'
-                            }));
-                        
-                        allPlaces.push(...places);
-                    }
-                    
-                    // Add small delay between requests to be respectful to the API
-                    await new Promise(resolve => setTimeout(resolve, 100));
-                } catch (queryError) {
-                    console.log(`Query failed: ${query}`, queryError);
-                }
-            }
-            
-            // Remove duplicates and sort by importance
-            const uniquePlaces = this.removeDuplicates(allPlaces);
-            const sortedPlaces = uniquePlaces
-                .sort((a, b) => (b.importance || 0) - (a.importance || 0))
-                .slice(0, 5); // Limit to top 5 results
-            
-            // If we got good results from live API, use them
-            if (sortedPlaces.length > 0) {
-                // Cache the result
-                this.cache.set(cacheKey, {
-                    data: sortedPlaces,
-                    timestamp: Date.now()
-                });
-                
-                apiCallCount.places++;
-                console.log('✅ Successfully fetched LIVE places data');
-                return sortedPlaces;
-            }
-            
-        } catch (error) {
-            console.error('❌ Places API error:', error);
-        }
+        // Add helpful tip
+        const tipDiv = document.createElement('div');
+        tipDiv.className = 'api-powered';
+        SafeHTML.render(tipDiv, SafeHTML.raw(I18n.t('places.tip')));
+        document.getElementById('messages').appendChild(tipDiv);
+    } else {
+        addBotMessage(I18n.t('places.none'), I18n.t('category.suggestion'));
+    }
+}
+
+async function handleShoppingQuery(options = {}) {
+    const places = await IntentRouter.findPlaces('shopping', options);
+
+    addBotMessage(I18n.t('shopping.heading', { city: currentCity.name }), I18n.t('category.shopping'));
+
+    if (places.length > 0) {
+        const placeIds = PlaceMap.addPlaces(currentCity, places, 'shopping');
+        PlaceMap.show();
         
-        // Priority 2: Fallback to curated demo data when API fails or returns no results
-        console.log('📊 Using demo places data (API failed or no results)');
-        return this.getFallbackPlaces(city, category);
-    }
-    
-    // Generate appropriate search queries based on city and category
-    static generateSearchQueries(city, category) {
-    const queries = [];
-
-    const cityData = {
-        delhi: {
-            culture: ['Red Fort Delhi', 'Qutub Minar Delhi', 'Humayun Tomb Delhi', 'Lotus Temple Delhi', 'National Museum Delhi'],
-            tourist: ['India Gate Delhi', 'Red Fort Delhi', 'Lotus Temple Delhi', 'Akshardham Temple Delhi'],
-            food: ['restaurants Delhi', 'popular restaurants Delhi', 'local food Delhi', 'best places to eat Delhi'],
-            shopping: ['markets Delhi', 'famous shopping markets Delhi', 'shopping districts Delhi', 'local bazaars Delhi']
-        },
-        tokyo: {
-            culture: ['Senso-ji Temple Tokyo', 'Meiji Shrine Tokyo', 'Tokyo National Museum', 'Imperial Palace Tokyo'],
-            tourist: ['Tokyo Tower', 'Tokyo Skytree', 'Shibuya Crossing Tokyo', 'Asakusa Tokyo'],
-            food: ['restaurants Tokyo', 'Tsukiji Market Tokyo', 'best sushi Tokyo', 'local food Tokyo'],
-            shopping: ['Shibuya shopping district Tokyo', 'Harajuku shopping Tokyo', 'Ginza Tokyo markets', 'Akihabara Tokyo']
-        },
-        mumbai: {
-            culture: ['Gateway of India Mumbai', 'Chhatrapati Shivaji Terminus Mumbai', 'Elephanta Caves Mumbai'],
-            tourist: ['Marine Drive Mumbai', 'Gateway of India Mumbai', 'Juhu Beach Mumbai'],
-            food: ['restaurants Mumbai', 'Mohammed Ali Road Mumbai', 'best street food Mumbai', 'local food Mumbai'],
-            shopping: ['Linking Road Mumbai', 'Colaba Causeway Mumbai', 'Crawford Market Mumbai', 'Fashion Street Mumbai']
-        },
-        paris: {
-            culture: ['Louvre Museum Paris', 'Notre Dame Paris', 'Musée d\'Orsay Paris', 'Sainte-Chapelle Paris'],
-            tourist: ['Eiffel Tower Paris', 'Arc de Triomphe Paris', 'Champs-Élysées Paris', 'Montmartre Paris'],
-            food: ['restaurants Paris', 'Le Marais Paris food', 'Latin Quarter Paris restaurants', 'best bistros Paris'],
-            shopping: ['Champs-Élysées Paris shops', 'Le Marais Paris markets', 'Galeries Lafayette Paris', 'Rue Saint-Honoré Paris']
-        },
-        newyork: {
-            culture: ['Metropolitan Museum New York', 'MoMA New York', 'Guggenheim Museum New York'],
-            tourist: ['Statue of Liberty New York', 'Central Park New York', 'Times Square New York', 'Brooklyn Bridge New York'],
-            food: ['restaurants New York', 'Little Italy New York', 'Chinatown New York', 'best pizza New York'],
-            shopping: ['Fifth Avenue New York', 'SoHo New York', 'Chelsea Market New York', 'Union Square Market New York']
-        },
-        london: {
-            culture: ['British Museum London', 'Tate Modern London', 'National Gallery London', 'Westminster Abbey London'],
-            tourist: ['Big Ben London', 'Tower Bridge London', 'London Eye', 'Buckingham Palace London'],
-            food: ['restaurants London', 'Borough Market London', 'Camden Market London food', 'Covent Garden London'],
-            shopping: ['Oxford Street London', 'Camden Market London shops', 'Portobello Road London', 'Covent Garden Market London']
-        },
-        istanbul: {
-            culture: ['Hagia Sophia Istanbul', 'Blue Mosque Istanbul', 'Topkapi Palace Istanbul'],
-            tourist: ['Galata Tower Istanbul', 'Bosphorus Bridge Istanbul', 'Taksim Square Istanbul'],
-            food: ['restaurants Istanbul', 'Grand Bazaar Istanbul food', 'Eminönü Istanbul restaurants', 'local food Istanbul'],
-            shopping: ['Grand Bazaar Istanbul', 'Istinye Park Istanbul', 'Spice Bazaar Istanbul', 'Nişantaşı Istanbul']
-        },
-        barcelona: {
-            culture: ['Sagrada Familia Barcelona', 'Park Güell Barcelona', 'Picasso Museum Barcelona'],
-            tourist: ['Casa Batlló Barcelona', 'Gothic Quarter Barcelona', 'La Rambla Barcelona'],
-            food: ['restaurants Barcelona', 'Boquería Market Barcelona', 'Gothic Quarter Barcelona food', 'local tapas Barcelona'],
-            shopping: ['Passeig de Gràcia Barcelona', 'Gothic Quarter Barcelona shops', 'El Born Barcelona markets']
-        }
-    };
+        places.forEach((place, index) => {
+            Cards.append('place', place, { category: 'shopping', placeId: placeIds[index] });
+        });
+    } else {
+        addBotMessage(I18n.t('shopping.none'), I18n.t('category.shoppingSuggestion'));
+    }
+}    
 
-    const cityQueries = cityData[city];
-
-    if (cityQueries && cityQueries[category]) {
-        queries.push(...cityQueries[category].slice(0, 5));
-    }
-
-    if (queries.length === 0) {
-        switch (category) {
-            case 'culture':
-                queries.push(`museums ${city}`, `temples ${city}`, `heritage sites ${city}`, `art galleries ${city}`);
-                break;
-            case 'food':
-                queries.push(`restaurants ${city}`, `food markets ${city}`, `local cuisine ${city}`, `best places to eat ${city}`);
-                break;
-            case 'shopping':
-                queries.push(`famous markets ${city}`, `shopping districts ${city}`, `local bazaars ${city}`, `markets ${city}`);
-                break;
-            case 'places':
-            case 'tourist':
-                queries.push(`tourist attractions ${city}`, `landmarks ${city}`, `monuments ${city}`, `famous places ${city}`);
-                break;
-            default:
-                queries.push(`${category} in ${city}`, `top ${category} ${city}`);
+async function handleGeneralQuery(message = '') {
+    const answer = message ? await AIAPI.answerQuestion(message, currentCity) : null;
+    if (!answer) {
+        addBotMessage(I18n.t('general.help'), I18n.t('category.generalHelp'));
+        return;
+    }
+    
+    if (answer.generated) {
+        addBotMessage(answer.text, I18n.t('category.aiAnswer'));
+    } else {
+        addBotMessage(`${I18n.t('general.localGuide', { city: currentCity.name })}\n${answer.text}`, I18n.t('category.localGuide'));
+    }
+    
+    // Cite the local datasets the answer drew from
+    const datasets = [...new Set(answer.sources.map(passage => passage.dataset))];
+    const sourceDiv = document.createElement('div');
+    sourceDiv.className = 'api-powered';
+    SafeHTML.render(sourceDiv, html`📚 <strong>${I18n.t('general.sources')}:</strong> ${datasets.join(', ')} (${I18n.t('general.dataset', { city: currentCity.name })})${answer.generated ? html` | 🧠 ${I18n.t('general.generated')}` : ''}`);
+    document.getElementById('messages').appendChild(sourceDiv);
+    document.getElementById('messages').scrollTop = document.getElementById('messages').scrollHeight;
+}
+
+// Phrasebook for the city's language: the phrase asked for ("how do I say thank you?"),
+// or every section when nothing specific matched
+async function handlePhrasesQuery(message = '') {
+    const book = PhrasebookAPI.getPhrasebook(currentCity);
+    ConversationContext.recordResults([]);
+    
+    if (!book) {
+        const key = PhrasebookAPI.getLanguage(currentCity) === 'en' ? 'phrases.english' : 'phrases.unavailable';
+        addBotMessage(I18n.t(key, { city: currentCity.name }), I18n.t('category.phrasebook'));
+        return;
+    }
+    
+    const language = I18n.languages[book.language].label;
+    const query = PhrasebookAPI.extractQuery(I18n.toEnglish(message));
+    const matches = query ? PhrasebookAPI.search(query, currentCity) : [];
+    
+    if (matches.length > 0) {
+        addBotMessage(I18n.t('phrases.found', { query, language }), I18n.t('category.phrasebook'));
+        const phraseDiv = document.createElement('div');
+        phraseDiv.className = 'recommendation';
+        SafeHTML.render(phraseDiv, html`${matches.map(entry => renderPhrase(entry, book.language))}`);
+        document.getElementById('messages').appendChild(phraseDiv);
+    } else {
+        if (query) {
+            addBotMessage(I18n.t('phrases.notFound', { query }), I18n.t('category.info'));
         }
+        addBotMessage(I18n.t('phrases.heading', { language, city: currentCity.name }), I18n.t('category.phrasebook'));
+        
+        PhrasebookAPI.sections.forEach(section => {
+            const numbers = section === 'emergency' && book.emergencyNumbers
+                ? Object.entries(book.emergencyNumbers).map(([service, number]) => `${I18n.t(`phrases.number.${service}`)} ${number}`).join(' · ')
+                : null;
+            const sectionDiv = document.createElement('div');
+            sectionDiv.className = 'recommendation';
+            SafeHTML.render(sectionDiv, html`
+                <h4>${I18n.t(`phrases.section.${section}`)}</h4>
+                ${book.sections[section].map((entry, index) => renderPhrase({ ...entry, section, index }, book.language))}
+                ${section === 'shopping' && book.hagglingNote ? html`<p><small>💡 ${book.hagglingNote}</small></p>` : ''}
+                ${numbers ? html`<p><strong>☎️ ${numbers}</strong></p>` : ''}
+            `);
+            bindChatActions(sectionDiv);
+            document.getElementById('messages').appendChild(sectionDiv);
+        });
+    }
+    
+    if (!PhrasebookAPI.canSpeak) {
+        const noteDiv = document.createElement('div');
+        noteDiv.className = 'api-powered';
+        noteDiv.textContent = I18n.t('phrases.noSpeech');
+        document.getElementById('messages').appendChild(noteDiv);
     }
+    document.getElementById('messages').scrollTop = document.getElementById('messages').scrollHeight;
+}
 
-    queries.push(`${category} in ${city}`, `top ${category} ${city}`);
+// One phrasebook entry: meaning, local script with a play button, transliteration
+function renderPhrase(entry, language) {
+    const play = PhrasebookAPI.canSpeak
+        ? html`<button class="speak-btn" data-action="speakPhrase" data-language="${language}" data-section="${entry.section}" data-index="${entry.index}" title="${I18n.t('phrases.listen')}">🔊</button>`
+        : '';
+    return html`
+        <div class="phrase">
+            <p><strong>${entry.english}</strong></p>
+            <p class="phrase-text">${entry.phrase} ${play}</p>
+            <p><small>🔤 ${entry.transliteration}</small></p>
+            ${entry.note ? html`<p><small>💡 ${entry.note}</small></p>` : ''}
+        </div>
+    `;
+}
 
-    return queries.slice(0, 5);
+function speakPhrase(language, section, index) {
+    const entries = PhrasebookAPI.phrases[language] && PhrasebookAPI.phrases[language][section];
+    if (entries && entries[index]) {
+        PhrasebookAPI.speak(entries[index].phrase, language);
+    }
 }
+
+async function handleItineraryQuery(options = {}) {
+    ConversationContext.recordResults([]);
+    const plan = await ItineraryPlanner.planFor(currentCity, options.slots);
     
-    // Extract a clean location name from the API response
-    static extractLocationName(place) {
-        // Try to get a clean name from various fields
-        if (place.namedetails && place.namedetails.name) {
-            return place.namedetails.name;
-        }
-        
-        if (place.display_name) {
-            // Take the first part before the first comma
-            const firstPart = place.display_name.split(',')[0].trim();
-            return firstPart;
-        }
-        
-        return place.name || place.type || 'Unnamed Location';
+    if (!plan) {
+        const cities = CityAPI.getPresets().filter(city => ItineraryPlanner.hasData(city)).map(city => city.name).join(', ');
+        addBotMessage(I18n.t('itinerary.unavailable', { city: currentCity.name, cities }), I18n.t('category.itinerary'));
+        return;
     }
     
-    // Remove duplicate places based on name and coordinates
-    static removeDuplicates(places) {
-        const seen = new Set();
-        return places.filter(place => {
-            const key = `${place.name.toLowerCase()}_${Math.round(place.lat * 1000)}_${Math.round(place.lon * 1000)}`;
-            if (seen.has(key)) {
-                return false;
-            }
-            seen.add(key);
-            return true;
+    const count = plan.days.length;
+    addBotMessage(I18n.t(count === 1 ? 'itinerary.heading.one' : 'itinerary.heading.other', { count, city: currentCity.name }), I18n.t('category.itinerary'));
+    if (plan.rearranged) {
+        addBotMessage(I18n.t('itinerary.weatherMoved'), I18n.t('category.info'));
+    }
+    
+    // Earlier plans stay in the conversation but only the newest one can be edited
+    if (ItineraryPlanner.element) {
+        ItineraryPlanner.element.querySelectorAll('button, select, input').forEach(control => {
+            control.disabled = true;
         });
     }
+    ItineraryPlanner.current = plan;
+    ItineraryPlanner.element = document.createElement('div');
+    ItineraryPlanner.element.className = 'recommendation itinerary';
+    bindItineraryControls(ItineraryPlanner.element);
+    document.getElementById('messages').appendChild(ItineraryPlanner.element);
+    renderItinerary();
     
-    // Fallback places when API fails
-    static getFallbackPlaces(city, category) {
-        const fallbacks = {
-            delhi: {
-                culture: [
-                    { name: 'Red Fort', address: 'Netaji Subhash Marg, Lal Qila, Delhi', type: 'historical_monument', source: 'Demo Data (API failed)' },
-                    { name: 'Qutub Minar', address: 'Mehrauli, Delhi', type: 'unesco_heritage', source: 'Demo Data (API failed)' },
-                    { name: 'Humayun\'s Tomb', address: 'Mathura Road, Delhi', type: 'mughal_architecture', source: 'Demo Data (API failed)' }
-                ],
-                tourist: [
-                    { name: 'India Gate', address: 'Rajpath, New Delhi', type: 'war_memorial', source: 'Demo Data (API failed)' },
-                    { name: 'Lotus Temple', address: 'Lotus Temple Road, Delhi', type: 'bahai_temple', source: 'Demo Data (API failed)' },
-                    { name: 'Akshardham Temple', address: 'Noida Mor, Delhi', type: 'hindu_temple', source: 'Demo Data (API failed)' }
-                ],
-                shopping: [
-                    { name: 'Connaught Place', address: 'Connaught Place, New Delhi', type: 'shopping_district', source: 'Demo Data (API failed)' },
-                    { name: 'Khan Market', address: 'Khan Market, New Delhi', type: 'market', source: 'Demo Data (API failed)' }
-                ],
-                food: [
-                    { name: 'Chandni Chowk', address: 'Chandni Chowk, Old Delhi', type: 'food_street', source: 'Demo Data (API failed)' },
-                    { name: 'Paranthe Wali Gali', address: 'Chandni Chowk, Delhi', type: 'food_lane', source: 'Demo Data (API failed)' }
-                ]
-            },
-            tokyo: {
-                culture: [
-                    { name: 'Senso-ji Temple', address: 'Asakusa, Tokyo', type: 'buddhist_temple', source: 'Demo Data (API failed)' },
-                    { name: 'Meiji Shrine', address: 'Shibuya, Tokyo', type: 'shinto_shrine', source: 'Demo Data (API failed)' },
-                    { name: 'Tokyo National Museum', address: 'Ueno, Tokyo', type: 'museum', source: 'Demo Data (API failed)' }
-                ],
-                tourist: [
-                    { name: 'Tokyo Tower', address: 'Minato, Tokyo', type: 'landmark', source: 'Demo Data (API failed)' },
-                    { name: 'Tokyo Skytree', address: 'Sumida, Tokyo', type: 'broadcasting_tower', source: 'Demo Data (API failed)' },
-                    { name: 'Shibuya Crossing', address: 'Shibuya, Tokyo', type: 'intersection', source: 'Demo Data (API failed)' }
-                ],
-                shopping: [
-                    { name: 'Shibuya', address: 'Shibuya, Tokyo', type: 'shopping_district', source: 'Demo Data (API failed)' },
-                    { name: 'Harajuku', address: 'Harajuku, Tokyo', type: 'fashion_district', source: 'Demo Data (API failed)' }
-                ],
-                food: [
-                    { name: 'Tsukiji Outer Market', address: 'Chuo, Tokyo', type: 'fish_market', source: 'Demo Data (API failed)' },
-                    { name: 'Ramen Yokocho', address: 'Shinjuku, Tokyo', type: 'ramen_alley', source: 'Demo Data (API failed)' }
-                ]
-            },
-            mumbai: {
-                culture: [
-                    { name: 'Gateway of India', address: 'Apollo Bunder, Mumbai', type: 'historical_monument', source: 'Demo Data (API failed)' },
-                    { name: 'Chhatrapati Shivaji Terminus', address: 'Fort, Mumbai', type: 'railway_station', source: 'Demo Data (API failed)' }
-                ],
-                tourist: [
-                    { name: 'Marine Drive', address: 'Marine Drive, Mumbai', type: 'promenade', source: 'Demo Data (API failed)' },
-                    { name: 'Juhu Beach', address: 'Juhu, Mumbai', type: 'beach', source: 'Demo Data (API failed)' }
-                ],
-                shopping: [
-                    { name: 'Linking Road', address: 'Bandra West, Mumbai', type: 'shopping_street', source: 'Demo Data (API failed)' },
-                    { name: 'Colaba Causeway', address: 'Colaba, Mumbai', type: 'shopping_street', source: 'Demo Data (API failed)' }
-                ],
-                food: [
-                    { name: 'Mohammed Ali Road', address: 'Mohammed Ali Road, Mumbai', type: 'food_street', source: 'Demo Data (API failed)' }
-                ]
-            },
-            paris: {
-                culture: [
-                    { name: 'Louvre Museum', address: 'Rue de Rivoli, Paris', type: 'art_museum', source: 'Demo Data (API failed)' },
-                    { name: 'Notre-Dame', address: 'Île de la Cité, Paris', type: 'cathedral', source: 'Demo Data (API failed)' }
-                ],
-                tourist: [
-                    { name: 'Eiffel Tower', address: 'Champ de Mars, Paris', type: 'iron_tower', source: 'Demo Data (API failed)' },
-                    { name: 'Arc de Triomphe', address: 'Place Charles de Gaulle, Paris', type: 'triumphal_arch', source: 'Demo Data (API failed)' }
-                ],
-                shopping: [
-                    { name: 'Champs-Élysées', address: 'Champs-Élysées, Paris', type: 'shopping_avenue', source: 'Demo Data (API failed)' }
-                ],
-                food: [
-                    { name: 'Latin Quarter', address: 'Latin Quarter, Paris', type: 'dining_district', source: 'Demo Data (API failed)' }
-                ]
-            },
-            newyork: {
-                culture: [
-                    { name: 'Metropolitan Museum', address: 'Upper East Side, New York', type: 'art_museum', source: 'Demo Data (API failed)' },
-                    { name: 'MoMA', address: 'Midtown Manhattan, New York', type: 'modern_art_museum', source: 'Demo Data (API failed)' }
-                ],
-                tourist: [
-                    { name: 'Statue of Liberty', address: 'Liberty Island, New York', type: 'statue', source: 'Demo Data (API failed)' },
-                    { name: 'Central Park', address: 'Manhattan, New York', type: 'urban_park', source: 'Demo Data (API failed)' }
-                ],
-                shopping: [
-                    { name: 'Fifth Avenue', address: 'Fifth Avenue, Manhattan', type: 'shopping_avenue', source: 'Demo Data (API failed)' }
-                ],
-                food: [
-                    { name: 'Little Italy', address: 'Little Italy, Manhattan', type: 'ethnic_neighborhood', source: 'Demo Data (API failed)' }
-                ]
-            },
-            london: {
-                culture: [
-                    { name: 'British Museum', address: 'Great Russell Street, London', type: 'history_museum', source: 'Demo Data (API failed)' },
-                    { name: 'Tate Modern', address: 'Bankside, London', type: 'art_gallery', source: 'Demo Data (API failed)' }
-                ],
-                tourist: [
-                    { name: 'Big Ben', address: 'Westminster, London', type: 'clock_tower', source: 'Demo Data (API failed)' },
-                    { name: 'Tower Bridge', address: 'Tower Hamlets, London', type: 'bridge', source: 'Demo Data (API failed)' }
-                ],
-                shopping: [
-                    { name: 'Oxford Street', address: 'Oxford Street, London', type: 'shopping_street', source: 'Demo Data (API failed)' }
-                ],
-                food: [
-                    { name: 'Borough Market', address: 'Southwark, London', type: 'food_market', source: 'Demo Data (API failed)' }
-                ]
-            },
-            istanbul: {
-                culture: [
-                    { name: 'Hagia Sophia', address: 'Sultanahmet, Istanbul', type: 'historical_building', source: 'Demo Data (API failed)' },
-                    { name: 'Topkapi Palace', address: 'Sultanahmet, Istanbul', type: 'palace_museum', source: 'Demo Data (API failed)' }
-                ],
-                tourist: [
-                    { name: 'Blue Mosque', address: 'Sultanahmet, Istanbul', type: 'mosque', source: 'Demo Data (API failed)' },
-                    { name: 'Galata Tower', address: 'Galata, Istanbul', type: 'medieval_tower', source: 'Demo Data (API failed)' }
-                ],
-                shopping: [
-                    { name: 'Grand Bazaar', address: 'Beyazıt, Istanbul', type: 'covered_market', source: 'Demo Data (API failed)' }
-                ],
-                food: [
-                    { name: 'Eminönü', address: 'Eminönü, Istanbul', type: 'food_district', source: 'Demo Data (API failed)' }
-                ]
-            },
-            barcelona: {
-                culture: [
-                    { name: 'Sagrada Familia', address: 'Sagrada Família, Barcelona', type: 'basilica', source: 'Demo Data (API failed)' },
-                    { name: 'Park Güell', address: 'Gràcia, Barcelona', type: 'public_park', source: 'Demo Data (API failed)' }
-                ],
-                tourist: [
-                    { name: 'Casa Batlló', address: 'Passeig de Gràcia, Barcelona', type: 'modernist_building', source: 'Demo Data (API failed)' },
-                    { name: 'Gothic Quarter', address: 'Ciutat Vella, Barcelona', type: 'historic_district', source: 'Demo Data (API failed)' }
-                ],
-                shopping: [
-                    { name: 'Passeig de Gràcia', address: 'Passeig de Gràcia, Barcelona', type: 'shopping_avenue', source: 'Demo Data (API failed)' }
-                ],
-                food: [
-                    { name: 'Boquería Market', address: 'La Rambla, Barcelona', type: 'public_market', source: 'Demo Data (API failed)' }
-                ]
-            }
-        };
-        
-        // Get city and category specific fallbacks
-        const cityFallbacks = fallbacks[city];
-        if (cityFallbacks && cityFallbacks[category]) {
-            return cityFallbacks[category];
-        }
-        
-        // Generic fallback if no specific data available
-        return [
-            { name: `Popular ${category} destination in ${city}`, address: `${city} city center`, type: category, source: 'Demo Data (API failed)' },
-            { name: `Local ${category} spot in ${city}`, address: `${city} downtown area`, type: category, source: 'Demo Data (API failed)' }
-        ];
+    const hintDiv = document.createElement('div');
+    hintDiv.className = 'api-powered';
+    hintDiv.textContent = I18n.t('itinerary.editHint');
+    document.getElementById('messages').appendChild(hintDiv);
+    document.getElementById('messages').scrollTop = document.getElementById('messages').scrollHeight;
+}
+
+// Draw the current plan into its card; called again after every edit
+function renderItinerary() {
+    const plan = ItineraryPlanner.current;
+    const element = ItineraryPlanner.element;
+    if (!plan || !element) return;
+    
+    const formatDay = date => new Date(`${date}T12:00:00`).toLocaleDateString(I18n.locale, { weekday: 'short', month: 'short', day: 'numeric' });
+    const dayOptions = exclude => {
+        const options = plan.days
+            .map((day, index) => index === exclude ? null : html`<option value="${index}">${I18n.t('itinerary.day', { number: index + 1 })}</option>`)
+            .filter(Boolean);
+        return options.length > 0 ? options : null;
+    };
+    
+    const events = plan.events.length > 0
+        ? html`<p>🎉 <strong>${I18n.t('itinerary.events')}:</strong> ${plan.events.map(event => `${event.name} (${event.period})`).join(' · ')}</p>`
+        : '';
+    
+    const days = plan.days.map((day, dayIndex) => {
+        const weather = day.forecast
+            ? ` · ${day.forecast.condition}, ${day.forecast.maxTemp}° · 💧 ${day.forecast.precipitationChance}%`
+            : '';
+        return html`
+            <div class="itinerary-day">
+                <h4>${I18n.t('itinerary.day', { number: dayIndex + 1 })} · ${formatDay(day.date)}${weather}</h4>
+                ${day.stops.map((stop, stopIndex) => renderItineraryStop(stop, dayIndex, stopIndex, ItineraryPlanner.isWet(day), dayOptions(dayIndex)))}
+                <input class="itinerary-add" placeholder="${I18n.t('itinerary.addPlaceholder')}" data-edit="add" data-day="${dayIndex}" data-stop="-1">
+            </div>
+        `;
+    });
+    
+    const unscheduled = plan.unscheduled.length > 0
+        ? html`
+            <div class="itinerary-day">
+                <h4>${I18n.t('itinerary.unscheduled')}</h4>
+                ${plan.unscheduled.map((stop, index) => html`
+                    <div class="itinerary-stop">
+                        <div><strong>${ItineraryPlanner.icons[stop.kind]} ${stop.name}</strong>${stop.area ? html` <small>· ${stop.area}</small>` : ''}</div>
+                        <div class="itinerary-actions">
+                            <select data-edit="schedule" data-day="-1" data-stop="${index}">
+                                <option value="">${I18n.t('itinerary.addTo')}</option>
+                                ${dayOptions(-1)}
+                            </select>
+                        </div>
+                    </div>
+                `)}
+            </div>
+        `
+        : '';
+    
+    SafeHTML.render(element, html`${events}${days}${unscheduled}`);
+}
+
+function renderItineraryStop(stop, dayIndex, stopIndex, wet, dayOptions) {
+    return html`
+        <div class="itinerary-stop">
+            <div>
+                ${stop.slot ? html`<span class="itinerary-slot">${I18n.t(`itinerary.slot.${stop.slot}`)}</span>` : ''}
+                <strong>${ItineraryPlanner.icons[stop.kind]} ${stop.name}</strong>
+                ${stop.area ? html`<small>· ${stop.area}</small>` : ''}
+                ${stop.detail ? html`<p><small>${stop.detail}</small></p>` : ''}
+                ${stop.tip ? html`<p><small>${stop.tip}</small></p>` : ''}
+                ${wet && stop.outdoor ? html`<p><small>☔ ${I18n.t('itinerary.rain')}</small></p>` : ''}
+            </div>
+            <div class="itinerary-actions">
+                <button data-edit="up" data-day="${dayIndex}" data-stop="${stopIndex}" title="${I18n.t('itinerary.up')}">⬆️</button>
+                <button data-edit="down" data-day="${dayIndex}" data-stop="${stopIndex}" title="${I18n.t('itinerary.down')}">⬇️</button>
+                ${dayOptions ? html`
+                    <select data-edit="move" data-day="${dayIndex}" data-stop="${stopIndex}">
+                        <option value="">${I18n.t('itinerary.moveTo')}</option>
+                        ${dayOptions}
+                    </select>
+                ` : ''}
+                <button data-edit="remove" data-day="${dayIndex}" data-stop="${stopIndex}" title="${I18n.t('itinerary.remove')}">✖</button>
+            </div>
+        </div>
+    `;
+}
+
+// The plan card's controls name their edit in data-edit and the stop in data-day/data-stop.
+// The card is redrawn after every edit, so the listeners sit on the card itself.
+function bindItineraryControls(element) {
+    const edit = (control, value) => editItinerary(control.dataset.edit, Number(control.dataset.day), Number(control.dataset.stop), value);
+    element.addEventListener('click', event => {
+        const button = event.target.closest('button[data-edit]');
+        if (button) edit(button);
+    });
+    element.addEventListener('change', event => {
+        if (event.target.matches('select[data-edit]')) edit(event.target, event.target.value);
+    });
+    element.addEventListener('keydown', event => {
+        if (event.key === 'Enter' && event.target.matches('input[data-edit]')) edit(event.target, event.target.value);
+    });
+}
+
+// Every change redraws the card in place
+function editItinerary(action, dayIndex, stopIndex, value) {
+    if (!ItineraryPlanner.current) return;
+    
+    let changed = false;
+    switch (action) {
+        case 'up':
+            changed = ItineraryPlanner.moveStop(dayIndex, stopIndex, -1);
+            break;
+        case 'down':
+            changed = ItineraryPlanner.moveStop(dayIndex, stopIndex, 1);
+            break;
+        case 'move':
+            changed = value !== '' && ItineraryPlanner.moveToDay(dayIndex, stopIndex, Number(value));
+            break;
+        case 'remove':
+            changed = ItineraryPlanner.removeStop(dayIndex, stopIndex);
+            break;
+        case 'schedule':
+            changed = value !== '' && ItineraryPlanner.schedule(stopIndex, Number(value));
+            break;
+        case 'add':
+            changed = ItineraryPlanner.addStop(dayIndex, value);
+            break;
     }
+    if (changed) renderItinerary();
+}
+
+function handleCategoryClick(category) {
+    // Remove active class from all buttons
+    document.querySelectorAll('.category-btn').forEach(btn => {
+        btn.classList.remove('active');
+    });
+    
+    // Add active class to clicked button
+    event.target.classList.add('active');
+    
+    // Prompts come from the catalogue so the question is asked in the reply language
+    const prompt = I18n.messages[`prompt.${category}`] ? I18n.t(`prompt.${category}`) : 'Tell me about this category';
+    sendMessage(prompt);
 }
 
-// AI Processing using Hugging Face (Free)
-class AIAPI {
-    static async processQuery(message) {
-        if (!API_CONFIG.ai.enabled) {
-            return this.getSimulatedResponse(message);
+// Sidebar quota dashboard: today's requests per live provider against its daily budget.
+// A provider switching to cache-only or demo data is also announced in the chat.
+function showAPIUsageStats() {
+    const modes = {
+        live: { label: 'Live', className: 'status-active' },
+        cacheOnly: { label: 'Cache only - near the daily budget', className: 'status-warning' },
+        exhausted: { label: 'Demo data - daily budget used up', className: 'status-inactive' }
+    };
+    const rows = QuotaMeter.usage()
+        .filter(usage => usage.enabled || usage.used > 0)
+        .map(usage => {
+            const mode = modes[usage.mode];
+            const percent = usage.budget ? Math.min(100, Math.round(usage.used / usage.budget * 100)) : 0;
+            return html`
+                <div class="quota-row" title="${mode.label}">
+                    <div class="status-item">
+                        <span>${usage.name}</span>
+                        <span class="${mode.className}">${usage.used}${usage.budget ? ` / ${usage.budget}` : ''}</span>
+                    </div>
+                    ${usage.budget ? html`<div class="quota-bar ${mode.className}"><div style="width: ${percent}%"></div></div>` : ''}
+                </div>
+            `;
+        });
+    SafeHTML.render(document.getElementById('quotaDashboard'), html`<strong>📊 Requests today</strong>${rows}`);
+    
+    const warnings = QuotaMeter.takeWarnings();
+    warnings.forEach(warning => {
+        addBotMessage(I18n.t(`quota.${warning.mode}`, { provider: warning.name, used: warning.used, budget: warning.budget }), I18n.t('category.quota'));
+    });
+    if (warnings.length > 0) {
+        updateAPIStatus();
+    }
+}
+
+async function changeCity(query) {
+    const text = String(query || '').trim();
+    if (!text || CityAPI.toKey(text) === currentCity.key) return;
+    
+    const request = startRequest();
+    try {
+        const city = await CityAPI.resolveCity(text);
+        if (!city) {
+            addBotMessage(I18n.t('city.notFound', { text }), I18n.t('category.cityNotFound'));
+            return;
         }
-        
+        setCurrentCity(city);
+        ChatSessions.recordCity(city);
+        updateCityInfo();
+    } catch (error) {
+        if (!RequestScheduler.isCancelled(error)) throw error;
+    } finally {
+        finishRequest(request);
+    }
+}
+
+// Switch the active city and drop state that belonged to the previous one
+function setCurrentCity(city) {
+    currentCity = city;
+    PlaceMap.reset();
+    ConversationContext.recordResults([]);
+    document.getElementById('cityInput').value = city.displayName;
+    document.getElementById('cityName').textContent = I18n.t('city.welcome', { city: city.displayName });
+}
+
+function updateCityInfo() {
+    document.getElementById('cityName').textContent = I18n.t('city.welcome', { city: currentCity.displayName });
+    addBotMessage(I18n.t('city.changed', { city: currentCity.displayName }), I18n.t('category.cityChanged'));
+}
+
+// Utility functions
+// Hand generated text (exports) to the browser as a file download
+function downloadFile(filename, content, mime) {
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([content], { type: mime }));
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
+}
+
+function addUserMessage(message) {
+    const messageDiv = document.createElement('div');
+    messageDiv.className = 'message user-message';
+    messageDiv.textContent = message;
+    document.getElementById('messages').appendChild(messageDiv);
+    document.getElementById('messages').scrollTop = document.getElementById('messages').scrollHeight;
+}
+
+// `message` is text (line breaks are kept) unless it was built with html`...`
+function addBotMessage(message, category = '🤖 CulturalBot') {
+    const messageDiv = document.createElement('div');
+    messageDiv.className = 'message bot-message';
+    SafeHTML.render(messageDiv, html`
+        <div class="category">${category}</div>
+        <p>${SafeHTML.text(message)}</p>
+    `);
+    document.getElementById('messages').appendChild(messageDiv);
+    document.getElementById('messages').scrollTop = document.getElementById('messages').scrollHeight;
+}
+
+function showLoading() {
+    document.getElementById('loading').style.display = 'block';
+}
+
+function hideLoading() {
+    document.getElementById('loading').style.display = 'none';
+}
+
+// A question, quick reply or city change cancels whatever the previous one still has in
+// flight; only the latest one hides the spinner when it's done
+function startRequest() {
+    RequestScheduler.cancel();
+    showLoading();
+    return ++latestRequest;
+}
+
+function finishRequest(request) {
+    if (request === latestRequest) hideLoading();
+}
+
+// Saved places, restaurants and events ("My Trip")
+// Result cards get a save toggle (addSaveButton); saved items are kept in localStorage
+// and listed in the sidebar grouped by city, each with an editable note.
+class TripList {
+    static storageKey = 'culturalbot-trip';
+    static items = [];
+    
+    static icons = {
+        food: '🍽️', culture: '🏛️', place: '📍', shopping: '🛍️', news: '📰',
+        dish: '🥘', restaurant: '🏪', clothing: '👘', event: '🎪', market: '🛍️'
+    };
+    
+    static load() {
+        const storage = SharedCache.storage;
         try {
-            // Intent classification
-            const response = await fetch(
-                `${API_CONFIG.ai.baseUrl}/models/facebook/bart-large-mnli`,
-                {
-                    headers: {
-                        'Authorization': `Bearer ${API_CONFIG.ai.apiKey}`,
-                        'Content-Type': 'application/json'
-                    },
-                    method: 'POST',
-                    body: JSON.stringify({
-                        inputs: message,
-                        parameters: {
-                            candidate_labels: ['weather', 'food', 'culture', 'events', 'places', 'shopping', 'clothing', 'local', 'traditional']
-                        }
-                    })
-                }
-            );
-            
-            if (response.ok) {
-                const data = await response.json();
-                apiCallCount.ai++;
-                return {
-                    intent: data.labels[0],
-                    confidence: data.scores[0],
-                    source: 'Hugging Face AI'
-                };
-            }
+            this.items = storage ? JSON.parse(storage.getItem(this.storageKey) || '[]') : [];
         } catch (error) {
-            console.error('AI API error:', error);
+            this.items = [];
         }
-        
-        return this.getSimulatedResponse(message);
     }
     
-    static getSimulatedResponse(message) {
-        const lower = message.toLowerCase();
-        
-        // Weather-related queries
-        if (lower.includes('weather') || lower.includes('temperature') || lower.includes('climate') || lower.includes('forecast')) {
-            return { intent: 'weather', confidence: 0.9 };
+    static save() {
+        const storage = SharedCache.storage;
+        try {
+            if (storage) storage.setItem(this.storageKey, JSON.stringify(this.items));
+        } catch (error) {
+            console.warn('Could not save the trip list:', error);
         }
-        
-        // Food-related queries
-        if (lower.includes('food') || lower.includes('restaurant') || lower.includes('eat') || lower.includes('dining') || 
-            lower.includes('cuisine') || lower.includes('lunch') || lower.includes('dinner') || lower.includes('breakfast') ||
-            lower.includes('cafe') || lower.includes('local food') || lower.includes('street food')) {
-            return { intent: 'food', confidence: 0.9 };
+    }
+    
+    // The same thing saved from two cards is one item
+    static keyOf(item) {
+        return `${item.cityKey}|${item.kind}|${item.name}`;
+    }
+    
+    static find(item) {
+        const key = this.keyOf(item);
+        return this.items.find(saved => this.keyOf(saved) === key) || null;
+    }
+    
+    static add(item) {
+        if (this.find(item)) return;
+        this.items.push({
+            ...item,
+            id: `t${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+            note: '',
+            savedAt: new Date().toISOString()
+        });
+        this.save();
+        console.log(`🧳 Saved ${item.name} to the trip list`);
+    }
+    
+    static remove(id) {
+        this.items = this.items.filter(item => item.id !== id);
+        this.save();
+    }
+    
+    // Returns true when the item is saved afterwards
+    static toggle(item) {
+        const saved = this.find(item);
+        if (saved) {
+            this.remove(saved.id);
+            return false;
         }
-        
-        // Culture-related queries
-        if (lower.includes('culture') || lower.includes('museum') || lower.includes('temple') || lower.includes('heritage') ||
-            lower.includes('historical') || lower.includes('monument') || lower.includes('cultural sites') || 
-            lower.includes('art') || lower.includes('gallery') || lower.includes('cultural attractions')) {
-            return { intent: 'culture', confidence: 0.9 };
+        this.add(item);
+        return true;
+    }
+    
+    static setNote(id, note) {
+        const item = this.items.find(saved => saved.id === id);
+        if (!item) return;
+        item.note = String(note || '').trim();
+        this.save();
+    }
+    
+    // [{ key, name, items }] in the order the cities were first saved
+    static byCity() {
+        const groups = new Map();
+        this.items.forEach(item => {
+            if (!groups.has(item.cityKey)) groups.set(item.cityKey, { key: item.cityKey, name: item.cityName, items: [] });
+            groups.get(item.cityKey).items.push(item);
+        });
+        return [...groups.values()];
+    }
+    
+    // Saved-item records for the different kinds of card
+    static fromPlace(city, place, kind) {
+        const lat = parseFloat(place.lat);
+        const lon = parseFloat(place.lon);
+        return {
+            cityKey: city.key,
+            cityName: city.name,
+            kind,
+            name: place.name,
+            details: [place.type, place.cuisine].filter(Boolean).join(' · '),
+            address: place.address || null,
+            lat: isNaN(lat) ? null : lat,
+            lon: isNaN(lon) ? null : lon,
+            approximate: false,
+            period: null,
+            url: SafeHTML.url(place.website)
+        };
+    }
+    
+    static fromNews(city, event) {
+        return {
+            cityKey: city.key,
+            cityName: city.name,
+            kind: 'news',
+            name: event.title,
+            details: event.description || '',
+            address: null,
+            lat: null,
+            lon: null,
+            approximate: false,
+            period: null,
+            url: SafeHTML.url(event.url)
+        };
+    }
+    
+    // LocalRecommendationsAPI / TraditionalClothingAPI entries. Demo data only names an
+    // area, so the planner's rough area centre stands in for coordinates.
+    static fromLocal(city, kind, entry) {
+        const fields = {
+            dish: { name: entry.name, details: entry.description, area: entry.where },
+            restaurant: { name: entry.name, details: `${entry.cuisine} · ${entry.specialty}`, area: entry.area },
+            clothing: { name: entry.name || entry.type, details: entry.description, area: entry.where || (entry.where_to_buy || []).join(', ') },
+            place: { name: entry.name, details: `${entry.type} · ${entry.highlights}`, area: entry.area },
+            event: { name: entry.name, details: entry.description, area: entry.locations, period: entry.period },
+            market: { name: entry.name, details: entry.specialties, area: entry.area }
+        }[kind];
+        const location = ItineraryPlanner.locate(city.key, fields.area);
+        return {
+            cityKey: city.key,
+            cityName: city.name,
+            kind,
+            name: fields.name,
+            details: fields.details || '',
+            address: fields.area || null,
+            lat: location ? location.lat : null,
+            lon: location ? location.lon : null,
+            approximate: Boolean(location),
+            period: fields.period || null,
+            url: null
+        };
+    }
+}
+
+TripList.load();
+
+// Trip list exports: GPX and GeoJSON for items with coordinates, ICS for events whose
+// period can be pinned to dates, and Markdown for everything
+class TripExport {
+    static formats = {
+        gpx: { label: 'GPX', extension: 'gpx', mime: 'application/gpx+xml' },
+        geojson: { label: 'GeoJSON', extension: 'geojson', mime: 'application/geo+json' },
+        ics: { label: 'ICS', extension: 'ics', mime: 'text/calendar' },
+        markdown: { label: 'Markdown', extension: 'md', mime: 'text/markdown' }
+    };
+    
+    static ordinals = { first: 1, second: 2, third: 3, fourth: 4, last: -1 };
+    
+    // Items each format can use; empty means there is nothing to export
+    static exportable(format, items) {
+        if (format === 'gpx' || format === 'geojson') {
+            return items.filter(item => typeof item.lat === 'number' && typeof item.lon === 'number');
         }
-        
-        // Shopping-related queries
-        if (lower.includes('shopping') || lower.includes('shop') || lower.includes('market') || lower.includes('mall') ||
-            lower.includes('buy') || lower.includes('store') || lower.includes('shopping area') || lower.includes('boutique') ||
-            lower.includes('bazaar') || lower.includes('shopping district')) {
-            return { intent: 'shopping', confidence: 0.9 };
+        if (format === 'ics') {
+            return items.filter(item => item.period && this.eventDates(item.period));
         }
+        return items;
+    }
+    
+    static escapeXml(text) {
+        return String(text).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' })[char]);
+    }
+    
+    static description(item) {
+        return [item.details, item.address, item.note ? `📝 ${item.note}` : ''].filter(Boolean).join('\n');
+    }
+    
+    static toGPX(items) {
+        const waypoints = this.exportable('gpx', items).map(item => [
+            `  <wpt lat="${item.lat}" lon="${item.lon}">`,
+            `    <name>${this.escapeXml(item.name)}</name>`,
+            `    <desc>${this.escapeXml(this.description(item))}</desc>`,
+            item.url ? `    <link href="${this.escapeXml(item.url)}"/>` : null,
+            `    <type>${item.kind}${item.approximate ? ' (approximate)' : ''}</type>`,
+            '  </wpt>'
+        ].filter(Boolean).join('\n'));
         
-        // Events-related queries
-        if (lower.includes('event') || lower.includes('festival') || lower.includes('concert') || lower.includes('performance') ||
-            lower.includes('happening') || lower.includes('activities') || lower.includes('entertainment') || 
-            lower.includes('nightlife') || lower.includes('what to do')) {
-            return { intent: 'events', confidence: 0.9 };
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<gpx version="1.1" creator="CulturalBot" xmlns="http://www.topografix.com/GPX/1/1">',
+            `  <metadata><name>My Trip</name><time>${new Date().toISOString()}</time></metadata>`,
+            ...waypoints,
+            '</gpx>',
+            ''
+        ].join('\n');
+    }
+    
+    static toGeoJSON(items) {
+        return JSON.stringify({
+            type: 'FeatureCollection',
+            features: this.exportable('geojson', items).map(item => ({
+                type: 'Feature',
+                geometry: { type: 'Point', coordinates: [item.lon, item.lat] },
+                properties: {
+                    name: item.name,
+                    kind: item.kind,
+                    city: item.cityName,
+                    details: item.details,
+                    address: item.address,
+                    note: item.note,
+                    url: item.url,
+                    approximate: item.approximate
+                }
+            }))
+        }, null, 2);
+    }
+    
+    // Nth (or last) weekday of a month: "First Saturday of October"
+    static nthWeekday(year, month, weekday, ordinal) {
+        if (ordinal === -1) {
+            const last = new Date(year, month + 1, 0);
+            last.setDate(last.getDate() - ((last.getDay() - weekday + 7) % 7));
+            return last;
         }
+        const first = new Date(year, month, 1);
+        return new Date(year, month, 1 + ((weekday - first.getDay() + 7) % 7) + (ordinal - 1) * 7);
+    }
+    
+    // The next dates an event period covers, as { start, end } with `end` exclusive;
+    // null when it can't be pinned down ("Thanksgiving Day", "Various times")
+    static eventDates(period, today = new Date()) {
+        const months = EntityExtractor.months;
+        const weekdays = EntityExtractor.weekdays;
+        const lower = period.toLowerCase().trim();
+        const startOfToday = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+        const nextDay = date => new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1);
+        // This year's dates unless they are already over
+        const upcoming = build => {
+            const dates = build(today.getFullYear());
+            return dates.end <= startOfToday ? build(today.getFullYear() + 1) : dates;
+        };
         
-        // Traditional clothing queries
-        if (lower.includes('clothing') || lower.includes('traditional') || lower.includes('wear') || lower.includes('dress') ||
-            lower.includes('costume') || lower.includes('attire') || lower.includes('kimono') || lower.includes('saree') ||
-            lower.includes('traditional wear') || lower.includes('cultural clothing')) {
-            return { intent: 'clothing', confidence: 0.9 };
+        const fixed = lower.match(new RegExp(`^(${months.join('|')})\\s+(\\d{1,2})$`));
+        if (fixed) {
+            return upcoming(year => {
+                const start = new Date(year, months.indexOf(fixed[1]), Number(fixed[2]));
+                return { start, end: nextDay(start) };
+            });
         }
         
-        // Places/Tourist attractions queries
-        if (lower.includes('places') || lower.includes('attractions') || lower.includes('landmarks') || lower.includes('visit') ||
-            lower.includes('sightseeing') || lower.includes('tourist') || lower.includes('interesting places') || 
-            lower.includes('must see') || lower.includes('famous places') || lower.includes('tourist attractions')) {
-            return { intent: 'places', confidence: 0.9 };
+        const nth = lower.match(new RegExp(`^(${Object.keys(this.ordinals).join('|')})\\s+(${weekdays.join('|')})\\s+of\\s+(${months.join('|')})$`));
+        if (nth) {
+            return upcoming(year => {
+                const start = this.nthWeekday(year, months.indexOf(nth[3]), weekdays.indexOf(nth[2]), this.ordinals[nth[1]]);
+                return { start, end: nextDay(start) };
+            });
         }
         
-        // Local recommendations queries
-        if (lower.includes('local') || lower.includes('recommendation') || lower.includes('guide') || 
-            lower.includes('comprehensive') || lower.includes('local guide') || lower.includes('insider tips') ||
-            lower.includes('what locals do') || lower.includes('local experience') || lower.includes('comprehensive guide')) {
-            return { intent: 'local', confidence: 0.9 };
+        // "March-May" runs from the first month to the end of the last; separate months
+        // ("September & March") give the next one to come
+        const named = ItineraryPlanner.eventMonths(period);
+        if (named.length === 0) return null;
+        if (period.includes('-') && named.length > 1) {
+            const first = named[0];
+            const last = named[named.length - 1];
+            return upcoming(year => ({ start: new Date(year, first, 1), end: new Date(last < first ? year + 1 : year, last + 1, 1) }));
         }
-        
-        // Default to general
-        return { intent: 'general', confidence: 0.7 };
+        return named
+            .map(month => upcoming(year => ({ start: new Date(year, month, 1), end: new Date(year, month + 1, 1) })))
+            .sort((a, b) => a.start - b.start)[0];
     }
-}
-
-// Enhanced Traditional Clothing Module with Free APIs
-// Provides comprehensive traditional clothing information and shopping guidance
-
-class TraditionalClothingAPI {
-    static cache = new Map();
-    static cacheTimeout = 60 * 60 * 1000; // 1 hour cache
-    
-    // Comprehensive traditional clothing database
-    static clothingDatabase = {
-    tokyo: [
-        {
-            name: "Kimono",
-            type: "formal_wear",
-            description: "Traditional Japanese robe with wide sleeves and a broad sash (obi)",
-            occasions: ["tea ceremonies", "festivals", "weddings", "formal events"],
-            colors: ["deep blue", "cherry blossom pink", "gold", "burgundy"],
-            price_range: "¥15,000 - ¥500,000",
-            rental_available: true,
-            cultural_significance: "Symbol of Japanese culture and tradition",
-            where_to_buy: ["Asakusa", "Ginza", "Kyoto (day trip)"],
-            styling_tips: "Wear with proper undergarments (juban), choose colors based on season",
-            accessories: ["obi (sash)", "geta (wooden sandals)", "hair ornaments"]
-        },
-        {
-            name: "Yukata",
-            type: "casual_wear",
-            description: "Lightweight cotton kimono, perfect for summer festivals",
-            occasions: ["summer festivals", "fireworks displays", "hot springs"],
-            colors: ["indigo blue", "white", "floral patterns"],
-            price_range: "¥3,000 - ¥20,000",
-            rental_available: true,
-            cultural_significance: "Casual traditional wear for summer events",
-            where_to_buy: ["Shibuya", "Harajuku", "department stores"],
-            styling_tips: "Wear with simple obi, perfect for beginners",
-            accessories: ["simple obi", "sandals", "hand fan"]
-        }
-    ],
-    mumbai: [
-        {
-            name: "Saree",
-            type: "formal_wear",
-            description: "Elegant draped garment, symbol of Indian femininity",
-            occasions: ["weddings", "festivals", "formal events", "office wear"],
-            colors: ["vibrant reds", "golden yellow", "royal blue", "emerald green"],
-            price_range: "₹500 - ₹50,000+",
-            rental_available: true,
-            cultural_significance: "Represents Indian tradition and elegance",
-            where_to_buy: ["Linking Road", "Colaba Causeway", "Crawford Market"],
-            styling_tips: "Choose blouse design carefully, draping style varies by region",
-            accessories: ["jewelry", "bangles", "bindi", "traditional footwear"]
-        }
-    ],
-    paris: [
-        {
-            name: "French Provincial Dress",
-            type: "regional_wear",
-            description: "Traditional French regional costume with embroidered details",
-            occasions: ["folk festivals", "cultural events", "themed parties"],
-            colors: ["white with colorful embroidery", "blue", "red"],
-            price_range: "€50 - €300",
-            rental_available: true,
-            cultural_significance: "Represents French regional heritage",
-            where_to_buy: ["Le Marais", "antique shops", "costume stores"]
-        }
-    ],
-    istanbul: [
-        {
-            name: "Şalvar",
-            type: "traditional_wear",
-            description: "Baggy trousers worn traditionally by both men and women",
-            occasions: ["daily wear", "cultural festivals"],
-            colors: ["white", "earth tones", "bright patterns"],
-            price_range: "₺100 - ₺1,000",
-            rental_available: false,
-            cultural_significance: "Part of traditional Ottoman attire",
-            where_to_buy: ["Grand Bazaar", "Kadıköy Market"],
-            styling_tips: "Pair with embroidered shirts or vests",
-            accessories: ["fez hats", "handcrafted belts"]
-        }
-    ],
-    new_york: [
-        {
-            name: "Modern Urbanwear",
-            type: "casual_wear",
-            description: "Fashion-forward clothing inspired by the city’s diversity",
-            occasions: ["daily wear", "parties"],
-            colors: ["black", "white", "bold colors"],
-            price_range: "$50 - $1,000+",
-            rental_available: true,
-            cultural_significance: "Representation of New York’s dynamic fashion scene",
-            where_to_buy: ["SoHo", "Brooklyn boutiques"],
-            styling_tips: "Mix vintage and contemporary pieces",
-            accessories: ["caps", "sneakers", "statement jewelry"]
-        }
-    ],
-    london: [
-        {
-            name: "Savile Row Suit",
-            type: "formal_wear",
-            description: "Tailor-made bespoke suits famous worldwide",
-            occasions: ["business", "formal events"],
-            colors: ["navy", "gray", "black"],
-            price_range: "£500 - £5,000+",
-            rental_available: false,
-            cultural_significance: "Iconic British tailoring tradition",
-            where_to_buy: ["Savile Row"],
-            styling_tips: "Complement with crisp shirts and classic ties",
-            accessories: ["cufflinks", "leather shoes"]
-        }
-    ],
-    delhi: [
-        {
-            name: "Kurta Pajama",
-            type: "formal_wear",
-            description: "Traditional men's outfit made of long shirt and pants",
-            occasions: ["festivals", "weddings", "formal occasions"],
-            colors: ["white", "cream", "bright colors"],
-            price_range: "₹800 - ₹10,000",
-            rental_available: true,
-            cultural_significance: "Essential traditional wear for Indian men",
-            where_to_buy: ["Chandni Chowk", "Janpath Market"],
-            styling_tips: "Choose embroidered fabrics for weddings",
-            accessories: ["mojari shoes", "shawls"]
-        }
-    ],
-    barcelona: [
-        {
-            name: "Catalan Traditional Dress",
-            type: "regional_wear",
-            description: "Colorful traditional costume with symbolic designs",
-            occasions: ["festivals", "cultural events"],
-            colors: ["red", "yellow", "black"],
-            price_range: "€30 - €200",
-            rental_available: true,
-            cultural_significance: "Represents Catalan identity",
-            where_to_buy: ["La Rambla", "local markets"],
-            styling_tips: "Wear with matching accessories like sashes",
-            accessories: ["berets", "woven belts"]
+    
+    static icsText(text) {
+        return String(text).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+    }
+    
+    static icsDate(date) {
+        return EntityExtractor.toISODate(date).replace(/-/g, '');
+    }
+    
+    // Content lines longer than 75 octets continue on the next line after a space (RFC 5545)
+    static foldLine(line) {
+        const encoder = new TextEncoder();
+        const parts = [];
+        let current = '';
+        let bytes = 0;
+        for (const char of line) {
+            const size = encoder.encode(char).length;
+            if (bytes + size > (parts.length === 0 ? 75 : 74)) {
+                parts.push(current);
+                current = '';
+                bytes = 0;
+            }
+            current += char;
+            bytes += size;
         }
-    ]
-};
-
-    // Get comprehensive traditional clothing information
-    static async getTraditionalClothing(city, preferences = {}) {
-        
-        const cacheKey = `clothing_${city}_${JSON.stringify(preferences)}`;
-        const cached = this.cache.get(cacheKey);
+        parts.push(current);
+        return parts.join('\r\n ');
+    }
+    
+    static toICS(items, today = new Date()) {
+        const stamp = today.toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+        const events = this.exportable('ics', items).map(item => {
+            const dates = this.eventDates(item.period, today);
+            return [
+                'BEGIN:VEVENT',
+                `UID:${item.id}@culturalbot`,
+                `DTSTAMP:${stamp}`,
+                `DTSTART;VALUE=DATE:${this.icsDate(dates.start)}`,
+                `DTEND;VALUE=DATE:${this.icsDate(dates.end)}`,
+                `SUMMARY:${this.icsText(`${item.name} (${item.cityName})`)}`,
+                `DESCRIPTION:${this.icsText([item.details, `📅 ${item.period}`, item.note ? `📝 ${item.note}` : ''].filter(Boolean).join('\n'))}`,
+                item.address ? `LOCATION:${this.icsText(`${item.address}, ${item.cityName}`)}` : null,
+                'END:VEVENT'
+            ].filter(Boolean);
+        });
         
-        if (cached && Date.now() - cached.timestamp < this.cacheTimeout) {
-
-            return cached.data;
-        }
+        return [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            'PRODID:-//CulturalBot//My Trip//EN',
+            'CALSCALE:GREGORIAN',
+            ...events.flat(),
+            'END:VCALENDAR'
+        ].map(line => this.foldLine(line)).join('\r\n') + '\r\n';
+    }
+    
+    static toMarkdown(items) {
+        const lines = ['# 🧳 My Trip', ''];
+        const groups = new Map();
+        items.forEach(item => {
+            if (!groups.has(item.cityKey)) groups.set(item.cityKey, { name: item.cityName, items: [] });
+            groups.get(item.cityKey).items.push(item);
+        });
         
-        const cityData = this.clothingDatabase[city];
+        groups.forEach(group => {
+            lines.push(`## ${group.name}`, '');
+            group.items.forEach(item => {
+                lines.push(`- ${TripList.icons[item.kind] || '📌'} **${item.name}**${item.details ? ` - ${item.details}` : ''}`);
+                if (item.address) lines.push(`  - 📍 ${item.address}`);
+                if (typeof item.lat === 'number') lines.push(`  - 🧭 ${item.lat.toFixed(5)}, ${item.lon.toFixed(5)}${item.approximate ? ' (approximate)' : ''}`);
+                if (item.period) lines.push(`  - 📅 ${item.period}`);
+                if (item.url) lines.push(`  - 🔗 <${item.url}>`);
+                if (item.note) lines.push(`  - 📝 ${item.note}`);
+            });
+            lines.push('');
+        });
+        return lines.join('\n');
+    }
+    
+    // Serialise the items for a format and hand the file to the browser; returns how many were exported
+    static download(format, items) {
+        const config = this.formats[format];
+        const exported = this.exportable(format, items);
+        if (!config || exported.length === 0) return 0;
         
-        if (!cityData) {
-
-            return this.getGenericClothingInfo(city);
-        }
+        const content = {
+            gpx: () => this.toGPX(items),
+            geojson: () => this.toGeoJSON(items),
+            ics: () => this.toICS(items),
+            markdown: () => this.toMarkdown(items)
+        }[format]();
         
-        let filteredClothing = Array.isArray(cityData) ? cityData : [];
-
+        downloadFile(`my-trip.${config.extension}`, content, config.mime);
+        return exported.length;
+    }
+}
 
-        
-        if (preferences.occasion) {
-            filteredClothing = filteredClothing.filter(item => 
-                item.occasions.some(occ => 
-                    occ.toLowerCase().includes(preferences.occasion.toLowerCase())
-                )
-            );
+// Chat sessions: the transcript and the questions that produced it
+// The transcript is a snapshot of #messages (taken whenever the chat changes) so a past
+// session can be reopened as it looked. The steps - questions, city switches and picked
+// quick replies - are what share links carry; replaying them rebuilds the answers live.
+class ChatSessions {
+    static storageKey = 'culturalbot-sessions';
+    static maxSessions = 20;
+    static maxReplaySteps = 30;
+    static sessions = [];
+    static current = null;
+    static captureTimer = null;
+    
+    static load() {
+        const storage = SharedCache.storage;
+        try {
+            this.sessions = storage ? JSON.parse(storage.getItem(this.storageKey) || '[]') : [];
+        } catch (error) {
+            this.sessions = [];
         }
-        
-        const result = {
-            traditional: filteredClothing,
-            shopping_areas: cityData.shopping_areas || [],
-            styling_services: await this.findStylingServices(city),
-            rental_options: filteredClothing.filter(item => item.rental_available),
-            cultural_context: this.getCulturalContext(city)
-        };
-        
-
-        
-        this.cache.set(cacheKey, {
-            data: result,
-            timestamp: Date.now()
-        });
-        
-        return result;
     }
     
-    // Find styling services using Places API
-    static async findStylingServices(city) {
+    static save() {
+        const storage = SharedCache.storage;
         try {
-            const places = await PlacesAPI.searchPlaces(city, 'clothing');
-            return places.map(place => ({
-                name: place.name,
-                address: place.address,
-                type: 'styling_service',
-                source: 'OpenStreetMap'
-            }));
+            if (storage) storage.setItem(this.storageKey, JSON.stringify(this.sessions));
         } catch (error) {
-            return [];
+            console.warn('Could not save chat sessions:', error);
         }
     }
     
-    // Get cultural context for traditional clothing
-    static getCulturalContext(city) {
-        const contexts = {
-            tokyo: {
-                best_seasons: "Spring (cherry blossom) and autumn festivals",
-                cultural_etiquette: "Respect traditional dressing rules, consider professional dressing services",
-                photo_opportunities: "Temple visits, traditional gardens, cultural districts",
-                learning_opportunities: "Kimono dressing classes available in Asakusa and Kyoto"
-            },
-            mumbai: {
-                best_seasons: "Festival seasons (Diwali, Navratri) and wedding season (winter)",
-                cultural_etiquette: "Color significance matters, regional draping styles vary",
-                photo_opportunities: "Heritage buildings, temples, cultural festivals",
-                learning_opportunities: "Saree draping workshops, jewelry styling sessions"
-            }
-        };
-        
-        return contexts[city] || {
-            best_seasons: "Check local cultural calendar",
-            cultural_etiquette: "Research local customs and traditions",
-            photo_opportunities: "Cultural sites and traditional markets",
-            learning_opportunities: "Local cultural centers and workshops"
+    static start() {
+        this.current = {
+            id: `s${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+            city: currentCity.displayName,
+            lastCity: currentCity.displayName,
+            startedAt: new Date().toISOString(),
+            updatedAt: new Date().toISOString(),
+            steps: [],
+            transcript: []
         };
+        return this.current;
     }
     
-    // Generic clothing info for cities not in database
-    static getGenericClothingInfo(city) {
-        return {
-            traditional: [
-                {
-                    name: "Local Traditional Wear",
-                    description: "Explore local markets and cultural centers for traditional clothing",
-                    where_to_buy: ["local markets", "cultural districts", "heritage areas"],
-                    recommendation: "Visit local museums and cultural centers to learn about traditional dress"
-                }
-            ],
-            shopping_areas: [
-                {
-                    area: "Cultural Districts",
-                    specialty: "Traditional and cultural items",
-                    best_for: "authentic local experience"
-                }
-            ],
-            cultural_context: {
-                recommendation: "Research local customs and visit cultural centers for authentic information"
-            }
-        };
+    static get(id) {
+        return this.sessions.find(session => session.id === id) || null;
     }
-}
-
-// Local Recommendations API for comprehensive city guidance
-class LocalRecommendationsAPI {
-    static cache = new Map();
-    static cacheTimeout = 30 * 60 * 1000; // 30 minutes
-    
-    // Enhanced demo data structure for comprehensive local recommendations
-    static demoData = {
-        "tokyo": {
-            localFood: [
-                { name: "Sushi", description: "Vinegared rice with fresh seafood, Tokyo's iconic dish", where: "Ginza, Tsukiji Outer Market", price: "$$$", mustTry: true },
-                { name: "Ramen", description: "Rich noodle soup with various toppings", where: "Shibuya, Shinjuku districts", price: "$$", mustTry: true },
-                { name: "Tempura", description: "Lightly battered and fried seafood and vegetables", where: "Asakusa traditional restaurants", price: "$$$", mustTry: false },
-                { name: "Yakitori", description: "Grilled chicken skewers with tare sauce", where: "Yakitori alleys in Shinjuku", price: "$$", mustTry: false },
-                { name: "Takoyaki", description: "Octopus balls from Osaka, popular in Tokyo", where: "Street stalls, festival areas", price: "$", mustTry: false },
-                { name: "Mochi", description: "Sweet rice cake, especially good during New Year", where: "Traditional sweet shops", price: "$", mustTry: false }
-            ],
-            restaurants: [
-                { name: "Sukiyabashi Jiro", cuisine: "Sushi", area: "Ginza", specialty: "World-famous sushi omakase experience", price: "$$$$", reservation: "Required" },
-                { name: "Ichiran Ramen", cuisine: "Ramen", area: "Shibuya", specialty: "Individual booth ramen experience", price: "$$", reservation: "Not needed" },
-                { name: "Gonpachi", cuisine: "Japanese", area: "Shibuya", specialty: "Traditional atmosphere, inspired Kill Bill restaurant", price: "$$$", reservation: "Recommended" },
-                { name: "Nabezo", cuisine: "Hot Pot", area: "Multiple locations", specialty: "All-you-can-eat shabu-shabu and sukiyaki", price: "$$", reservation: "Not needed" },
-                { name: "Robot Restaurant", cuisine: "Entertainment", area: "Shinjuku", specialty: "Dinner show with robots and lasers", price: "$$$", reservation: "Required" }
-            ],
-            traditionalClothing: [
-                { type: "Kimono", description: "Traditional Japanese robe with elaborate patterns", occasions: "Festivals, tea ceremonies, formal events", where: "Asakusa rental shops, Ginza boutiques", price: "$$$" },
-                { type: "Yukata", description: "Summer cotton kimono, lighter and more casual", occasions: "Summer festivals, hot spring visits", where: "Department stores, tourist areas", price: "$$" },
-                { type: "Hakama", description: "Traditional pleated pants worn over kimono", occasions: "Formal ceremonies, martial arts, graduations", where: "Specialty shops in Asakusa", price: "$$$" },
-                { type: "Haori", description: "Short kimono jacket worn as outer layer", occasions: "Casual wear, modern fashion", where: "Vintage shops in Harajuku", price: "$$" }
-            ],
-            famousPlaces: [
-                { name: "Senso-ji Temple", type: "Religious Site", area: "Asakusa", highlights: "Tokyo's oldest temple (645 AD), traditional architecture", bestTime: "Early morning", entry: "Free" },
-                { name: "Tokyo Skytree", type: "Landmark", area: "Sumida", highlights: "Tallest structure in Japan (634m), panoramic city views", bestTime: "Sunset", entry: "$$" },
-                { name: "Imperial Palace", type: "Historical Site", area: "Chiyoda", highlights: "Emperor's residence, beautiful East Gardens", bestTime: "Spring (cherry blossoms)", entry: "Free (gardens)" },
-                { name: "Shibuya Crossing", type: "Cultural Icon", area: "Shibuya", highlights: "World's busiest pedestrian crossing, urban energy", bestTime: "Evening rush hour", entry: "Free" },
-                { name: "Meiji Shrine", type: "Religious Site", area: "Shibuya", highlights: "Dedicated to Emperor Meiji, peaceful forest in city", bestTime: "Early morning", entry: "Free" },
-                { name: "Tsukiji Outer Market", type: "Food Market", area: "Chuo", highlights: "Fresh seafood, street food, culinary adventure", bestTime: "Early morning", entry: "Free" }
-            ],
-            culturalEvents: [
-                { name: "Cherry Blossom Festival (Sakura)", period: "March-May", description: "Hanami picnics under blooming cherry trees, Japan's most celebrated season", locations: "Ueno Park, Shinjuku Gyoen, Chidorigafuchi", significance: "Symbol of life's beauty and fragility" },
-                { name: "Kanda Matsuri", period: "Mid-May (odd years)", description: "One of Tokyo's three great festivals with portable shrines", locations: "Kanda Shrine area", significance: "Pray for good harvest and prosperity" },
-                { name: "Bon Odori", period: "July-August", description: "Traditional summer dance festivals to honor ancestors", locations: "Various temples and parks citywide", significance: "Welcome spirits of ancestors" },
-                { name: "Autumn Leaves Festival", period: "November-December", description: "Koyo (autumn leaf viewing) in temples and parks", locations: "Nikko, Mount Fuji area, city parks", significance: "Appreciation of nature's cycles" }
-            ],
-            shoppingMarkets: [
-                { name: "Tsukiji Outer Market", type: "Food Market", area: "Chuo", specialties: "Fresh seafood, sushi, Japanese knives, kitchen tools", hours: "5:00 AM - 2:00 PM", bargaining: "Limited" },
-                { name: "Shibuya Center Gai", type: "Shopping District", area: "Shibuya", specialties: "Youth fashion, electronics, pop culture items", hours: "10:00 AM - 10:00 PM", bargaining: "No" },
-                { name: "Ginza", type: "Luxury District", area: "Chuo", specialties: "High-end brands, department stores, luxury goods", hours: "10:00 AM - 8:00 PM", bargaining: "No" },
-                { name: "Harajuku Takeshita Street", type: "Fashion Street", area: "Shibuya", specialties: "Unique fashion, pop culture items, street food", hours: "10:00 AM - 8:00 PM", bargaining: "Limited" },
-                { name: "Ameyoko Market", type: "Street Market", area: "Ueno", specialties: "Vintage items, snacks, bargain shopping", hours: "10:00 AM - 7:00 PM", bargaining: "Yes" }
-            ]
-        },
-        "mumbai": {
-            localFood: [
-                { name: "Vada Pav", description: "Mumbai's iconic street burger with spiced potato fritter", where: "Street vendors citywide, Ashok Vada Pav", price: "$", mustTry: true },
-                { name: "Pav Bhaji", description: "Spicy mixed vegetable curry served with buttered bread", where: "Juhu Beach, Mohammed Ali Road", price: "$", mustTry: true },
-                { name: "Dosa", description: "South Indian crepe with coconut chutney and sambar", where: "Matunga area, South Indian restaurants", price: "$", mustTry: false },
-                { name: "Bhel Puri", description: "Crunchy mix of puffed rice, sev, and chutneys", where: "Chowpatty Beach, street vendors", price: "$", mustTry: true },
-                { name: "Biryani", description: "Aromatic basmati rice with spiced meat or vegetables", where: "Mohammed Ali Road, Lucky Restaurant", price: "$$", mustTry: false },
-                { name: "Mumbai Sandwich", description: "Multi-layered vegetable sandwich with green chutney", where: "Street vendors, especially Oval Maidan", price: "$", mustTry: false }
-            ],
-            restaurants: [
-                { name: "Leopold Cafe", cuisine: "Continental", area: "Colaba", specialty: "Historic cafe featured in Shantaram, European cuisine", price: "$$", reservation: "Not needed" },
-                { name: "Trishna", cuisine: "Seafood", area: "Fort", specialty: "Modern Indian coastal cuisine with innovative presentations", price: "$$$", reservation: "Required" },
-                { name: "Britannia & Co", cuisine: "Parsi", area: "Ballard Estate", specialty: "Traditional Parsi dishes, berry pulao", price: "$$", reservation: "Not needed" },
-                { name: "Khyber", cuisine: "North Indian", area: "Fort", specialty: "Mughlai cuisine in elegant cave-like ambiance", price: "$$$", reservation: "Recommended" },
-                { name: "Cafe Mondegar", cuisine: "Continental", area: "Colaba", specialty: "Retro cafe with comic book murals", price: "$$", reservation: "Not needed" }
-            ],
-            traditionalClothing: [
-                { type: "Saree", description: "Six-yard traditional draped garment in silk or cotton", occasions: "Weddings, festivals, formal events", where: "Linking Road, Crawford Market, Zaveri Bazaar", price: "$$-$$$" },
-                { type: "Kurta", description: "Traditional tunic worn with pants or jeans", occasions: "Daily wear, festivals, casual events", where: "Colaba Causeway, local markets", price: "$-$$" },
-                { type: "Lehenga", description: "Embroidered skirt with blouse and dupatta", occasions: "Weddings, major celebrations", where: "Designer stores in Bandra, Zaveri Bazaar", price: "$$$" },
-                { type: "Dhoti", description: "Traditional men's unstitched garment", occasions: "Religious ceremonies, cultural events", where: "Crawford Market, traditional stores", price: "$" }
-            ],
-            famousPlaces: [
-                { name: "Gateway of India", type: "Historical Monument", area: "Apollo Bunder", highlights: "Iconic arch overlooking Arabian Sea, British colonial architecture", bestTime: "Evening", entry: "Free" },
-                { name: "Marine Drive", type: "Promenade", area: "South Mumbai", highlights: "Queen's Necklace waterfront, Art Deco buildings", bestTime: "Sunset", entry: "Free" },
-                { name: "Elephanta Caves", type: "UNESCO Site", area: "Elephanta Island", highlights: "Ancient rock-cut temples with Lord Shiva sculptures", bestTime: "Morning", entry: "$ (plus ferry)" },
-                { name: "Chhatrapati Shivaji Terminus", type: "Railway Station", area: "Fort", highlights: "UNESCO World Heritage Victorian Gothic architecture", bestTime: "Daytime", entry: "Free (exterior)" },
-                { name: "Juhu Beach", type: "Beach", area: "Juhu", highlights: "Popular beach with street food and Bollywood celebrity homes", bestTime: "Evening", entry: "Free" },
-                { name: "Haji Ali Dargah", type: "Religious Site", area: "Mahalaxmi", highlights: "Islamic shrine on a tidal island", bestTime: "Low tide", entry: "Free" }
-            ],
-            culturalEvents: [
-                { name: "Ganesh Chaturthi", period: "August-September", description: "11-day festival celebrating Lord Ganesha with elaborate decorations", locations: "Lalbaugcha Raja, Ganeshgalli, citywide", significance: "Removal of obstacles, new beginnings" },
-                { name: "Diwali", period: "October-November", description: "Festival of Lights with fireworks, sweets, and family gatherings", locations: "Citywide, especially residential areas", significance: "Victory of light over darkness" },
-                { name: "Mumbai Festival", period: "January", description: "Cultural celebrations showcasing city's diversity", locations: "Various venues across Mumbai", significance: "Celebration of Mumbai's cosmopolitan culture" },
-                { name: "Navratri", period: "September-October", description: "Nine nights of Gujarati folk dance and music", locations: "Garba venues, cultural centers", significance: "Worship of Divine Feminine" }
-            ],
-            shoppingMarkets: [
-                { name: "Crawford Market", type: "Traditional Market", area: "Fort", specialties: "Fresh fruits, spices, textiles, household items", hours: "11:00 AM - 8:00 PM", bargaining: "Yes" },
-                { name: "Linking Road", type: "Shopping Street", area: "Bandra", specialties: "Fashion, jewelry, shoes, street shopping", hours: "10:00 AM - 10:00 PM", bargaining: "Yes" },
-                { name: "Colaba Causeway", type: "Tourist Market", area: "Colaba", specialties: "Handicrafts, antiques, souvenirs, ethnic wear", hours: "10:00 AM - 10:00 PM", bargaining: "Yes" },
-                { name: "Fashion Street", type: "Garment Market", area: "Fort", specialties: "Affordable clothing, accessories, bags", hours: "11:00 AM - 8:00 PM", bargaining: "Yes" },
-                { name: "Zaveri Bazaar", type: "Jewelry Market", area: "Fort", specialties: "Gold, silver, precious stones, wedding jewelry", hours: "11:00 AM - 8:00 PM", bargaining: "Limited" }
-            ]
-        },
-        "delhi": {
-            localFood: [
-                { name: "Paranthas", description: "Stuffed Indian flatbread with various fillings", where: "Paranthe Wali Gali, Chandni Chowk", price: "$", mustTry: true },
-                { name: "Chole Bhature", description: "Spiced chickpeas with large fried bread", where: "Old Delhi dhabas, Sitaram Diwan Chand", price: "$", mustTry: true },
-                { name: "Butter Chicken", description: "Creamy tomato-based chicken curry, Delhi's gift to world", where: "Moti Mahal, Karim's", price: "$$", mustTry: true },
-                { name: "Golgappa", description: "Crispy hollow shells filled with spiced water", where: "Street vendors near India Gate, Connaught Place", price: "$", mustTry: true },
-                { name: "Kebabs", description: "Grilled meat skewers with aromatic spices", where: "Chandni Chowk, Khan Market", price: "$$", mustTry: false },
-                { name: "Kulfi", description: "Traditional Indian ice cream with cardamom", where: "Kuremal Mohan Lal Kulfi Wale", price: "$", mustTry: false }
-            ],
-            restaurants: [
-                { name: "Karim's", cuisine: "Mughlai", area: "Old Delhi", specialty: "Historic restaurant since 1913, mutton korma", price: "$$", reservation: "Not needed" },
-                { name: "Indian Accent", cuisine: "Modern Indian", area: "New Delhi", specialty: "Contemporary interpretation of Indian classics", price: "$$$$", reservation: "Required" },
-                { name: "Bukhara", cuisine: "North Indian", area: "Diplomatic Enclave", specialty: "Dal Bukhara, tandoor specialties, no cutlery dining", price: "$$$$", reservation: "Required" },
-                { name: "Pandara Road", cuisine: "Multi-cuisine", area: "India Gate", specialty: "Row of restaurants offering diverse North Indian cuisine", price: "$$$", reservation: "Recommended" },
-                { name: "Paranthe Wali Gali", cuisine: "Street Food", area: "Chandni Chowk", specialty: "Variety of stuffed paranthas in historic lane", price: "$", reservation: "Not needed" }
-            ],
-            traditionalClothing: [
-                { type: "Salwar Kameez", description: "Traditional three-piece outfit with tunic, pants, and scarf", occasions: "Daily wear, festivals, office wear", where: "Karol Bagh, Connaught Place", price: "$-$$" },
-                { type: "Sherwani", description: "Formal men's wear with intricate embroidery", occasions: "Weddings, formal events", where: "Chandni Chowk, Khan Market", price: "$$$" },
-                { type: "Ghagra Choli", description: "Traditional skirt and blouse ensemble", occasions: "Festivals, cultural events, weddings", where: "Rajouri Garden, Lajpat Nagar", price: "$$-$$$" },
-                { type: "Nehru Jacket", description: "Sleeveless jacket named after India's first PM", occasions: "Formal events, cultural programs", where: "Connaught Place, Janpath", price: "$$" }
-            ],
-            famousPlaces: [
-                { name: "Red Fort", type: "Historical Monument", area: "Old Delhi", highlights: "Mughal fortress, UNESCO World Heritage, Independence Day venue", bestTime: "Morning", entry: "$" },
-                { name: "India Gate", type: "War Memorial", area: "Rajpath", highlights: "42m high memorial arch, evening gathering spot", bestTime: "Evening", entry: "Free" },
-                { name: "Qutub Minar", type: "UNESCO Site", area: "Mehrauli", highlights: "73m tall victory tower, Indo-Islamic architecture", bestTime: "Morning", entry: "$" },
-                { name: "Lotus Temple", type: "Religious Site", area: "South Delhi", highlights: "Bahá'í House of Worship, lotus-shaped architecture", bestTime: "Sunset", entry: "Free" },
-                { name: "Humayun's Tomb", type: "Mausoleum", area: "Delhi", highlights: "Inspiration for Taj Mahal, Mughal garden tomb", bestTime: "Afternoon", entry: "$" },
-                { name: "Jama Masjid", type: "Religious Site", area: "Old Delhi", highlights: "India's largest mosque, Mughal architecture", bestTime: "Non-prayer times", entry: "Free" }
-            ],
-            culturalEvents: [
-                { name: "Diwali", period: "October-November", description: "Festival of Lights with spectacular celebrations across the capital", locations: "India Gate, Chandni Chowk, residential areas citywide", significance: "Victory of good over evil, light over darkness" },
-                { name: "Holi", period: "March", description: "Festival of Colors celebrating spring's arrival", locations: "Vrindavan (nearby), city parks, residential areas", significance: "Triumph of good, end of winter" },
-                { name: "Dussehra", period: "September-October", description: "10-day festival with Ramlila performances and Ravana effigies", locations: "Red Fort grounds, Ramlila grounds", significance: "Victory of Lord Rama over demon king Ravana" },
-                { name: "Delhi International Arts Festival", period: "November", description: "Cultural performances, art exhibitions, international participation", locations: "Various cultural venues like NCPA, Siri Fort", significance: "Celebration of global arts and culture" }
-            ],
-            shoppingMarkets: [
-                { name: "Chandni Chowk", type: "Historical Market", area: "Old Delhi", specialties: "Traditional items, street food, textiles, spices", hours: "10:00 AM - 8:00 PM", bargaining: "Yes" },
-                { name: "Connaught Place", type: "Commercial Hub", area: "Central Delhi", specialties: "Books, branded clothes, restaurants", hours: "10:00 AM - 8:00 PM", bargaining: "Limited" },
-                { name: "Khan Market", type: "Upmarket Shopping", area: "South Delhi", specialties: "Books, boutiques, cafes, branded goods", hours: "10:00 AM - 8:00 PM", bargaining: "No" },
-                { name: "Karol Bagh", type: "Shopping District", area: "Central Delhi", specialties: "Wedding shopping, electronics, textiles", hours: "10:00 AM - 9:00 PM", bargaining: "Yes" },
-                { name: "Lajpat Nagar", type: "Local Market", area: "South Delhi", specialties: "Clothing, footwear, accessories, affordable shopping", hours: "10:00 AM - 8:00 PM", bargaining: "Yes" }
-            ]
-        },
-        "paris": {
-            localFood: [
-                { name: "Croissant", description: "Buttery, flaky pastry perfect for breakfast", where: "Local boulangeries, morning cafes", price: "$", mustTry: true },
-                { name: "Escargot", description: "Cooked snails in garlic butter and herbs", where: "Traditional bistros, L'Ami Jean", price: "$$$", mustTry: false },
-                { name: "Coq au Vin", description: "Chicken braised in wine with mushrooms", where: "Classic French brasseries", price: "$$$", mustTry: false },
-                { name: "Macarons", description: "Colorful almond cookies with various fillings", where: "Ladurée, Pierre Hermé", price: "$$", mustTry: true },
-                { name: "French Onion Soup", description: "Rich onion broth topped with cheese and bread", where: "Les Halles area bistros", price: "$$", mustTry: false },
-                { name: "Crêpes", description: "Thin pancakes with sweet or savory fillings", where: "Street vendors, Breizh Café", price: "$", mustTry: true }
-            ],
-            restaurants: [
-                { name: "Le Comptoir du Relais", cuisine: "French Bistro", area: "Saint-Germain", specialty: "Traditional bistro fare in authentic atmosphere", price: "$$$", reservation: "Required" },
-                { name: "L'As du Fallafel", cuisine: "Middle Eastern", area: "Le Marais", specialty: "Best falafel in Paris, Jewish quarter specialty", price: "$", reservation: "Not needed" },
-                { name: "Breizh Café", cuisine: "Crêperie", area: "Le Marais", specialty: "Modern Japanese-French fusion crêpes", price: "$$", reservation: "Recommended" },
-                { name: "Du Pain et des Idées", cuisine: "Bakery", area: "République", specialty: "Artisanal pastries and sourdough bread", price: "$", reservation: "Not needed" },
-                { name: "Le Grand Véfour", cuisine: "Fine Dining", area: "Palais Royal", specialty: "Michelin-starred restaurant with 200+ year history", price: "$$$$", reservation: "Required" }
-            ],
-            traditionalClothing: [
-                { type: "Breton Stripes", description: "Classic French striped sailor shirt", occasions: "Casual wear, iconic French style", where: "Galeries Lafayette, local boutiques", price: "$-$$" },
-                { type: "Beret", description: "Traditional French wool cap", occasions: "Fashion accessory, cultural events", where: "Montmartre souvenir shops", price: "$" },
-                { type: "French Scarf", description: "Silk square scarf worn around neck", occasions: "Fashion accessory for all occasions", where: "Hermès, department stores", price: "$$-$$$" },
-                { type: "Chanel Suit", description: "Iconic tweed suit design", occasions: "Formal events, high fashion", where: "Chanel boutiques, luxury stores", price: "$$$$" }
-            ],
-            famousPlaces: [
-                { name: "Eiffel Tower", type: "Landmark", area: "Champ de Mars", highlights: "Iron lattice tower, symbol of Paris, evening light show", bestTime: "Sunset", entry: "$$" },
-                { name: "Louvre Museum", type: "Art Museum", area: "Rivoli", highlights: "World's largest art museum, Mona Lisa, glass pyramid", bestTime: "Early morning", entry: "$$$" },
-                { name: "Notre-Dame Cathedral", type: "Religious Site", area: "Île de la Cité", highlights: "Gothic architecture, historical significance (under restoration)", bestTime: "Midday", entry: "Free (exterior)" },
-                { name: "Arc de Triomphe", type: "Monument", area: "Champs-Élysées", highlights: "Triumphal arch, Tomb of Unknown Soldier, city views", bestTime: "Afternoon", entry: "$$" },
-                { name: "Sacré-Cœur Basilica", type: "Religious Site", area: "Montmartre", highlights: "Romano-Byzantine architecture, panoramic Paris views", bestTime: "Sunset", entry: "Free" },
-                { name: "Seine River Cruise", type: "Activity", area: "Citywide", highlights: "See Paris from water, illuminated monuments", bestTime: "Evening", entry: "$$" }
-            ],
-            culturalEvents: [
-                { name: "Bastille Day", period: "July 14", description: "French National Day with military parade and fireworks", locations: "Champs-Élysées parade, Eiffel Tower fireworks", significance: "French Revolution commemoration" },
-                { name: "Nuit Blanche", period: "First Saturday of October", description: "All-night contemporary arts festival", locations: "Museums, galleries, public spaces citywide", significance: "Celebration of contemporary art and culture" },
-                { name: "Paris Fashion Week", period: "September & March", description: "International fashion shows and presentations", locations: "Grand Palais, various venues", significance: "Global fashion industry showcase" },
-                { name: "Fête de la Musique", period: "June 21", description: "Free music performances throughout the city", locations: "Streets, parks, venues citywide", significance: "Summer solstice celebration through music" }
-            ],
-            shoppingMarkets: [
-                { name: "Marché aux Puces", type: "Flea Market", area: "Saint-Ouen", specialties: "Antiques, vintage items, collectibles", hours: "Saturday-Monday 9:00 AM - 6:00 PM", bargaining: "Yes" },
-                { name: "Champs-Élysées", type: "Shopping Avenue", area: "8th Arrondissement", specialties: "Luxury brands, flagship stores, cafes", hours: "10:00 AM - 8:00 PM", bargaining: "No" },
-                { name: "Le Marais", type: "Historic District", area: "3rd-4th Arrondissement", specialties: "Vintage shops, Jewish quarter specialties, trendy boutiques", hours: "10:00 AM - 7:00 PM", bargaining: "Limited" },
-                { name: "Rue de Rivoli", type: "Shopping Street", area: "1st Arrondissement", specialties: "Souvenir shops, department stores, tourist items", hours: "10:00 AM - 7:00 PM", bargaining: "No" },
-                { name: "Galeries Lafayette", type: "Department Store", area: "9th Arrondissement", specialties: "Luxury fashion, gourmet food hall, French brands", hours: "9:30 AM - 8:00 PM", bargaining: "No" }
-            ]
-        },
-        "newyork": {
-            localFood: [
-                { name: "New York Pizza", description: "Large thin crust pizza sold by the slice", where: "Joe's Pizza, Di Fara, local pizzerias", price: "$", mustTry: true },
-                { name: "Bagels", description: "Chewy bread rings with cream cheese and lox", where: "Ess-a-Bagel, H&H Bagels, local delis", price: "$", mustTry: true },
-                { name: "Cheesecake", description: "Rich, creamy New York-style dessert", where: "Junior's, Eileen's Special Cheesecake", price: "$$", mustTry: false },
-                { name: "Pastrami Sandwich", description: "Hot corned beef sandwich on rye bread", where: "Katz's Delicatessen, Carnegie Deli", price: "$$", mustTry: true },
-                { name: "Hot Dog", description: "Street vendor classic with mustard and sauerkraut", where: "Central Park vendors, Times Square carts", price: "$", mustTry: false },
-                { name: "Black and White Cookie", description: "Large cookie with vanilla and chocolate icing", where: "Local bakeries, delis citywide", price: "$", mustTry: false }
-            ],
-            restaurants: [
-                { name: "Katz's Delicatessen", cuisine: "Jewish Deli", area: "Lower East Side", specialty: "Pastrami sandwich, historic deli since 1888", price: "$$", reservation: "Not needed" },
-                { name: "Peter Luger", cuisine: "Steakhouse", area: "Brooklyn", specialty: "Dry-aged steaks since 1887, cash only", price: "$$$$", reservation: "Required" },
-                { name: "Xi'an Famous Foods", cuisine: "Chinese", area: "Multiple locations", specialty: "Hand-pulled noodles, spicy Western Chinese cuisine", price: "$", reservation: "Not needed" },
-                { name: "Joe's Pizza", cuisine: "Pizza", area: "Multiple locations", specialty: "Classic New York slice, thin crust", price: "$", reservation: "Not needed" },
-                { name: "Eleven Madison Park", cuisine: "Fine Dining", area: "Flatiron", specialty: "Plant-based tasting menu, Michelin stars", price: "$$$$", reservation: "Required" }
-            ],
-            traditionalClothing: [
-                { type: "Yankees Cap", description: "Iconic baseball cap representing NYC", occasions: "Casual wear, sports events", where: "Yankee Stadium shop, sports stores", price: "$" },
-                { type: "I ❤️ NY T-shirt", description: "Classic tourist souvenir shirt", occasions: "Casual wear, tourist memento", where: "Times Square, souvenir shops", price: "$" },
-                { type: "Broadway Show Merch", description: "Theater-themed clothing and accessories", occasions: "Casual wear, show memorabilia", where: "Theater District shops", price: "$-$$" },
-                { type: "FDNY/NYPD Gear", description: "New York emergency services apparel", occasions: "Casual wear, city pride", where: "Official stores, souvenir shops", price: "$-$$" }
-            ],
-            famousPlaces: [
-                { name: "Statue of Liberty", type: "Monument", area: "Liberty Island", highlights: "Symbol of freedom, harbor views, crown access", bestTime: "Morning", entry: "$$ (includes ferry)" },
-                { name: "Central Park", type: "Urban Park", area: "Manhattan", highlights: "843-acre green oasis, recreational activities", bestTime: "Afternoon", entry: "Free" },
-                { name: "Times Square", type: "Entertainment District", area: "Midtown", highlights: "Bright LED billboards, Broadway theaters, energy", bestTime: "Evening", entry: "Free" },
-                { name: "Brooklyn Bridge", type: "Bridge", area: "Brooklyn/Manhattan", highlights: "Iconic suspension bridge, pedestrian walkway", bestTime: "Sunset", entry: "Free" },
-                { name: "9/11 Memorial", type: "Memorial", area: "Financial District", highlights: "Tribute to victims, reflecting pools, museum", bestTime: "Midday", entry: "Free (memorial), $ (museum)" },
-                { name: "Empire State Building", type: "Skyscraper", area: "Midtown", highlights: "Art Deco architecture, observation decks", bestTime: "Sunset", entry: "$$$" }
-            ],
-            culturalEvents: [
-                { name: "New Year's Eve Ball Drop", period: "December 31", description: "Iconic countdown celebration in Times Square", locations: "Times Square", significance: "Global New Year celebration" },
-                { name: "Macy's Thanksgiving Parade", period: "Thanksgiving Day", description: "Giant balloon parade with floats and performances", locations: "Central Park West to Herald Square", significance: "American Thanksgiving tradition" },
-                { name: "Summer in the City", period: "June-August", description: "Outdoor concerts, festivals, and cultural events", locations: "Central Park, Brooklyn Bridge Park, various venues", significance: "Celebration of NYC summer culture" },
-                { name: "Halloween Parade", period: "October 31", description: "World's largest Halloween celebration", locations: "Greenwich Village", significance: "Creative expression and community celebration" }
-            ],
-            shoppingMarkets: [
-                { name: "Times Square", type: "Tourist Shopping", area: "Midtown", specialties: "Souvenir shops, theater merchandise, chain stores", hours: "24/7", bargaining: "No" },
-                { name: "Fifth Avenue", type: "Luxury Shopping", area: "Midtown", specialties: "High-end brands, flagship stores, jewelry", hours: "10:00 AM - 8:00 PM", bargaining: "No" },
-                { name: "SoHo", type: "Fashion District", area: "Lower Manhattan", specialties: "Designer boutiques, art galleries, trendy fashion", hours: "11:00 AM - 7:00 PM", bargaining: "No" },
-                { name: "Chelsea Market", type: "Food Market", area: "Chelsea", specialties: "Gourmet food, artisanal products, restaurants", hours: "7:00 AM - 9:00 PM", bargaining: "No" },
-                { name: "Brooklyn Flea Market", type: "Vintage Market", area: "Brooklyn", specialties: "Vintage clothing, antiques, handmade crafts", hours: "Saturday-Sunday 10:00 AM - 5:00 PM", bargaining: "Yes" }
-            ]
+    
+    static recordQuery(query) {
+        this.current.steps.push({ query });
+    }
+    
+    // A switch before the first question just changes where the session starts
+    static recordCity(city) {
+        if (this.current.steps.length === 0) {
+            this.current.city = city.displayName;
+        } else {
+            this.current.steps.push({ city: city.displayName });
         }
-    };
+    }
+    
+    static recordIntent(intent) {
+        this.current.steps.push({ intent });
+    }
     
-    static async getLocalRecommendations(city) {
-        const cacheKey = `local_rec_${city}`;
-        const cached = this.cache.get(cacheKey);
+    // The chat changes in bursts (a heading, then a dozen cards); snapshot once it settles
+    static scheduleCapture() {
+        clearTimeout(this.captureTimer);
+        this.captureTimer = setTimeout(() => this.capture(), 500);
+    }
+    
+    // Snapshot #messages into the current session and store it once it has a question in it
+    static capture() {
+        clearTimeout(this.captureTimer);
+        const session = this.current;
+        if (!session) return;
         
-        if (cached && Date.now() - cached.timestamp < this.cacheTimeout) {
-            return cached.data;
-        }
+        session.transcript = Array.from(document.getElementById('messages').children)
+            .filter(element => !element.classList.contains('session-notice') && !element.classList.contains('place-map'))
+            .map(element => ({ className: element.className, html: this.cleanHTML(element.innerHTML) }))
+            .filter(entry => this.htmlToText(entry.html) !== '');
+        session.lastCity = currentCity.displayName;
+        if (session.steps.length === 0) return;
         
-        try {
-            // Get comprehensive recommendations using demo data and enhanced local information
-            const cityData = this.demoData[city.toLowerCase()];
-            
-            if (!cityData) {
-                return this.getBasicRecommendations(city);
-            }
-            
-            const recommendations = {
-                weather: await WeatherAPI.getCurrentWeather(city).catch(() => ({ temperature: 20, condition: 'pleasant' })),
-                local_food: cityData.localFood,
-                restaurants: cityData.restaurants,
-                traditional_clothing: cityData.traditionalClothing,
-                famous_places: cityData.famousPlaces,
-                cultural_events: cityData.culturalEvents,
-                shopping_markets: cityData.shoppingMarkets,
-                events: await NewsAPI.getLocalEvents(city).catch(() => []),
-                local_tips: this.getLocalTips(city),
-                budget_options: this.getBudgetRecommendations(city),
-                cultural_insights: this.getCulturalInsights(city)
-            };
-            
-            this.cache.set(cacheKey, {
-                data: recommendations,
-                timestamp: Date.now()
-            });
+        session.updatedAt = new Date().toISOString();
+        this.sessions = [session, ...this.sessions.filter(saved => saved.id !== session.id)].slice(0, this.maxSessions);
+        this.save();
+        renderSessionList();
+    }
+    
+    static remove(id) {
+        this.sessions = this.sessions.filter(session => session.id !== id);
+        this.save();
+    }
+    
+    static title(session) {
+        const first = session.steps.find(step => step.query);
+        const text = first ? first.query : session.city;
+        return text.length > 40 ? `${text.slice(0, 39)}…` : text;
+    }
+    
+    static questionCount(session) {
+        return session.steps.filter(step => step.query).length;
+    }
+    
+    // Saved cards are read-only: controls, inline handlers and the map's SVG are dropped
+    static cleanHTML(html) {
+        return html
+            .replace(/<(button|select|textarea|svg)\b[\s\S]*?<\/\1>/gi, '')
+            .replace(/<input\b[^>]*>/gi, '')
+            .replace(/\s+on[a-z]+="[^"]*"/gi, '')
+            .replace(/\s{2,}/g, ' ')
+            .trim();
+    }
+    
+    static htmlToText(html) {
+        const entities = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: ' ' };
+        return html
+            .replace(/<br\s*\/?>/gi, '\n')
+            .replace(/<\/(p|div|h\d|li)>/gi, '\n')
+            .replace(/<[^>]+>/g, '')
+            .replace(/&(#\d+|[a-z]+);/gi, (match, name) => name[0] === '#' ? String.fromCharCode(Number(name.slice(1))) : (entities[name.toLowerCase()] || match))
+            .split('\n')
+            .map(line => line.replace(/\s+/g, ' ').trim())
+            .filter(Boolean)
+            .join('\n');
+    }
+    
+    static role(entry) {
+        if (entry.className.includes('user-message')) return 'user';
+        if (entry.className.includes('bot-message')) return 'bot';
+        return 'card';
+    }
+    
+    // Bot messages are "<div class="category">…</div><p>…</p>"
+    static splitBotMessage(html) {
+        const match = html.match(/^\s*<div class="category">([\s\S]*?)<\/div>([\s\S]*)$/);
+        return match
+            ? { category: this.htmlToText(match[1]), text: this.htmlToText(match[2]) }
+            : { category: null, text: this.htmlToText(html) };
+    }
+    
+    // Share links carry only the starting city and the steps, base64url-encoded after "#session="
+    static encode(session) {
+        const bytes = new TextEncoder().encode(JSON.stringify({ v: 1, city: session.city, steps: session.steps }));
+        let binary = '';
+        bytes.forEach(byte => {
+            binary += String.fromCharCode(byte);
+        });
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+    
+    // Links come from other people, so anything that isn't a plain step is dropped
+    static decode(text) {
+        try {
+            const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+            const data = JSON.parse(new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0))));
+            if (!data || typeof data.city !== 'string' || !Array.isArray(data.steps)) return null;
             
-            return recommendations;
+            const steps = data.steps
+                .map(step => {
+                    if (step && typeof step.query === 'string' && step.query.trim()) return { query: step.query.trim().slice(0, 500) };
+                    if (step && typeof step.city === 'string' && step.city.trim()) return { city: step.city.trim() };
+                    if (step && IntentClassifier.labels.includes(step.intent)) return { intent: step.intent };
+                    return null;
+                })
+                .filter(Boolean)
+                .slice(0, this.maxReplaySteps);
+            return steps.length > 0 ? { city: data.city, steps } : null;
         } catch (error) {
-            console.error('Error getting local recommendations:', error);
-            return this.getBasicRecommendations(city);
+            return null;
         }
     }
     
-    static getLocalFood(city) {
-        const cityData = this.demoData[city.toLowerCase()];
-        return cityData ? cityData.localFood : [
-            { name: "Local Specialties", description: "Try traditional dishes", where: "Local restaurants and markets", price: "$$", mustTry: true }
-        ];
+    static shareUrl(session) {
+        return `${location.href.split('#')[0]}#session=${this.encode(session)}`;
     }
+}
+
+ChatSessions.load();
+
+// Session exports: Markdown, JSON and a standalone HTML page laid out for printing to PDF
+class SessionExport {
+    static formats = {
+        markdown: { extension: 'md', mime: 'text/markdown' },
+        json: { extension: 'json', mime: 'application/json' },
+        html: { extension: 'html', mime: 'text/html' }
+    };
     
-    static getTopRestaurants(city) {
-        const cityData = this.demoData[city.toLowerCase()];
-        return cityData ? cityData.restaurants : [
-            { name: "Local Restaurant", cuisine: "Regional", area: "City Center", specialty: "Local specialties", price: "$$", reservation: "Recommended" }
-        ];
+    static formatDate(iso) {
+        return new Date(iso).toLocaleString(I18n.locale, { dateStyle: 'medium', timeStyle: 'short' });
     }
     
-    static getTraditionalClothing(city) {
-        const cityData = this.demoData[city.toLowerCase()];
-        return cityData ? cityData.traditionalClothing : [
-            { type: "Local Traditional Wear", description: "Regional clothing", occasions: "Cultural events", where: "Local markets", price: "$$" }
+    static toMarkdown(session) {
+        const lines = [
+            `# 💬 CulturalBot session - ${session.city}`,
+            '',
+            `_${this.formatDate(session.startedAt)} · ${ChatSessions.questionCount(session)} question(s)_`,
+            '',
+            `🔗 Replay: <${ChatSessions.shareUrl(session)}>`,
+            '',
+            '---',
+            ''
         ];
+        
+        session.transcript.forEach(entry => {
+            const role = ChatSessions.role(entry);
+            if (role === 'user') {
+                lines.push(`**🧑 You:** ${ChatSessions.htmlToText(entry.html)}`, '');
+            } else if (role === 'bot') {
+                const message = ChatSessions.splitBotMessage(entry.html);
+                lines.push(`**${message.category || '🤖 CulturalBot'}:** ${message.text.replace(/\n/g, '  \n')}`, '');
+            } else {
+                lines.push(...ChatSessions.htmlToText(entry.html).split('\n').map(line => `> ${line}`), '');
+            }
+        });
+        return lines.join('\n');
     }
     
-    static getFamousPlaces(city) {
-        const cityData = this.demoData[city.toLowerCase()];
-        return cityData ? cityData.famousPlaces : [
-            { name: "City Center", type: "Urban Area", area: "Downtown", highlights: "Main attractions and landmarks", bestTime: "Daytime", entry: "Free" }
-        ];
+    static toJSON(session) {
+        return JSON.stringify({
+            version: 1,
+            id: session.id,
+            city: session.city,
+            startedAt: session.startedAt,
+            updatedAt: session.updatedAt,
+            shareUrl: ChatSessions.shareUrl(session),
+            steps: session.steps,
+            messages: session.transcript.map(entry => {
+                const role = ChatSessions.role(entry);
+                return role === 'bot'
+                    ? { role, ...ChatSessions.splitBotMessage(entry.html) }
+                    : { role, text: ChatSessions.htmlToText(entry.html) };
+            })
+        }, null, 2);
     }
     
-    static getCulturalEvents(city) {
-        const cityData = this.demoData[city.toLowerCase()];
-        return cityData ? cityData.culturalEvents : [
-            { name: "Local Cultural Celebration", period: "Various times", description: "Regional festivals and events", locations: "City venues", significance: "Cultural heritage" }
-        ];
+    static toHTML(session) {
+        const title = `CulturalBot session - ${session.city}`;
+        // Entries were read back from storage, so they are sanitized like any other outside markup
+        const entries = session.transcript.map(entry => html`<div class="${entry.className}">${SafeHTML.sanitize(entry.html)}</div>\n`);
+        
+        return String(html`<!DOCTYPE html>
+<html lang="${I18n.language}">
+<head>
+<meta charset="UTF-8">
+<title>${title}</title>
+<style>
+    @page { margin: 2cm; }
+    body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; color: #2c3e50; max-width: 800px; margin: 0 auto; padding: 20px; line-height: 1.45; }
+    h1 { font-size: 22px; margin-bottom: 4px; }
+    .meta { color: #7f8c8d; font-size: 13px; }
+    .message { margin: 12px 0; padding: 10px 14px; border-radius: 10px; break-inside: avoid; }
+    .user-message { background: #3498db; color: white; margin-left: 25%; }
+    .bot-message { background: #f1f3f4; }
+    .category { font-weight: bold; color: #3498db; margin-bottom: 4px; }
+    .recommendation, .weather-info, .itinerary-day { margin: 8px 0; padding: 10px 14px; border-left: 4px solid #3498db; background: #eef7f6; border-radius: 8px; break-inside: avoid; }
+    .api-powered, .ai-insight { font-size: 12px; color: #555; margin: 6px 0; }
+    a { color: #2980b9; }
+    @media print { .hint { display: none; } a { color: inherit; } }
+</style>
+</head>
+<body>
+<h1>💬 ${title}</h1>
+<p class="meta">${this.formatDate(session.startedAt)} · ${ChatSessions.questionCount(session)} question(s) · <a href="${ChatSessions.shareUrl(session)}">🔗 Replay</a></p>
+<p class="hint">Print this page (Ctrl/Cmd + P) and choose "Save as PDF".</p>
+${entries}</body>
+</html>
+`);
     }
     
-    static getShoppingMarkets(city) {
-        const cityData = this.demoData[city.toLowerCase()];
-        return cityData ? cityData.shoppingMarkets : [
-            { name: "Central Market", type: "Local Market", area: "City Center", specialties: "Local goods and crafts", hours: "9:00 AM - 6:00 PM", bargaining: "Yes" }
-        ];
+    static download(format, session) {
+        const config = this.formats[format];
+        const content = { markdown: () => this.toMarkdown(session), json: () => this.toJSON(session), html: () => this.toHTML(session) }[format]();
+        downloadFile(`culturalbot-session-${session.startedAt.slice(0, 10)}.${config.extension}`, content, config.mime);
     }
+}
+
+// Interactive map panel for place results
+// Plots every place with coordinates returned by PlacesAPI.searchPlaces on an SVG map
+// (Web Mercator, OpenStreetMap tiles when online), coloured by category. Nearby markers
+// of the same category are clustered. Markers and recommendation cards are linked:
+// clicking a marker scrolls to its card, clicking a card pans the map to the marker.
+class PlaceMap {
+    static width = 480;
+    static height = 260;
+    static tileSize = 256;
+    static tileUrl = 'https://tile.openstreetmap.org/{z}/{x}/{y}.png'; // null draws a plain background
+    static clusterRadius = 28; // pixels
+    static maxZoom = 17;
+    
+    static categoryStyles = {
+        food: { color: '#e74c3c', label: '🍽️ Food' },
+        culture: { color: '#8e44ad', label: '🏛️ Culture' },
+        tourist: { color: '#2980b9', label: '📍 Attractions' },
+        shopping: { color: '#f39c12', label: '🛍️ Shopping' },
+        clothing: { color: '#16a085', label: '👘 Clothing' }
+    };
+    
+    static cityKey = null;
+    static places = [];
+    static view = null; // { zoom, x, y } - map centre in world pixels
+    static selectedId = null;
+    static element = null;
+    static nextId = 1;
     
-    static getLocalTips(city) {
-        const tips = {
-            tokyo: [
-                "Use IC cards (Suica/Pasmo) for convenient public transport",
-                "Learn basic bowing etiquette - slight bow for greetings",
-                "Try convenience store food - surprisingly high quality",
-                "Visit both traditional districts (Asakusa) and modern areas (Shibuya)",
-                "Remove shoes when entering homes and some restaurants",
-                "Download Google Translate app for camera translation"
-            ],
-            mumbai: [
-                "Use local trains for efficient travel, but avoid rush hours",
-                "Try street food at Mohammed Ali Road and Juhu Beach",
-                "Bargain at local markets but be respectful",
-                "Respect local customs and dress modestly at religious sites",
-                "Monsoon season (June-September) brings heavy rains",
-                "Keep cash handy as many places don't accept cards"
-            ],
-            delhi: [
-                "Use Delhi Metro for convenient and safe travel",
-                "Bargain in local markets but not in malls or branded stores",
-                "Try street food but choose busy stalls for freshness",
-                "Dress modestly when visiting religious sites",
-                "Air quality can be poor, especially in winter months",
-                "Drink bottled water and avoid ice in street drinks"
-            ],
-            paris: [
-                "Learn basic French greetings - 'Bonjour' and 'Merci'",
-                "Visit local cafes for authentic Parisian experience",
-                "Use metro for easy transportation across the city",
-                "Explore neighborhoods beyond major tourist areas",
-                "Most shops close on Sundays except in tourist areas",
-                "Tip 10% at restaurants if service charge not included"
-            ],
-            newyork: [
-                "Walk fast and stay right on sidewalks",
-                "Use subway MetroCard for efficient city travel",
-                "Tip 18-20% at restaurants and bars",
-                "Central Park is perfect for jogging and relaxing",
-                "Broadway shows require advance booking",
-                "Don't be afraid to ask locals for directions - most are helpful"
-            ]
+    // Web Mercator: lat/lon to world pixels at a zoom level
+    static project(lat, lon, zoom) {
+        const scale = this.tileSize * Math.pow(2, zoom);
+        const sin = Math.min(Math.max(Math.sin(lat * Math.PI / 180), -0.9999), 0.9999);
+        return {
+            x: (lon + 180) / 360 * scale,
+            y: (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * scale
         };
-        
-        return tips[city.toLowerCase()] || [
-            "Research local customs before visiting",
-            "Try local cuisine and visit traditional markets",
-            "Use public transportation when available",
-            "Respect cultural norms and dress codes",
-            "Learn a few basic phrases in the local language",
-            "Keep important documents and emergency contacts handy"
-        ];
     }
     
-    static getBudgetRecommendations(city) {
-        const budget = {
-            tokyo: {
-                accommodation: "Consider capsule hotels, business hotels, or Airbnb in outer districts",
-                food: "Convenience stores, ramen shops, standing sushi bars, lunch sets",
-                transport: "Day passes for JR/Metro, walking between nearby attractions",
-                activities: "Free temples, parks, observation decks in department stores"
-            },
-            mumbai: {
-                accommodation: "Budget hotels in Colaba, hostels, or guesthouses in Bandra",
-                food: "Street food, local dhabas, South Indian restaurants in Matunga",
-                transport: "Local trains (second class), buses, shared auto-rickshaws",
-                activities: "Free beaches, markets, Heritage walks, Elephanta Caves"
-            },
-            delhi: {
-                accommodation: "Budget hotels in Paharganj, hostels, or guesthouses in residential areas",
-                food: "Street food in Old Delhi, local dhabas, government canteens",
-                transport: "Delhi Metro day passes, buses, shared auto-rickshaws",
-                activities: "Free monuments, markets, cultural events, walking tours"
-            },
-            paris: {
-                accommodation: "Budget hotels in 18th-20th arrondissements, hostels, Airbnb",
-                food: "Local bistros, bakeries, markets, lunch menus, happy hour",
-                transport: "Metro day/week passes, Vélib bike sharing, walking",
-                activities: "Free museums (first Sunday), parks, churches, street art tours"
-            },
-            newyork: {
-                accommodation: "Hostels in Manhattan, budget hotels in outer boroughs, Airbnb",
-                food: "Food trucks, delis, happy hour specials, ethnic restaurants",
-                transport: "Weekly MetroCard, Citi Bike sharing, walking across bridges",
-                activities: "Free museums (suggested donation), Central Park, Brooklyn Bridge, Staten Island Ferry"
-            }
-        };
+    // Add search results for a city; returns a map id per place (null when it has no coordinates)
+    static addPlaces(city, places, category) {
+        if (this.cityKey !== city.key) {
+            this.reset();
+            this.cityKey = city.key;
+        }
         
-        return budget[city.toLowerCase()] || {
-            accommodation: "Consider local guesthouses, hostels, or budget hotels",
-            food: "Try local street food, markets, and family-run restaurants",
-            transport: "Use public transportation and walking when possible",
-            activities: "Look for free cultural events, museums, and public attractions"
-        };
+        return places.map(place => {
+            const lat = parseFloat(place.lat);
+            const lon = parseFloat(place.lon);
+            if (isNaN(lat) || isNaN(lon)) return null;
+            
+            // Repeat searches reuse the existing marker
+            const existing = this.places.find(item =>
+                item.name === place.name && Math.abs(item.lat - lat) < 1e-5 && Math.abs(item.lon - lon) < 1e-5);
+            if (existing) return existing.id;
+            
+            const id = `p${this.nextId++}`;
+            this.places.push({ id, name: place.name, lat, lon, category });
+            return id;
+        });
     }
     
-    static getCulturalInsights(city) {
-        const insights = {
-            tokyo: "Balance respect for tradition with openness to innovation. Bow when greeting, be punctual, and appreciate both ancient temples and cutting-edge technology. Silence is valued, especially on public transport.",
-            mumbai: "Embrace the diversity and energy of India's financial capital. The city never sleeps, and neither should your spirit of adventure. Respect for all religions and adaptability are key to enjoying Mumbai's vibrant culture.",
-            delhi: "Experience the perfect blend of ancient history and modern India. Respect religious sites, enjoy bargaining in markets, and savor the rich Mughal heritage alongside contemporary Indian culture.",
-            paris: "Appreciate art, cuisine, and intellectual discourse. Take time to enjoy cafe culture, dress elegantly, and embrace the French art de vivre (art of living). Quality over quantity is valued in all aspects of life.",
-            newyork: "Move fast, think big, and embrace diversity. This city rewards ambition and celebrates individual expression while fostering community spirit. Be direct in communication and open to new experiences."
-        };
-        
-        return insights[city.toLowerCase()] || "Research local cultural values and customs to enhance your travel experience. Be respectful, open-minded, and ready to learn from local traditions.";
+    static reset() {
+        this.cityKey = null;
+        this.places = [];
+        this.view = null;
+        this.selectedId = null;
+        if (this.element) {
+            this.element.remove();
+            this.element = null;
+        }
     }
     
-    static getBasicRecommendations(city) {
-        return {
-            weather: { temperature: 20, condition: 'pleasant' },
-            local_food: this.getLocalFood(city),
-            restaurants: this.getTopRestaurants(city),
-            traditional_clothing: this.getTraditionalClothing(city),
-            famous_places: this.getFamousPlaces(city),
-            cultural_events: this.getCulturalEvents(city),
-            shopping_markets: this.getShoppingMarkets(city),
-            events: [],
-            local_tips: this.getLocalTips(city),
-            budget_options: this.getBudgetRecommendations(city),
-            cultural_insights: this.getCulturalInsights(city)
-        };
+    // Zoom and centre that fit every plotted place
+    static fitView() {
+        let zoom = this.maxZoom;
+        for (; zoom > 2; zoom--) {
+            const points = this.places.map(place => this.project(place.lat, place.lon, zoom));
+            const xs = points.map(point => point.x);
+            const ys = points.map(point => point.y);
+            if (Math.max(...xs) - Math.min(...xs) <= this.width * 0.8 &&
+                Math.max(...ys) - Math.min(...ys) <= this.height * 0.8) {
+                this.view = { zoom, x: (Math.max(...xs) + Math.min(...xs)) / 2, y: (Math.max(...ys) + Math.min(...ys)) / 2 };
+                return;
+            }
+        }
+        const centre = this.project(this.places[0].lat, this.places[0].lon, zoom);
+        this.view = { zoom, x: centre.x, y: centre.y };
     }
-}
-
-// News/Events API
-class NewsAPI {
-    static cache = new Map();
-    static cacheTimeout = 60 * 60 * 1000; // 1 hour
     
-    static async getLocalEvents(city) {
-        const cacheKey = `news_${city}`;
-        const cached = this.cache.get(cacheKey);
+    // Move the (single) map panel to the bottom of the chat and redraw it
+    static show() {
+        if (this.places.length === 0) return;
         
-        if (cached && Date.now() - cached.timestamp < this.cacheTimeout) {
-            console.log('🎯 Using cached news data');
-            return cached.data;
+        if (!this.element) {
+            this.element = document.createElement('div');
+            this.element.className = 'place-map';
+            this.element.addEventListener('click', event => this.handleClick(event));
         }
+        this.fitView();
+        document.getElementById('messages').appendChild(this.element);
+        this.render();
+    }
+    
+    static setZoom(zoom, centre = null) {
+        const next = Math.min(Math.max(zoom, 2), this.maxZoom);
+        const factor = Math.pow(2, next - this.view.zoom);
+        const base = centre || { x: this.view.x, y: this.view.y };
+        this.view = { zoom: next, x: base.x * factor, y: base.y * factor };
+        this.render();
+    }
+    
+    // Group markers of the same category that would overlap at the current zoom
+    static cluster() {
+        const clusters = [];
+        this.places.forEach(place => {
+            const point = this.project(place.lat, place.lon, this.view.zoom);
+            const near = clusters.find(cluster => cluster.category === place.category &&
+                Math.hypot(cluster.x - point.x, cluster.y - point.y) < this.clusterRadius);
+            if (near) {
+                near.places.push(place);
+                near.x = (near.x * (near.places.length - 1) + point.x) / near.places.length;
+                near.y = (near.y * (near.places.length - 1) + point.y) / near.places.length;
+            } else {
+                clusters.push({ category: place.category, x: point.x, y: point.y, places: [place] });
+            }
+        });
+        return clusters;
+    }
+    
+    static renderTiles(left, top) {
+        if (!this.tileUrl) return null;
         
-        if (API_CONFIG.news.enabled) {
-            try {
-                const response = await fetch(
-                    `${API_CONFIG.news.baseUrl}/everything?q=${city} events culture&sortBy=publishedAt&pageSize=3&apiKey=${API_CONFIG.news.apiKey}`
-                );
-                
-                if (response.ok) {
-                    const data = await response.json();
-                    const events = data.articles.map(article => ({
-                        title: article.title,
-                        description: article.description,
-                        url: article.url,
-                        publishedAt: article.publishedAt,
-                        source: article.source.name
-                    }));
-                    
-                    // Cache the result
-                    this.cache.set(cacheKey, {
-                        data: events,
-                        timestamp: Date.now()
-                    });
-                    
-                    apiCallCount.news++;
-                    return events;
-                }
-            } catch (error) {
-                console.error('News API error:', error);
+        const { zoom } = this.view;
+        const count = Math.pow(2, zoom);
+        const tiles = [];
+        for (let tx = Math.floor(left / this.tileSize); tx * this.tileSize < left + this.width; tx++) {
+            for (let ty = Math.floor(top / this.tileSize); ty * this.tileSize < top + this.height; ty++) {
+                if (ty < 0 || ty >= count) continue;
+                const wrappedX = ((tx % count) + count) % count;
+                const href = this.tileUrl.replace('{z}', zoom).replace('{x}', wrappedX).replace('{y}', ty);
+                tiles.push(html`<image href="${href}" x="${tx * this.tileSize}" y="${ty * this.tileSize}" width="${this.tileSize}" height="${this.tileSize}"/>`);
             }
         }
-        
-        return this.getSimulatedEvents(city);
+        return tiles;
     }
     
-    static getSimulatedEvents(city) {
-        return [
-            {
-                title: `Local Cultural Festival in ${city}`,
-                description: 'Traditional music and food festival happening this weekend',
-                source: 'Local Events (Demo)'
+    static render() {
+        if (!this.element || !this.view) return;
+        
+        const left = this.view.x - this.width / 2;
+        const top = this.view.y - this.height / 2;
+        
+        const markers = this.cluster().map(cluster => {
+            const style = this.categoryStyles[cluster.category] || { color: '#34495e' };
+            if (cluster.places.length > 1) {
+                return html`
+                    <g class="map-cluster" data-cluster="${cluster.places.map(place => place.id).join(',')}" transform="translate(${cluster.x} ${cluster.y})">
+                        <title>${cluster.places.map(place => place.name).join(', ')}</title>
+                        <circle r="13" fill="${style.color}" stroke="white" stroke-width="2"/>
+                        <text text-anchor="middle" dy="4" fill="white" font-size="11" font-weight="bold">${cluster.places.length}</text>
+                    </g>`;
             }
-        ];
-    }
-}
-
-// Main message processing function
-async function sendMessage(message) {
-    if (!message) {
-        message = document.getElementById('messageInput').value.trim();
-        if (!message) return;
-        document.getElementById('messageInput').value = '';
+            const place = cluster.places[0];
+            const selected = place.id === this.selectedId;
+            return html`
+                <g class="map-marker${selected ? ' selected' : ''}" data-place-id="${place.id}" transform="translate(${cluster.x} ${cluster.y})">
+                    <title>${place.name}</title>
+                    <path d="M0 0 L-7 -12 A8 8 0 1 1 7 -12 Z" fill="${style.color}" stroke="white" stroke-width="${selected ? 3 : 1.5}"/>
+                    <circle cy="-15" r="3" fill="white"/>
+                </g>`;
+        });
+        
+        const categories = [...new Set(this.places.map(place => place.category))];
+        const legend = categories.map(category => {
+            const style = this.categoryStyles[category] || { color: '#34495e', label: category };
+            return html`<span><i style="background: ${style.color}"></i>${style.label}</span>`;
+        });
+        
+        SafeHTML.render(this.element, html`
+            <svg viewBox="${left} ${top} ${this.width} ${this.height}" width="100%" preserveAspectRatio="xMidYMid slice">
+                <rect x="${left}" y="${top}" width="${this.width}" height="${this.height}" fill="#e8eef1"/>
+                ${this.renderTiles(left, top)}
+                ${markers}
+            </svg>
+            <div class="map-controls">
+                <button data-map-action="zoom-in" title="Zoom in">＋</button>
+                <button data-map-action="zoom-out" title="Zoom out">－</button>
+                <button data-map-action="fit" title="Show all places">⤢</button>
+            </div>
+            <div class="map-legend">${legend}<small>${this.tileUrl ? '© OpenStreetMap contributors' : ''}</small></div>
+        `);
     }
     
-    // Add user message
-    addUserMessage(message);
-    
-    // Show loading
-    showLoading();
-    
-    try {
-        // Process with AI for intent detection
-        const aiResult = await AIAPI.processQuery(message);
-        
-        // Handle based on detected intent
-        switch (aiResult.intent) {
-            case 'weather':
-                await handleWeatherQuery();
-                break;
-            case 'food':
-                await handleFoodQuery();
-                break;
-            case 'culture':
-                await handleCultureQuery();
-                break;
-            case 'events':
-                await handleEventsQuery();
-                break;
-            case 'places':
-                // Check if this is actually a shopping query misclassified as places
-                const lowerMessage = message.toLowerCase();
-                if (lowerMessage.includes('shopping') || lowerMessage.includes('shop') || 
-                    lowerMessage.includes('market') || lowerMessage.includes('mall') ||
-                    lowerMessage.includes('bazaar') || lowerMessage.includes('shopping district')) {
-                    await handleShoppingQuery();
-                } else {
-                    await handlePlacesQuery();
-                }
-                break;
-
-            case 'shopping':
-            case 'market':
-            case 'markets':    
-                await handleShoppingQuery();
-                break;
-            case 'clothing':
-            case 'traditional':    
-                await handleEnhancedClothingQuery();
-                break;
-            case 'local':
-                await handleLocalRecommendations();
-                break;
-            default:
-                await handleGeneralQuery();
+    static handleClick(event) {
+        const action = event.target.closest('[data-map-action]');
+        if (action) {
+            const name = action.dataset.mapAction;
+            if (name === 'zoom-in') this.setZoom(this.view.zoom + 1);
+            if (name === 'zoom-out') this.setZoom(this.view.zoom - 1);
+            if (name === 'fit') {
+                this.fitView();
+                this.render();
+            }
+            return;
         }
         
-        // Show API usage stats
-        showAPIUsageStats();
+        const cluster = event.target.closest('[data-cluster]');
+        if (cluster) {
+            // Zoom in two levels around the cluster so its markers separate
+            const ids = cluster.dataset.cluster.split(',');
+            const members = this.places.filter(place => ids.includes(place.id));
+            const points = members.map(place => this.project(place.lat, place.lon, this.view.zoom));
+            const centre = {
+                x: points.reduce((sum, point) => sum + point.x, 0) / points.length,
+                y: points.reduce((sum, point) => sum + point.y, 0) / points.length
+            };
+            this.setZoom(this.view.zoom + 2, centre);
+            return;
+        }
         
-    } catch (error) {
-        console.error('Error processing message:', error);
-        addBotMessage('Sorry, I encountered an error. Please try again.', '❌ Error');
-    } finally {
-        hideLoading();
+        const marker = event.target.closest('[data-place-id]');
+        if (marker) {
+            this.selectedId = marker.dataset.placeId;
+            this.render();
+            this.focusCard(marker.dataset.placeId);
+        }
     }
-}
-
-async function handleWeatherQuery() {
-    const weather = await WeatherAPI.getCurrentWeather(currentCity);
     
-    addBotMessage(`Here's the current weather in ${currentCity}:`, '🌤️ Live Weather');
-    
-    const weatherDiv = document.createElement('div');
-    weatherDiv.className = 'weather-info';
-    weatherDiv.innerHTML = `
-        <h4>🌡️ ${weather.temperature}°C</h4>
-        <p><strong>Condition:</strong> ${weather.condition}</p>
-        <p><strong>Humidity:</strong> ${weather.humidity}%</p>
-        <p><strong>Wind:</strong> ${weather.windSpeed} m/s</p>
-        <p><strong>Pressure:</strong> ${weather.pressure} hPa</p>
-        <p><small>📡 Source: ${weather.source} | ${weather.timestamp}</small></p>
-    `;
-    document.getElementById('messages').appendChild(weatherDiv);
+    // Scroll the newest card for a place into view and flash it
+    static focusCard(id) {
+        const cards = document.querySelectorAll(`[data-place-card="${id}"]`);
+        const card = cards[cards.length - 1];
+        if (!card) return;
+        card.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+        card.classList.add('map-highlight');
+        setTimeout(() => card.classList.remove('map-highlight'), 1500);
+    }
     
-    if (weather.isRealTime) {
-        const indicator = document.createElement('div');
-        indicator.className = 'performance-indicator';
-        indicator.textContent = '⚡ Real-time data';
-        document.getElementById('messages').appendChild(indicator);
+    // Centre the map on a place (zooming in if needed) and select its marker
+    static panTo(id) {
+        const place = this.places.find(item => item.id === id);
+        if (!place || !this.element) return;
+        
+        const zoom = Math.max(this.view.zoom, 15);
+        const point = this.project(place.lat, place.lon, zoom);
+        this.view = { zoom, x: point.x, y: point.y };
+        this.selectedId = id;
+        this.render();
+        this.element.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
     }
 }
 
-async function handleFoodQuery() {
-    const places = await PlacesAPI.searchPlaces(currentCity, 'food');
-
-    addBotMessage(`Best food places and restaurants in ${currentCity}:`, '🍽️ Local Cuisine');
+// Make a recommendation card pan the map to its marker when clicked
+function linkPlaceCard(card, placeId) {
+    if (!placeId) return;
+    card.dataset.placeCard = placeId;
+    card.classList.add('map-linked');
+    card.title = 'Click to show on map';
+    card.addEventListener('click', () => PlaceMap.panTo(placeId));
+}
 
-    if (places.length > 0) {
-        places.forEach(place => {
-            const placeDiv = document.createElement('div');
-            placeDiv.className = 'recommendation';
-            placeDiv.innerHTML = `
-                <h4>${place.name}</h4>
-                <p><strong>📍 Address:</strong> ${place.address}</p>
-                <p><strong>🏷️ Type:</strong> ${place.type}</p>
-                <p><strong>⭐ Category:</strong> ${place.category || 'Restaurant/Food'}</p>
-                <p><strong>📊 Source:</strong> ${place.source}</p>
-                ${place.lat && place.lon ? `<p><strong>🗺️ Coordinates:</strong> ${place.lat}, ${place.lon}</p>` : ''}
-            `;
-            document.getElementById('messages').appendChild(placeDiv);
-        });
+// Add the save toggle to a card's action bar; `item` comes from one of the TripList.from* builders
+function addSaveButton(actions, item) {
+    const button = document.createElement('button');
+    button.className = 'save-btn';
+    button.dataset.tripKey = TripList.keyOf(item);
+    button.textContent = I18n.t(TripList.find(item) ? 'trip.saved' : 'trip.save');
+    // Cards linked to the map pan on click; saving shouldn't
+    button.addEventListener('click', event => {
+        event.stopPropagation();
+        TripList.toggle(item);
+        refreshSaveButtons();
+        renderTripPanel();
+    });
+    actions.prepend(button);
+}
 
-        const tipDiv = document.createElement('div');
-        tipDiv.className = 'api-powered';
-        tipDiv.innerHTML = '🍴 <strong>Food tip:</strong> Try local specialties and street food for an authentic experience!';
-        document.getElementById('messages').appendChild(tipDiv);
-    } else {
-        addBotMessage('Could not find specific restaurants via API. Try exploring local food markets or asking locals!', '🤔 Food Suggestion');
-    }
+// Keep every card's save toggle in step with the trip list (the same place can be on several cards)
+function refreshSaveButtons() {
+    const saved = new Set(TripList.items.map(item => TripList.keyOf(item)));
+    document.querySelectorAll('.save-btn').forEach(button => {
+        button.textContent = I18n.t(saved.has(button.dataset.tripKey) ? 'trip.saved' : 'trip.save');
+    });
 }
 
-async function handleEventsQuery() {
-    const events = await NewsAPI.getLocalEvents(currentCity);
+// Sidebar "My Trip" panel, grouped by city
+function renderTripPanel() {
+    const list = document.getElementById('tripList');
+    if (!list) return;
     
-    addBotMessage(`Current events and news in ${currentCity}:`, '📰 Local Events');
+    document.getElementById('tripCount').textContent = TripList.items.length > 0 ? `(${TripList.items.length})` : '';
+    if (TripList.items.length === 0) {
+        SafeHTML.render(list, html`<p class="trip-empty">${I18n.t('trip.empty')}</p>`);
+        return;
+    }
     
-    events.forEach(event => {
-        const eventDiv = document.createElement('div');
-        eventDiv.className = 'recommendation';
-        eventDiv.innerHTML = `
-            <h4>${event.title}</h4>
-            <p>${event.description}</p>
-            <p><small>📰 Source: ${event.source}</small></p>
-            ${event.url ? `<p><a href="${event.url}" target="_blank">🔗 Read more</a></p>` : ''}
-        `;
-        document.getElementById('messages').appendChild(eventDiv);
+    SafeHTML.render(list, html`${TripList.byCity().map(group => html`
+        <div class="trip-city">
+            <h4>${group.name}</h4>
+            ${group.items.map(item => html`
+                <div class="trip-item">
+                    <div>
+                        ${TripList.icons[item.kind] || '📌'} ${item.name}
+                        <button class="trip-remove" data-trip-remove="${item.id}" title="${I18n.t('trip.remove')}">✖</button>
+                    </div>
+                    <input class="trip-note" value="${item.note}" placeholder="${I18n.t('trip.notePlaceholder')}" data-trip-note="${item.id}">
+                </div>
+            `)}
+        </div>
+    `)}`);
+    list.querySelectorAll('[data-trip-remove]').forEach(button => {
+        button.addEventListener('click', () => removeTripItem(button.dataset.tripRemove));
+    });
+    list.querySelectorAll('[data-trip-note]').forEach(input => {
+        input.addEventListener('change', () => TripList.setNote(input.dataset.tripNote, input.value));
     });
 }
 
-async function handleCultureQuery() {
-    const places = await PlacesAPI.searchPlaces(currentCity, 'culture');
-    
-    addBotMessage(`Cultural sites and attractions in ${currentCity}:`, '🏛️ Cultural Sites');
+function removeTripItem(id) {
+    TripList.remove(id);
+    refreshSaveButtons();
+    renderTripPanel();
+}
+
+// Sidebar export buttons
+function exportTrip(format) {
+    if (TripList.items.length === 0) {
+        addBotMessage(I18n.t('trip.emptyExport'), I18n.t('category.myTrip'));
+        return;
+    }
     
-    if (places.length > 0) {
-        places.forEach(place => {
-            const placeDiv = document.createElement('div');
-            placeDiv.className = 'recommendation';
-            placeDiv.innerHTML = `
-                <h4>${place.name}</h4>
-                <p><strong>📍 Location:</strong> ${place.address}</p>
-                <p><strong>🏛️ Type:</strong> ${place.type}</p>
-                <p><strong>⭐ Category:</strong> ${place.category || 'Cultural Site'}</p>
-                <p><strong>📊 Source:</strong> ${place.source}</p>
-                ${place.lat && place.lon ? `<p><strong>🗺️ Coordinates:</strong> ${place.lat}, ${place.lon}</p>` : ''}
-            `;
-            document.getElementById('messages').appendChild(placeDiv);
-        });
+    const count = TripExport.download(format, TripList.items);
+    if (count === 0) {
+        addBotMessage(I18n.t(format === 'ics' ? 'trip.nothing.ics' : 'trip.nothing.map', { format: TripExport.formats[format].label }), I18n.t('category.myTrip'));
     } else {
-        addBotMessage('Unable to find specific cultural sites via API. Try visiting local tourism centers for museum and heritage site information!', '🤖 Suggestion');
+        console.log(`🧳 Exported ${count} trip item(s) as ${TripExport.formats[format].label}`);
     }
 }
 
-async function handlePlacesQuery() {
-    const places = await PlacesAPI.searchPlaces(currentCity, 'tourist');
-    
-    addBotMessage(`Top tourist attractions and landmarks in ${currentCity}:`, '📍 Tourist Attractions');
+// Sidebar list of saved sessions, newest first
+function renderSessionList() {
+    const list = document.getElementById('sessionList');
+    if (!list) return;
     
-    if (places.length > 0) {
-        places.forEach(place => {
-            const placeDiv = document.createElement('div');
-            placeDiv.className = 'recommendation';
-            placeDiv.innerHTML = `
-                <h4>${place.name}</h4>
-                <p><strong>📍 Address:</strong> ${place.address}</p>
-                <p><strong>🏛️ Type:</strong> ${place.type}</p>
-                <p><strong>⭐ Category:</strong> ${place.category || 'Tourist Attraction'}</p>
-                <p><strong>📊 Source:</strong> ${place.source}</p>
-                ${place.lat && place.lon ? `<p><strong>🗺️ Coordinates:</strong> ${place.lat}, ${place.lon}</p>` : ''}
-            `;
-            document.getElementById('messages').appendChild(placeDiv);
-        });
-        
-        // Add helpful tip
-        const tipDiv = document.createElement('div');
-        tipDiv.className = 'api-powered';
-        tipDiv.innerHTML = `💡 <strong>Pro tip:</strong> These are major landmarks and attractions. For more detailed information, check official tourism websites or local guides!`;
-        document.getElementById('messages').appendChild(tipDiv);
-    } else {
-        addBotMessage('Unable to find specific attractions via API. I recommend checking official tourism websites or asking locals for the best places to visit!', '🤖 Suggestion');
+    if (ChatSessions.sessions.length === 0) {
+        SafeHTML.render(list, html`<p class="trip-empty">${I18n.t('session.none')}</p>`);
+        return;
     }
+    
+    SafeHTML.render(list, html`${ChatSessions.sessions.map(session => {
+        const count = ChatSessions.questionCount(session);
+        const current = ChatSessions.current && ChatSessions.current.id === session.id;
+        return html`
+            <div class="session-item${current ? ' current' : ''}">
+                <div>
+                    <strong>${ChatSessions.title(session)}</strong>
+                    <span>
+                        <button class="trip-remove" data-session-action="open" data-session-id="${session.id}" title="${I18n.t('session.open')}">📂</button>
+                        <button class="trip-remove" data-session-action="replay" data-session-id="${session.id}" title="${I18n.t('session.replay')}">↻</button>
+                        <button class="trip-remove" data-session-action="delete" data-session-id="${session.id}" title="${I18n.t('session.delete')}">✖</button>
+                    </span>
+                </div>
+                <small>${SessionExport.formatDate(session.updatedAt)} · ${session.city} · ${I18n.t(count === 1 ? 'session.questions.one' : 'session.questions.other', { count })}</small>
+            </div>
+        `;
+    })}`);
+    const actions = { open: openSession, replay: replaySession, delete: deleteSession };
+    list.querySelectorAll('[data-session-action]').forEach(button => {
+        button.addEventListener('click', () => actions[button.dataset.sessionAction](button.dataset.sessionId));
+    });
 }
 
-async function handleShoppingQuery() {
-    const places = await PlacesAPI.searchPlaces(currentCity, 'shopping');
-
-    addBotMessage(`Famous markets and shopping areas in ${currentCity}:`, '🛍️ Shopping');
-
-    if (places.length > 0) {
-        places.forEach(place => {
-            const placeDiv = document.createElement('div');
-            placeDiv.className = 'recommendation';
-            placeDiv.innerHTML = `
-                <h4>${place.name}</h4>
-                <p><strong>📍 Address:</strong> ${place.address}</p>
-                <p><strong>🏬 Type:</strong> ${place.type}</p>
-                <p><strong>⭐ Category:</strong> ${place.category || 'Shopping'}</p>
-                <p><strong>📊 Source:</strong> ${place.source}</p>
-                ${place.lat && place.lon ? `<p><strong>🗺️ Coordinates:</strong> ${place.lat}, ${place.lon}</p>` : ''}
-            `;
-            document.getElementById('messages').appendChild(placeDiv);
-        });
-    } else {
-        addBotMessage('Try exploring local markets and shopping districts! Check tourism websites for popular shopping areas.', '🤔 Suggestion');
-    }
-}    
+// Empty the chat and everything that refers to what was on it
+function clearChat() {
+    PlaceMap.reset();
+    ConversationContext.reset();
+    ConversationContext.pendingClarification = null;
+    ItineraryPlanner.current = null;
+    ItineraryPlanner.element = null;
+    document.getElementById('messages').innerHTML = '';
+}
 
-async function handleGeneralQuery() {
-    addBotMessage('I can help you with weather, food, culture, events, and places! What would you like to know?', '🤖 General Help');
+function startNewChat() {
+    ChatSessions.capture();
+    clearChat();
+    ChatSessions.start();
+    addBotMessage(I18n.t('system.ready'), I18n.t('category.systemReady'));
+    renderSessionList();
 }
 
-function handleCategoryClick(category) {
-    // Remove active class from all buttons
-    document.querySelectorAll('.category-btn').forEach(btn => {
-        btn.classList.remove('active');
-    });
+// Reopen a saved session as it looked; new questions carry on in it
+async function openSession(id) {
+    const session = ChatSessions.get(id);
+    if (!session) return;
     
-    // Add active class to clicked button
-    event.target.classList.add('active');
+    ChatSessions.capture();
+    clearChat();
+    const city = await CityAPI.resolveCity(session.lastCity || session.city);
+    if (city) setCurrentCity(city);
     
-    const categoryMessages = {
-        food: 'Find the best restaurants and local food places',
-        places: 'Find top tourist attractions and landmarks',
-        weather: 'Get current weather conditions',
-        events: 'What cultural events and activities are happening',
-        culture: 'Find museums temples and cultural sites',
-        shopping: 'Find the best shopping districts and markets',
-        clothing: 'Find traditional clothing and cultural wear options',
-        local: 'Give me comprehensive local recommendations and insider tips'
-    };
+    const messages = document.getElementById('messages');
+    session.transcript.forEach(entry => {
+        const element = document.createElement('div');
+        element.className = entry.className;
+        // Stored snapshots could have been changed since, so they are sanitized again
+        SafeHTML.render(element, SafeHTML.sanitize(entry.html));
+        messages.appendChild(element);
+    });
     
-    sendMessage(categoryMessages[category] || 'Tell me about this category');
+    // Not part of the transcript, so reopening again doesn't stack these up
+    const notice = document.createElement('div');
+    notice.className = 'api-powered session-notice';
+    notice.textContent = I18n.t('session.restored', { date: SessionExport.formatDate(session.updatedAt) });
+    messages.appendChild(notice);
+    messages.scrollTop = messages.scrollHeight;
+    
+    ChatSessions.current = session;
+    renderSessionList();
 }
 
-function showAPIUsageStats() {
-    const total = Object.values(apiCallCount).reduce((sum, count) => sum + count, 0);
-    if (total > 0) {
-        const statsDiv = document.createElement('div');
-        statsDiv.className = 'api-powered';
-        statsDiv.innerHTML = `
-            <strong>📊 API Calls This Session:</strong> 
-            Weather: ${apiCallCount.weather}, 
-            Places: ${apiCallCount.places}, 
-            AI: ${apiCallCount.ai}, 
-            News: ${apiCallCount.news}
-            | Total: ${total}
-        `;
-        document.getElementById('messages').appendChild(statsDiv);
-    }
+function replaySession(id) {
+    const session = ChatSessions.get(id);
+    if (session) runReplay(session);
 }
 
-function updateCityInfo() {
-    const cityNames = {
-        tokyo: 'Tokyo, Japan',
-        paris: 'Paris, France',
-        mumbai: 'Mumbai, India',
-        istanbul: 'Istanbul, Turkey',
-        newyork: 'New York, USA',
-        london: 'London, UK',
-        delhi: 'Delhi, India',
-        barcelona: 'Barcelona, Spain'
-    };
-    
-    document.getElementById('cityName').textContent = `Welcome to ${cityNames[currentCity]}!`;
-    addBotMessage(`Now exploring ${cityNames[currentCity]}! Ask me about weather, food, culture, or events.`, '🌍 City Changed');
+function deleteSession(id) {
+    ChatSessions.remove(id);
+    if (ChatSessions.current && ChatSessions.current.id === id) {
+        startNewChat();
+    } else {
+        renderSessionList();
+    }
 }
 
-// Utility functions
-function addUserMessage(message) {
-    const messageDiv = document.createElement('div');
-    messageDiv.className = 'message user-message';
-    messageDiv.textContent = message;
-    document.getElementById('messages').appendChild(messageDiv);
-    document.getElementById('messages').scrollTop = document.getElementById('messages').scrollHeight;
+// Ask the session's questions again, in order, in a fresh chat
+async function runReplay(replay) {
+    if (ChatSessions.current.steps.length > 0) startNewChat();
+    
+    const count = replay.steps.filter(step => step.query).length;
+    addBotMessage(I18n.t(count === 1 ? 'session.replaying.one' : 'session.replaying.other', { count, city: replay.city }), I18n.t('category.sessions'));
+    await changeCity(replay.city);
+    
+    for (const step of replay.steps) {
+        if (step.query) {
+            await sendMessage(step.query);
+        } else if (step.city) {
+            await changeCity(step.city);
+        } else if (step.intent) {
+            await chooseIntent(step.intent);
+        }
+    }
 }
 
-function addBotMessage(message, category = '🤖 CulturalBot') {
-    const messageDiv = document.createElement('div');
-    messageDiv.className = 'message bot-message';
-    messageDiv.innerHTML = `
-        <div class="category">${category}</div>
-        <p>${message}</p>
-    `;
-    document.getElementById('messages').appendChild(messageDiv);
-    document.getElementById('messages').scrollTop = document.getElementById('messages').scrollHeight;
+// Opening a share link ("#session=…") replays it once; the hash is dropped so a reload doesn't
+function replaySharedSession() {
+    const match = location.hash.match(/^#session=([A-Za-z0-9_-]+)$/);
+    if (!match) return;
+    
+    history.replaceState(null, '', location.pathname + location.search);
+    const replay = ChatSessions.decode(match[1]);
+    if (!replay) {
+        addBotMessage(I18n.t('session.badLink'), I18n.t('category.sessions'));
+        return;
+    }
+    runReplay(replay);
 }
 
-function showLoading() {
-    document.getElementById('loading').style.display = 'block';
+// Sidebar session exports
+function exportSession(format) {
+    ChatSessions.capture();
+    const session = ChatSessions.current;
+    if (session.steps.length === 0) {
+        addBotMessage(I18n.t('session.emptyExport'), I18n.t('category.sessions'));
+        return;
+    }
+    SessionExport.download(format, session);
 }
 
-function hideLoading() {
-    document.getElementById('loading').style.display = 'none';
+async function shareSession() {
+    ChatSessions.capture();
+    const session = ChatSessions.current;
+    if (session.steps.length === 0) {
+        addBotMessage(I18n.t('session.emptyExport'), I18n.t('category.sessions'));
+        return;
+    }
+    
+    const url = ChatSessions.shareUrl(session);
+    // The clipboard API needs a secure context; otherwise the link is only shown
+    const copied = navigator.clipboard ? await navigator.clipboard.writeText(url).then(() => true, () => false) : false;
+    const link = SafeHTML.link(url, url.length > 80 ? `${url.slice(0, 79)}…` : url);
+    const notice = document.createElement('div');
+    notice.className = 'api-powered session-notice';
+    SafeHTML.render(notice, html`🔗 ${I18n.t(copied ? 'session.shareCopied' : 'session.share')}<br>${link}`);
+    document.getElementById('messages').appendChild(notice);
+    document.getElementById('messages').scrollTop = document.getElementById('messages').scrollHeight;
 }
 
 // Enhanced clothing query handler
 async function handleEnhancedClothingQuery(userPreferences = {}) {
-    addBotMessage(`Let me find comprehensive traditional clothing information for ${currentCity}...`, '🧥 Traditional Clothing Expert');
+    addBotMessage(I18n.t('clothing.loading', { city: currentCity.name }), I18n.t('category.clothingExpert'));
 
     try {
 
         const clothingData = await TraditionalClothingAPI.getTraditionalClothing(currentCity, userPreferences);
 
 
+        ConversationContext.recordResults(clothingData.traditional);
+        
         if (clothingData.traditional.length > 0) {
-            addBotMessage('Here are the traditional clothing options:', '✨ Traditional Wear');
-
-            clothingData.traditional.forEach(item => {
-                const clothingDiv = document.createElement('div');
-                clothingDiv.className = 'recommendation';
-                clothingDiv.innerHTML = `
-                    <h4>${item.name} <span style="background: #e74c3c; color: white; padding: 2px 6px; border-radius: 3px; font-size: 10px;">${item.type.toUpperCase()}</span></h4>
-                    <p><strong>Description:</strong> ${item.description}</p>
-                    <p>🎭 <strong>Best for:</strong> ${item.occasions.join(', ')}</p>
-                    <p>🎨 <strong>Popular colors:</strong> ${item.colors ? item.colors.join(', ') : 'Various'}</p>
-                    <p>💰 <strong>Price range:</strong> ${item.price_range}</p>
-                    ${item.rental_available ? '<p>🏠 <strong>Rental available:</strong> Yes</p>' : ''}
-                    <p>🛒 <strong>Where to buy:</strong> ${item.where_to_buy.join(', ')}</p>
-                    ${item.styling_tips ? `<p>💡 <strong>Styling tips:</strong> ${item.styling_tips}</p>` : ''}
-                    ${item.accessories ? `<p>👗 <strong>Accessories:</strong> ${item.accessories.join(', ')}</p>` : ''}
-                    <p><small>📚 <strong>Cultural significance:</strong> ${item.cultural_significance}</small></p>
-                `;
-                document.getElementById('messages').appendChild(clothingDiv);
-            });
+            addBotMessage(I18n.t('clothing.options'), I18n.t('category.traditionalWear'));
+
+            clothingData.traditional.forEach(item => Cards.append('clothing', item));
         } else {
-            addBotMessage('Sorry, no detailed traditional clothing data available for this city.', 'ℹ️ Info');
+            addBotMessage(I18n.t('clothing.none'), I18n.t('category.info'));
         }
 
         const context = clothingData.cultural_context;
         if (context) {
-            const contextDiv = document.createElement('div');
-            contextDiv.className = 'ai-insight';
-            contextDiv.style.cssText = 'background: linear-gradient(135deg, #ff9a56, #ff6b9d); color: white; padding: 10px; border-radius: 8px; margin: 10px 0;';
-            contextDiv.innerHTML = `
-                <strong>🎭 Cultural Guide:</strong><br>
-                <strong>Best seasons:</strong> ${context.best_seasons}<br>
-                <strong>Cultural etiquette:</strong> ${context.cultural_etiquette}<br>
-                <strong>Photo opportunities:</strong> ${context.photo_opportunities}<br>
-                <strong>Learning opportunities:</strong> ${context.learning_opportunities}
-            `;
-            document.getElementById('messages').appendChild(contextDiv);
+            Cards.append('culturalGuide', context);
         }
 
         if (clothingData.rental_options.length > 0) {
-            addBotMessage(`⚡ Pro tip: ${clothingData.rental_options.length} items available for rental - perfect for trying traditional wear without buying!`, '💰 Budget Tip');
+            addBotMessage(I18n.t('clothing.rentalTip', { count: clothingData.rental_options.length }), I18n.t('category.budgetTip'));
         }
 
     } catch (error) {
+        if (RequestScheduler.isCancelled(error)) throw error;
         console.error('Error getting clothing information:', error);
-        addBotMessage('I found some basic traditional clothing information. For detailed guidance, I recommend visiting local cultural centers!', '🧥 Basic Info');
+        addBotMessage(I18n.t('clothing.basic'), I18n.t('category.basicInfo'));
     }
 }
 
@@ -1782,22 +2004,23 @@ async function handleLocalRecommendations() {
         const localData = await LocalRecommendationsAPI.getLocalRecommendations(currentCity);
         
         // Show initial message and mark the starting point
-        const startMessageId = addBotMessage(`🎯 Local recommendations for ${currentCity.charAt(0).toUpperCase() + currentCity.slice(1)} are ready! Choose what to explore:`, '🗺️ Local Expert');
+        const startMessageId = addBotMessage(I18n.t('local.ready', { city: currentCity.name }), I18n.t('category.localExpert'));
         
         // Quick action buttons for detailed exploration
         const actionsDiv = document.createElement('div');
         actionsDiv.className = 'quick-suggestions';
         actionsDiv.style.cssText = 'margin: 10px 0; display: flex; flex-wrap: wrap; gap: 8px;';
-        actionsDiv.innerHTML = `
-            <button class="quick-btn" onclick="showDetailedFood('${currentCity}')">🍽️ Food & Cuisine</button>
-            <button class="quick-btn" onclick="showDetailedRestaurants('${currentCity}')">🏪 Top Restaurants</button>
-            <button class="quick-btn" onclick="showDetailedClothing('${currentCity}')">👘 Traditional Clothing</button>
-            <button class="quick-btn" onclick="showDetailedPlaces('${currentCity}')">🏛️ Famous Places</button>
-            <button class="quick-btn" onclick="showDetailedEvents('${currentCity}')">🎭 Cultural Events</button>
-            <button class="quick-btn" onclick="showDetailedShopping('${currentCity}')">🛍️ Shopping Markets</button>
-            <button class="quick-btn" onclick="showLocalTips('${currentCity}')">💡 Local Insights</button>
-            <button class="quick-btn" onclick="showWeatherInfo('${currentCity}')">🌡️ Weather Info</button>
-        `;
+        SafeHTML.render(actionsDiv, html`
+            <button class="quick-btn" data-action="showLocalDetail" data-section="food" data-city="${currentCity.key}">🍽️ Food & Cuisine</button>
+            <button class="quick-btn" data-action="showLocalDetail" data-section="restaurants" data-city="${currentCity.key}">🏪 Top Restaurants</button>
+            <button class="quick-btn" data-action="showLocalDetail" data-section="clothing" data-city="${currentCity.key}">👘 Traditional Clothing</button>
+            <button class="quick-btn" data-action="showLocalDetail" data-section="places" data-city="${currentCity.key}">🏛️ Famous Places</button>
+            <button class="quick-btn" data-action="showLocalDetail" data-section="events" data-city="${currentCity.key}">🎭 Cultural Events</button>
+            <button class="quick-btn" data-action="showLocalDetail" data-section="shopping" data-city="${currentCity.key}">🛍️ Shopping Markets</button>
+            <button class="quick-btn" data-action="showLocalTips" data-city="${currentCity.key}">💡 Local Insights</button>
+            <button class="quick-btn" data-action="showLocalDetail" data-section="weather" data-city="${currentCity.key}">🌡️ Weather Info</button>
+        `);
+        bindChatActions(actionsDiv);
         document.getElementById('messages').appendChild(actionsDiv);
         
         // Ensure chat stops at the beginning of results
@@ -1810,233 +2033,67 @@ async function handleLocalRecommendations() {
         }, 200);
         
     } catch (error) {
+        if (RequestScheduler.isCancelled(error)) throw error;
         console.error('Error getting local recommendations:', error);
-        addBotMessage('I can provide basic recommendations. Try asking about specific categories like food, culture, or events!', '🗺️ Basic Recommendations');
+        addBotMessage(I18n.t('local.basic'), I18n.t('category.basicRecommendations'));
     }
 }
 
-// Helper functions for detailed views
-async function showDetailedFood(city) {
-    const localData = await LocalRecommendationsAPI.getLocalRecommendations(city);
-    if (localData.local_food && localData.local_food.length > 0) {
-        addBotMessage('Must-try local food specialties:', '🍽️ Local Cuisine');
-        localData.local_food.forEach(food => {
-            const foodDiv = document.createElement('div');
-            foodDiv.className = 'recommendation';
-            foodDiv.innerHTML = `
-                <h4>🥘 ${food.name} ${food.mustTry ? '<span style="background: #e74c3c; color: white; padding: 2px 6px; border-radius: 3px; font-size: 10px;">MUST TRY</span>' : ''}</h4>
-                <p><strong>Description:</strong> ${food.description}</p>
-                <p><strong>📍 Where to find:</strong> ${food.where}</p>
-                <p><strong>💰 Price:</strong> ${food.price}</p>
-            `;
-            document.getElementById('messages').appendChild(foodDiv);
-        });
-        // Scroll to the new content
-        setTimeout(() => {
-            const messages = document.getElementById('messages');
-            messages.scrollTop = messages.scrollHeight;
-        }, 100);
-    }
-}
-
-async function showDetailedRestaurants(city) {
-    const localData = await LocalRecommendationsAPI.getLocalRecommendations(city);
-    if (localData.restaurants && localData.restaurants.length > 0) {
-        addBotMessage('Recommended restaurants and dining:', '🍴 Top Restaurants');
-        localData.restaurants.forEach(restaurant => {
-            const restaurantDiv = document.createElement('div');
-            restaurantDiv.className = 'recommendation';
-            restaurantDiv.innerHTML = `
-                <h4>🏪 ${restaurant.name}</h4>
-                <p><strong>Cuisine:</strong> ${restaurant.cuisine}</p>
-                <p><strong>📍 Area:</strong> ${restaurant.area}</p>
-                <p><strong>✨ Specialty:</strong> ${restaurant.specialty}</p>
-                <p><strong>💰 Price:</strong> ${restaurant.price}</p>
-                <p><strong>📅 Reservation:</strong> ${restaurant.reservation}</p>
-            `;
-            document.getElementById('messages').appendChild(restaurantDiv);
-        });
-        // Auto-scroll to new content
-        setTimeout(() => {
-            const messages = document.getElementById('messages');
-            messages.scrollTop = messages.scrollHeight;
-        }, 100);
-    }
-}
-
-async function showDetailedClothing(city) {
-    const localData = await LocalRecommendationsAPI.getLocalRecommendations(city);
-    if (localData.traditional_clothing && localData.traditional_clothing.length > 0) {
-        addBotMessage('Traditional clothing and cultural wear:', '👘 Traditional Clothing');
-        localData.traditional_clothing.forEach(clothing => {
-            const clothingDiv = document.createElement('div');
-            clothingDiv.className = 'recommendation';
-            clothingDiv.innerHTML = `
-                <h4>👗 ${clothing.type}</h4>
-                <p><strong>Description:</strong> ${clothing.description}</p>
-                <p><strong>Best for:</strong> ${clothing.occasions}</p>
-                <p><strong>🛒 Where to buy:</strong> ${clothing.where}</p>
-                <p><strong>💰 Price:</strong> ${clothing.price}</p>
-            `;
-            document.getElementById('messages').appendChild(clothingDiv);
-        });
-        // Auto-scroll to new content
-        setTimeout(() => {
-            const messages = document.getElementById('messages');
-            messages.scrollTop = messages.scrollHeight;
-        }, 100);
-    }
-}
-
-async function showDetailedPlaces(city) {
-    const localData = await LocalRecommendationsAPI.getLocalRecommendations(city);
-    if (localData.famous_places && localData.famous_places.length > 0) {
-        addBotMessage('Famous places and landmarks to visit:', '🏛️ Must-Visit Places');
-        localData.famous_places.forEach(place => {
-            const placeDiv = document.createElement('div');
-            placeDiv.className = 'recommendation';
-            placeDiv.innerHTML = `
-                <h4>🏗️ ${place.name}</h4>
-                <p><strong>Type:</strong> ${place.type}</p>
-                <p><strong>📍 Area:</strong> ${place.area}</p>
-                <p><strong>✨ Highlights:</strong> ${place.highlights}</p>
-                <p><strong>⏰ Best time:</strong> ${place.bestTime}</p>
-                <p><strong>🎫 Entry:</strong> ${place.entry}</p>
-            `;
-            document.getElementById('messages').appendChild(placeDiv);
-        });
-        // Auto-scroll to new content
-        setTimeout(() => {
-            const messages = document.getElementById('messages');
-            messages.scrollTop = messages.scrollHeight;
-        }, 100);
-    }
-}
-
-async function showDetailedEvents(city) {
-    const localData = await LocalRecommendationsAPI.getLocalRecommendations(city);
-    if (localData.cultural_events && localData.cultural_events.length > 0) {
-        addBotMessage('Cultural events and festivals:', '🎭 Cultural Events');
-        localData.cultural_events.forEach(event => {
-            const eventDiv = document.createElement('div');
-            eventDiv.className = 'recommendation';
-            eventDiv.innerHTML = `
-                <h4>🎪 ${event.name}</h4>
-                <p><strong>📅 Period:</strong> ${event.period}</p>
-                <p><strong>Description:</strong> ${event.description}</p>
-                <p><strong>📍 Locations:</strong> ${event.locations}</p>
-                <p><strong>🎯 Significance:</strong> ${event.significance}</p>
-            `;
-            document.getElementById('messages').appendChild(eventDiv);
-        });
-        // Auto-scroll to new content
-        setTimeout(() => {
-            const messages = document.getElementById('messages');
-            messages.scrollTop = messages.scrollHeight;
-        }, 100);
-    }
-}
+// The local-recommendation sections behind the quick buttons: where the data is, what the
+// bot says first and which card each item gets
+const LOCAL_DETAIL_SECTIONS = {
+    food: { data: 'local_food', message: 'local.food', category: 'category.localCuisine', card: 'dish' },
+    restaurants: { data: 'restaurants', message: 'local.restaurants', category: 'category.topRestaurants', card: 'restaurant' },
+    clothing: { data: 'traditional_clothing', message: 'local.clothing', category: 'category.traditionalClothing', card: 'outfit' },
+    places: { data: 'famous_places', message: 'local.places', category: 'category.mustVisit', card: 'landmark' },
+    events: { data: 'cultural_events', message: 'local.events', category: 'category.culturalEvents', card: 'festival' },
+    shopping: { data: 'shopping_markets', message: 'local.shopping', category: 'category.shoppingMarkets', card: 'market' },
+    weather: { data: 'weather', message: 'local.weather', category: 'category.weatherUpdate', card: 'climate' }
+};
 
-async function showDetailedShopping(city) {
-    const localData = await LocalRecommendationsAPI.getLocalRecommendations(city);
-    if (localData.shopping_markets && localData.shopping_markets.length > 0) {
-        addBotMessage('Best shopping markets and districts:', '🛍️ Shopping Markets');
-        localData.shopping_markets.forEach(market => {
-            const marketDiv = document.createElement('div');
-            marketDiv.className = 'recommendation';
-            marketDiv.innerHTML = `
-                <h4>🏪 ${market.name}</h4>
-                <p><strong>Type:</strong> ${market.type}</p>
-                <p><strong>📍 Area:</strong> ${market.area}</p>
-                <p><strong>🛒 Specialties:</strong> ${market.specialties}</p>
-                <p><strong>⏰ Hours:</strong> ${market.hours}</p>
-                <p><strong>💸 Bargaining:</strong> ${market.bargaining}</p>
-            `;
-            document.getElementById('messages').appendChild(marketDiv);
-        });
-        // Auto-scroll to new content
-        setTimeout(() => {
-            const messages = document.getElementById('messages');
-            messages.scrollTop = messages.scrollHeight;
-        }, 100);
-    }
+// Bring the cards that were just added into view once they have been laid out
+function scrollToLatest() {
+    setTimeout(() => {
+        const messages = document.getElementById('messages');
+        messages.scrollTop = messages.scrollHeight;
+    }, 100);
 }
 
-
-
-async function showWeatherInfo(city) {
+async function showLocalDetail(section, city) {
+    const { data, message, category, card } = LOCAL_DETAIL_SECTIONS[section];
     const localData = await LocalRecommendationsAPI.getLocalRecommendations(city);
-    if (localData.weather) {
-        addBotMessage('Current weather information:', '🌡️ Weather Update');
-        const weatherDiv = document.createElement('div');
-        weatherDiv.className = 'recommendation';
-        weatherDiv.style.cssText = 'background: linear-gradient(135deg, #74b9ff, #0984e3); color: white; padding: 15px; border-radius: 10px; margin: 10px 0;';
-        weatherDiv.innerHTML = `
-            <h4>🌡️ Current Weather: ${localData.weather.temperature}°C</h4>
-            <p><strong>Condition:</strong> ${localData.weather.condition}</p>
-            <p><strong>Humidity:</strong> ${localData.weather.humidity}</p>
-            <p><strong>Best time to visit:</strong> ${localData.weather.bestTime}</p>
-        `;
-        document.getElementById('messages').appendChild(weatherDiv);
-        // Auto-scroll to new content
-        setTimeout(() => {
-            const messages = document.getElementById('messages');
-            messages.scrollTop = messages.scrollHeight;
-        }, 100);
-    }
+    const items = [].concat(localData[data] || []);
+    if (items.length === 0) return;
+    
+    addBotMessage(I18n.t(message), I18n.t(category));
+    items.forEach(item => Cards.append(card, item, { city: CityAPI.toRecord(city) }));
+    scrollToLatest();
 }
 
 async function showLocalTips(city) {
     const localData = await LocalRecommendationsAPI.getLocalRecommendations(city);
-    addBotMessage('Essential local insights and tips:', '💡 Local Insights');
+    addBotMessage(I18n.t('local.insights'), I18n.t('category.localInsights'));
     
     // Cultural insights
     if (localData.cultural_insights) {
-        const cultureDiv = document.createElement('div');
-        cultureDiv.className = 'recommendation';
-        cultureDiv.style.cssText = 'background: linear-gradient(135deg, #ff9a56, #ff6b9d); color: white; padding: 15px; border-radius: 10px; margin: 10px 0;';
-        cultureDiv.innerHTML = `
-            <h4>🌍 Cultural Insight</h4>
-            <p>${localData.cultural_insights}</p>
-        `;
-        document.getElementById('messages').appendChild(cultureDiv);
+        Cards.append('insight', localData.cultural_insights);
     }
     
     // Local tips
     if (localData.local_tips && localData.local_tips.length > 0) {
-        const tipsDiv = document.createElement('div');
-        tipsDiv.className = 'recommendation';
-        tipsDiv.innerHTML = `<h4>💡 Essential Local Tips</h4>`;
-        localData.local_tips.forEach(tip => {
-            const tipP = document.createElement('p');
-            tipP.innerHTML = `• ${tip}`;
-            tipsDiv.appendChild(tipP);
-        });
-        document.getElementById('messages').appendChild(tipsDiv);
+        Cards.append('tips', localData.local_tips);
     }
     
     // Budget options
     if (localData.budget_options) {
-        const budgetDiv = document.createElement('div');
-        budgetDiv.className = 'recommendation';
-        budgetDiv.innerHTML = `
-            <h4>💰 Budget-Friendly Options</h4>
-            <p><strong>🏨 Accommodation:</strong> ${localData.budget_options.accommodation}</p>
-            <p><strong>🍽️ Food:</strong> ${localData.budget_options.food}</p>
-            <p><strong>🚌 Transport:</strong> ${localData.budget_options.transport}</p>
-            <p><strong>🎭 Activities:</strong> ${localData.budget_options.activities}</p>
-        `;
-        document.getElementById('messages').appendChild(budgetDiv);
+        Cards.append('budget', localData.budget_options);
     }
     
-    // Auto-scroll to new content
-    setTimeout(() => {
-        const messages = document.getElementById('messages');
-        messages.scrollTop = messages.scrollHeight;
-    }, 100);
+    scrollToLatest();
 }
 
 // Initialize performance monitoring
+ProviderRegistry.logStatus();
 console.log('🚀 Enhanced CulturalBot with Free APIs loaded!');
-console.log('📊 Available APIs:', Object.keys(API_CONFIG));
+console.log('📊 Available APIs:', ProviderRegistry.getServices().map(service => service.id));
 
@@ -0,0 +1,640 @@
+// Language detection and the message catalogue for bot replies
+// Supported languages match the travellers we see most: English, Japanese, Hindi, French,
+// Turkish and Spanish. Each incoming message is checked for its language (script first,
+// then common words); replies use the detected language unless the user picked one in
+// the sidebar. The glossary maps the words the intent classifier and follow-up parser
+// rely on to English, so the offline pipeline keeps working on non-English input.
+// Place names, descriptions and other API/demo data are shown as provided.
+
+class I18n {
+    static languages = {
+        en: { name: 'English', label: 'English', locale: 'en-US' },
+        ja: { name: 'Japanese', label: '日本語', locale: 'ja-JP' },
+        hi: { name: 'Hindi', label: 'हिन्दी', locale: 'hi-IN' },
+        fr: { name: 'French', label: 'Français', locale: 'fr-FR' },
+        tr: { name: 'Turkish', label: 'Türkçe', locale: 'tr-TR' },
+        es: { name: 'Spanish', label: 'Español', locale: 'es-ES' }
+    };
+
+    static language = 'en'; // language replies are written in
+    static chosen = null;   // set from the language picker; overrides detection
+    static storageKey = 'culturalbot-language';
+
+    // Frequent short words that give away a Latin-script language
+    static commonWords = {
+        en: ['the', 'is', 'are', 'what', 'where', 'how', 'and', 'to', 'in', 'of', 'for', 'me', 'show', 'find', 'best', 'near', 'can', 'i', 'you', 'it', 'weather', 'food'],
+        fr: ['le', 'la', 'les', 'des', 'du', 'est', 'et', 'où', 'quel', 'quelle', 'quels', 'pour', 'avec', 'je', 'un', 'une', 'dans', 'temps', 'manger', 'sont', 'au', 'aux', 'moins', 'cher', 'bonjour', 'merci', 'vous', 'comment', 'dit', 'ce', 'il'],
+        es: ['el', 'los', 'las', 'es', 'y', 'dónde', 'donde', 'qué', 'que', 'cómo', 'para', 'con', 'yo', 'un', 'una', 'en', 'del', 'tiempo', 'comer', 'hola', 'más', 'barato', 'hay'],
+        tr: ['ve', 'bir', 'bu', 'ne', 'nerede', 'nasıl', 'için', 'ile', 'mi', 'mı', 'mu', 'mü', 'hava', 'yemek', 'var', 'daha', 'merhaba', 'en', 'iyi', 'yer', 'yerler', 'da', 'hangi', 'neler']
+    };
+
+    // Letters that only (or mostly) occur in one of the Latin-script languages
+    static distinctiveLetters = {
+        fr: /[çœèêëàâùûî]/i,
+        es: /[ñ¿¡áíóú]/i,
+        tr: /[ğşıİ]/i
+    };
+
+    // Native words → English terms the classifier, entity extractor and follow-up parser know.
+    // Longer phrases are matched first so they win over the words inside them.
+    static glossary = {
+        ja: {
+            '天気予報': 'weather forecast', '天気': 'weather', '気温': 'temperature', '雨': 'rain', '明日': 'tomorrow', '週末': 'weekend', '今日': 'today',
+            'レストラン': 'restaurant', '食べ物': 'food', '食事': 'dining', '食べる': 'eat', 'ご飯': 'food', 'ランチ': 'lunch', '夕食': 'dinner', '朝食': 'breakfast', 'カフェ': 'cafe', 'ベジタリアン': 'vegetarian',
+            '博物館': 'museum', '美術館': 'art gallery', '寺': 'temple', '神社': 'shrine', '文化': 'culture', '歴史': 'history',
+            'イベント': 'event', '祭り': 'festival', 'コンサート': 'concert', 'ナイトライフ': 'nightlife',
+            '観光地': 'tourist attractions', '観光': 'sightseeing', '名所': 'famous places', '場所': 'places', 'ランドマーク': 'landmarks',
+            '買い物': 'shopping', 'ショッピング': 'shopping', '市場': 'market', 'お土産': 'souvenirs', '店': 'shop',
+            '着物': 'kimono', '浴衣': 'yukata', '伝統衣装': 'traditional dress', '服': 'clothing', '伝統': 'traditional',
+            '地元': 'local', 'おすすめ': 'recommendation', 'ガイド': 'guide', 'ヒント': 'tips',
+            'もっと安い': 'cheaper', '安い': 'cheaper', 'もっと見せて': 'more', 'フレーズ': 'phrases', '挨拶': 'greetings', '言い方': 'how to say', '発音': 'pronunciation', '旅程': 'itinerary', 'プラン': 'plan', '計画': 'plan', '日間': ' days ', '旅行': 'trip', 'もっと': 'more', '近く': 'near', 'と': ' and ', '、': ', '
+        },
+        hi: {
+            'मौसम': 'weather', 'तापमान': 'temperature', 'बारिश': 'rain', 'कल': 'tomorrow', 'सप्ताहांत': 'weekend', 'आज': 'today',
+            'रेस्टोरेंट': 'restaurant', 'रेस्तरां': 'restaurant', 'खाना': 'food', 'भोजन': 'food', 'खाने': 'eat', 'नाश्ता': 'breakfast', 'शाकाहारी': 'vegetarian',
+            'संग्रहालय': 'museum', 'मंदिर': 'temple', 'संस्कृति': 'culture', 'इतिहास': 'history', 'कला': 'art',
+            'कार्यक्रम': 'event', 'त्योहार': 'festival', 'उत्सव': 'festival', 'संगीत': 'concert',
+            'पर्यटन स्थल': 'tourist attractions', 'घूमने': 'visit', 'जगह': 'places', 'स्थान': 'places',
+            'खरीदारी': 'shopping', 'शॉपिंग': 'shopping', 'बाज़ार': 'market', 'बाजार': 'market', 'दुकान': 'shop',
+            'साड़ी': 'saree', 'कुर्ता': 'kurta', 'पारंपरिक पोशाक': 'traditional dress', 'कपड़े': 'clothing', 'पोशाक': 'dress', 'पारंपरिक': 'traditional',
+            'स्थानीय': 'local', 'सुझाव': 'recommendation', 'गाइड': 'guide',
+            'वाक्यांश': 'phrases', 'कैसे कहें': 'how to say', 'उच्चारण': 'pronunciation', 'यात्रा योजना': 'trip plan', 'योजना': 'plan', 'यात्रा': 'trip', 'दिन': 'days', 'सस्ता': 'cheaper', 'सस्ते': 'cheaper', 'और दिखाओ': 'more', 'पास': 'near', 'और': ' and ', 'में': ' in '
+        },
+        fr: {
+            'météo': 'weather', 'temps': 'weather', 'température': 'temperature', 'pluie': 'rain', 'prévisions': 'forecast', 'demain': 'tomorrow', 'week-end': 'weekend', 'aujourd\'hui': 'today',
+            'restaurant': 'restaurant', 'manger': 'eat', 'nourriture': 'food', 'cuisine': 'cuisine', 'déjeuner': 'lunch', 'dîner': 'dinner', 'petit-déjeuner': 'breakfast', 'végétarien': 'vegetarian', 'végétarienne': 'vegetarian', 'végétariens': 'vegetarian', 'café': 'cafe',
+            'musée': 'museum', 'temple': 'temple', 'culture': 'culture', 'culturel': 'cultural sites', 'histoire': 'history', 'patrimoine': 'heritage', 'art': 'art',
+            'événement': 'event', 'évènement': 'event', 'festival': 'festival', 'concert': 'concert', 'spectacle': 'performance', 'sortir': 'nightlife',
+            'attractions touristiques': 'tourist attractions', 'à visiter': 'visit', 'visiter': 'visit', 'monuments': 'landmarks', 'lieux': 'places', 'endroits': 'places',
+            'shopping': 'shopping', 'magasin': 'store', 'boutique': 'boutique', 'marché': 'market', 'acheter': 'buy', 'souvenirs': 'souvenirs',
+            'vêtements traditionnels': 'traditional clothing', 'vêtement': 'clothing', 'tenue': 'attire', 'costume': 'costume', 'porter': 'wear', 'traditionnel': 'traditional',
+            'local': 'local', 'conseils': 'tips', 'recommandations': 'recommendation', 'guide': 'guide',
+            'comment dit-on': 'how do you say', 'comment dire': 'how to say', 'phrases utiles': 'useful phrases', 'expressions': 'phrases', 'prononciation': 'pronunciation',
+            'itinéraire': 'itinerary', 'programme': 'itinerary', 'planifier': 'plan', 'planifie': 'plan', 'organiser': 'plan', 'jours': 'days', 'jour': 'day', 'semaine': 'week', 'voyage': 'trip', 'séjour': 'trip',
+            'moins cher': 'cheaper', 'encore': 'more', 'près de': 'near', 'où': 'where', 'et': 'and', 'à': 'in'
+        },
+        tr: {
+            'hava durumu': 'weather', 'hava': 'weather', 'sıcaklık': 'temperature', 'yağmur': 'rain', 'tahmin': 'forecast', 'yarın': 'tomorrow', 'hafta sonu': 'weekend', 'bugün': 'today',
+            'restoran': 'restaurant', 'lokanta': 'restaurant', 'yemek': 'food', 'yemeği': 'food', 'yiyecek': 'food', 'kahvaltı': 'breakfast', 'akşam yemeği': 'dinner', 'vejetaryen': 'vegetarian', 'kafe': 'cafe',
+            'müze': 'museum', 'cami': 'mosque', 'kültür': 'culture', 'tarih': 'history', 'sanat': 'art', 'miras': 'heritage',
+            'etkinlik': 'event', 'festival': 'festival', 'konser': 'concert', 'gösteri': 'performance', 'gece hayatı': 'nightlife',
+            'turistik yerler': 'tourist attractions', 'gezilecek': 'visit', 'gezmek': 'sightseeing', 'yerler': 'places', 'yer': 'places',
+            'alışveriş': 'shopping', 'çarşı': 'bazaar', 'pazar': 'market', 'mağaza': 'store', 'dükkan': 'shop', 'hediyelik': 'souvenirs', 'almak': 'buy',
+            'geleneksel kıyafet': 'traditional clothing', 'kıyafet': 'clothing', 'giysi': 'clothing', 'giymek': 'wear', 'geleneksel': 'traditional',
+            'yerel': 'local', 'öneri': 'recommendation', 'tavsiye': 'recommendation', 'rehber': 'guide', 'ipucu': 'tips',
+            'nasıl denir': 'how do you say', 'ifadeler': 'phrases', 'kelimeler': 'words', 'telaffuz': 'pronunciation',
+            'gezi planı': 'trip plan', 'planla': 'plan', 'program': 'itinerary', 'günlük': 'day', 'gün': 'days', 'hafta': 'week', 'gezi': 'trip', 'seyahat': 'trip',
+            'daha ucuz': 'cheaper', 'daha fazla': 'more', 'yakın': 'near', 'nerede': 'where', 've': 'and'
+        },
+        es: {
+            'el tiempo': 'weather', 'clima': 'weather', 'tiempo': 'weather', 'temperatura': 'temperature', 'lluvia': 'rain', 'pronóstico': 'forecast', 'mañana': 'tomorrow', 'fin de semana': 'weekend', 'hoy': 'today',
+            'restaurante': 'restaurant', 'comer': 'eat', 'comida': 'food', 'cocina': 'cuisine', 'almuerzo': 'lunch', 'cena': 'dinner', 'desayuno': 'breakfast', 'vegetariano': 'vegetarian', 'vegetariana': 'vegetarian', 'vegetarianos': 'vegetarian', 'cafetería': 'cafe',
+            'museo': 'museum', 'templo': 'temple', 'cultura': 'culture', 'cultural': 'cultural sites', 'historia': 'history', 'patrimonio': 'heritage', 'arte': 'art',
+            'evento': 'event', 'festival': 'festival', 'concierto': 'concert', 'espectáculo': 'performance', 'vida nocturna': 'nightlife',
+            'atracciones turísticas': 'tourist attractions', 'visitar': 'visit', 'monumentos': 'landmarks', 'lugares': 'places', 'sitios': 'places',
+            'compras': 'shopping', 'tienda': 'store', 'mercado': 'market', 'comprar': 'buy', 'recuerdos': 'souvenirs',
+            'ropa tradicional': 'traditional clothing', 'ropa': 'clothing', 'vestido': 'dress', 'traje': 'costume', 'vestir': 'wear', 'tradicional': 'traditional',
+            'local': 'local', 'consejos': 'tips', 'recomendaciones': 'recommendation', 'guía': 'guide',
+            'cómo se dice': 'how do you say', 'frases': 'phrases', 'palabras': 'words', 'pronunciación': 'pronunciation',
+            'itinerario': 'itinerary', 'planea': 'plan', 'planear': 'plan', 'planifica': 'plan', 'planificar': 'plan', 'días': 'days', 'día': 'day', 'semana': 'week', 'viaje': 'trip',
+            'más barato': 'cheaper', 'más baratos': 'cheaper', 'más': 'more', 'cerca de': 'near', 'dónde': 'where', 'donde': 'where', 'y': 'and', 'en': 'in'
+        }
+    };
+
+    // Message catalogue. Keys are grouped by feature; {placeholders} are filled by t().
+    static messages = {
+        'category.systemReady': { en: '🤖 System Ready', ja: '🤖 準備完了', hi: '🤖 सिस्टम तैयार', fr: '🤖 Système prêt', tr: '🤖 Sistem hazır', es: '🤖 Sistema listo' },
+        'system.ready': {
+            en: '🚀 Enhanced CulturalBot is ready! Prioritizing live APIs for authentic, real-time information.',
+            ja: '🚀 CulturalBot の準備ができました！リアルタイムの情報を優先してお届けします。',
+            hi: '🚀 CulturalBot तैयार है! प्रामाणिक, रियल-टाइम जानकारी के लिए लाइव API को प्राथमिकता दी जा रही है।',
+            fr: '🚀 CulturalBot est prêt ! Les API en direct sont privilégiées pour des informations fiables et en temps réel.',
+            tr: '🚀 CulturalBot hazır! Güncel ve gerçek zamanlı bilgi için canlı API\'ler öncelikli kullanılıyor.',
+            es: '🚀 ¡CulturalBot está listo! Se priorizan las API en vivo para ofrecer información auténtica y en tiempo real.'
+        },
+        'category.cacheCleared': { en: '🧹 Cache Cleared', ja: '🧹 キャッシュを削除しました', hi: '🧹 कैश साफ़', fr: '🧹 Cache vidé', tr: '🧹 Önbellek temizlendi', es: '🧹 Caché borrada' },
+        'cache.cleared.one': {
+            en: 'Cleared {count} cached response. Fresh data will be fetched on your next question.',
+            ja: 'キャッシュ {count} 件を削除しました。次の質問で最新のデータを取得します。',
+            hi: '{count} कैश किया गया जवाब हटाया गया। अगले सवाल पर नया डेटा लाया जाएगा।',
+            fr: '{count} réponse en cache supprimée. Des données fraîches seront chargées à votre prochaine question.',
+            tr: '{count} önbellek yanıtı silindi. Bir sonraki sorunuzda güncel veriler alınacak.',
+            es: 'Se borró {count} respuesta en caché. Se obtendrán datos nuevos en tu próxima pregunta.'
+        },
+        'cache.cleared.other': {
+            en: 'Cleared {count} cached responses. Fresh data will be fetched on your next question.',
+            ja: 'キャッシュ {count} 件を削除しました。次の質問で最新のデータを取得します。',
+            hi: '{count} कैश किए गए जवाब हटाए गए। अगले सवाल पर नया डेटा लाया जाएगा।',
+            fr: '{count} réponses en cache supprimées. Des données fraîches seront chargées à votre prochaine question.',
+            tr: '{count} önbellek yanıtı silindi. Bir sonraki sorunuzda güncel veriler alınacak.',
+            es: 'Se borraron {count} respuestas en caché. Se obtendrán datos nuevos en tu próxima pregunta.'
+        },
+        'category.quota': { en: '📊 API Quota', ja: '📊 API利用枠', hi: '📊 API कोटा', fr: '📊 Quota API', tr: '📊 API Kotası', es: '📊 Cuota de API' },
+        'quota.cacheOnly': {
+            en: '{provider} has used {used} of its {budget} requests for today, so saved answers are reused instead of refreshed until the limit resets.',
+            ja: '{provider} は本日 {budget} 件中 {used} 件のリクエストを使用しました。上限がリセットされるまで、保存済みの回答を更新せずに使います。',
+            hi: '{provider} ने आज के {budget} में से {used} अनुरोध इस्तेमाल कर लिए हैं, इसलिए सीमा रीसेट होने तक सहेजे गए जवाब ही दोबारा इस्तेमाल होंगे।',
+            fr: '{provider} a utilisé {used} de ses {budget} requêtes du jour : les réponses enregistrées sont réutilisées sans actualisation jusqu\'à la remise à zéro.',
+            tr: '{provider} bugünkü {budget} isteğinin {used} tanesini kullandı; sınır sıfırlanana kadar kayıtlı yanıtlar yenilenmeden kullanılacak.',
+            es: '{provider} ha usado {used} de sus {budget} solicitudes de hoy, así que se reutilizan las respuestas guardadas sin actualizarlas hasta que se reinicie el límite.'
+        },
+        'quota.exhausted': {
+            en: '{provider} reached its daily limit of {budget} requests. Answers come from other sources or demo data until it resets tomorrow (UTC).',
+            ja: '{provider} は1日の上限 {budget} 件に達しました。明日（UTC）にリセットされるまで、他の情報源かデモデータで回答します。',
+            hi: '{provider} अपनी {budget} अनुरोधों की दैनिक सीमा तक पहुँच गया है। कल (UTC) रीसेट होने तक जवाब दूसरे स्रोतों या डेमो डेटा से आएँगे।',
+            fr: '{provider} a atteint sa limite quotidienne de {budget} requêtes. Les réponses viennent d\'autres sources ou de données de démonstration jusqu\'à demain (UTC).',
+            tr: '{provider} günlük {budget} istek sınırına ulaştı. Yarın (UTC) sıfırlanana kadar yanıtlar diğer kaynaklardan veya demo verilerden gelecek.',
+            es: '{provider} alcanzó su límite diario de {budget} solicitudes. Las respuestas vendrán de otras fuentes o de datos de demostración hasta mañana (UTC).'
+        },
+
+        'category.error': { en: '❌ Error', ja: '❌ エラー', hi: '❌ त्रुटि', fr: '❌ Erreur', tr: '❌ Hata', es: '❌ Error' },
+        'error.generic': {
+            en: 'Sorry, I encountered an error. Please try again.',
+            ja: '申し訳ありません、エラーが発生しました。もう一度お試しください。',
+            hi: 'क्षमा करें, एक त्रुटि हुई। कृपया फिर से प्रयास करें।',
+            fr: 'Désolé, une erreur s\'est produite. Veuillez réessayer.',
+            tr: 'Üzgünüm, bir hata oluştu. Lütfen tekrar deneyin.',
+            es: 'Lo siento, ocurrió un error. Inténtalo de nuevo.'
+        },
+
+        'category.multiPart': { en: '🧩 Multi-part Answer', ja: '🧩 複数の回答', hi: '🧩 कई हिस्सों में जवाब', fr: '🧩 Réponse en plusieurs parties', tr: '🧩 Çok parçalı yanıt', es: '🧩 Respuesta en varias partes' },
+        'multi.intro': {
+            en: 'Your question covers {count} topics, answered in order of relevance: {topics}',
+            ja: 'ご質問には {count} つの話題が含まれています。関連度の高い順にお答えします：{topics}',
+            hi: 'आपके सवाल में {count} विषय हैं, प्रासंगिकता के क्रम में जवाब: {topics}',
+            fr: 'Votre question couvre {count} sujets, traités par ordre de pertinence : {topics}',
+            tr: 'Sorunuz {count} konuyu kapsıyor, önem sırasına göre yanıtlar: {topics}',
+            es: 'Tu pregunta abarca {count} temas, respondidos por orden de relevancia: {topics}'
+        },
+        'multi.match': { en: '{percent}% match', ja: '一致度 {percent}%', hi: '{percent}% मेल', fr: '{percent} % de correspondance', tr: '%{percent} eşleşme', es: '{percent} % de coincidencia' },
+
+        'category.quickQuestion': { en: '🤔 Quick Question', ja: '🤔 確認させてください', hi: '🤔 एक छोटा सवाल', fr: '🤔 Petite question', tr: '🤔 Kısa bir soru', es: '🤔 Una pregunta rápida' },
+        'clarify.prompt': {
+            en: 'I\'m not quite sure what you\'re after. Did you mean one of these?',
+            ja: 'ご質問の意図がはっきりしませんでした。次のどれでしょうか？',
+            hi: 'मुझे ठीक से समझ नहीं आया। क्या आपका मतलब इनमें से कोई है?',
+            fr: 'Je ne suis pas sûr de ce que vous cherchez. Vouliez-vous dire l\'un de ces sujets ?',
+            tr: 'Ne aradığınızdan tam emin değilim. Bunlardan birini mi kastettiniz?',
+            es: 'No estoy seguro de lo que buscas. ¿Te refieres a alguno de estos?'
+        },
+
+        'intent.weather': { en: '🌤️ Weather', ja: '🌤️ 天気', hi: '🌤️ मौसम', fr: '🌤️ Météo', tr: '🌤️ Hava durumu', es: '🌤️ Tiempo' },
+        'intent.food': { en: '🍽️ Food', ja: '🍽️ グルメ', hi: '🍽️ खाना', fr: '🍽️ Cuisine', tr: '🍽️ Yemek', es: '🍽️ Comida' },
+        'intent.culture': { en: '🏛️ Culture', ja: '🏛️ 文化', hi: '🏛️ संस्कृति', fr: '🏛️ Culture', tr: '🏛️ Kültür', es: '🏛️ Cultura' },
+        'intent.events': { en: '🎭 Events', ja: '🎭 イベント', hi: '🎭 कार्यक्रम', fr: '🎭 Événements', tr: '🎭 Etkinlikler', es: '🎭 Eventos' },
+        'intent.places': { en: '📍 Places', ja: '📍 観光地', hi: '📍 घूमने की जगहें', fr: '📍 Lieux', tr: '📍 Gezilecek yerler', es: '📍 Lugares' },
+        'intent.shopping': { en: '🛍️ Shopping', ja: '🛍️ ショッピング', hi: '🛍️ खरीदारी', fr: '🛍️ Shopping', tr: '🛍️ Alışveriş', es: '🛍️ Compras' },
+        'intent.clothing': { en: '👘 Traditional clothing', ja: '👘 伝統衣装', hi: '👘 पारंपरिक पोशाक', fr: '👘 Vêtements traditionnels', tr: '👘 Geleneksel kıyafetler', es: '👘 Ropa tradicional' },
+        'intent.local': { en: '🏠 Local tips', ja: '🏠 地元のヒント', hi: '🏠 स्थानीय सुझाव', fr: '🏠 Conseils locaux', tr: '🏠 Yerel ipuçları', es: '🏠 Consejos locales' },
+        'intent.phrases': { en: '🗣️ Phrases', ja: '🗣️ フレーズ', hi: '🗣️ वाक्यांश', fr: '🗣️ Phrases utiles', tr: '🗣️ İfadeler', es: '🗣️ Frases' },
+        'intent.itinerary': { en: '🗓️ Trip plan', ja: '🗓️ 旅行プラン', hi: '🗓️ यात्रा योजना', fr: '🗓️ Programme', tr: '🗓️ Gezi planı', es: '🗓️ Itinerario' },
+        'intent.general': { en: '💬 Something else', ja: '💬 その他', hi: '💬 कुछ और', fr: '💬 Autre chose', tr: '💬 Başka bir şey', es: '💬 Otra cosa' },
+
+        'prompt.food': { en: 'Find the best restaurants and local food places', ja: 'おすすめのレストランと地元の食べ物を探して', hi: 'सबसे अच्छे रेस्टोरेंट और स्थानीय खाना ढूंढो', fr: 'Trouver les meilleurs restaurants et la cuisine locale', tr: 'En iyi restoranları ve yerel yemek yerlerini bul', es: 'Buscar los mejores restaurantes y comida local' },
+        'prompt.places': { en: 'Find top tourist attractions and landmarks', ja: '人気の観光地と名所を探して', hi: 'प्रमुख पर्यटन स्थल और घूमने की जगहें ढूंढो', fr: 'Trouver les principales attractions touristiques et monuments', tr: 'En popüler turistik yerleri ve gezilecek yerleri bul', es: 'Buscar las principales atracciones turísticas y monumentos' },
+        'prompt.weather': { en: 'Get current weather conditions', ja: '今日の天気を教えて', hi: 'आज का मौसम बताओ', fr: 'Quelle est la météo actuelle', tr: 'Bugünkü hava durumu nasıl', es: 'Cómo está el tiempo hoy' },
+        'prompt.events': { en: 'What cultural events and activities are happening', ja: '開催中のイベントや祭りは？', hi: 'कौन से कार्यक्रम और त्योहार हो रहे हैं', fr: 'Quels événements et festivals ont lieu', tr: 'Hangi etkinlikler ve festivaller var', es: 'Qué eventos y festivales hay' },
+        'prompt.culture': { en: 'Find museums temples and cultural sites', ja: '博物館や寺などの文化スポットを探して', hi: 'संग्रहालय, मंदिर और संस्कृति से जुड़ी जगहें ढूंढो', fr: 'Trouver des musées, temples et lieux de culture', tr: 'Müze, cami ve kültür yerlerini bul', es: 'Buscar museos, templos y lugares de cultura' },
+        'prompt.shopping': { en: 'Find the best shopping districts and markets', ja: 'ショッピング街と市場を探して', hi: 'सबसे अच्छे बाज़ार और शॉपिंग की जगहें ढूंढो', fr: 'Trouver les meilleurs quartiers shopping et marchés', tr: 'En iyi alışveriş bölgelerini ve pazarları bul', es: 'Buscar las mejores zonas de compras y mercados' },
+        'prompt.clothing': { en: 'Find traditional clothing and cultural wear options', ja: '着物などの伝統衣装を探して', hi: 'पारंपरिक पोशाक और कपड़े ढूंढो', fr: 'Trouver des vêtements traditionnels à porter', tr: 'Geleneksel kıyafet seçeneklerini bul', es: 'Buscar ropa tradicional para vestir' },
+        'prompt.phrases': { en: 'Teach me useful local phrases', ja: '役に立つフレーズを教えて', hi: 'उपयोगी स्थानीय वाक्यांश सिखाओ', fr: 'Apprends-moi des phrases utiles', tr: 'Bana yararlı yerel ifadeler öğret', es: 'Enséñame frases útiles' },
+        'prompt.itinerary': { en: 'Plan 3 days for me', ja: '3日間の旅行プランを作って', hi: 'मेरे लिए 3 दिन की यात्रा योजना बनाओ', fr: 'Planifie-moi un séjour de 3 jours', tr: 'Bana 3 günlük bir gezi planı yap', es: 'Planea un viaje de 3 días para mí' },
+        'prompt.local': { en: 'Give me comprehensive local recommendations and insider tips', ja: '地元のおすすめとガイドを教えて', hi: 'स्थानीय सुझाव और गाइड दो', fr: 'Donne-moi des recommandations et conseils locaux', tr: 'Yerel öneri ve rehber ipuçları ver', es: 'Dame recomendaciones y consejos locales' },
+
+        'slots.understood': { en: 'Understood', ja: '理解した内容', hi: 'समझा गया', fr: 'Compris', tr: 'Anlaşılan', es: 'Entendido' },
+        'common.source': { en: 'Source', ja: '出典', hi: 'स्रोत', fr: 'Source', tr: 'Kaynak', es: 'Fuente' },
+        'common.readMore': { en: 'Read more', ja: '続きを読む', hi: 'और पढ़ें', fr: 'En savoir plus', tr: 'Devamını oku', es: 'Leer más' },
+        'common.website': { en: 'Website', ja: 'ウェブサイト', hi: 'वेबसाइट', fr: 'Site web', tr: 'Web sitesi', es: 'Sitio web' },
+        'category.info': { en: 'ℹ️ Info', ja: 'ℹ️ お知らせ', hi: 'ℹ️ जानकारी', fr: 'ℹ️ Info', tr: 'ℹ️ Bilgi', es: 'ℹ️ Info' },
+        'category.suggestion': { en: '🤖 Suggestion', ja: '🤖 ご提案', hi: '🤖 सुझाव', fr: '🤖 Suggestion', tr: '🤖 Öneri', es: '🤖 Sugerencia' },
+
+        'category.followUp': { en: '🔁 Follow-up', ja: '🔁 続き', hi: '🔁 आगे', fr: '🔁 Suite', tr: '🔁 Devam', es: '🔁 Seguimiento' },
+        'followUp.city': { en: 'Same question, now for {city}:', ja: '同じ質問を {city} で：', hi: 'वही सवाल, अब {city} के लिए:', fr: 'Même question, maintenant pour {city} :', tr: 'Aynı soru, şimdi {city} için:', es: 'La misma pregunta, ahora para {city}:' },
+        'followUp.end': { en: 'That\'s everything I found. Try another category or a different city!', ja: '見つかったのは以上です。別のカテゴリーや都市もお試しください！', hi: 'मुझे बस इतना ही मिला। कोई दूसरी श्रेणी या शहर आज़माएँ!', fr: 'C\'est tout ce que j\'ai trouvé. Essayez une autre catégorie ou une autre ville !', tr: 'Bulduklarım bu kadar. Başka bir kategori veya şehir deneyin!', es: 'Eso es todo lo que encontré. ¡Prueba otra categoría u otra ciudad!' },
+        'followUp.more': { en: 'Here are more results:', ja: 'ほかの結果はこちら：', hi: 'ये रहे और नतीजे:', fr: 'Voici d\'autres résultats :', tr: 'İşte diğer sonuçlar:', es: 'Aquí tienes más resultados:' },
+        'followUp.cheaper': { en: 'Looking for more affordable options:', ja: 'もっと手頃な候補を探しています：', hi: 'सस्ते विकल्प ढूंढ रहे हैं:', fr: 'Recherche d\'options plus abordables :', tr: 'Daha uygun fiyatlı seçenekler aranıyor:', es: 'Buscando opciones más económicas:' },
+        'followUp.noLocation': { en: 'I don\'t have a location for {name}, so I can\'t search around it.', ja: '{name} の位置情報がないため、周辺を検索できません。', hi: '{name} की लोकेशन मेरे पास नहीं है, इसलिए उसके आसपास नहीं खोज सकता।', fr: 'Je n\'ai pas l\'emplacement de {name}, je ne peux donc pas chercher autour.', tr: '{name} için konum bilgim yok, bu yüzden çevresinde arama yapamıyorum.', es: 'No tengo la ubicación de {name}, así que no puedo buscar cerca.' },
+        'followUp.near': { en: 'Closest to {name}:', ja: '{name} に近い順：', hi: '{name} के सबसे पास:', fr: 'Les plus proches de {name} :', tr: '{name} yakınındakiler:', es: 'Lo más cercano a {name}:' },
+        'category.details': { en: '🔎 Details', ja: '🔎 詳細', hi: '🔎 विवरण', fr: '🔎 Détails', tr: '🔎 Ayrıntılar', es: '🔎 Detalles' },
+        'details.intro': { en: 'Here\'s more about {name}:', ja: '{name} の詳細：', hi: '{name} के बारे में और जानकारी:', fr: 'En savoir plus sur {name} :', tr: '{name} hakkında daha fazlası:', es: 'Más sobre {name}:' },
+
+        'category.liveWeather': { en: '🌤️ Live Weather', ja: '🌤️ 現在の天気', hi: '🌤️ लाइव मौसम', fr: '🌤️ Météo en direct', tr: '🌤️ Canlı hava durumu', es: '🌤️ Tiempo en vivo' },
+        'weather.current': { en: 'Here\'s the current weather in {city}:', ja: '{city} の現在の天気：', hi: '{city} का मौजूदा मौसम:', fr: 'Voici la météo actuelle à {city} :', tr: '{city} için güncel hava durumu:', es: 'El tiempo actual en {city}:' },
+        'weather.condition': { en: 'Condition', ja: '天候', hi: 'स्थिति', fr: 'Conditions', tr: 'Durum', es: 'Estado' },
+        'weather.humidity': { en: 'Humidity', ja: '湿度', hi: 'नमी', fr: 'Humidité', tr: 'Nem', es: 'Humedad' },
+        'weather.wind': { en: 'Wind', ja: '風速', hi: 'हवा', fr: 'Vent', tr: 'Rüzgar', es: 'Viento' },
+        'weather.pressure': { en: 'Pressure', ja: '気圧', hi: 'दबाव', fr: 'Pression', tr: 'Basınç', es: 'Presión' },
+        'weather.realTime': { en: '⚡ Real-time data', ja: '⚡ リアルタイムデータ', hi: '⚡ रियल-टाइम डेटा', fr: '⚡ Données en temps réel', tr: '⚡ Gerçek zamanlı veri', es: '⚡ Datos en tiempo real' },
+        'category.forecast': { en: '📅 Weather Forecast', ja: '📅 天気予報', hi: '📅 मौसम पूर्वानुमान', fr: '📅 Prévisions météo', tr: '📅 Hava tahmini', es: '📅 Pronóstico del tiempo' },
+        'forecast.dates': { en: 'Here\'s the forecast for {label} in {city}:', ja: '{city} の {label} の天気予報：', hi: '{city} में {label} का पूर्वानुमान:', fr: 'Voici les prévisions pour {label} à {city} :', tr: '{city} için {label} tahmini:', es: 'El pronóstico para {label} en {city}:' },
+        'forecast.outOfRange': { en: '{label} is beyond the 5-day forecast, so here\'s the full outlook for {city}:', ja: '{label} は5日間予報の範囲外のため、{city} の全期間の予報を表示します：', hi: '{label} 5-दिन के पूर्वानुमान से बाहर है, इसलिए {city} का पूरा पूर्वानुमान:', fr: '{label} dépasse les prévisions à 5 jours, voici donc l\'ensemble des prévisions pour {city} :', tr: '{label} 5 günlük tahminin dışında, bu yüzden {city} için tüm tahmin:', es: '{label} queda fuera del pronóstico de 5 días, así que aquí está el pronóstico completo para {city}:' },
+        'forecast.thatDate': { en: 'That date', ja: 'その日', hi: 'वह तारीख', fr: 'Cette date', tr: 'O tarih', es: 'Esa fecha' },
+        'forecast.thoseDays': { en: 'those days', ja: 'その期間', hi: 'उन दिनों', fr: 'ces jours-là', tr: 'o günler', es: 'esos días' },
+        'forecast.tomorrow': { en: 'Here\'s tomorrow\'s forecast for {city}:', ja: '{city} の明日の天気予報：', hi: '{city} का कल का पूर्वानुमान:', fr: 'Voici les prévisions de demain pour {city} :', tr: '{city} için yarının tahmini:', es: 'El pronóstico de mañana para {city}:' },
+        'forecast.weekend': { en: 'Here\'s the weekend outlook for {city}:', ja: '{city} の週末の天気：', hi: '{city} का सप्ताहांत का मौसम:', fr: 'Voici les prévisions du week-end pour {city} :', tr: '{city} için hafta sonu tahmini:', es: 'El pronóstico del fin de semana para {city}:' },
+        'forecast.days': { en: 'Here\'s the {count}-day forecast for {city}:', ja: '{city} の{count}日間の天気予報：', hi: '{city} का {count}-दिन का पूर्वानुमान:', fr: 'Voici les prévisions sur {count} jours pour {city} :', tr: '{city} için {count} günlük tahmin:', es: 'El pronóstico de {count} días para {city}:' },
+        'forecast.weekendBeyond': { en: 'The weekend is beyond the 5-day forecast range, so here is the full outlook instead.', ja: '週末は5日間予報の範囲外のため、代わりに全期間の予報を表示します。', hi: 'सप्ताहांत 5-दिन के पूर्वानुमान से बाहर है, इसलिए पूरा पूर्वानुमान दिखाया जा रहा है।', fr: 'Le week-end dépasse les prévisions à 5 jours, voici donc l\'ensemble des prévisions.', tr: 'Hafta sonu 5 günlük tahmin aralığının dışında, bu yüzden tüm tahmin gösteriliyor.', es: 'El fin de semana queda fuera del pronóstico de 5 días, así que aquí está el pronóstico completo.' },
+
+        'place.address': { en: 'Address', ja: '住所', hi: 'पता', fr: 'Adresse', tr: 'Adres', es: 'Dirección' },
+        'place.location': { en: 'Location', ja: '場所', hi: 'स्थान', fr: 'Emplacement', tr: 'Konum', es: 'Ubicación' },
+        'place.type': { en: 'Type', ja: '種類', hi: 'प्रकार', fr: 'Type', tr: 'Tür', es: 'Tipo' },
+        'place.category': { en: 'Category', ja: 'カテゴリー', hi: 'श्रेणी', fr: 'Catégorie', tr: 'Kategori', es: 'Categoría' },
+        'place.distance': { en: 'Distance', ja: '距離', hi: 'दूरी', fr: 'Distance', tr: 'Mesafe', es: 'Distancia' },
+        'place.cuisine': { en: 'Cuisine', ja: '料理', hi: 'व्यंजन', fr: 'Cuisine', tr: 'Mutfak', es: 'Cocina' },
+        'place.hours': { en: 'Hours', ja: '営業時間', hi: 'समय', fr: 'Horaires', tr: 'Saatler', es: 'Horario' },
+        'place.wheelchair': { en: 'Wheelchair access', ja: '車椅子対応', hi: 'व्हीलचेयर सुविधा', fr: 'Accès fauteuil roulant', tr: 'Tekerlekli sandalye erişimi', es: 'Acceso en silla de ruedas' },
+        'place.fallback.food': { en: 'Restaurant/Food', ja: 'レストラン・飲食', hi: 'रेस्टोरेंट/खाना', fr: 'Restaurant/Cuisine', tr: 'Restoran/Yemek', es: 'Restaurante/Comida' },
+        'place.fallback.culture': { en: 'Cultural Site', ja: '文化スポット', hi: 'सांस्कृतिक स्थल', fr: 'Site culturel', tr: 'Kültürel mekân', es: 'Lugar cultural' },
+        'place.fallback.tourist': { en: 'Tourist Attraction', ja: '観光スポット', hi: 'पर्यटन स्थल', fr: 'Attraction touristique', tr: 'Turistik yer', es: 'Atracción turística' },
+        'place.fallback.shopping': { en: 'Shopping', ja: 'ショッピング', hi: 'खरीदारी', fr: 'Shopping', tr: 'Alışveriş', es: 'Compras' },
+
+        'category.localCuisine': { en: '🍽️ Local Cuisine', ja: '🍽️ 地元の味', hi: '🍽️ स्थानीय व्यंजन', fr: '🍽️ Cuisine locale', tr: '🍽️ Yerel mutfak', es: '🍽️ Cocina local' },
+        'food.heading': { en: 'Best food places and restaurants in {city}:', ja: '{city} のおすすめの飲食店とレストラン：', hi: '{city} में खाने की सबसे अच्छी जगहें और रेस्टोरेंट:', fr: 'Les meilleurs restaurants et adresses gourmandes à {city} :', tr: '{city} şehrindeki en iyi yemek yerleri ve restoranlar:', es: 'Los mejores restaurantes y lugares para comer en {city}:' },
+        'food.tip': { en: '🍴 <strong>Food tip:</strong> Try local specialties and street food for an authentic experience!', ja: '🍴 <strong>グルメのヒント：</strong>本場の体験には郷土料理や屋台の味がおすすめです！', hi: '🍴 <strong>खाने का सुझाव:</strong> असली अनुभव के लिए स्थानीय व्यंजन और स्ट्रीट फूड ज़रूर आज़माएँ!', fr: '🍴 <strong>Astuce gourmande :</strong> goûtez les spécialités locales et la cuisine de rue pour une expérience authentique !', tr: '🍴 <strong>Yemek ipucu:</strong> Gerçek bir deneyim için yerel lezzetleri ve sokak yemeklerini deneyin!', es: '🍴 <strong>Consejo gastronómico:</strong> ¡prueba las especialidades locales y la comida callejera para una experiencia auténtica!' },
+        'category.foodSuggestion': { en: '🤔 Food Suggestion', ja: '🤔 食事のご提案', hi: '🤔 खाने का सुझाव', fr: '🤔 Suggestion culinaire', tr: '🤔 Yemek önerisi', es: '🤔 Sugerencia gastronómica' },
+        'food.none': { en: 'Could not find specific restaurants via API. Try exploring local food markets or asking locals!', ja: 'API では具体的なレストランが見つかりませんでした。地元の市場を歩いたり、地元の人に聞いてみてください！', hi: 'API से कोई खास रेस्टोरेंट नहीं मिला। स्थानीय फ़ूड मार्केट घूमें या स्थानीय लोगों से पूछें!', fr: 'Aucun restaurant précis trouvé via l\'API. Explorez les marchés locaux ou demandez aux habitants !', tr: 'API ile belirli bir restoran bulunamadı. Yerel pazarları gezin ya da yerel halka sorun!', es: 'No se encontraron restaurantes concretos mediante la API. ¡Explora los mercados locales o pregunta a la gente del lugar!' },
+
+        'category.localEvents': { en: '📰 Local Events', ja: '📰 地元のイベント', hi: '📰 स्थानीय कार्यक्रम', fr: '📰 Événements locaux', tr: '📰 Yerel etkinlikler', es: '📰 Eventos locales' },
+        'events.heading': { en: 'Current events and news in {city}:', ja: '{city} の最新イベントとニュース：', hi: '{city} में मौजूदा कार्यक्रम और खबरें:', fr: 'Événements et actualités à {city} :', tr: '{city} şehrindeki güncel etkinlikler ve haberler:', es: 'Eventos y noticias actuales en {city}:' },
+
+        'category.culturalSites': { en: '🏛️ Cultural Sites', ja: '🏛️ 文化スポット', hi: '🏛️ सांस्कृतिक स्थल', fr: '🏛️ Sites culturels', tr: '🏛️ Kültürel mekanlar', es: '🏛️ Sitios culturales' },
+        'culture.heading': { en: 'Cultural sites and attractions in {city}:', ja: '{city} の文化スポットと見どころ：', hi: '{city} के सांस्कृतिक स्थल और आकर्षण:', fr: 'Sites et attractions culturels à {city} :', tr: '{city} şehrindeki kültürel mekanlar ve yerler:', es: 'Sitios y atracciones culturales en {city}:' },
+        'culture.none': { en: 'Unable to find specific cultural sites via API. Try visiting local tourism centers for museum and heritage site information!', ja: 'API では具体的な文化スポットが見つかりませんでした。博物館や史跡の情報は観光案内所でご確認ください！', hi: 'API से कोई खास सांस्कृतिक स्थल नहीं मिला। संग्रहालयों और धरोहर स्थलों की जानकारी के लिए स्थानीय पर्यटन केंद्र जाएँ!', fr: 'Aucun site culturel précis trouvé via l\'API. Rendez-vous à l\'office de tourisme pour les musées et sites patrimoniaux !', tr: 'API ile belirli kültürel mekanlar bulunamadı. Müze ve tarihi yer bilgisi için turizm danışma ofislerine uğrayın!', es: 'No se encontraron sitios culturales concretos mediante la API. ¡Visita la oficina de turismo para información sobre museos y patrimonio!' },
+
+        'category.touristAttractions': { en: '📍 Tourist Attractions', ja: '📍 観光名所', hi: '📍 पर्यटन स्थल', fr: '📍 Attractions touristiques', tr: '📍 Turistik yerler', es: '📍 Atracciones turísticas' },
+        'places.heading': { en: 'Top tourist attractions and landmarks in {city}:', ja: '{city} の人気観光地と名所：', hi: '{city} के प्रमुख पर्यटन स्थल:', fr: 'Principales attractions et monuments à {city} :', tr: '{city} şehrinin en popüler turistik yerleri:', es: 'Principales atracciones y monumentos en {city}:' },
+        'places.tip': { en: '💡 <strong>Pro tip:</strong> These are major landmarks and attractions. For more detailed information, check official tourism websites or local guides!', ja: '💡 <strong>ヒント：</strong>主要な名所と見どころです。詳しくは公式観光サイトや地元ガイドをご確認ください！', hi: '💡 <strong>सुझाव:</strong> ये प्रमुख स्थल और आकर्षण हैं। ज़्यादा जानकारी के लिए आधिकारिक पर्यटन वेबसाइट या स्थानीय गाइड देखें!', fr: '💡 <strong>Astuce :</strong> voici les principaux monuments et attractions. Pour plus de détails, consultez les sites officiels de tourisme ou les guides locaux !', tr: '💡 <strong>İpucu:</strong> Bunlar başlıca simge yapılar ve turistik yerler. Ayrıntılar için resmi turizm sitelerine veya yerel rehberlere bakın!', es: '💡 <strong>Consejo:</strong> estos son los principales monumentos y atracciones. ¡Para más detalles, consulta las webs oficiales de turismo o guías locales!' },
+        'places.none': { en: 'Unable to find specific attractions via API. I recommend checking official tourism websites or asking locals for the best places to visit!', ja: 'API では具体的な観光地が見つかりませんでした。公式観光サイトを確認するか、地元の人におすすめを聞いてみてください！', hi: 'API से कोई खास आकर्षण नहीं मिला। घूमने की बेहतरीन जगहों के लिए आधिकारिक पर्यटन वेबसाइट देखें या स्थानीय लोगों से पूछें!', fr: 'Aucune attraction précise trouvée via l\'API. Consultez les sites officiels de tourisme ou demandez aux habitants les meilleurs endroits à visiter !', tr: 'API ile belirli turistik yerler bulunamadı. En iyi yerler için resmi turizm sitelerine bakın veya yerel halka sorun!', es: 'No se encontraron atracciones concretas mediante la API. ¡Consulta las webs oficiales de turismo o pregunta a la gente del lugar por los mejores sitios!' },
+
+        'category.shopping': { en: '🛍️ Shopping', ja: '🛍️ ショッピング', hi: '🛍️ खरीदारी', fr: '🛍️ Shopping', tr: '🛍️ Alışveriş', es: '🛍️ Compras' },
+        'shopping.heading': { en: 'Famous markets and shopping areas in {city}:', ja: '{city} の有名な市場とショッピングエリア：', hi: '{city} के मशहूर बाज़ार और शॉपिंग इलाके:', fr: 'Marchés et quartiers commerçants célèbres à {city} :', tr: '{city} şehrinin ünlü pazarları ve alışveriş bölgeleri:', es: 'Mercados y zonas de compras famosos en {city}:' },
+        'category.shoppingSuggestion': { en: '🤔 Suggestion', ja: '🤔 ご提案', hi: '🤔 सुझाव', fr: '🤔 Suggestion', tr: '🤔 Öneri', es: '🤔 Sugerencia' },
+        'shopping.none': { en: 'Try exploring local markets and shopping districts! Check tourism websites for popular shopping areas.', ja: '地元の市場やショッピング街を歩いてみましょう！人気のエリアは観光サイトで確認できます。', hi: 'स्थानीय बाज़ार और शॉपिंग इलाके घूमें! लोकप्रिय जगहों के लिए पर्यटन वेबसाइट देखें।', fr: 'Explorez les marchés et quartiers commerçants ! Les sites de tourisme indiquent les zones les plus populaires.', tr: 'Yerel pazarları ve alışveriş bölgelerini keşfedin! Popüler yerler için turizm sitelerine bakın.', es: '¡Explora los mercados y zonas comerciales! Consulta las webs de turismo para ver las zonas más populares.' },
+
+        'category.generalHelp': { en: '🤖 General Help', ja: '🤖 ヘルプ', hi: '🤖 सहायता', fr: '🤖 Aide', tr: '🤖 Yardım', es: '🤖 Ayuda' },
+        'general.help': { en: 'I can help you with weather, food, culture, events, and places! What would you like to know?', ja: '天気、グルメ、文化、イベント、観光地についてお手伝いできます！何を知りたいですか？', hi: 'मैं मौसम, खाना, संस्कृति, कार्यक्रम और घूमने की जगहों में मदद कर सकता हूँ! आप क्या जानना चाहेंगे?', fr: 'Je peux vous aider pour la météo, la cuisine, la culture, les événements et les lieux ! Que voulez-vous savoir ?', tr: 'Hava durumu, yemek, kültür, etkinlikler ve gezilecek yerler konusunda yardımcı olabilirim! Ne öğrenmek istersiniz?', es: '¡Puedo ayudarte con el tiempo, la comida, la cultura, los eventos y los lugares! ¿Qué te gustaría saber?' },
+        'category.aiAnswer': { en: '🧠 AI Answer', ja: '🧠 AI の回答', hi: '🧠 AI जवाब', fr: '🧠 Réponse IA', tr: '🧠 Yapay zekâ yanıtı', es: '🧠 Respuesta de IA' },
+        'category.localGuide': { en: '📚 Local Guide', ja: '📚 地元ガイド', hi: '📚 स्थानीय गाइड', fr: '📚 Guide local', tr: '📚 Yerel rehber', es: '📚 Guía local' },
+        'general.localGuide': { en: 'Here\'s what our local guide for {city} says:', ja: '{city} の地元ガイドによると：', hi: '{city} के लिए हमारी स्थानीय गाइड यह कहती है:', fr: 'Voici ce que dit notre guide local de {city} :', tr: '{city} yerel rehberimiz şunu söylüyor:', es: 'Esto dice nuestra guía local de {city}:' },
+        'general.sources': { en: 'Sources', ja: '出典', hi: 'स्रोत', fr: 'Sources', tr: 'Kaynaklar', es: 'Fuentes' },
+        'general.dataset': { en: '{city} local recommendations', ja: '{city} の地元情報', hi: '{city} के स्थानीय सुझाव', fr: 'recommandations locales pour {city}', tr: '{city} yerel önerileri', es: 'recomendaciones locales de {city}' },
+        'general.generated': { en: 'Generated by Hugging Face AI', ja: 'Hugging Face AI により生成', hi: 'Hugging Face AI द्वारा बनाया गया', fr: 'Généré par Hugging Face AI', tr: 'Hugging Face AI tarafından üretildi', es: 'Generado por Hugging Face AI' },
+
+        'category.cityNotFound': { en: '🤔 City Not Found', ja: '🤔 都市が見つかりません', hi: '🤔 शहर नहीं मिला', fr: '🤔 Ville introuvable', tr: '🤔 Şehir bulunamadı', es: '🤔 Ciudad no encontrada' },
+        'city.notFound': { en: 'I couldn\'t find a city called "{text}". Try adding the country, e.g. "Kyoto, Japan".', ja: '「{text}」という都市が見つかりませんでした。「Kyoto, Japan」のように国名も加えてみてください。', hi: '"{text}" नाम का शहर नहीं मिला। देश भी जोड़ें, जैसे "Kyoto, Japan"।', fr: 'Je n\'ai pas trouvé de ville nommée « {text} ». Ajoutez le pays, par ex. « Kyoto, Japan ».', tr: '"{text}" adında bir şehir bulamadım. Ülkeyi de ekleyin, örn. "Kyoto, Japan".', es: 'No encontré ninguna ciudad llamada "{text}". Prueba a añadir el país, p. ej. "Kyoto, Japan".' },
+        'category.cityChanged': { en: '🌍 City Changed', ja: '🌍 都市を変更しました', hi: '🌍 शहर बदला गया', fr: '🌍 Ville changée', tr: '🌍 Şehir değişti', es: '🌍 Ciudad cambiada' },
+        'city.changed': { en: 'Now exploring {city}! Ask me about weather, food, culture, or events.', ja: '{city} を探索中！天気、グルメ、文化、イベントについて聞いてください。', hi: 'अब {city} की सैर! मौसम, खाना, संस्कृति या कार्यक्रमों के बारे में पूछें।', fr: 'Exploration de {city} ! Posez-moi vos questions sur la météo, la cuisine, la culture ou les événements.', tr: 'Şimdi {city} keşfediliyor! Hava durumu, yemek, kültür veya etkinlikleri sorun.', es: '¡Explorando {city}! Pregúntame por el tiempo, la comida, la cultura o los eventos.' },
+        'city.welcome': { en: 'Welcome to {city}!', ja: '{city} へようこそ！', hi: '{city} में आपका स्वागत है!', fr: 'Bienvenue à {city} !', tr: 'Hoş geldiniz: {city}!', es: '¡Te damos la bienvenida a {city}!' },
+
+        'category.clothingExpert': { en: '🧥 Traditional Clothing Expert', ja: '🧥 伝統衣装ガイド', hi: '🧥 पारंपरिक पोशाक विशेषज्ञ', fr: '🧥 Experte en vêtements traditionnels', tr: '🧥 Geleneksel kıyafet uzmanı', es: '🧥 Experta en ropa tradicional' },
+        'clothing.loading': { en: 'Let me find comprehensive traditional clothing information for {city}...', ja: '{city} の伝統衣装の情報を探しています…', hi: '{city} की पारंपरिक पोशाक की पूरी जानकारी ढूंढ रहा हूँ...', fr: 'Je cherche des informations complètes sur les vêtements traditionnels de {city}...', tr: '{city} için geleneksel kıyafet bilgilerini arıyorum...', es: 'Buscando información completa sobre la ropa tradicional de {city}...' },
+        'category.traditionalWear': { en: '✨ Traditional Wear', ja: '✨ 伝統衣装', hi: '✨ पारंपरिक पहनावा', fr: '✨ Tenues traditionnelles', tr: '✨ Geleneksel giyim', es: '✨ Vestimenta tradicional' },
+        'clothing.options': { en: 'Here are the traditional clothing options:', ja: '伝統衣装の候補はこちら：', hi: 'ये रहे पारंपरिक पोशाक के विकल्प:', fr: 'Voici les tenues traditionnelles :', tr: 'İşte geleneksel kıyafet seçenekleri:', es: 'Estas son las opciones de ropa tradicional:' },
+        'clothing.none': { en: 'Sorry, no detailed traditional clothing data available for this city.', ja: '申し訳ありません、この都市の伝統衣装の詳しい情報はありません。', hi: 'क्षमा करें, इस शहर के लिए पारंपरिक पोशाक की विस्तृत जानकारी उपलब्ध नहीं है।', fr: 'Désolé, aucune donnée détaillée sur les vêtements traditionnels de cette ville.', tr: 'Üzgünüm, bu şehir için ayrıntılı geleneksel kıyafet bilgisi yok.', es: 'Lo siento, no hay datos detallados de ropa tradicional para esta ciudad.' },
+        'category.budgetTip': { en: '💰 Budget Tip', ja: '💰 節約のヒント', hi: '💰 बजट सुझाव', fr: '💰 Astuce budget', tr: '💰 Bütçe ipucu', es: '💰 Consejo de presupuesto' },
+        'clothing.rentalTip': { en: '⚡ Pro tip: {count} items available for rental - perfect for trying traditional wear without buying!', ja: '⚡ ヒント：{count} 点はレンタル可能。買わずに伝統衣装を体験できます！', hi: '⚡ सुझाव: {count} चीज़ें किराए पर उपलब्ध हैं - बिना खरीदे पारंपरिक पहनावा आज़माने के लिए बढ़िया!', fr: '⚡ Astuce : {count} articles sont disponibles à la location, idéal pour essayer sans acheter !', tr: '⚡ İpucu: {count} parça kiralanabilir - satın almadan geleneksel kıyafet denemek için ideal!', es: '⚡ Consejo: {count} prendas se pueden alquilar, ¡perfecto para probar la ropa tradicional sin comprarla!' },
+        'category.basicInfo': { en: '🧥 Basic Info', ja: '🧥 基本情報', hi: '🧥 बुनियादी जानकारी', fr: '🧥 Infos de base', tr: '🧥 Temel bilgi', es: '🧥 Información básica' },
+        'clothing.basic': { en: 'I found some basic traditional clothing information. For detailed guidance, I recommend visiting local cultural centers!', ja: '伝統衣装の基本情報が見つかりました。詳しくは地元の文化センターを訪ねてみてください！', hi: 'पारंपरिक पोशाक की कुछ बुनियादी जानकारी मिली। विस्तृत मार्गदर्शन के लिए स्थानीय सांस्कृतिक केंद्र जाएँ!', fr: 'J\'ai trouvé quelques informations de base. Pour plus de conseils, rendez-vous dans un centre culturel local !', tr: 'Bazı temel geleneksel kıyafet bilgileri buldum. Ayrıntılı rehberlik için yerel kültür merkezlerini ziyaret edin!', es: 'Encontré información básica sobre ropa tradicional. ¡Para más detalles, visita un centro cultural local!' },
+
+        'category.localExpert': { en: '🗺️ Local Expert', ja: '🗺️ 地元のエキスパート', hi: '🗺️ स्थानीय विशेषज्ञ', fr: '🗺️ Expert local', tr: '🗺️ Yerel uzman', es: '🗺️ Experto local' },
+        'local.ready': { en: '🎯 Local recommendations for {city} are ready! Choose what to explore:', ja: '🎯 {city} の地元のおすすめができました！見たい項目を選んでください：', hi: '🎯 {city} के स्थानीय सुझाव तैयार हैं! चुनें क्या देखना है:', fr: '🎯 Les recommandations locales pour {city} sont prêtes ! Choisissez ce que vous voulez explorer :', tr: '🎯 {city} için yerel öneriler hazır! Keşfetmek istediğinizi seçin:', es: '🎯 ¡Las recomendaciones locales de {city} están listas! Elige qué explorar:' },
+        'category.basicRecommendations': { en: '🗺️ Basic Recommendations', ja: '🗺️ 基本のおすすめ', hi: '🗺️ बुनियादी सुझाव', fr: '🗺️ Recommandations de base', tr: '🗺️ Temel öneriler', es: '🗺️ Recomendaciones básicas' },
+        'local.basic': { en: 'I can provide basic recommendations. Try asking about specific categories like food, culture, or events!', ja: '基本的なおすすめをご案内できます。グルメ、文化、イベントなど具体的に聞いてみてください！', hi: 'मैं बुनियादी सुझाव दे सकता हूँ। खाना, संस्कृति या कार्यक्रम जैसी खास श्रेणियों के बारे में पूछें!', fr: 'Je peux donner des recommandations de base. Essayez une catégorie précise comme la cuisine, la culture ou les événements !', tr: 'Temel öneriler sunabilirim. Yemek, kültür veya etkinlikler gibi belirli kategorileri sorun!', es: 'Puedo darte recomendaciones básicas. ¡Pregunta por categorías concretas como comida, cultura o eventos!' },
+        'local.food': { en: 'Must-try local food specialties:', ja: 'ぜひ味わいたい郷土料理：', hi: 'ज़रूर चखें ये स्थानीय व्यंजन:', fr: 'Spécialités locales à goûter absolument :', tr: 'Mutlaka denenmesi gereken yerel lezzetler:', es: 'Especialidades locales imprescindibles:' },
+        'category.topRestaurants': { en: '🍴 Top Restaurants', ja: '🍴 人気レストラン', hi: '🍴 टॉप रेस्टोरेंट', fr: '🍴 Meilleurs restaurants', tr: '🍴 En iyi restoranlar', es: '🍴 Mejores restaurantes' },
+        'local.restaurants': { en: 'Recommended restaurants and dining:', ja: 'おすすめのレストラン：', hi: 'सुझाए गए रेस्टोरेंट:', fr: 'Restaurants recommandés :', tr: 'Önerilen restoranlar:', es: 'Restaurantes recomendados:' },
+        'category.traditionalClothing': { en: '👘 Traditional Clothing', ja: '👘 伝統衣装', hi: '👘 पारंपरिक पोशाक', fr: '👘 Vêtements traditionnels', tr: '👘 Geleneksel kıyafetler', es: '👘 Ropa tradicional' },
+        'local.clothing': { en: 'Traditional clothing and cultural wear:', ja: '伝統衣装と民族衣装：', hi: 'पारंपरिक पोशाक और सांस्कृतिक पहनावा:', fr: 'Vêtements traditionnels et tenues culturelles :', tr: 'Geleneksel kıyafetler ve kültürel giysiler:', es: 'Ropa tradicional y vestimenta cultural:' },
+        'category.mustVisit': { en: '🏛️ Must-Visit Places', ja: '🏛️ 必見スポット', hi: '🏛️ ज़रूर देखें', fr: '🏛️ Lieux incontournables', tr: '🏛️ Mutlaka görülecek yerler', es: '🏛️ Lugares imprescindibles' },
+        'local.places': { en: 'Famous places and landmarks to visit:', ja: '訪れたい名所：', hi: 'घूमने लायक मशहूर जगहें:', fr: 'Lieux et monuments célèbres à visiter :', tr: 'Ziyaret edilecek ünlü yerler:', es: 'Lugares y monumentos famosos para visitar:' },
+        'category.culturalEvents': { en: '🎭 Cultural Events', ja: '🎭 文化イベント', hi: '🎭 सांस्कृतिक कार्यक्रम', fr: '🎭 Événements culturels', tr: '🎭 Kültürel etkinlikler', es: '🎭 Eventos culturales' },
+        'local.events': { en: 'Cultural events and festivals:', ja: '文化イベントと祭り：', hi: 'सांस्कृतिक कार्यक्रम और त्योहार:', fr: 'Événements culturels et festivals :', tr: 'Kültürel etkinlikler ve festivaller:', es: 'Eventos culturales y festivales:' },
+        'category.shoppingMarkets': { en: '🛍️ Shopping Markets', ja: '🛍️ 市場', hi: '🛍️ बाज़ार', fr: '🛍️ Marchés', tr: '🛍️ Pazarlar', es: '🛍️ Mercados' },
+        'local.shopping': { en: 'Best shopping markets and districts:', ja: 'おすすめの市場とショッピング街：', hi: 'सबसे अच्छे बाज़ार और शॉपिंग इलाके:', fr: 'Meilleurs marchés et quartiers commerçants :', tr: 'En iyi pazarlar ve alışveriş bölgeleri:', es: 'Los mejores mercados y zonas de compras:' },
+        'category.weatherUpdate': { en: '🌡️ Weather Update', ja: '🌡️ 天気情報', hi: '🌡️ मौसम अपडेट', fr: '🌡️ Point météo', tr: '🌡️ Hava durumu', es: '🌡️ Parte del tiempo' },
+        'local.weather': { en: 'Current weather information:', ja: '現在の天気：', hi: 'मौजूदा मौसम की जानकारी:', fr: 'Météo actuelle :', tr: 'Güncel hava durumu:', es: 'Tiempo actual:' },
+        'category.localInsights': { en: '💡 Local Insights', ja: '💡 地元の知恵', hi: '💡 स्थानीय जानकारी', fr: '💡 Le regard local', tr: '💡 Yerel bilgiler', es: '💡 Claves locales' },
+        'local.insights': { en: 'Essential local insights and tips:', ja: '知っておきたい地元の知恵とヒント：', hi: 'ज़रूरी स्थानीय जानकारी और सुझाव:', fr: 'Conseils et repères locaux essentiels :', tr: 'Bilinmesi gereken yerel bilgiler ve ipuçları:', es: 'Claves y consejos locales esenciales:' },
+
+        'category.phrasebook': { en: '🗣️ Phrasebook', ja: '🗣️ 会話帳', hi: '🗣️ वाक्यांश पुस्तिका', fr: '🗣️ Guide de conversation', tr: '🗣️ Konuşma kılavuzu', es: '🗣️ Guía de conversación' },
+        'phrases.heading': { en: 'Useful {language} phrases for {city}:', ja: '{city} で役立つ {language} のフレーズ：', hi: '{city} के लिए उपयोगी {language} वाक्यांश:', fr: 'Phrases utiles en {language} pour {city} :', tr: '{city} için yararlı {language} ifadeler:', es: 'Frases útiles en {language} para {city}:' },
+        'phrases.found': { en: 'How to say "{query}" in {language}:', ja: '「{query}」を {language} で言うと：', hi: '{language} में "{query}" कैसे कहें:', fr: 'Comment dire « {query} » en {language} :', tr: '"{query}" {language} dilinde nasıl söylenir:', es: 'Cómo decir "{query}" en {language}:' },
+        'phrases.notFound': { en: 'I don\'t have "{query}" in the phrasebook yet, so here are the essentials:', ja: '「{query}」は会話帳にまだありません。基本のフレーズはこちらです：', hi: '"{query}" अभी वाक्यांश पुस्तिका में नहीं है, इसलिए ये ज़रूरी वाक्यांश देखें:', fr: '« {query} » n\'est pas encore dans le guide, voici donc l\'essentiel :', tr: '"{query}" henüz kılavuzda yok, işte temel ifadeler:', es: '"{query}" aún no está en la guía, así que aquí tienes lo esencial:' },
+        'phrases.english': { en: 'English is the local language in {city}, so you won\'t need a phrasebook here!', ja: '{city} では英語が話されているので、会話帳は必要ありません！', hi: '{city} में अंग्रेज़ी ही स्थानीय भाषा है, इसलिए यहाँ वाक्यांश पुस्तिका की ज़रूरत नहीं!', fr: 'On parle anglais à {city}, pas besoin de guide de conversation !', tr: '{city} şehrinde İngilizce konuşuluyor, konuşma kılavuzuna gerek yok!', es: 'En {city} se habla inglés, ¡no necesitarás guía de conversación!' },
+        'phrases.unavailable': { en: 'I don\'t have a phrasebook for the language spoken in {city} yet. Phrasebooks cover Japanese, Hindi, French, Turkish and Spanish.', ja: '{city} の言語の会話帳はまだありません。対応言語は日本語、ヒンディー語、フランス語、トルコ語、スペイン語です。', hi: '{city} की भाषा के लिए अभी वाक्यांश पुस्तिका नहीं है। उपलब्ध भाषाएँ: जापानी, हिन्दी, फ़्रेंच, तुर्की और स्पेनिश।', fr: 'Je n\'ai pas encore de guide pour la langue parlée à {city}. Les guides couvrent le japonais, l\'hindi, le français, le turc et l\'espagnol.', tr: '{city} şehrinde konuşulan dil için henüz bir kılavuz yok. Kılavuzlar Japonca, Hintçe, Fransızca, Türkçe ve İspanyolcayı kapsıyor.', es: 'Aún no tengo guía para el idioma de {city}. Las guías cubren japonés, hindi, francés, turco y español.' },
+        'phrases.section.greetings': { en: '👋 Greetings', ja: '👋 あいさつ', hi: '👋 अभिवादन', fr: '👋 Salutations', tr: '👋 Selamlaşma', es: '👋 Saludos' },
+        'phrases.section.dining': { en: '🍽️ Dining', ja: '🍽️ 食事', hi: '🍽️ खाना-पीना', fr: '🍽️ Au restaurant', tr: '🍽️ Restoranda', es: '🍽️ En el restaurante' },
+        'phrases.section.shopping': { en: '🛍️ Shopping & haggling', ja: '🛍️ 買い物', hi: '🛍️ खरीदारी और मोलभाव', fr: '🛍️ Achats et marchandage', tr: '🛍️ Alışveriş ve pazarlık', es: '🛍️ Compras y regateo' },
+        'phrases.section.emergency': { en: '🚨 Emergencies', ja: '🚨 緊急時', hi: '🚨 आपात स्थिति', fr: '🚨 Urgences', tr: '🚨 Acil durumlar', es: '🚨 Emergencias' },
+        'phrases.number.general': { en: 'Emergency', ja: '緊急', hi: 'आपातकाल', fr: 'Urgences', tr: 'Acil', es: 'Emergencias' },
+        'phrases.number.police': { en: 'Police', ja: '警察', hi: 'पुलिस', fr: 'Police', tr: 'Polis', es: 'Policía' },
+        'phrases.number.ambulance': { en: 'Ambulance', ja: '救急', hi: 'एम्बुलेंस', fr: 'SAMU', tr: 'Ambulans', es: 'Ambulancia' },
+        'phrases.listen': { en: 'Listen', ja: '聞く', hi: 'सुनें', fr: 'Écouter', tr: 'Dinle', es: 'Escuchar' },
+        'phrases.noSpeech': { en: 'Audio playback isn\'t available in this browser - use the transliterations as a pronunciation guide.', ja: 'このブラウザでは音声再生を利用できません。ローマ字表記を発音の目安にしてください。', hi: 'इस ब्राउज़र में ऑडियो उपलब्ध नहीं है - उच्चारण के लिए लिप्यंतरण देखें।', fr: 'La lecture audio n\'est pas disponible dans ce navigateur : fiez-vous aux transcriptions pour la prononciation.', tr: 'Bu tarayıcıda sesli okuma yok - telaffuz için okunuşları kullanın.', es: 'La reproducción de audio no está disponible en este navegador: usa las transcripciones como guía de pronunciación.' },
+
+        'category.itinerary': { en: '🗓️ Trip Plan', ja: '🗓️ 旅行プラン', hi: '🗓️ यात्रा योजना', fr: '🗓️ Programme de voyage', tr: '🗓️ Gezi planı', es: '🗓️ Plan de viaje' },
+        'itinerary.heading.one': {
+            en: 'Here\'s a one-day plan for {city}. Sights are ordered by the best time to visit and meals are at restaurants nearby.',
+            ja: '{city} の日帰りプランです。観光地はおすすめの時間帯順に並べ、食事は近くのレストランにしています。',
+            hi: '{city} के लिए एक दिन की योजना। जगहें घूमने के सबसे अच्छे समय के क्रम में हैं और खाना पास के रेस्टोरेंट में।',
+            fr: 'Voici un programme d\'une journée pour {city}. Les visites suivent le meilleur moment de la journée et les repas se prennent dans des restaurants proches.',
+            tr: '{city} için bir günlük plan. Yerler en uygun ziyaret saatine göre sıralandı, yemekler yakındaki restoranlarda.',
+            es: 'Aquí tienes un plan de un día para {city}. Las visitas siguen el mejor momento del día y las comidas son en restaurantes cercanos.'
+        },
+        'itinerary.heading.other': {
+            en: 'Here\'s a {count}-day plan for {city}. Each day stays in neighbouring areas, sights are ordered by the best time to visit and meals are at restaurants nearby.',
+            ja: '{city} の {count} 日間プランです。毎日近いエリアをまわり、観光地はおすすめの時間帯順に並べ、食事は近くのレストランにしています。',
+            hi: '{city} के लिए {count} दिन की योजना। हर दिन पास-पास के इलाकों में घूमना है, जगहें घूमने के सबसे अच्छे समय के क्रम में हैं और खाना पास के रेस्टोरेंट में।',
+            fr: 'Voici un programme de {count} jours pour {city}. Chaque journée reste dans des quartiers voisins, les visites suivent le meilleur moment de la journée et les repas se prennent dans des restaurants proches.',
+            tr: '{city} için {count} günlük plan. Her gün birbirine yakın semtlerde geçiyor, yerler en uygun ziyaret saatine göre sıralandı, yemekler yakındaki restoranlarda.',
+            es: 'Aquí tienes un plan de {count} días para {city}. Cada día recorre zonas cercanas, las visitas siguen el mejor momento del día y las comidas son en restaurantes cercanos.'
+        },
+        'itinerary.unavailable': {
+            en: 'I don\'t have enough local data to plan days in {city} yet. Trip plans are available for {cities}.',
+            ja: '{city} の旅行プランを作るための地元データがまだありません。対応している都市：{cities}',
+            hi: '{city} की योजना बनाने के लिए अभी पर्याप्त स्थानीय जानकारी नहीं है। यात्रा योजनाएँ इन शहरों के लिए हैं: {cities}',
+            fr: 'Je n\'ai pas encore assez de données locales pour organiser un séjour à {city}. Les programmes sont disponibles pour {cities}.',
+            tr: '{city} için plan yapacak kadar yerel veri henüz yok. Gezi planları şu şehirler için var: {cities}.',
+            es: 'Aún no tengo suficientes datos locales para planear días en {city}. Los planes de viaje están disponibles para {cities}.'
+        },
+        'itinerary.weatherMoved': {
+            en: '🌦️ Rain is forecast on some of your days, so the days with the most outdoor stops were moved to the drier dates.',
+            ja: '🌦️ 雨の予報がある日があるため、屋外の予定が多い日を晴れそうな日に移しました。',
+            hi: '🌦️ कुछ दिनों में बारिश का अनुमान है, इसलिए सबसे ज़्यादा बाहरी जगहों वाले दिन सूखे दिनों पर रखे गए हैं।',
+            fr: '🌦️ De la pluie est prévue certains jours : les journées avec le plus de visites en plein air ont été placées aux dates les plus sèches.',
+            tr: '🌦️ Bazı günler yağmur bekleniyor, bu yüzden en çok açık hava durağı olan günler daha kuru tarihlere alındı.',
+            es: '🌦️ Se espera lluvia algunos días, así que los días con más paradas al aire libre se movieron a las fechas más secas.'
+        },
+        'itinerary.editHint': {
+            en: '✏️ This plan is editable: reorder stops with ⬆️ ⬇️, move them to another day, remove them or add your own.',
+            ja: '✏️ このプランは編集できます。⬆️ ⬇️ で順番を変えたり、別の日に移したり、削除や追加もできます。',
+            hi: '✏️ यह योजना बदली जा सकती है: ⬆️ ⬇️ से क्रम बदलें, पड़ाव दूसरे दिन ले जाएँ, हटाएँ या अपने जोड़ें।',
+            fr: '✏️ Ce programme est modifiable : réordonnez les étapes avec ⬆️ ⬇️, déplacez-les vers un autre jour, retirez-les ou ajoutez les vôtres.',
+            tr: '✏️ Bu plan düzenlenebilir: durakları ⬆️ ⬇️ ile sıralayın, başka bir güne taşıyın, kaldırın ya da kendinizinkini ekleyin.',
+            es: '✏️ Este plan se puede editar: reordena las paradas con ⬆️ ⬇️, muévelas a otro día, quítalas o añade las tuyas.'
+        },
+        'itinerary.day': { en: 'Day {number}', ja: '{number}日目', hi: 'दिन {number}', fr: 'Jour {number}', tr: '{number}. gün', es: 'Día {number}' },
+        'itinerary.slot.morning': { en: 'Morning', ja: '朝', hi: 'सुबह', fr: 'Matin', tr: 'Sabah', es: 'Mañana' },
+        'itinerary.slot.midday': { en: 'Midday', ja: '昼', hi: 'दोपहर', fr: 'Midi', tr: 'Öğle', es: 'Mediodía' },
+        'itinerary.slot.lunch': { en: 'Lunch', ja: '昼食', hi: 'दोपहर का खाना', fr: 'Déjeuner', tr: 'Öğle yemeği', es: 'Almuerzo' },
+        'itinerary.slot.afternoon': { en: 'Afternoon', ja: '午後', hi: 'दोपहर बाद', fr: 'Après-midi', tr: 'Öğleden sonra', es: 'Tarde' },
+        'itinerary.slot.sunset': { en: 'Sunset', ja: '夕暮れ', hi: 'सूर्यास्त', fr: 'Coucher du soleil', tr: 'Gün batımı', es: 'Atardecer' },
+        'itinerary.slot.dinner': { en: 'Dinner', ja: '夕食', hi: 'रात का खाना', fr: 'Dîner', tr: 'Akşam yemeği', es: 'Cena' },
+        'itinerary.slot.evening': { en: 'Evening', ja: '夜', hi: 'शाम', fr: 'Soirée', tr: 'Akşam', es: 'Noche' },
+        'itinerary.rain': { en: 'Rain likely - keep an indoor backup in mind', ja: '雨の可能性あり。屋内の代わりの予定も考えておきましょう', hi: 'बारिश की संभावना - कोई इनडोर विकल्प सोच कर रखें', fr: 'Pluie probable : prévoyez une solution à l\'abri', tr: 'Yağmur olası - kapalı bir alternatif düşünün', es: 'Probable lluvia: ten pensada una alternativa bajo techo' },
+        'itinerary.events': { en: 'Happening during your trip', ja: '旅行中のイベント', hi: 'आपकी यात्रा के दौरान', fr: 'Pendant votre séjour', tr: 'Geziniz sırasında', es: 'Durante tu viaje' },
+        'itinerary.unscheduled': { en: 'Not scheduled', ja: '予定に入っていない場所', hi: 'योजना से बाहर', fr: 'Non planifié', tr: 'Plana eklenmedi', es: 'Sin programar' },
+        'itinerary.addPlaceholder': { en: '➕ Add your own stop and press Enter', ja: '➕ 予定を入力して Enter', hi: '➕ अपना पड़ाव लिखें और Enter दबाएँ', fr: '➕ Ajoutez une étape puis appuyez sur Entrée', tr: '➕ Kendi durağınızı yazıp Enter\'a basın', es: '➕ Añade tu propia parada y pulsa Enter' },
+        'itinerary.moveTo': { en: 'Move to…', ja: '移動…', hi: 'यहाँ ले जाएँ…', fr: 'Déplacer vers…', tr: 'Taşı…', es: 'Mover a…' },
+        'itinerary.addTo': { en: 'Add to…', ja: '追加…', hi: 'यहाँ जोड़ें…', fr: 'Ajouter au…', tr: 'Ekle…', es: 'Añadir a…' },
+        'itinerary.up': { en: 'Earlier', ja: '前へ', hi: 'पहले', fr: 'Plus tôt', tr: 'Daha erken', es: 'Antes' },
+        'itinerary.down': { en: 'Later', ja: '後へ', hi: 'बाद में', fr: 'Plus tard', tr: 'Daha geç', es: 'Después' },
+        'itinerary.remove': { en: 'Remove', ja: '削除', hi: 'हटाएँ', fr: 'Retirer', tr: 'Kaldır', es: 'Quitar' },
+
+        'category.myTrip': { en: '🧳 My Trip', ja: '🧳 マイ旅行', hi: '🧳 मेरी यात्रा', fr: '🧳 Mon voyage', tr: '🧳 Gezim', es: '🧳 Mi viaje' },
+        'trip.save': { en: '☆ Save', ja: '☆ 保存', hi: '☆ सहेजें', fr: '☆ Enregistrer', tr: '☆ Kaydet', es: '☆ Guardar' },
+        'trip.saved': { en: '★ Saved', ja: '★ 保存済み', hi: '★ सहेजा गया', fr: '★ Enregistré', tr: '★ Kaydedildi', es: '★ Guardado' },
+        'trip.empty': {
+            en: 'Nothing saved yet - use ☆ Save on any recommendation to add it here.',
+            ja: 'まだ何も保存されていません。おすすめの ☆ 保存 でここに追加できます。',
+            hi: 'अभी कुछ सहेजा नहीं गया - किसी भी सुझाव पर ☆ सहेजें दबाकर उसे यहाँ जोड़ें।',
+            fr: 'Rien d\'enregistré pour l\'instant : utilisez ☆ Enregistrer sur une recommandation pour l\'ajouter ici.',
+            tr: 'Henüz kayıtlı bir şey yok - buraya eklemek için herhangi bir önerideki ☆ Kaydet\'e basın.',
+            es: 'Aún no hay nada guardado: usa ☆ Guardar en cualquier recomendación para añadirla aquí.'
+        },
+        'card.map': { en: '🗺️ Map', ja: '🗺️ 地図', hi: '🗺️ नक्शा', fr: '🗺️ Carte', tr: '🗺️ Harita', es: '🗺️ Mapa' },
+        'card.share': { en: '📤 Share', ja: '📤 共有', hi: '📤 साझा करें', fr: '📤 Partager', tr: '📤 Paylaş', es: '📤 Compartir' },
+        'card.copied': { en: '✓ Copied', ja: '✓ コピーしました', hi: '✓ कॉपी हो गया', fr: '✓ Copié', tr: '✓ Kopyalandı', es: '✓ Copiado' },
+        'card.copyThis': { en: 'Copy this to share it:', ja: 'コピーして共有してください:', hi: 'साझा करने के लिए इसे कॉपी करें:', fr: 'Copiez ceci pour le partager :', tr: 'Paylaşmak için bunu kopyalayın:', es: 'Copia esto para compartirlo:' },
+        'card.description': { en: 'Description', ja: '説明', hi: 'विवरण', fr: 'Description', tr: 'Açıklama', es: 'Descripción' },
+        'card.bestFor': { en: 'Best for', ja: 'おすすめの場面', hi: 'किसके लिए', fr: 'Idéal pour', tr: 'En uygun', es: 'Ideal para' },
+        'card.colors': { en: 'Popular colors', ja: '人気の色', hi: 'लोकप्रिय रंग', fr: 'Couleurs populaires', tr: 'Popüler renkler', es: 'Colores populares' },
+        'card.various': { en: 'Various', ja: 'さまざま', hi: 'विविध', fr: 'Variées', tr: 'Çeşitli', es: 'Variados' },
+        'card.priceRange': { en: 'Price range', ja: '価格帯', hi: 'मूल्य सीमा', fr: 'Gamme de prix', tr: 'Fiyat aralığı', es: 'Rango de precios' },
+        'card.rental': { en: 'Rental available', ja: 'レンタル', hi: 'किराये पर उपलब्ध', fr: 'Location possible', tr: 'Kiralık', es: 'Alquiler disponible' },
+        'card.yes': { en: 'Yes', ja: 'あり', hi: 'हाँ', fr: 'Oui', tr: 'Evet', es: 'Sí' },
+        'card.whereToBuy': { en: 'Where to buy', ja: '購入場所', hi: 'कहाँ खरीदें', fr: 'Où acheter', tr: 'Nereden alınır', es: 'Dónde comprar' },
+        'card.stylingTips': { en: 'Styling tips', ja: '着こなしのコツ', hi: 'स्टाइलिंग सुझाव', fr: 'Conseils de style', tr: 'Stil ipuçları', es: 'Consejos de estilo' },
+        'card.accessories': { en: 'Accessories', ja: '小物', hi: 'सहायक सामान', fr: 'Accessoires', tr: 'Aksesuarlar', es: 'Accesorios' },
+        'card.culturalSignificance': { en: 'Cultural significance', ja: '文化的な意味', hi: 'सांस्कृतिक महत्व', fr: 'Signification culturelle', tr: 'Kültürel önemi', es: 'Significado cultural' },
+        'card.culturalGuide': { en: '🎭 Cultural Guide', ja: '🎭 文化ガイド', hi: '🎭 सांस्कृतिक गाइड', fr: '🎭 Guide culturel', tr: '🎭 Kültür rehberi', es: '🎭 Guía cultural' },
+        'card.bestSeasons': { en: 'Best seasons', ja: 'ベストシーズン', hi: 'सबसे अच्छे मौसम', fr: 'Meilleures saisons', tr: 'En iyi mevsimler', es: 'Mejores temporadas' },
+        'card.etiquette': { en: 'Cultural etiquette', ja: 'マナー', hi: 'सांस्कृतिक शिष्टाचार', fr: 'Savoir-vivre', tr: 'Görgü kuralları', es: 'Normas de etiqueta' },
+        'card.photos': { en: 'Photo opportunities', ja: '撮影スポット', hi: 'फ़ोटो के मौके', fr: 'Occasions de photos', tr: 'Fotoğraf fırsatları', es: 'Oportunidades para fotos' },
+        'card.learning': { en: 'Learning opportunities', ja: '学びの機会', hi: 'सीखने के मौके', fr: 'Occasions d\'apprendre', tr: 'Öğrenme fırsatları', es: 'Oportunidades de aprendizaje' },
+        'card.mustTry': { en: 'MUST TRY', ja: '必食', hi: 'ज़रूर आज़माएँ', fr: 'À GOÛTER', tr: 'MUTLAKA DENEYİN', es: 'IMPRESCINDIBLE' },
+        'card.whereToFind': { en: 'Where to find', ja: '食べられる場所', hi: 'कहाँ मिलेगा', fr: 'Où le trouver', tr: 'Nerede bulunur', es: 'Dónde encontrarlo' },
+        'card.price': { en: 'Price', ja: '価格', hi: 'कीमत', fr: 'Prix', tr: 'Fiyat', es: 'Precio' },
+        'card.area': { en: 'Area', ja: 'エリア', hi: 'इलाका', fr: 'Quartier', tr: 'Bölge', es: 'Zona' },
+        'card.specialty': { en: 'Specialty', ja: '名物', hi: 'ख़ासियत', fr: 'Spécialité', tr: 'Spesiyalite', es: 'Especialidad' },
+        'card.reservation': { en: 'Reservation', ja: '予約', hi: 'आरक्षण', fr: 'Réservation', tr: 'Rezervasyon', es: 'Reserva' },
+        'card.highlights': { en: 'Highlights', ja: '見どころ', hi: 'मुख्य आकर्षण', fr: 'Points forts', tr: 'Öne çıkanlar', es: 'Lo más destacado' },
+        'card.bestTime': { en: 'Best time', ja: 'おすすめの時間', hi: 'सबसे अच्छा समय', fr: 'Meilleur moment', tr: 'En iyi zaman', es: 'Mejor momento' },
+        'card.entry': { en: 'Entry', ja: '入場', hi: 'प्रवेश', fr: 'Entrée', tr: 'Giriş', es: 'Entrada' },
+        'card.period': { en: 'Period', ja: '時期', hi: 'अवधि', fr: 'Période', tr: 'Dönem', es: 'Fechas' },
+        'card.locations': { en: 'Locations', ja: '開催場所', hi: 'स्थान', fr: 'Lieux', tr: 'Yerler', es: 'Lugares' },
+        'card.significance': { en: 'Significance', ja: '意義', hi: 'महत्व', fr: 'Signification', tr: 'Anlamı', es: 'Significado' },
+        'card.specialties': { en: 'Specialties', ja: '名物', hi: 'ख़ास चीज़ें', fr: 'Spécialités', tr: 'Öne çıkan ürünler', es: 'Especialidades' },
+        'card.bargaining': { en: 'Bargaining', ja: '値切り', hi: 'मोलभाव', fr: 'Marchandage', tr: 'Pazarlık', es: 'Regateo' },
+        'card.currentWeather': { en: '🌡️ Current Weather: {temperature}°C', ja: '🌡️ 現在の天気：{temperature}°C', hi: '🌡️ मौजूदा मौसम: {temperature}°C', fr: '🌡️ Météo actuelle : {temperature}°C', tr: '🌡️ Güncel hava: {temperature}°C', es: '🌡️ Tiempo actual: {temperature}°C' },
+        'card.bestTimeToVisit': { en: 'Best time to visit', ja: '訪れるのに最適な時期', hi: 'घूमने का सबसे अच्छा समय', fr: 'Meilleure période pour visiter', tr: 'En iyi ziyaret zamanı', es: 'Mejor época para visitar' },
+        'card.culturalInsight': { en: '🌍 Cultural Insight', ja: '🌍 文化のヒント', hi: '🌍 सांस्कृतिक जानकारी', fr: '🌍 Regard culturel', tr: '🌍 Kültürel bilgi', es: '🌍 Apunte cultural' },
+        'card.localTips': { en: '💡 Essential Local Tips', ja: '💡 知っておきたい現地のヒント', hi: '💡 ज़रूरी स्थानीय सुझाव', fr: '💡 Conseils locaux essentiels', tr: '💡 Temel yerel ipuçları', es: '💡 Consejos locales esenciales' },
+        'card.budgetOptions': { en: '💰 Budget-Friendly Options', ja: '💰 お手頃なプラン', hi: '💰 किफ़ायती विकल्प', fr: '💰 Options petit budget', tr: '💰 Uygun fiyatlı seçenekler', es: '💰 Opciones económicas' },
+        'card.accommodation': { en: 'Accommodation', ja: '宿泊', hi: 'ठहरना', fr: 'Hébergement', tr: 'Konaklama', es: 'Alojamiento' },
+        'card.food': { en: 'Food', ja: '食事', hi: 'खाना', fr: 'Repas', tr: 'Yemek', es: 'Comida' },
+        'card.transport': { en: 'Transport', ja: '交通', hi: 'परिवहन', fr: 'Transports', tr: 'Ulaşım', es: 'Transporte' },
+        'card.activities': { en: 'Activities', ja: 'アクティビティ', hi: 'गतिविधियाँ', fr: 'Activités', tr: 'Etkinlikler', es: 'Actividades' },
+        'trip.notePlaceholder': { en: '📝 Add a note', ja: '📝 メモを追加', hi: '📝 नोट जोड़ें', fr: '📝 Ajouter une note', tr: '📝 Not ekle', es: '📝 Añadir una nota' },
+        'trip.remove': { en: 'Remove from trip', ja: '旅行から削除', hi: 'यात्रा से हटाएँ', fr: 'Retirer du voyage', tr: 'Geziden kaldır', es: 'Quitar del viaje' },
+        'trip.emptyExport': {
+            en: 'Your trip list is empty - save a few recommendations first, then export them.',
+            ja: '旅行リストが空です。先にいくつかおすすめを保存してからエクスポートしてください。',
+            hi: 'आपकी यात्रा सूची खाली है - पहले कुछ सुझाव सहेजें, फिर एक्सपोर्ट करें।',
+            fr: 'Votre liste de voyage est vide : enregistrez d\'abord quelques recommandations, puis exportez-les.',
+            tr: 'Gezi listeniz boş - önce birkaç öneri kaydedin, sonra dışa aktarın.',
+            es: 'Tu lista de viaje está vacía: guarda primero algunas recomendaciones y luego expórtalas.'
+        },
+        'trip.nothing.map': {
+            en: 'None of your saved items have a location, so there is nothing to put in a {format} file. Places from the food, culture, sights and shopping searches carry coordinates.',
+            ja: '保存した項目に位置情報がないため、{format} ファイルに出力できるものがありません。グルメ・文化・観光・ショッピング検索の場所には座標があります。',
+            hi: 'सहेजी गई किसी भी चीज़ में स्थान नहीं है, इसलिए {format} फ़ाइल में डालने को कुछ नहीं है। खाना, संस्कृति, दर्शनीय स्थल और खरीदारी खोज के स्थानों में निर्देशांक होते हैं।',
+            fr: 'Aucun élément enregistré n\'a de position : rien à mettre dans un fichier {format}. Les lieux issus des recherches cuisine, culture, visites et shopping ont des coordonnées.',
+            tr: 'Kayıtlı öğelerinizin hiçbirinde konum yok, bu yüzden {format} dosyasına eklenecek bir şey yok. Yemek, kültür, gezi ve alışveriş aramalarındaki yerlerin koordinatları vardır.',
+            es: 'Ninguno de tus elementos guardados tiene ubicación, así que no hay nada para un archivo {format}. Los lugares de las búsquedas de comida, cultura, turismo y compras tienen coordenadas.'
+        },
+        'trip.nothing.ics': {
+            en: 'None of your saved items are events with dates, so there is nothing to add to a calendar. Save festivals from 🎭 Cultural Events to export them.',
+            ja: '保存した項目に日付のあるイベントがないため、カレンダーに追加できるものがありません。🎭 文化イベントから祭りを保存してください。',
+            hi: 'सहेजी गई चीज़ों में कोई तारीख़ वाला कार्यक्रम नहीं है, इसलिए कैलेंडर में जोड़ने को कुछ नहीं है। एक्सपोर्ट के लिए 🎭 सांस्कृतिक कार्यक्रम से उत्सव सहेजें।',
+            fr: 'Aucun élément enregistré n\'est un événement daté : rien à ajouter à un calendrier. Enregistrez des fêtes depuis 🎭 Événements culturels pour les exporter.',
+            tr: 'Kayıtlı öğeleriniz arasında tarihli etkinlik yok, bu yüzden takvime eklenecek bir şey yok. Dışa aktarmak için 🎭 Kültürel Etkinlikler\'den festival kaydedin.',
+            es: 'Ninguno de tus elementos guardados es un evento con fecha, así que no hay nada que añadir al calendario. Guarda festivales desde 🎭 Eventos culturales para exportarlos.'
+        },
+
+        'category.sessions': { en: '💬 Sessions', ja: '💬 セッション', hi: '💬 सत्र', fr: '💬 Sessions', tr: '💬 Oturumlar', es: '💬 Sesiones' },
+        'session.none': { en: 'No saved sessions yet - they appear here once you ask something.', ja: '保存されたセッションはまだありません。質問するとここに表示されます。', hi: 'अभी कोई सहेजा गया सत्र नहीं - कुछ पूछते ही यहाँ दिखेगा।', fr: 'Aucune session enregistrée : elles apparaissent ici dès votre première question.', tr: 'Henüz kayıtlı oturum yok - bir şey sorduğunuzda burada görünür.', es: 'Aún no hay sesiones guardadas: aparecen aquí en cuanto preguntas algo.' },
+        'session.open': { en: 'Open', ja: '開く', hi: 'खोलें', fr: 'Ouvrir', tr: 'Aç', es: 'Abrir' },
+        'session.replay': { en: 'Replay the questions', ja: '質問を再実行', hi: 'सवाल दोबारा चलाएँ', fr: 'Rejouer les questions', tr: 'Soruları yeniden çalıştır', es: 'Repetir las preguntas' },
+        'session.delete': { en: 'Delete', ja: '削除', hi: 'मिटाएँ', fr: 'Supprimer', tr: 'Sil', es: 'Eliminar' },
+        'session.questions.one': { en: '1 question', ja: '1 件の質問', hi: '1 सवाल', fr: '1 question', tr: '1 soru', es: '1 pregunta' },
+        'session.questions.other': { en: '{count} questions', ja: '{count} 件の質問', hi: '{count} सवाल', fr: '{count} questions', tr: '{count} soru', es: '{count} preguntas' },
+        'session.restored': {
+            en: 'Restored from {date}. These answers are a saved copy - ask again (or use ↻ Replay) for live results.',
+            ja: '{date} のセッションを復元しました。回答は保存時のコピーです。最新の結果は再度質問するか ↻ で再実行してください。',
+            hi: '{date} का सत्र वापस लाया गया। ये जवाब सहेजी गई प्रति हैं - ताज़ा नतीजों के लिए फिर से पूछें (या ↻ दबाएँ)।',
+            fr: 'Session du {date} restaurée. Ces réponses sont une copie enregistrée : reposez la question (ou ↻ Rejouer) pour des résultats à jour.',
+            tr: '{date} tarihli oturum geri yüklendi. Bu yanıtlar kayıtlı bir kopya - güncel sonuçlar için yeniden sorun (veya ↻ ile tekrarlayın).',
+            es: 'Sesión del {date} restaurada. Estas respuestas son una copia guardada: vuelve a preguntar (o usa ↻) para obtener resultados actuales.'
+        },
+        'session.replaying.one': {
+            en: 'Replaying a shared session for {city}: asking its question again.',
+            ja: '共有されたセッション（{city}）を再現します。質問をもう一度実行します。',
+            hi: '{city} का साझा सत्र दोबारा चल रहा है: इसका सवाल फिर से पूछा जा रहा है।',
+            fr: 'Relecture d\'une session partagée pour {city} : sa question est posée à nouveau.',
+            tr: '{city} için paylaşılan oturum yeniden oynatılıyor: sorusu tekrar soruluyor.',
+            es: 'Reproduciendo una sesión compartida de {city}: se vuelve a hacer su pregunta.'
+        },
+        'session.replaying.other': {
+            en: 'Replaying a shared session for {city}: asking its {count} questions again.',
+            ja: '共有されたセッション（{city}）を再現します。{count} 件の質問をもう一度実行します。',
+            hi: '{city} का साझा सत्र दोबारा चल रहा है: इसके {count} सवाल फिर से पूछे जा रहे हैं।',
+            fr: 'Relecture d\'une session partagée pour {city} : ses {count} questions sont posées à nouveau.',
+            tr: '{city} için paylaşılan oturum yeniden oynatılıyor: {count} sorusu tekrar soruluyor.',
+            es: 'Reproduciendo una sesión compartida de {city}: se vuelven a hacer sus {count} preguntas.'
+        },
+        'session.badLink': {
+            en: 'That share link is damaged or incomplete, so there is nothing to replay. Ask whoever sent it to copy it again.',
+            ja: 'この共有リンクは壊れているか不完全なため、再現できません。送信者にもう一度コピーしてもらってください。',
+            hi: 'यह साझा लिंक खराब या अधूरा है, इसलिए दोबारा चलाने को कुछ नहीं है। भेजने वाले से इसे फिर से कॉपी करने को कहें।',
+            fr: 'Ce lien de partage est abîmé ou incomplet : rien à rejouer. Demandez à la personne qui l\'a envoyé de le copier à nouveau.',
+            tr: 'Bu paylaşım bağlantısı bozuk veya eksik, yeniden oynatılacak bir şey yok. Gönderen kişiden tekrar kopyalamasını isteyin.',
+            es: 'Ese enlace está dañado o incompleto, así que no hay nada que reproducir. Pide a quien lo envió que lo copie de nuevo.'
+        },
+        'session.emptyExport': {
+            en: 'Ask something first - there is nothing in this session to export or share yet.',
+            ja: 'まず何か質問してください。このセッションにはまだエクスポートや共有できる内容がありません。',
+            hi: 'पहले कुछ पूछें - इस सत्र में अभी एक्सपोर्ट या साझा करने को कुछ नहीं है।',
+            fr: 'Posez d\'abord une question : cette session ne contient encore rien à exporter ou partager.',
+            tr: 'Önce bir şey sorun - bu oturumda henüz dışa aktarılacak veya paylaşılacak bir şey yok.',
+            es: 'Pregunta algo primero: todavía no hay nada en esta sesión para exportar o compartir.'
+        },
+        'session.share': {
+            en: 'Share link for this session. Opening it asks the same questions again for fresh answers:',
+            ja: 'このセッションの共有リンク。開くと最新の回答で再現されます：',
+            hi: 'इस सत्र का साझा लिंक। इसे खोलने पर ताज़ा जवाबों के साथ दोबारा चलेगा:',
+            fr: 'Lien de partage de cette session. L\'ouvrir repose les mêmes questions pour des réponses à jour :',
+            tr: 'Bu oturumun paylaşım bağlantısı. Açıldığında güncel yanıtlarla yeniden oynatılır:',
+            es: 'Enlace para compartir esta sesión. Al abrirlo se repiten las mismas preguntas con respuestas actuales:'
+        },
+        'session.shareCopied': {
+            en: 'Share link copied to the clipboard. Opening it asks the same questions again for fresh answers:',
+            ja: '共有リンクをクリップボードにコピーしました。開くと最新の回答で再現されます：',
+            hi: 'साझा लिंक क्लिपबोर्ड पर कॉपी हो गया। इसे खोलने पर ताज़ा जवाबों के साथ दोबारा चलेगा:',
+            fr: 'Lien de partage copié dans le presse-papiers. L\'ouvrir repose les mêmes questions pour des réponses à jour :',
+            tr: 'Paylaşım bağlantısı panoya kopyalandı. Açıldığında güncel yanıtlarla yeniden oynatılır:',
+            es: 'Enlace copiado al portapapeles. Al abrirlo se repiten las mismas preguntas con respuestas actuales:'
+        },
+
+        'language.auto': { en: '🌐 Auto-detect language', ja: '🌐 言語を自動検出', hi: '🌐 भाषा अपने आप पहचानें', fr: '🌐 Détection automatique', tr: '🌐 Dili otomatik algıla', es: '🌐 Detectar idioma' }
+    };
+
+    static get locale() {
+        return this.languages[this.language].locale;
+    }
+
+    // Best guess at the language of a message, or null when there isn't enough to go on
+    static detect(text) {
+        if (/[぀-ヿ一-龯]/.test(text)) return 'ja';
+        if (/[ऀ-ॿ]/.test(text)) return 'hi';
+
+        const lower = text.toLowerCase();
+        const words = lower.match(/\p{L}+/gu) || [];
+        if (words.length === 0) return null;
+
+        const scores = {};
+        Object.entries(this.commonWords).forEach(([code, common]) => {
+            scores[code] = words.filter(word => common.includes(word)).length;
+        });
+        // Checked on the original text: lowercasing turns Turkish İ into i plus a combining dot
+        Object.entries(this.distinctiveLetters).forEach(([code, pattern]) => {
+            if (pattern.test(text)) scores[code] += 1.5;
+        });
+
+        const ranked = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+        if (ranked[0][1] === 0 || ranked[0][1] === ranked[1][1]) return null;
+        return ranked[0][0];
+    }
+
+    // Pick the reply language for a new message: the user's choice, else what was detected,
+    // else whatever the conversation was already in (short inputs like "Paris" are ambiguous)
+    static update(message) {
+        this.language = this.chosen || this.detect(message) || this.language;
+        return this.language;
+    }
+
+    static choose(code) {
+        this.chosen = this.languages[code] ? code : null;
+        if (this.chosen) this.language = this.chosen;
+
+        const storage = typeof localStorage !== 'undefined' ? localStorage : null;
+        try {
+            if (storage) {
+                if (this.chosen) storage.setItem(this.storageKey, this.chosen);
+                else storage.removeItem(this.storageKey);
+            }
+        } catch (error) {
+            console.warn('Could not save language choice:', error);
+        }
+    }
+
+    static loadChoice() {
+        try {
+            const saved = typeof localStorage !== 'undefined' ? localStorage.getItem(this.storageKey) : null;
+            if (saved && this.languages[saved]) {
+                this.chosen = saved;
+                this.language = saved;
+            }
+        } catch (error) {
+            this.chosen = null;
+        }
+    }
+
+    // Catalogue lookup with {placeholder} substitution; falls back to English, then the key
+    static t(key, params = {}) {
+        const entry = this.messages[key];
+        const template = entry ? (entry[this.language] || entry.en) : key;
+        return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+    }
+
+    // Rewrite glossary words as English so the English-only offline pipeline can read the
+    // message. Unknown words (city names, numbers) are kept as they are.
+    static toEnglish(text, language = this.detect(text) || this.language) {
+        const glossary = this.glossary[language];
+        if (!glossary) return text;
+
+        // Scripts without spaces between words can't use word boundaries
+        const bounded = !['ja'].includes(language);
+        let result = text;
+        Object.keys(glossary)
+            .sort((a, b) => b.length - a.length)
+            .forEach(term => {
+                const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+                const pattern = bounded
+                    ? new RegExp(`(?<![\\p{L}\\p{M}])${escaped}(?![\\p{L}\\p{M}])`, 'giu')
+                    : new RegExp(escaped, 'g');
+                result = result.replace(pattern, ` ${glossary[term]} `);
+            });
+        // Turkish marks "in" with a suffix on the name: İstanbul'da → in İstanbul
+        if (language === 'tr') {
+            result = result.replace(/(\p{Lu}[\p{L}\p{M}]*)['’](?:da|de|ta|te)(?![\p{L}\p{M}])/gu, 'in $1');
+        }
+        return result.replace(/\s+/g, ' ').trim();
+    }
+}
+
+I18n.loadChoice();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = I18n;
+}
@@ -0,0 +1,268 @@
+// Offline intent classifier used when the Hugging Face API is unavailable
+// Multinomial naive Bayes over TF-IDF weighted unigrams and bigrams, trained in the
+// browser from the labelled utterances in intent-utterances.js. Raw scores go through
+// a softmax whose temperature is fitted on the held-out calibration utterances, so
+// confidences are calibrated rather than a fixed 0.9. Small talk and
+// open questions are learned as "general"; messages that share no vocabulary with the
+// training data come back empty.
+// Run `node evaluate-intents.js` for per-intent precision and recall; it fails when the
+// calibration error on the test set is above maxCalibrationError.
+
+class IntentClassifier {
+    // Same candidate labels as the bart-large-mnli call, plus an out-of-scope class
+    static labels = ['weather', 'food', 'culture', 'events', 'places', 'shopping', 'clothing', 'local', 'traditional', 'phrases', 'itinerary', 'general'];
+    static smoothing = 0.5; // additive smoothing for unseen feature/label pairs
+    static minConfidence = 0.3; // below this a clause doesn't count as an intent
+    static temperatures = [0.5, 0.75, 1, 1.25, 1.5, 2, 2.5, 3, 3.5, 4];
+    static maxCalibrationError = 0.1; // what the test set has to meet, see evaluate()
+
+    static stopWords = new Set(['a', 'an', 'the', 'is', 'are', 'am', 'be', 'it', 'its', 'i', 'im', 'me', 'my',
+        'you', 'your', 'we', 'to', 'of', 'in', 'on', 'at', 'for', 'this', 'that', 'there', 'here', 'any', 'some',
+        'can', 'could', 'would', 'please', 'tell', 'show', 'give', 'find', 'about', 'like', 'get', 'do', 'does',
+        's', 'what', 'whats', 'and', 'or', 'with', 'so', 'just']);
+
+    static model = null;
+    static learned = []; // { text, label } examples added at runtime, e.g. from user feedback
+
+    // Lowercased content words with simple suffix stemming, plus adjacent-word bigrams
+    static tokenize(text) {
+        const words = (text.toLowerCase().replace(/['’]/g, '').match(/[a-zÀ-ɏ]+/g) || [])
+            .filter(word => !this.stopWords.has(word))
+            .map(word => this.stem(word));
+        const bigrams = words.slice(1).map((word, index) => `${words[index]}_${word}`);
+        return words.concat(bigrams);
+    }
+
+    static stem(word) {
+        if (word.length <= 4) return word;
+        const base = word.replace(/(?:ing|ed)$/, '');
+        if (base !== word) return base.replace(/([^aeiouls])\1$/, '$1');
+        return word.replace(/ies$/, 'y').replace(/([^su])s$/, '$1');
+    }
+
+    // Build the model from { label: [utterance, ...] }; the temperature is fitted on a
+    // second set in the same shape that the model hasn't seen
+    static train(utterances, calibration = {}) {
+        const documents = [];
+        this.labels.forEach(label => {
+            (utterances[label] || []).forEach(text => documents.push({ label, features: this.tokenize(text) }));
+        });
+        this.learned.forEach(({ text, label }) => documents.push({ label, features: this.tokenize(text) }));
+
+        // Inverse document frequency over the whole training set
+        const documentFrequency = new Map();
+        documents.forEach(doc => {
+            new Set(doc.features).forEach(feature => {
+                documentFrequency.set(feature, (documentFrequency.get(feature) || 0) + 1);
+            });
+        });
+        const idf = new Map();
+        documentFrequency.forEach((count, feature) => {
+            idf.set(feature, Math.log((documents.length + 1) / (count + 1)) + 1);
+        });
+
+        const model = {
+            idf,
+            documents: documents.map(doc => ({ label: doc.label, weights: this.weigh(doc.features, idf) })),
+            labelCounts: new Map(this.labels.map(label => [label, 0])),
+            featureWeights: new Map(this.labels.map(label => [label, new Map()])),
+            totalWeights: new Map(this.labels.map(label => [label, 0])),
+            temperature: 1
+        };
+
+        model.documents.forEach(doc => this.addDocument(model, doc, 1));
+        this.model = model;
+        model.temperature = this.fitTemperature(model, calibration);
+        console.log(`🧠 Intent classifier trained on ${documents.length} utterances (temperature ${model.temperature})`);
+        return model;
+    }
+
+    // Add a labelled example on top of the bundled set; the model retrains on next use
+    static learn(text, label) {
+        if (!this.labels.includes(label)) return;
+        this.learned.push({ text, label });
+        this.model = null;
+    }
+
+    // Train from the bundled utterances the first time the classifier is used
+    static ensureModel() {
+        if (!this.model) {
+            const utterances = typeof INTENT_UTTERANCES !== 'undefined' ? INTENT_UTTERANCES : {};
+            this.train(utterances.train || {}, utterances.calibration);
+        }
+        return this.model;
+    }
+
+    // TF-IDF weight of each known feature in a feature list
+    static weigh(features, idf) {
+        const weights = new Map();
+        features.forEach(feature => {
+            if (idf.has(feature)) {
+                weights.set(feature, (weights.get(feature) || 0) + idf.get(feature));
+            }
+        });
+        return weights;
+    }
+
+    // Add (sign 1) or remove (sign -1) a document's weights from its label's totals
+    static addDocument(model, doc, sign) {
+        const labelWeights = model.featureWeights.get(doc.label);
+        model.labelCounts.set(doc.label, model.labelCounts.get(doc.label) + sign);
+        doc.weights.forEach((weight, feature) => {
+            labelWeights.set(feature, (labelWeights.get(feature) || 0) + sign * weight);
+            model.totalWeights.set(doc.label, model.totalWeights.get(doc.label) + sign * weight);
+        });
+    }
+
+    // Unnormalised log posterior per label
+    static logScores(model, weights) {
+        const documentCount = [...model.labelCounts.values()].reduce((sum, count) => sum + count, 0);
+        const vocabularySize = model.idf.size;
+
+        return this.labels.map(label => {
+            const labelWeights = model.featureWeights.get(label);
+            const denominator = model.totalWeights.get(label) + this.smoothing * vocabularySize;
+            let score = Math.log((model.labelCounts.get(label) + 1) / (documentCount + this.labels.length));
+            weights.forEach((weight, feature) => {
+                score += weight * Math.log(((labelWeights.get(feature) || 0) + this.smoothing) / denominator);
+            });
+            return score;
+        });
+    }
+
+    static softmax(scores, temperature) {
+        const max = Math.max(...scores);
+        const exps = scores.map(score => Math.exp((score - max) / temperature));
+        const total = exps.reduce((sum, value) => sum + value, 0);
+        return exps.map(value => value / total);
+    }
+
+    // Pick the temperature with the lowest negative log-likelihood on held-out utterances.
+    // Leave-one-out on the training set doesn't work for this: the utterances are few and
+    // varied, so most of them lose the only features tying them to their label and the fit
+    // runs to the flattest temperature on offer. Without held-out utterances it stays at 1.
+    static fitTemperature(model, calibration = {}) {
+        const heldOut = [];
+        this.labels.forEach(label => {
+            (calibration[label] || []).forEach(text => {
+                const weights = this.weigh(this.tokenize(text), model.idf);
+                if (weights.size > 0) heldOut.push({ scores: this.logScores(model, weights), index: this.labels.indexOf(label) });
+            });
+        });
+        if (heldOut.length === 0) return 1;
+
+        let best = { temperature: 1, loss: Infinity };
+        this.temperatures.forEach(temperature => {
+            const loss = heldOut.reduce((sum, { scores, index }) =>
+                sum - Math.log(Math.max(this.softmax(scores, temperature)[index], 1e-12)), 0) / heldOut.length;
+            if (loss < best.loss) best = { temperature, loss };
+        });
+        return best.temperature;
+    }
+
+    // Calibrated distribution over labels, best first; empty when nothing is recognised
+    static classify(text) {
+        const model = this.ensureModel();
+        const weights = this.weigh(this.tokenize(text), model.idf);
+        if (weights.size === 0) return [];
+
+        const probabilities = this.softmax(this.logScores(model, weights), model.temperature);
+        return this.labels
+            .map((intent, index) => ({ intent, confidence: probabilities[index] }))
+            .sort((a, b) => b.confidence - a.confidence);
+    }
+
+    // Intents for a whole message. A single softmax can't put two labels above 0.5, so
+    // each clause ("what's the weather" / "where should I eat") is classified on its own
+    // and every confident clause contributes its best intent.
+    static detectIntents(text) {
+        const whole = this.classify(text);
+        if (whole.length === 0) return [];
+
+        const found = new Map([[whole[0].intent, whole[0].confidence]]);
+        text.split(/\s*(?:[,;?!.]|\band\b|\balso\b|\bthen\b|\bplus\b)\s*/i)
+            .filter(clause => clause && clause.length < text.length)
+            .forEach(clause => {
+                const [top] = this.classify(clause);
+                if (top && top.intent !== 'general' && top.confidence >= this.minConfidence) {
+                    found.set(top.intent, Math.max(found.get(top.intent) || 0, top.confidence));
+                }
+            });
+
+        return [...found.entries()]
+            .map(([intent, confidence]) => ({ intent, confidence }))
+            .sort((a, b) => b.confidence - a.confidence);
+    }
+
+    // Per-intent precision/recall, accuracy and expected calibration error on { label: [utterance] }
+    static evaluate(testSet) {
+        const results = [];
+        this.labels.forEach(label => {
+            (testSet[label] || []).forEach(text => {
+                const [top] = this.classify(text);
+                results.push({
+                    text,
+                    expected: label,
+                    predicted: top ? top.intent : 'general',
+                    confidence: top ? top.confidence : 0
+                });
+            });
+        });
+
+        const perIntent = {};
+        this.labels.forEach(label => {
+            const truePositives = results.filter(r => r.expected === label && r.predicted === label).length;
+            const predicted = results.filter(r => r.predicted === label).length;
+            const actual = results.filter(r => r.expected === label).length;
+            perIntent[label] = {
+                precision: predicted > 0 ? truePositives / predicted : 0,
+                recall: actual > 0 ? truePositives / actual : 0,
+                support: actual
+            };
+        });
+
+        // Confidence vs. accuracy in five equal-width bins
+        const bins = Array.from({ length: 5 }, () => ({ count: 0, confidence: 0, correct: 0 }));
+        results.forEach(r => {
+            const bin = bins[Math.min(4, Math.floor(r.confidence * 5))];
+            bin.count++;
+            bin.confidence += r.confidence;
+            bin.correct += r.expected === r.predicted ? 1 : 0;
+        });
+        const calibrationError = bins.reduce((sum, bin) =>
+            sum + (bin.count > 0 ? Math.abs(bin.confidence - bin.correct) / results.length : 0), 0);
+
+        return {
+            total: results.length,
+            accuracy: results.filter(r => r.expected === r.predicted).length / (results.length || 1),
+            calibrationError,
+            perIntent,
+            errors: results.filter(r => r.expected !== r.predicted)
+        };
+    }
+
+    static formatReport(report) {
+        const percent = value => `${(value * 100).toFixed(1)}%`.padStart(7);
+        const lines = [
+            `${'intent'.padEnd(12)}${'precision'.padStart(10)}${'recall'.padStart(10)}${'n'.padStart(5)}`,
+            ...this.labels.map(label => {
+                const stats = report.perIntent[label];
+                return `${label.padEnd(12)}${percent(stats.precision).padStart(10)}${percent(stats.recall).padStart(10)}${String(stats.support).padStart(5)}`;
+            }),
+            '',
+            `accuracy ${percent(report.accuracy).trim()} on ${report.total} utterances, expected calibration error ${percent(report.calibrationError).trim()} (target ≤ ${percent(this.maxCalibrationError).trim()})`
+        ];
+
+        if (report.errors.length > 0) {
+            lines.push('', 'misclassified:');
+            report.errors.forEach(r => {
+                lines.push(`  "${r.text}" → ${r.predicted} (${percent(r.confidence).trim()}), expected ${r.expected}`);
+            });
+        }
+        return lines.join('\n');
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = IntentClassifier;
+}
@@ -0,0 +1,329 @@
+// Intent router shared by the page and the command-line chat (chat-cli.js)
+
+// In Node the data layer is a module; make it global like it is in the browser
+if (typeof module !== 'undefined' && module.exports) {
+    Object.assign(globalThis, require('./cultural-apis.js'));
+}
+
+// Intents whose answers are lists of places that can be paged, filtered and referenced
+const PLACE_INTENTS = ['food', 'culture', 'places', 'shopping'];
+const PLACE_PAGE_SIZE = 5;
+
+// Apply extracted slots and follow-up options (near / cheaper / paging) to a full place list
+function selectPlaces(places, options = {}) {
+    let selected = places.slice();
+    const slots = options.slots || {};
+    
+    // Dietary needs only narrow the list when some places are tagged for them
+    if (slots.dietary && slots.dietary.length > 0) {
+        const suitable = selected.filter(place =>
+            slots.dietary.every(diet => (place.dietary || []).includes(diet)));
+        if (suitable.length > 0) selected = suitable;
+    }
+    
+    if (slots.budget && slots.budget.comparator === 'max') {
+        const maxLevel = EntityExtractor.budgetToPriceLevel(slots.budget, slots.partySize);
+        const affordable = selected.filter(place => PlacesAPI.priceLevel(place) <= maxLevel);
+        if (affordable.length > 0) selected = affordable;
+    }
+    
+    if (options.near) {
+        selected = selected
+            .filter(place => place.lat && place.lon && place.name !== options.near.name)
+            .map(place => ({ ...place, distanceKm: PlacesAPI.distanceKm(options.near, place) }))
+            .sort((a, b) => a.distanceKm - b.distanceKm);
+    }
+    
+    if (options.cheaper) {
+        const cheaper = selected.filter(place => PlacesAPI.priceLevel(place) < options.cheaper.below);
+        selected = (cheaper.length > 0 ? cheaper : selected)
+            .sort((a, b) => PlacesAPI.priceLevel(a) - PlacesAPI.priceLevel(b));
+    }
+    
+    const offset = options.offset || 0;
+    return selected.slice(offset, offset + PLACE_PAGE_SIZE);
+}
+
+// Section title for an intent in multi-part answers and quick replies
+function intentLabel(intent) {
+    return I18n.messages[`intent.${intent}`] ? I18n.t(`intent.${intent}`) : intent;
+}
+
+function pickResult(results, index) {
+    if (!results || results.length === 0) return null;
+    return index < 0 ? results[results.length - 1] : results[index] || null;
+}
+
+// Takes a message to its answer
+// Follow-ups are resolved against the conversation context first; anything else goes
+// through AIAPI for the intent(s) and slots. Several intents get one grouped answer,
+// unclear messages get quick replies and a clear one is answered directly. How answers
+// look is up to the front end (the page, or chat-cli.js in a terminal), plugged in with
+// IntentRouter.use(view):
+//   city, setCity(city)                       - the current city and switching to another
+//   message(text, category)                   - a bot message
+//   slots(slots)                              - what was understood from the message
+//   section(index, total, intent, confidence) - heading for one part of a grouped answer
+//   clarify(candidates)                       - offer likely intents; the pick goes to choose()
+//   detail(item)                              - one referenced result in full
+//   answers[intent](options, message)         - answer an intent (weather, food, ... general)
+class IntentRouter {
+    static view = null;
+    
+    // Labels that are answered as another intent
+    static aliases = { market: 'shopping', markets: 'shopping', traditional: 'clothing' };
+    
+    // The data each answer loads, so a grouped answer can fetch it all at once
+    static loaders = {
+        weather: (city, aiResult, options) => (aiResult.timeframe || (options.slots && options.slots.dateRange))
+            ? WeatherAPI.getForecast(city, 5)
+            : WeatherAPI.getCurrentWeather(city),
+        food: city => PlacesAPI.searchPlaces(city, 'food'),
+        culture: city => PlacesAPI.searchPlaces(city, 'culture'),
+        places: city => PlacesAPI.searchPlaces(city, 'tourist'),
+        shopping: city => PlacesAPI.searchPlaces(city, 'shopping'),
+        events: city => NewsAPI.getLocalEvents(city),
+        clothing: city => TraditionalClothingAPI.getTraditionalClothing(city),
+        local: city => LocalRecommendationsAPI.getLocalRecommendations(city),
+        itinerary: city => WeatherAPI.getForecast(city, 5)
+    };
+    
+    static use(view) {
+        this.view = view;
+    }
+    
+    static get city() {
+        return this.view.city;
+    }
+    
+    // Answer a chat message; errors are left to the front end
+    static async handle(message) {
+        // Typing something new instead of picking a quick reply drops the question
+        ConversationContext.pendingClarification = null;
+        
+        // Reply in the language this message was written in (or the one picked in the sidebar)
+        I18n.update(message);
+        
+        // Follow-ups ("cheaper ones?", "and in Paris?") reuse the previous answer's context
+        const followUp = FollowUpResolver.resolve(I18n.toEnglish(message), ConversationContext);
+        if (followUp && await this.followUp(followUp, message)) return;
+        
+        // Process with AI for intent detection and slot extraction
+        const aiResult = await AIAPI.processQuery(message);
+        const slots = aiResult.slots;
+        
+        // A city named in the message takes over for this and later questions
+        if (slots.city) {
+            const city = await CityAPI.resolveCity(slots.city);
+            if (city && city.key !== this.city.key) {
+                this.view.setCity(city);
+            }
+        }
+        
+        if (!EntityExtractor.isEmpty(slots)) {
+            this.view.slots(slots);
+        }
+        
+        // Handle based on detected intent(s)
+        const options = { slots };
+        const intents = AIAPI.selectIntents(aiResult);
+        const candidates = AIAPI.clarificationCandidates(aiResult, intents);
+        if (candidates) {
+            ConversationContext.pendingClarification = { message, aiResult, options };
+            this.view.clarify(candidates);
+        } else if (intents.length > 1) {
+            // Follow-ups act on the last place list shown, which is what the context holds
+            const answered = await this.answerIntents(intents, aiResult, message, options);
+            const placeIntents = answered.filter(intent => PLACE_INTENTS.includes(intent));
+            const intent = placeIntents.length > 0 ? placeIntents[placeIntents.length - 1] : answered[0];
+            ConversationContext.recordTurn(intent, this.city, message, options);
+        } else {
+            const intent = await this.route({ ...aiResult, intent: intents[0].intent }, message, options);
+            ConversationContext.recordTurn(intent, this.city, message, options);
+        }
+    }
+    
+    // Quick reply picked: answer the pending message with that intent and remember the choice.
+    // Returns false when no question is waiting for one.
+    static async choose(intent) {
+        const pending = ConversationContext.pendingClarification;
+        if (!pending) return false;
+        ConversationContext.pendingClarification = null;
+        
+        IntentFeedback.record(pending.message, intent);
+        const answered = await this.route({ ...pending.aiResult, intent }, pending.message, pending.options);
+        ConversationContext.recordTurn(answered, this.city, pending.message, pending.options);
+        return true;
+    }
+    
+    // Run the front end's answer for an intent; returns the intent that was actually answered
+    static async route(aiResult, message, options = {}) {
+        let intent = this.aliases[aiResult.intent] || aiResult.intent;
+        if (!this.view.answers[intent]) intent = 'general';
+        
+        if (intent === 'weather') {
+            const dateRange = options.slots ? options.slots.dateRange : null;
+            const timeframe = aiResult.timeframe || (dateRange ? 'dates' : null);
+            // "Today" is answered with the current conditions rather than a forecast
+            const today = timeframe === 'dates' && dateRange && dateRange.label === 'today';
+            options = { ...options, timeframe: today ? null : timeframe, dateRange };
+        }
+        
+        await this.view.answers[intent](options, message);
+        return intent;
+    }
+    
+    // Answer several intents as one grouped response. The lookups run concurrently and
+    // land in the API caches; the answers then come from them one section at a time,
+    // best-scoring first, so sections never interleave. Returns the intents answered.
+    static async answerIntents(intents, aiResult, message, options = {}) {
+        await Promise.all(intents.map(({ intent }) => {
+            const load = this.loaders[intent];
+            // A failed load only means that section fetches again while answering
+            return load ? Promise.resolve(load(this.city, aiResult, options)).catch(RequestScheduler.unlessCancelled(null)) : null;
+        }));
+        
+        const topics = intents.map(({ intent }) => intentLabel(intent)).join(', ');
+        this.view.message(I18n.t('multi.intro', { count: intents.length, topics }), I18n.t('category.multiPart'));
+        
+        const answered = [];
+        for (const [index, { intent, confidence }] of intents.entries()) {
+            this.view.section(index, intents.length, intent, confidence);
+            answered.push(await this.route({ ...aiResult, intent }, message, options));
+        }
+        return answered;
+    }
+    
+    // Answer a follow-up using the conversation context; returns false if it can't
+    static async followUp(followUp, message) {
+        const context = ConversationContext;
+        const lastIntent = context.lastIntent;
+        const rerun = (intent, options) => this.route({ intent, timeframe: AIAPI.detectTimeframe(context.lastMessage || '') }, context.lastMessage || '', options);
+        
+        switch (followUp.type) {
+            case 'city': {
+                const city = await CityAPI.resolveCity(followUp.cityQuery);
+                if (!city) return false;
+                if (city.key !== this.city.key) {
+                    this.view.setCity(city);
+                }
+                this.view.message(I18n.t('followUp.city', { city: city.displayName }), I18n.t('category.followUp'));
+                const intent = await rerun(lastIntent, {});
+                context.recordTurn(intent, this.city, context.lastMessage, {});
+                return true;
+            }
+            
+            case 'more': {
+                if (!PLACE_INTENTS.includes(lastIntent)) return false;
+                const offset = (context.lastOptions.offset || 0) + PLACE_PAGE_SIZE;
+                if (offset >= context.totalResults) {
+                    this.view.message(I18n.t('followUp.end'), I18n.t('category.followUp'));
+                    return true;
+                }
+                const options = { ...context.lastOptions, offset };
+                this.view.message(I18n.t('followUp.more'), I18n.t('category.followUp'));
+                await rerun(lastIntent, options);
+                context.recordTurn(lastIntent, this.city, context.lastMessage, options);
+                return true;
+            }
+            
+            case 'cheaper': {
+                const intent = followUp.intent || lastIntent;
+                if (!PLACE_INTENTS.includes(intent)) return false;
+                const levels = context.results.map(place => PlacesAPI.priceLevel(place));
+                const below = levels.length > 0 ? levels.reduce((sum, level) => sum + level, 0) / levels.length : 3;
+                const options = { slots: context.lastOptions.slots, cheaper: { below } };
+                this.view.message(I18n.t('followUp.cheaper'), I18n.t('category.followUp'));
+                await rerun(intent, options);
+                context.recordTurn(intent, this.city, context.lastMessage, options);
+                return true;
+            }
+            
+            case 'near': {
+                const reference = pickResult(context.results, followUp.index);
+                const intent = followUp.intent || lastIntent;
+                if (!reference || !PLACE_INTENTS.includes(intent)) return false;
+                if (!reference.lat || !reference.lon) {
+                    this.view.message(I18n.t('followUp.noLocation', { name: reference.name }), I18n.t('category.followUp'));
+                    return true;
+                }
+                const options = { slots: context.lastOptions.slots, near: { name: reference.name, lat: reference.lat, lon: reference.lon } };
+                this.view.message(I18n.t('followUp.near', { name: reference.name }), I18n.t('category.followUp'));
+                await rerun(intent, options);
+                context.recordTurn(intent, this.city, context.lastMessage, options);
+                return true;
+            }
+            
+            case 'detail': {
+                const item = pickResult(context.results, followUp.index);
+                if (!item) return false;
+                this.view.detail(item);
+                return true;
+            }
+        }
+        return false;
+    }
+    
+    // Place answers show one page of places; follow-ups page through the full list
+    static async findPlaces(category, options = {}) {
+        const allPlaces = await PlacesAPI.searchPlaces(this.city, category);
+        const places = selectPlaces(allPlaces, options);
+        ConversationContext.recordResults(places, allPlaces.length);
+        return places;
+    }
+    
+    static formatDay(date) {
+        return new Date(date).toLocaleDateString(I18n.locale, { weekday: 'short', month: 'short', day: 'numeric' });
+    }
+    
+    // The forecast days a weather question is about and the heading for them
+    static async forecast(timeframe, dateRange = null) {
+        const forecast = await WeatherAPI.getForecast(this.city, 5);
+        
+        // Narrow the strip down to the days the user asked about
+        let days = forecast.days;
+        if (dateRange) {
+            // Cached forecasts come back from storage with string dates
+            const inRange = forecast.days.filter(day => {
+                const date = EntityExtractor.toISODate(new Date(day.date));
+                return date >= dateRange.start && date <= dateRange.end;
+            });
+            days = inRange.length > 0 ? inRange : forecast.days;
+            timeframe = inRange.length > 0 ? 'dates' : 'outOfRange';
+        } else if (timeframe === 'tomorrow') {
+            days = forecast.days.slice(1, 2);
+        } else if (timeframe === 'weekend') {
+            const weekendDays = forecast.days.filter(day => day.weekday === 0 || day.weekday === 6);
+            days = weekendDays.length > 0 ? weekendDays : forecast.days;
+        }
+        
+        // Day names follow the reply language; the extracted range label is English, so other
+        // languages get the dates spelled out instead
+        let rangeLabel = dateRange ? dateRange.label : null;
+        if (dateRange && I18n.language !== 'en') {
+            const start = this.formatDay(`${dateRange.start}T12:00:00`);
+            rangeLabel = dateRange.start === dateRange.end ? start : `${start} – ${this.formatDay(`${dateRange.end}T12:00:00`)}`;
+        }
+        
+        const city = this.city.name;
+        const headings = {
+            dates: I18n.t('forecast.dates', { label: rangeLabel || I18n.t('forecast.thoseDays'), city }),
+            outOfRange: I18n.t('forecast.outOfRange', { label: rangeLabel ? rangeLabel.charAt(0).toUpperCase() + rangeLabel.slice(1) : I18n.t('forecast.thatDate'), city }),
+            tomorrow: I18n.t('forecast.tomorrow', { city }),
+            weekend: I18n.t('forecast.weekend', { city }),
+            forecast: I18n.t('forecast.days', { count: days.length, city })
+        };
+        
+        return {
+            forecast,
+            days,
+            heading: headings[timeframe] || headings.forecast,
+            // Asked about the weekend but it's beyond the forecast, so every day is shown
+            weekendBeyond: timeframe === 'weekend' && days === forecast.days
+        };
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { IntentRouter, PLACE_INTENTS, PLACE_PAGE_SIZE, selectPlaces, intentLabel, pickResult };
+}
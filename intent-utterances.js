@@ -0,0 +1,490 @@
+// Labelled utterances for the offline intent classifier (see intent-classifier.js)
+// Labels match the candidate labels sent to bart-large-mnli, plus "general" for messages
+// none of them fit. "train" fits the model; "calibration" is held out from it and fits
+// the confidence temperature; "test" is held out from both and only used by
+// evaluate-intents.js. When adding examples, keep the calibration and test sets phrased
+// differently from the training set or the scores flatter the model.
+
+const INTENT_UTTERANCES = {
+    train: {
+        weather: [
+            "what's the weather like",
+            "weather today",
+            "is it going to rain",
+            "how hot is it outside",
+            "what is the temperature right now",
+            "will it be sunny tomorrow",
+            "do I need an umbrella",
+            "weather forecast for the weekend",
+            "how cold does it get at night",
+            "is it humid there",
+            "what's the climate like in summer",
+            "should I bring a jacket",
+            "any chance of snow this week",
+            "how windy is it today",
+            "current temperature in celsius",
+            "is the weather good for sightseeing",
+            "will there be storms",
+            "forecast for the next few days",
+            "what should I expect weather wise",
+            "rain or shine tomorrow",
+            "how warm is it in the afternoon",
+            "is it cloudy today"
+        ],
+        food: [
+            "where should I eat",
+            "best restaurants nearby",
+            "I'm hungry, any food recommendations",
+            "what local dishes should I try",
+            "good places for dinner",
+            "where can I get breakfast",
+            "cheap street food",
+            "recommend a cafe for lunch",
+            "vegetarian restaurants",
+            "what is the local cuisine like",
+            "famous dishes I must taste",
+            "where do locals eat",
+            "best sushi in town",
+            "somewhere for a quick bite",
+            "fine dining options",
+            "food stalls worth visiting",
+            "where to get good coffee",
+            "seafood restaurant recommendations",
+            "what snacks are popular here",
+            "a nice place to have dinner tonight",
+            "halal food options",
+            "dessert and sweets shops to try"
+        ],
+        culture: [
+            "cultural sites to see",
+            "which museums should I visit",
+            "tell me about the local culture",
+            "historical monuments",
+            "art galleries in the city",
+            "famous temples",
+            "heritage buildings worth seeing",
+            "history of this city",
+            "ancient ruins and archaeological sites",
+            "religious sites and shrines",
+            "where can I learn about local history",
+            "architecture tours",
+            "best art museums",
+            "cultural attractions for history lovers",
+            "churches and cathedrals to visit",
+            "palaces and castles",
+            "exhibitions on right now",
+            "where to see traditional art",
+            "mosques worth a visit",
+            "UNESCO world heritage sites",
+            "old town historic quarter",
+            "cultural centres and libraries"
+        ],
+        events: [
+            "what events are happening this week",
+            "any festivals coming up",
+            "concerts tonight",
+            "what is there to do tonight",
+            "live music venues",
+            "nightlife and clubs",
+            "theatre performances",
+            "upcoming sports matches",
+            "what's on this weekend",
+            "entertainment options in the evening",
+            "are there any parades",
+            "comedy shows",
+            "food festivals this month",
+            "cultural events happening soon",
+            "where can I see a show",
+            "any fireworks displays",
+            "local celebrations this season",
+            "dance performances",
+            "events calendar",
+            "fun activities tonight",
+            "exhibitions and fairs opening",
+            "open air cinema screenings"
+        ],
+        places: [
+            "top tourist attractions",
+            "must see places",
+            "famous landmarks",
+            "what should I visit first",
+            "sightseeing spots",
+            "interesting places to explore",
+            "best viewpoints in the city",
+            "parks and gardens",
+            "where do tourists go",
+            "hidden gems off the beaten path",
+            "places to take photos",
+            "popular spots for a day trip",
+            "beaches nearby",
+            "iconic buildings to see",
+            "best neighbourhoods to walk around",
+            "what are the main sights",
+            "scenic places for sunset",
+            "famous places to visit",
+            "outdoor attractions for kids",
+            "observation decks with a view",
+            "must visit bridges and squares",
+            "places worth a detour"
+        ],
+        shopping: [
+            "where can I go shopping",
+            "best markets",
+            "shopping malls",
+            "where to buy souvenirs",
+            "local bazaars",
+            "boutiques and designer stores",
+            "flea markets",
+            "shopping district",
+            "where can I buy electronics",
+            "cheap shopping areas",
+            "night markets",
+            "where to buy local crafts",
+            "department stores",
+            "best place to buy gifts",
+            "antique shops",
+            "outlet stores with discounts",
+            "where can I buy spices",
+            "bookshops worth visiting",
+            "can I bargain in the markets",
+            "luxury shopping streets",
+            "second hand and vintage stores",
+            "farmers market for fresh produce"
+        ],
+        clothing: [
+            "where can I rent a kimono",
+            "buy a saree",
+            "what clothing should I pack",
+            "dress code for temples",
+            "where to buy traditional clothes",
+            "can tourists wear a kimono",
+            "rent a costume for photos",
+            "what should I wear",
+            "how to wear a yukata",
+            "shops selling kurtas",
+            "tailor made clothes",
+            "how much does a kimono cost",
+            "what attire is appropriate",
+            "where can I get a dress made",
+            "clothing rental shops",
+            "what to wear to a wedding here",
+            "is it ok to wear shorts",
+            "buy a lehenga",
+            "outfit ideas for sightseeing",
+            "where to try on a hanbok",
+            "modest clothing for mosques",
+            "best place to buy silk garments"
+        ],
+        local: [
+            "local recommendations",
+            "insider tips",
+            "what do locals do",
+            "give me a comprehensive guide",
+            "tips for visiting",
+            "local guide to the city",
+            "how do I get around",
+            "advice for first time visitors",
+            "local experiences",
+            "budget tips",
+            "what should I know before visiting",
+            "recommend things like a local",
+            "travel tips",
+            "how to use public transport",
+            "where to stay",
+            "money saving advice",
+            "best neighbourhood for travellers",
+            "is it safe to walk at night",
+            "what are common tourist mistakes",
+            "do I need cash or card",
+            "local customs to be aware of",
+            "how much should I tip"
+        ],
+        traditional: [
+            "traditional dress",
+            "history of the kimono",
+            "what is traditional attire here",
+            "traditional costumes for festivals",
+            "meaning of traditional clothing",
+            "what did people traditionally wear",
+            "cultural significance of the saree",
+            "traditional wedding outfits",
+            "national costume",
+            "traditional garments and textiles",
+            "why do people wear yukata in summer",
+            "ceremonial dress",
+            "traditional fabrics and weaving",
+            "heritage clothing styles",
+            "regional dress styles",
+            "what colours are worn at ceremonies",
+            "traditional footwear",
+            "what is a hakama",
+            "folk costume",
+            "how traditional dress has changed",
+            "traditional jewellery and accessories",
+            "what is a dhoti"
+        ],
+        phrases: [
+            "how do I say thank you",
+            "useful local phrases",
+            "teach me some words in the local language",
+            "how to say hello",
+            "basic phrases for travellers",
+            "how do you say excuse me",
+            "phrasebook",
+            "what's the word for water",
+            "how do I ask for the bill",
+            "how to pronounce good morning",
+            "emergency phrases",
+            "common greetings in the local language",
+            "how do I say I'm vegetarian",
+            "phrases for haggling at the market",
+            "translate where is the toilet",
+            "what should I say when I enter a shop",
+            "how do I ask how much something costs",
+            "survival phrases",
+            "how do I say goodbye",
+            "words I should learn before visiting",
+            "pronunciation of please",
+            "how to shout for help"
+        ],
+        itinerary: [
+            "plan 3 days in paris",
+            "plan my trip",
+            "make me an itinerary",
+            "plan a two day trip",
+            "what should I do each day",
+            "create a day by day plan",
+            "five day itinerary",
+            "how should I spend a week here",
+            "plan my weekend here",
+            "schedule for my visit",
+            "help me plan my holiday",
+            "what can I see in 2 days",
+            "organise my sightseeing by day",
+            "build a travel plan",
+            "suggested route for one day",
+            "I have four days, plan them for me",
+            "day trip plan",
+            "plan a week of sightseeing",
+            "a perfect day in the city",
+            "trip planner",
+            "how to split the sights over several days",
+            "put together an itinerary with meals"
+        ],
+        // Out of scope for the other labels: greetings, small talk and open questions
+        general: [
+            "hello",
+            "hi there",
+            "thanks a lot",
+            "who are you",
+            "what can you do",
+            "help",
+            "good morning",
+            "how are you",
+            "why do people bow",
+            "is it rude to point",
+            "what language do they speak",
+            "is english widely spoken",
+            "what currency do they use",
+            "what time zone is it in",
+            "tell me a fun fact",
+            "what religion do most people follow",
+            "how old is the city",
+            "what is the population",
+            "goodbye",
+            "why is it called that",
+            "ok great"
+        ]
+    },
+
+    // Held out from training too; only used to fit the softmax temperature
+    calibration: {
+        weather: [
+            "is it chilly in the mornings",
+            "rain expected later",
+            "how hot will it get this week",
+            "do I need sunscreen today",
+            "what's the forecast for saturday"
+        ],
+        food: [
+            "where can I grab a bite",
+            "recommend a place for brunch",
+            "which dishes is the city known for",
+            "good ramen spots",
+            "vegan friendly cafes"
+        ],
+        culture: [
+            "famous shrines to visit",
+            "where to learn about the city's past",
+            "history museums",
+            "old castles and fortresses",
+            "classical art collections"
+        ],
+        events: [
+            "anything fun on tonight",
+            "upcoming concerts",
+            "festivals next week",
+            "where's the nightlife",
+            "live performances this weekend"
+        ],
+        places: [
+            "sights everyone should see",
+            "best spots for photos",
+            "beautiful gardens to walk in",
+            "what are the famous landmarks here",
+            "viewpoints over the city"
+        ],
+        shopping: [
+            "where to pick up gifts",
+            "good markets for souvenirs",
+            "shopping streets",
+            "where do I buy local handicrafts",
+            "is there a night market"
+        ],
+        clothing: [
+            "where can I hire a kimono for the day",
+            "what should I wear to the temple",
+            "shops that sell sarees",
+            "clothes to pack for the trip",
+            "buy a hanbok"
+        ],
+        local: [
+            "any tips for getting around",
+            "what do I need to know as a tourist",
+            "advice from people who live here",
+            "how to save money while travelling here",
+            "local etiquette tips"
+        ],
+        traditional: [
+            "history of traditional costumes",
+            "what is the traditional wedding dress",
+            "traditional clothes worn at festivals",
+            "what do the colours of the kimono mean",
+            "traditional dress of the region"
+        ],
+        phrases: [
+            "how do I say please",
+            "words for ordering food",
+            "how to greet someone in the local language",
+            "how do you say where is the station",
+            "useful words for taxis"
+        ],
+        itinerary: [
+            "plan four days for me",
+            "itinerary for a long weekend",
+            "how should I spend two days",
+            "make a plan for my stay",
+            "one day sightseeing plan"
+        ],
+        general: [
+            "hi",
+            "thanks",
+            "who made you",
+            "what do people here believe",
+            "how big is the city"
+        ]
+    },
+
+    test: {
+        weather: [
+            "what's it like outside today",
+            "will it rain this weekend",
+            "temperature tomorrow morning",
+            "is it sunny right now",
+            "how cold is it this evening",
+            "do I need a raincoat"
+        ],
+        food: [
+            "good places to eat dinner",
+            "any decent restaurants around here",
+            "what should I eat for lunch",
+            "cheap eats nearby",
+            "best local dishes",
+            "where's a good cafe"
+        ],
+        culture: [
+            "museums worth visiting",
+            "historic temples and shrines",
+            "what is the history here",
+            "art exhibitions",
+            "ancient monuments nearby",
+            "cultural heritage tours"
+        ],
+        events: [
+            "is anything happening tonight",
+            "festivals this month",
+            "live concerts this weekend",
+            "shows and performances",
+            "nightlife recommendations",
+            "what's on tonight"
+        ],
+        places: [
+            "main tourist attractions",
+            "landmarks I shouldn't miss",
+            "good spots for sightseeing",
+            "nice parks to visit",
+            "best view of the city",
+            "famous places nearby"
+        ],
+        shopping: [
+            "where to shop for souvenirs",
+            "markets open on sunday",
+            "best malls in town",
+            "where can I buy handicrafts",
+            "street markets for bargains",
+            "designer boutiques"
+        ],
+        clothing: [
+            "where can I rent a yukata",
+            "what clothes should I bring",
+            "shops to buy a saree",
+            "dress code for religious sites",
+            "can I wear shorts in temples",
+            "buy a kurta"
+        ],
+        local: [
+            "tips from locals",
+            "how do locals get around",
+            "advice before my trip",
+            "local travel guide",
+            "money tips for visitors",
+            "things tourists get wrong"
+        ],
+        traditional: [
+            "traditional clothing history",
+            "what is the national dress",
+            "traditional outfits for weddings",
+            "meaning behind the costumes",
+            "what do people wear at festivals traditionally",
+            "traditional textiles"
+        ],
+        phrases: [
+            "how do you say thanks",
+            "teach me a few local phrases",
+            "what is hello in the local language",
+            "how do I pronounce sorry",
+            "key phrases for restaurants",
+            "how to say good night"
+        ],
+        itinerary: [
+            "plan 2 days in tokyo",
+            "can you make a travel itinerary",
+            "what to do over three days",
+            "plan my visit day by day",
+            "I'm here for a week, plan it",
+            "weekend trip plan"
+        ],
+        general: [
+            "hey",
+            "thank you",
+            "what do you know",
+            "why do locals take off their shoes",
+            "which language is spoken here",
+            "how many people live there"
+        ]
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = INTENT_UTTERANCES;
+}
@@ -0,0 +1,111 @@
+// Safe rendering for markup built from API data
+// Place names, news titles, AI answers and anything else that comes from outside (or from
+// the user) is text, never markup. Templates are written with the html`...` tag, which
+// escapes every interpolated value unless it is already SafeHTML - another html`...`
+// result, or SafeHTML.raw() for trusted markup from our own code. Links go through
+// SafeHTML.url/link, which only let http(s) and mailto URLs through. Markup read back from
+// storage goes through SafeHTML.sanitize. SafeHTML.render is how templates reach the page;
+// nothing else should assign innerHTML from data.
+
+class SafeHTML {
+    static allowedProtocols = ['http:', 'https:', 'mailto:'];
+    // What sanitized markup may keep; the contents of droppedTags go as well
+    static allowedTags = ['div', 'p', 'br', 'strong', 'em', 'b', 'i', 'small', 'span', 'h3', 'h4', 'ul', 'ol', 'li', 'a'];
+    static allowedAttributes = ['class', 'title', 'href', 'target', 'rel'];
+    static droppedTags = ['script', 'style', 'template', 'noscript', 'iframe', 'object', 'embed', 'textarea', 'title'];
+
+    constructor(markup) {
+        this.markup = markup;
+    }
+
+    toString() {
+        return this.markup;
+    }
+
+    static escape(value) {
+        return String(value).replace(/[&<>"'`]/g, char => `&#${char.charCodeAt(0)};`);
+    }
+
+    // Markup from our own code (never from data) that should not be escaped
+    static raw(markup) {
+        return markup instanceof SafeHTML ? markup : new SafeHTML(String(markup));
+    }
+
+    // Plain text with its line breaks kept (SafeHTML is passed through)
+    static text(value) {
+        if (value instanceof SafeHTML) return value;
+        return new SafeHTML(this.escape(value).replace(/\r?\n/g, '<br>'));
+    }
+
+    // How a value interpolated into html`...` is written out: SafeHTML as is, lists joined,
+    // null/undefined/false as nothing, everything else escaped
+    static interpolate(value) {
+        if (value instanceof SafeHTML) return value.markup;
+        if (Array.isArray(value)) return value.map(item => this.interpolate(item)).join('');
+        if (value === null || value === undefined || value === false) return '';
+        return this.escape(value);
+    }
+
+    // The URL if it is absolute and uses an allowed protocol, otherwise null
+    // ("javascript:", "data:" and relative tricks never make it into an href)
+    static url(value) {
+        if (!value) return null;
+        try {
+            const url = new URL(String(value).trim());
+            return this.allowedProtocols.includes(url.protocol) ? url.href : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // An external link, or just the label when the URL isn't allowed
+    static link(href, label) {
+        const url = this.url(href);
+        return url
+            ? html`<a href="${url}" target="_blank" rel="noopener noreferrer">${label}</a>`
+            : html`${label}`;
+    }
+
+    // Markup we didn't just build (a saved chat transcript) cut down to allowedTags and
+    // allowedAttributes: other elements leave only their content behind and links keep only
+    // allowed URLs. Parsed with `doc`, so outside the page pass one in.
+    static sanitize(markup, doc = document) {
+        const template = doc.createElement('template');
+        template.innerHTML = String(markup);
+        return new SafeHTML(this.sanitizeNodes(template.content.childNodes));
+    }
+
+    static sanitizeNodes(nodes) {
+        return Array.from(nodes).map(node => {
+            if (node.nodeType === 3) return this.escape(node.nodeValue);
+            if (node.nodeType !== 1 || this.droppedTags.includes(node.localName)) return '';
+
+            const content = this.sanitizeNodes(node.childNodes);
+            const tag = node.localName;
+            if (!this.allowedTags.includes(tag)) return content;
+
+            const attributes = Array.from(node.attributes)
+                .filter(attribute => this.allowedAttributes.includes(attribute.name))
+                .map(attribute => [attribute.name, attribute.name === 'href' ? this.url(attribute.value) : attribute.value])
+                .filter(([, value]) => value !== null)
+                .map(([name, value]) => ` ${name}="${this.escape(value)}"`)
+                .join('');
+            return tag === 'br' ? `<br${attributes}>` : `<${tag}${attributes}>${content}</${tag}>`;
+        }).join('');
+    }
+
+    // Put a template into an element; plain strings are treated as text
+    static render(element, content) {
+        element.innerHTML = content instanceof SafeHTML ? content.markup : this.escape(content);
+        return element;
+    }
+}
+
+// Tag for templates: html`<h4>${place.name}</h4>` escapes place.name
+function html(strings, ...values) {
+    return new SafeHTML(strings.reduce((markup, string, index) => markup + SafeHTML.interpolate(values[index - 1]) + string));
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SafeHTML, html };
+}
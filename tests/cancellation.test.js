@@ -0,0 +1,54 @@
+// A newer question cancels what the previous one has in flight: the handlers must stop
+// there instead of answering with their fallback
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { fakeFetch } = require('./helpers/fake-fetch.js');
+const { loadPage } = require('./helpers/page.js');
+
+let window;
+let fetch;
+
+test.before(async () => {
+    // Every request hangs until it is aborted
+    fetch = fakeFetch([{ match: /./, timeout: true }]);
+    window = await loadPage({ fetch });
+});
+
+test.after(() => window.close());
+
+test.beforeEach(() => {
+    window.clearChat();
+    fetch.requests.length = 0;
+});
+
+// Starts the handler, cancels once its first request is out and returns what it threw
+async function cancelDuring(handler) {
+    const finished = handler().then(() => null, error => error);
+    for (let wait = 0; fetch.requests.length === 0 && wait < 100; wait++) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    assert.ok(fetch.requests.length > 0, 'the handler sent a request');
+    window.eval('RequestScheduler').cancel();
+    return finished;
+}
+
+function botMessages() {
+    return Array.from(window.document.querySelectorAll('#messages .bot-message')).map(message => message.textContent);
+}
+
+test('the clothing handler passes the cancellation on', async () => {
+    const error = await cancelDuring(() => window.handleEnhancedClothingQuery());
+    assert.ok(window.eval('RequestScheduler').isCancelled(error));
+
+    const basic = window.eval('I18n').t('clothing.basic');
+    assert.ok(!botMessages().some(text => text.includes(basic)));
+});
+
+test('the local recommendations handler passes the cancellation on', async () => {
+    const error = await cancelDuring(() => window.handleLocalRecommendations());
+    assert.ok(window.eval('RequestScheduler').isCancelled(error));
+
+    const basic = window.eval('I18n').t('local.basic');
+    assert.ok(!botMessages().some(text => text.includes(basic)));
+    assert.equal(window.document.querySelectorAll('#messages .quick-suggestions').length, 0);
+});
@@ -0,0 +1,38 @@
+// Card labels and titles come from the message catalogue, so cards follow the reply language
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Cards = require('../cards.js');
+const I18n = require('../i18n.js');
+
+test.afterEach(() => {
+    I18n.language = 'en';
+});
+
+test('every card and welcome string is translated into every language', () => {
+    const keys = Object.keys(I18n.messages).filter(key => /^(card|place)\.|^city\.welcome$/.test(key));
+    assert.ok(keys.length > 40);
+    keys.forEach(key => {
+        Object.keys(I18n.languages).forEach(language => assert.ok(I18n.messages[key][language], `${key} (${language})`));
+    });
+});
+
+test('labels, badges and titles are written in the reply language', () => {
+    const dish = { name: 'Ramen', mustTry: true, description: 'Noodle soup', where: 'Everywhere', price: '¥900' };
+    I18n.language = 'fr';
+    const text = Cards.text(Cards.schemas.dish, dish, {});
+    assert.match(text, /Description: Noodle soup/);
+    assert.match(text, /Prix: ¥900/);
+    assert.match(String(Cards.markup(Cards.schemas.dish, dish, {})), /À GOÛTER/);
+
+    I18n.language = 'ja';
+    assert.equal(Cards.text(Cards.schemas.climate, { temperature: 21 }, {}), '🌡️ 現在の天気：21°C');
+    assert.equal(Cards.text(Cards.schemas.tips, ['Carry cash'], {}), '💡 知っておきたい現地のヒント\n• Carry cash');
+    assert.match(Cards.text(Cards.schemas.place, { name: 'Sensō-ji' }, { category: 'culture' }), /文化スポット/);
+});
+
+test('English stays the fallback', () => {
+    const item = { name: 'Yukata', type: 'summer', description: 'Light cotton robe', rental_available: true };
+    const text = Cards.text(Cards.schemas.clothing, item, {});
+    assert.match(text, /Popular colors: Various/);
+    assert.match(text, /🏠 Rental available: Yes/);
+});
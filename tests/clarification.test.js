@@ -0,0 +1,45 @@
+// When the offline classifier asks which intent was meant: the city in a message must not
+// make a clear question look ambiguous
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const INTENT_UTTERANCES = require('../intent-utterances.js');
+const { loadApis } = require('./helpers/fake-fetch.js');
+
+const { AIAPI } = loadApis();
+
+function clarification(message) {
+    const result = AIAPI.getSimulatedResponse(message);
+    return AIAPI.clarificationCandidates(result, AIAPI.selectIntents(result));
+}
+
+test('the city slot is left out of what is classified', () => {
+    assert.equal(AIAPI.withoutCity('shopping in Istanbul'), 'shopping');
+    assert.equal(AIAPI.withoutCity('weather in São Paulo tomorrow'), 'weather tomorrow');
+    assert.equal(AIAPI.withoutCity('plan 3 days in Lisbon'), 'plan 3 days');
+    assert.equal(AIAPI.withoutCity('How do I say thank you in Japanese?'), 'How do I say thank you in Japanese?');
+});
+
+test('a topic and a city is answered, not questioned', () => {
+    ['shopping in Istanbul', 'food in Paris', 'museums in Rome', 'markets in Marrakech this weekend', 'plan 3 days in Lisbon']
+        .forEach(message => assert.equal(clarification(message), null, message));
+
+    assert.equal(AIAPI.getSimulatedResponse('shopping in Istanbul').intent, 'shopping');
+    assert.equal(AIAPI.getSimulatedResponse('food in Paris').intent, 'food');
+});
+
+test('adding a city never changes the classification of a test utterance', () => {
+    Object.values(INTENT_UTTERANCES.test).flat().forEach(text => {
+        const alone = AIAPI.getSimulatedResponse(text);
+        ['Paris', 'Istanbul', 'Kyoto'].forEach(city => {
+            const withCity = AIAPI.getSimulatedResponse(`${text} in ${city}`);
+            assert.equal(withCity.intent, alone.intent, `${text} in ${city}`);
+            assert.equal(Boolean(clarification(`${text} in ${city}`)), Boolean(clarification(text)), `${text} in ${city}`);
+        });
+    });
+});
+
+test('a message that could mean several things still asks', () => {
+    const candidates = clarification('best');
+    assert.ok(candidates.length > 1);
+    assert.ok(candidates[0].confidence < AIAPI.clarifyThreshold);
+});
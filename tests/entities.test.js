@@ -0,0 +1,42 @@
+// Rule-based city slot: built-in cities, capitalised places after "in/to/at", and the
+// capitalised words after those that aren't places
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApis } = require('./helpers/fake-fetch.js');
+
+const { EntityExtractor } = loadApis();
+
+test('built-in and unknown cities are picked up', () => {
+    assert.equal(EntityExtractor.extractCity('best ramen in tokyo'), 'Tokyo');
+    assert.equal(EntityExtractor.extractCity('Best food in Kyoto'), 'Kyoto');
+    assert.equal(EntityExtractor.extractCity('I am travelling to Lisbon next week'), 'Lisbon');
+    assert.equal(EntityExtractor.extractCity('walking around Buenos Aires'), 'Buenos Aires');
+    assert.equal(EntityExtractor.extractCity('visiting Marrakech in spring'), 'Marrakech');
+    assert.equal(EntityExtractor.extractCity('things to do in Hyde Park'), 'Hyde Park');
+    assert.equal(EntityExtractor.extractCity('Churches in São Paulo'), 'São Paulo');
+});
+
+test('languages, nationalities and everyday nouns are not cities', () => {
+    [
+        'How do I say thank you in Japanese?',
+        'What should I wear to Church?',
+        'Is it OK to tip in Restaurants here?',
+        'Do people speak English at Hotels?',
+        'Is it rude to eat in Italian Restaurants with your hands?',
+        'What do I wear to the Temple?',
+        'Can I go to Museums on a budget?',
+        'festivals in Summer',
+        'what to do on Saturday in March'
+    ].forEach(message => assert.equal(EntityExtractor.extractCity(message), null, message));
+});
+
+test('a place after a non-place still counts', () => {
+    assert.equal(EntityExtractor.extractCity('What to wear to Church in Lisbon'), 'Lisbon');
+    assert.equal(EntityExtractor.extractCity('going on Monday to Porto'), 'Porto');
+});
+
+test('the slots of a message without a city', () => {
+    const slots = EntityExtractor.extract('How do I say thank you in Japanese?');
+    assert.equal(slots.city, null);
+    assert.ok(EntityExtractor.isEmpty(slots));
+});
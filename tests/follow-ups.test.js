@@ -0,0 +1,27 @@
+// Follow-up messages resolved against the previous answer: which ones ask for cheaper
+// results, and which only mention a budget
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApis } = require('./helpers/fake-fetch.js');
+
+const { FollowUpResolver } = loadApis();
+
+const context = { lastIntent: 'food' };
+const typeOf = message => {
+    const followUp = FollowUpResolver.resolve(message, context);
+    return followUp && followUp.type;
+};
+
+test('comparatives ask for cheaper results', () => {
+    ['cheaper ones?', 'anything cheaper', 'something more affordable', 'less expensive please', 'any on a tighter budget?']
+        .forEach(message => assert.equal(typeOf(message), 'cheaper', message));
+});
+
+test('a budget that is only mentioned is a question of its own', () => {
+    ['budget hotels in Tokyo', 'what\'s a good budget for Kyoto', 'Can I go to museums on a budget?', 'budget']
+        .forEach(message => assert.equal(typeOf(message), null, message));
+});
+
+test('nothing is a follow-up before there was an answer', () => {
+    assert.equal(FollowUpResolver.resolve('cheaper ones?', { lastIntent: null }), null);
+});
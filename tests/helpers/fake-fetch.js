@@ -0,0 +1,74 @@
+// Fixture-replaying stand-in for fetch
+// Each route maps a URL pattern to a recorded response from tests/fixtures, a status
+// with an inline body, or a request that never answers (timeout: true); `times` limits how
+// often a route answers before the next matching one takes over. Every request is logged
+// so tests can count them. A URL without a route fails like an unreachable host.
+// Usage: globalThis.fetch = fakeFetch([{ match: /openweathermap/, fixture: 'openweathermap-weather.json' }])
+
+const fs = require('node:fs');
+const path = require('node:path');
+
+function fixture(name) {
+    return fs.readFileSync(path.join(__dirname, '..', 'fixtures', name), 'utf8');
+}
+
+function fakeFetch(routes = []) {
+    const requests = [];
+
+    async function fetch(url, options = {}) {
+        url = String(url);
+        requests.push({ url, options });
+        const route = routes.find(candidate => candidate.match.test(url) && candidate.times !== 0);
+        if (!route) {
+            throw new TypeError(`fetch failed: no fixture for ${url}`);
+        }
+        if (route.times) route.times--;
+
+        // Hangs until the scheduler's timeout (or a cancellation) aborts it
+        if (route.timeout) {
+            return new Promise((resolve, reject) => {
+                options.signal.addEventListener('abort', () => reject(options.signal.reason));
+            });
+        }
+
+        const body = route.fixture ? fixture(route.fixture)
+            : typeof route.body === 'string' ? route.body
+            : JSON.stringify(route.body === undefined ? {} : route.body);
+        return new Response(body, {
+            status: route.status || 200,
+            headers: { 'Content-Type': 'application/json', ...route.headers }
+        });
+    }
+
+    fetch.requests = requests;
+    fetch.count = pattern => requests.filter(request => pattern.test(request.url)).length;
+    return fetch;
+}
+
+// The data layer with test settings: quiet logs, live providers enabled with fake keys,
+// no rate-limit pauses and millisecond retry backoff
+function loadApis() {
+    console.log = () => {};
+    console.warn = () => {};
+    console.error = () => {};
+
+    const apis = require('../../cultural-apis.js');
+    const { API_CONFIG, RequestScheduler } = apis;
+    API_CONFIG.weather.apiKey = 'test-openweather-key';
+    API_CONFIG.ai.apiKey = 'test-huggingface-token';
+    API_CONFIG.news.apiKey = 'test-news-key';
+    API_CONFIG.places.rateLimit = { interval: 0, concurrency: 1 };
+    RequestScheduler.retryDelay = 1;
+    return apis;
+}
+
+// Forget cached answers, counted requests and host backoff between tests
+function resetApis(apis) {
+    apis.SharedCache.clearAll();
+    apis.QuotaMeter.counts = {};
+    apis.QuotaMeter.warnings = [];
+    apis.RequestScheduler.hosts.clear();
+    apis.RequestScheduler.inFlight.clear();
+}
+
+module.exports = { fakeFetch, fixture, loadApis, resetApis };
@@ -0,0 +1,64 @@
+// The page (index.html and its scripts) in jsdom
+// Scripts are added inline once the document has loaded, so the DOMContentLoaded start-up
+// (welcome messages, status panels, share-link replay) doesn't run on its own; tests call
+// what they need. Every fetch fails like an unreachable host unless a fake is passed.
+// Classes and functions are read back with window.eval, since class declarations in
+// scripts don't become window properties.
+// Usage: const window = await loadPage(); const Cards = window.eval('Cards');
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { JSDOM } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..', '..');
+const SCRIPTS = ['safe-html.js', 'i18n.js', 'intent-utterances.js', 'intent-classifier.js', 'cultural-apis.js', 'intent-router.js', 'cards.js', 'free-apis-integration.js'];
+
+async function loadPage({ fetch, url = 'http://localhost/' } = {}) {
+    const markup = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8').replace(/<script\b[\s\S]*?<\/script>/gi, '');
+    // A URL gives the page its own localStorage
+    const { window } = new JSDOM(markup, { runScripts: 'dangerously', url });
+    await new Promise(resolve => window.addEventListener('load', resolve));
+
+    window.console.log = () => {};
+    window.console.warn = () => {};
+    window.console.error = () => {};
+    window.fetch = fetch || (async requestUrl => {
+        throw new TypeError(`fetch failed: offline page test (${requestUrl})`);
+    });
+
+    SCRIPTS.forEach(file => {
+        const script = window.document.createElement('script');
+        script.textContent = fs.readFileSync(path.join(ROOT, file), 'utf8');
+        window.document.body.appendChild(script);
+    });
+    return window;
+}
+
+// Everything in `markup` that could run script or leave the page: script/iframe/object/embed
+// elements, on* attributes, style attributes, and href/src/action values that aren't http(s)
+// or mailto. An empty list means the markup is inert.
+function activeContent(markup) {
+    const { document } = new JSDOM('').window;
+    const template = document.createElement('template');
+    template.innerHTML = String(markup);
+
+    const found = [];
+    template.content.querySelectorAll('*').forEach(element => {
+        const tag = element.tagName.toLowerCase();
+        if (['script', 'iframe', 'object', 'embed', 'img', 'svg', 'form'].includes(tag)) {
+            found.push(`<${tag}>`);
+        }
+        Array.from(element.attributes).forEach(attribute => {
+            const name = attribute.name.toLowerCase();
+            if (name.startsWith('on') || name === 'style' || name === 'srcdoc') {
+                found.push(`${tag}[${name}]`);
+            }
+            if (['href', 'src', 'action', 'formaction', 'xlink:href'].includes(name) && !/^(https?:|mailto:)/i.test(attribute.value.trim())) {
+                found.push(`${tag}[${name}=${attribute.value}]`);
+            }
+        });
+    });
+    return found;
+}
+
+module.exports = { loadPage, activeContent };
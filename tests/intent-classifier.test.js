@@ -0,0 +1,40 @@
+// Offline intent classifier on the bundled utterances: held-out accuracy and calibration
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const INTENT_UTTERANCES = require('../intent-utterances.js');
+const IntentClassifier = require('../intent-classifier.js');
+
+console.log = () => {};
+
+test.beforeEach(() => {
+    IntentClassifier.train(INTENT_UTTERANCES.train, INTENT_UTTERANCES.calibration);
+});
+
+test('the temperature is fitted on the calibration set, inside the grid', () => {
+    const { temperature } = IntentClassifier.model;
+    assert.ok(IntentClassifier.temperatures.includes(temperature));
+    assert.notEqual(temperature, IntentClassifier.temperatures[IntentClassifier.temperatures.length - 1]);
+});
+
+test('the held-out test set meets the calibration target', () => {
+    const report = IntentClassifier.evaluate(INTENT_UTTERANCES.test);
+    assert.ok(report.calibrationError <= IntentClassifier.maxCalibrationError,
+        `expected calibration error ${(report.calibrationError * 100).toFixed(1)}%`);
+    assert.ok(report.accuracy >= 0.9, `accuracy ${(report.accuracy * 100).toFixed(1)}%`);
+});
+
+test('no utterance is in more than one split', () => {
+    const seen = new Map();
+    ['train', 'calibration', 'test'].forEach(split => {
+        Object.values(INTENT_UTTERANCES[split]).flat().forEach(text => {
+            const key = text.toLowerCase();
+            assert.ok(!seen.has(key) || seen.get(key) === split, `"${text}" is in ${seen.get(key)} and ${split}`);
+            seen.set(key, split);
+        });
+    });
+});
+
+test('without calibration utterances the temperature stays at 1', () => {
+    IntentClassifier.train(INTENT_UTTERANCES.train);
+    assert.equal(IntentClassifier.model.temperature, 1);
+});
@@ -0,0 +1,43 @@
+// The local-recommendation quick buttons: one card per item of each section
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage } = require('./helpers/page.js');
+
+let window;
+
+test.before(async () => {
+    window = await loadPage();
+});
+
+test.after(() => window.close());
+
+test.beforeEach(() => window.clearChat());
+
+test('every section adds its heading and a card per item', async () => {
+    const sections = window.eval('LOCAL_DETAIL_SECTIONS');
+    const localData = await window.eval('LocalRecommendationsAPI').getLocalRecommendations('tokyo');
+    const messages = window.document.getElementById('messages');
+
+    for (const [section, { data, card }] of Object.entries(sections)) {
+        window.clearChat();
+        await window.showLocalDetail(section, 'tokyo');
+
+        const expected = [].concat(localData[data]).length;
+        assert.ok(expected > 0, section);
+        assert.equal(messages.querySelectorAll('.bot-message').length, 1, section);
+        const cards = Array.from(messages.children).filter(element => !element.classList.contains('message'));
+        assert.equal(cards.length, expected, `${section} (${card} cards)`);
+    }
+});
+
+test('the quick buttons open their section', async () => {
+    await window.handleLocalRecommendations();
+    const buttons = Array.from(window.document.querySelectorAll('#messages .quick-suggestions .quick-btn'));
+    assert.equal(buttons.length, 8);
+
+    window.clearChat();
+    buttons.find(button => button.textContent.includes('Top Restaurants')).click();
+    await new Promise(resolve => setTimeout(resolve, 20));
+    const heading = window.document.querySelector('#messages .bot-message .category');
+    assert.equal(heading.textContent, window.eval('I18n').t('category.topRestaurants'));
+});
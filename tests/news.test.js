@@ -0,0 +1,72 @@
+// NewsAPI provider replayed from recorded responses, with failover to demo events
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { fakeFetch, loadApis, resetApis } = require('./helpers/fake-fetch.js');
+
+const apis = loadApis();
+const { NewsAPI, QuotaMeter, RequestScheduler } = apis;
+
+const EVERYTHING = /newsapi\.org\/v2\/everything\?/;
+const settle = () => new Promise(resolve => setTimeout(resolve, 20));
+const isDemo = events => events.length === 1 && events[0].source === 'Local Events (Demo)';
+
+test.beforeEach(() => resetApis(apis));
+
+test('events come from NewsAPI and are cached for an hour', async () => {
+    const fetch = globalThis.fetch = fakeFetch([{ match: EVERYTHING, fixture: 'newsapi-everything.json' }]);
+
+    const events = await NewsAPI.getLocalEvents('tokyo');
+    assert.deepEqual(events.map(event => event.source), ['The Japan Times', 'Time Out Tokyo']);
+    assert.equal(events[0].title, 'Autumn lantern festival returns to Asakusa');
+    assert.equal(events[1].url, 'https://www.timeout.com/tokyo/news/tokyo-ramen-show-2025');
+    assert.match(fetch.requests[0].url, /q=%22Tokyo%22%20events%20culture&.*apiKey=test-news-key/);
+
+    await NewsAPI.getLocalEvents('tokyo');
+    assert.equal(fetch.count(EVERYTHING), 1);
+
+    NewsAPI.cache.get('news_tokyo').timestamp -= NewsAPI.cacheTimeout + 1;
+    assert.equal((await NewsAPI.getLocalEvents('tokyo')).length, 2);
+    await settle();
+    assert.equal(fetch.count(EVERYTHING), 2);
+    assert.equal(QuotaMeter.used('newsapi'), 2);
+});
+
+test('a rejected API key (401) gets demo events', async () => {
+    const fetch = globalThis.fetch = fakeFetch([
+        { match: EVERYTHING, status: 401, body: { status: 'error', code: 'apiKeyInvalid', message: 'Your API key is invalid or incorrect.' } }
+    ]);
+
+    assert.ok(isDemo(await NewsAPI.getLocalEvents('tokyo')));
+    assert.equal(fetch.count(EVERYTHING), 1);
+    assert.equal(NewsAPI.cache.get('news_tokyo'), undefined);
+});
+
+test('server errors are retried, then demo events', async () => {
+    const fetch = globalThis.fetch = fakeFetch([{ match: EVERYTHING, status: 500, body: { status: 'error', code: 'unexpectedError' } }]);
+
+    assert.ok(isDemo(await NewsAPI.getLocalEvents('tokyo')));
+    assert.equal(fetch.count(EVERYTHING), RequestScheduler.maxRetries + 1);
+});
+
+test('malformed JSON gets demo events', async () => {
+    globalThis.fetch = fakeFetch([{ match: EVERYTHING, body: '{"status": "ok", "articles": [' }]);
+
+    assert.ok(isDemo(await NewsAPI.getLocalEvents('tokyo')));
+});
+
+test('a request that times out gets demo events', async () => {
+    globalThis.fetch = fakeFetch([{ match: EVERYTHING, timeout: true }]);
+    const timeout = RequestScheduler.timeout;
+    RequestScheduler.timeout = 20;
+    try {
+        assert.ok(isDemo(await NewsAPI.getLocalEvents('tokyo')));
+    } finally {
+        RequestScheduler.timeout = timeout;
+    }
+});
+
+test('no articles gets demo events', async () => {
+    globalThis.fetch = fakeFetch([{ match: EVERYTHING, body: { status: 'ok', totalResults: 0, articles: [] } }]);
+
+    assert.ok(isDemo(await NewsAPI.getLocalEvents('tokyo')));
+});
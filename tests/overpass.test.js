@@ -0,0 +1,71 @@
+// Overpass provider replayed from a recorded response: the query, the place shape and the
+// website allow-list
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { fakeFetch, fixture, loadApis, resetApis } = require('./helpers/fake-fetch.js');
+
+const apis = loadApis();
+const { OverpassAPI, PlacesAPI, CityAPI, QuotaMeter, RequestScheduler } = apis;
+
+const INTERPRETER = /overpass-api\.de\/api\/interpreter$/;
+const tokyo = CityAPI.toRecord('tokyo');
+
+test.beforeEach(() => resetApis(apis));
+
+test('the query asks for named venues of the category inside the city box', () => {
+    const query = OverpassAPI.buildQuery(tokyo, 'food');
+    assert.equal(query, [
+        '[out:json][timeout:25];',
+        '(',
+        '  nwr["amenity"~"^(restaurant|cafe|fast_food|food_court)$"]["name"](35.5,139.55,35.9,139.95);',
+        ');',
+        `out center tags ${OverpassAPI.resultLimit};`
+    ].join('\n'));
+    assert.equal(OverpassAPI.buildQuery(tokyo, 'culture').match(/nwr\[/g).length, OverpassAPI.categoryFilters.culture.length);
+});
+
+test('requests wait longer than the server may spend on the query', () => {
+    const [, serverSeconds] = OverpassAPI.buildQuery(tokyo, 'food').match(/\[timeout:(\d+)\]/);
+    assert.ok(RequestScheduler.timeoutFor('overpass-api.de') > Number(serverSeconds) * 1000);
+});
+
+test('recorded elements become places; unnamed or unplaced ones are dropped', () => {
+    const places = OverpassAPI.toPlaces(JSON.parse(fixture('overpass-food.json')), 'food', tokyo);
+
+    assert.deepEqual(places.map(place => place.name), ['Sushi Dai', 'Ain Soph. Ginza', '<img src=x onerror=alert(1)> Café']);
+    const [sushi, vegan] = places;
+    assert.equal(sushi.address, '21-2 Tsukiji 6-chome, Chuo, Tokyo');
+    assert.equal(sushi.cuisine, 'sushi, japanese');
+    assert.equal(sushi.lat, '35.6655411');
+    assert.equal(sushi.osmId, 'node/1926434717');
+    assert.equal(vegan.lat, '35.6716502');
+    assert.deepEqual(vegan.dietary, ['vegetarian', 'gluten_free', 'vegan']);
+    assert.ok(vegan.importance > sushi.importance);
+});
+
+test('only http(s) websites are kept', () => {
+    const places = OverpassAPI.toPlaces(JSON.parse(fixture('overpass-food.json')), 'food', tokyo);
+
+    assert.deepEqual(places.map(place => place.website), [
+        'https://www.tsukijigourmet.or.jp/22_sushidai/index.htm',
+        'https://www.ain-soph.jp/ginza',
+        null
+    ]);
+    ['javascript:alert(1)', ' JAVASCRIPT:alert(1)', 'data:text/html,<script>alert(1)</script>', 'vbscript:x', 'mailto:a@b.jp', 'not a website', '']
+        .forEach(website => assert.equal(OverpassAPI.websiteUrl(website), null, website));
+    assert.equal(OverpassAPI.websiteUrl('example.jp:8080/menu'), 'https://example.jp:8080/menu');
+});
+
+test('food searches go to Overpass as one counted POST', async () => {
+    const fetch = globalThis.fetch = fakeFetch([{ match: INTERPRETER, fixture: 'overpass-food.json' }]);
+
+    const places = await PlacesAPI.searchPlaces(tokyo, 'food');
+    assert.equal(places[0].name, 'Ain Soph. Ginza');
+    assert.ok(places.every(place => place.source === 'OpenStreetMap Overpass (LIVE)'));
+
+    assert.equal(fetch.requests.length, 1);
+    const { options } = fetch.requests[0];
+    assert.equal(options.method, 'POST');
+    assert.equal(decodeURIComponent(options.body.replace(/^data=/, '')), OverpassAPI.buildQuery(tokyo, 'food'));
+    assert.equal(QuotaMeter.used('overpass'), 1);
+});
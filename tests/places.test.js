@@ -0,0 +1,95 @@
+// Nominatim provider replayed from recorded responses: place search, geocoding and failover
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { fakeFetch, loadApis, resetApis } = require('./helpers/fake-fetch.js');
+
+const apis = loadApis();
+const { PlacesAPI, CityAPI, QuotaMeter, RequestScheduler } = apis;
+
+const SEARCH = /nominatim\.openstreetmap\.org\/search\?/;
+const tokyo = CityAPI.toRecord('tokyo');
+// "tourist" has no Overpass tag filter, so it goes straight to Nominatim
+const queries = PlacesAPI.generateSearchQueries(tokyo, 'tourist');
+const settle = () => new Promise(resolve => setTimeout(resolve, 20));
+
+test.beforeEach(() => resetApis(apis));
+
+test('search results are kept inside the city, de-duplicated and ranked', async () => {
+    const fetch = globalThis.fetch = fakeFetch([{ match: SEARCH, fixture: 'nominatim-search.json' }]);
+
+    const places = await PlacesAPI.searchPlaces(tokyo, 'tourist');
+    assert.deepEqual(places.map(place => place.name), ['Sensō-ji', 'Tokyo Tower']);
+    assert.ok(places.every(place => place.source === 'OpenStreetMap (LIVE)'));
+    fetch.requests.forEach(request => {
+        assert.match(request.url, /viewbox=139\.55,35\.9,139\.95,35\.5&bounded=1/);
+        assert.match(request.options.headers['User-Agent'], /^CulturalBot\//);
+    });
+
+    // One request per generated query, each counted
+    assert.equal(fetch.count(SEARCH), queries.length);
+    assert.equal(QuotaMeter.used('nominatim'), queries.length);
+});
+
+test('cached places are reused until the TTL runs out', async () => {
+    const fetch = globalThis.fetch = fakeFetch([{ match: SEARCH, fixture: 'nominatim-search.json' }]);
+    await PlacesAPI.searchPlaces(tokyo, 'tourist');
+    await PlacesAPI.searchPlaces(tokyo, 'tourist');
+    assert.equal(fetch.count(SEARCH), queries.length);
+
+    PlacesAPI.cache.get('places_tokyo_tourist').timestamp -= PlacesAPI.cacheTimeout + 1;
+    const stale = await PlacesAPI.searchPlaces(tokyo, 'tourist');
+    assert.equal(stale.length, 2);
+    await settle();
+    assert.equal(fetch.count(SEARCH), queries.length * 2);
+});
+
+test('free-text cities are geocoded to the settlement and cached', async () => {
+    const fetch = globalThis.fetch = fakeFetch([{ match: SEARCH, fixture: 'nominatim-geocode.json' }]);
+
+    const city = await CityAPI.resolveCity('Kyoto');
+    assert.equal(city.key, 'kyoto');
+    assert.equal(city.displayName, 'Kyoto, Japan');
+    assert.deepEqual(city.boundingBox, { south: 34.8679, north: 35.3212, west: 135.559, east: 135.8794 });
+
+    await CityAPI.resolveCity('kyoto');
+    assert.equal(fetch.count(SEARCH), 1);
+    assert.equal(QuotaMeter.used('nominatim'), 1);
+});
+
+test('a blocked client (HTTP 403) gets demo places', async () => {
+    const fetch = globalThis.fetch = fakeFetch([{ match: SEARCH, status: 403, body: 'Access blocked' }]);
+
+    const places = await PlacesAPI.searchPlaces(tokyo, 'tourist');
+    assert.ok(places.length > 0);
+    assert.ok(places.every(place => /Demo/.test(place.source)));
+    assert.equal(fetch.count(SEARCH), queries.length);
+    assert.equal(PlacesAPI.cache.get('places_tokyo_tourist'), undefined);
+});
+
+test('malformed JSON gets demo places', async () => {
+    globalThis.fetch = fakeFetch([{ match: SEARCH, body: '[{"place_id": 1,' }]);
+
+    const places = await PlacesAPI.searchPlaces(tokyo, 'tourist');
+    assert.ok(places.every(place => /Demo/.test(place.source)));
+});
+
+test('searches that time out get demo places', async () => {
+    const fetch = globalThis.fetch = fakeFetch([{ match: SEARCH, timeout: true }]);
+    const timeout = RequestScheduler.timeout;
+    RequestScheduler.timeout = 20;
+    try {
+        const places = await PlacesAPI.searchPlaces(tokyo, 'tourist');
+        assert.ok(places.every(place => /Demo/.test(place.source)));
+        assert.equal(fetch.count(SEARCH), queries.length);
+    } finally {
+        RequestScheduler.timeout = timeout;
+    }
+});
+
+test('no results get demo places, and an unknown city stays unresolved', async () => {
+    globalThis.fetch = fakeFetch([{ match: SEARCH, body: [] }]);
+
+    const places = await PlacesAPI.searchPlaces(tokyo, 'tourist');
+    assert.ok(places.every(place => /Demo/.test(place.source)));
+    assert.equal(await CityAPI.resolveCity('Atlantis'), null);
+});
@@ -0,0 +1,109 @@
+// Hostile API data through SafeHTML and every card schema: markup in names stays text and
+// only http(s)/mailto URLs become links
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SafeHTML, html } = require('../safe-html.js');
+const Cards = require('../cards.js');
+const { JSDOM } = require('jsdom');
+const { activeContent } = require('./helpers/page.js');
+
+const IMG = '<img src=x onerror=alert(1)>';
+const SCRIPT = '"><script>alert(1)</script>';
+const JS_URL = 'javascript:alert(1)';
+
+test('url only lets absolute http(s) and mailto URLs through', () => {
+    assert.equal(SafeHTML.url('https://example.com/menu?lang=en'), 'https://example.com/menu?lang=en');
+    assert.equal(SafeHTML.url('  http://example.com  '), 'http://example.com/');
+    assert.equal(SafeHTML.url('mailto:info@example.com'), 'mailto:info@example.com');
+
+    [
+        JS_URL,
+        ' JavaScript:alert(1)',
+        'java\tscript:alert(1)',
+        'data:text/html,<script>alert(1)</script>',
+        'vbscript:msgbox(1)',
+        '//evil.example/x',
+        '/relative/path',
+        'www.example.com',
+        '',
+        null,
+        undefined
+    ].forEach(value => assert.equal(SafeHTML.url(value), null, String(value)));
+});
+
+test('link writes allowed URLs as escaped hrefs and anything else as its label', () => {
+    const link = String(SafeHTML.link('https://example.com/"onmouseover="alert(1)', IMG));
+    assert.deepEqual(activeContent(link), []);
+    assert.match(link, /href="https:\/\/example\.com\/%22onmouseover=%22alert\(1\)"/);
+    assert.match(link, /rel="noopener noreferrer"/);
+
+    const blocked = String(SafeHTML.link(JS_URL, IMG));
+    assert.doesNotMatch(blocked, /<a\b/);
+    assert.equal(blocked, SafeHTML.escape(IMG));
+});
+
+test('the html tag escapes interpolated values and keeps nested templates', () => {
+    const name = `${IMG}${SCRIPT}'\`&`;
+    const markup = html`<h4 title="${name}">${name}</h4>${html`<p>${name}</p>`}${[name, html`<br>`]}${null}${false}${0}`;
+
+    assert.deepEqual(activeContent(markup), []);
+    const heading = JSDOM.fragment(String(markup)).querySelector('h4');
+    assert.equal(heading.getAttribute('title'), name);
+    assert.equal(heading.textContent, name);
+    assert.match(String(markup), /<p>&#60;img/);
+    assert.match(String(markup), /<br>0$/);
+    assert.equal(String(html`${SafeHTML.raw('<b>ours</b>')}`), '<b>ours</b>');
+    assert.equal(String(SafeHTML.text(`${IMG}\nsecond line`)), `${SafeHTML.escape(IMG)}<br>second line`);
+});
+
+test('sanitize keeps chat markup and drops anything active', () => {
+    const { document } = new JSDOM('').window;
+    const chat = '<div class="category">🍜 Food</div><p>Try <strong>ramen</strong><br><a href="https://ramen.example/" target="_blank" rel="noopener noreferrer">menu</a></p>';
+    assert.equal(String(SafeHTML.sanitize(chat, document)), chat);
+
+    const stored = `<p onclick="alert(1)" style="color: red">Hi ${IMG}<script>alert(1)</script></p>` +
+        `<a href="${JS_URL}" onmouseover="alert(1)">link</a><button onclick="alert(1)">go</button>` +
+        '<svg onload="alert(1)"><text>map</text></svg><iframe srcdoc="<script>alert(1)</script>"></iframe>' +
+        '<form action="https://evil.example/"><input value="x"></form><p>&lt;img src=x onerror=alert(1)&gt;</p>';
+    const clean = String(SafeHTML.sanitize(stored, document));
+    assert.deepEqual(activeContent(clean), []);
+    assert.equal(clean, '<p>Hi </p><a>link</a>gomap<p>&#60;img src=x onerror=alert(1)&#62;</p>');
+});
+
+// Every field a schema reads is hostile: markup for strings, a script URL for links
+function hostile(type) {
+    if (type === 'insight') return IMG;
+    if (type === 'tips') return [IMG, SCRIPT];
+    return new Proxy({}, {
+        get(target, key) {
+            if (typeof key !== 'string') return undefined;
+            if (key === 'distanceKm') return 1.25;
+            if (['website', 'url'].includes(key)) return JS_URL;
+            return IMG;
+        }
+    });
+}
+
+test('every card schema writes hostile data as text', () => {
+    const types = Object.keys(Cards.schemas);
+    assert.ok(types.length >= 15);
+
+    types.forEach(type => {
+        const markup = Cards.markup(Cards.schemas[type], hostile(type), { category: 'food', city: null });
+        assert.deepEqual(activeContent(markup), [], type);
+        assert.doesNotMatch(String(markup), /<img|<script|javascript:/i, type);
+        if (type !== 'culturalGuide') {
+            assert.match(String(markup), /&#60;img src=x onerror=alert\(1\)&#62;/, type);
+        }
+    });
+});
+
+test('cards link real websites and drop script URLs', () => {
+    const place = { name: `Sushi ${IMG}`, cuisine: IMG, distanceKm: 0.4, website: 'https://sushi.example/' };
+    const linked = String(Cards.markup(Cards.schemas.place, place, { category: 'food' }));
+    assert.match(linked, /<a href="https:\/\/sushi\.example\/"/);
+
+    const unlinked = String(Cards.markup(Cards.schemas.place, { ...place, website: JS_URL }, { category: 'food' }));
+    assert.doesNotMatch(unlinked, /<a\b/);
+    assert.doesNotMatch(Cards.text(Cards.schemas.place, { ...place, website: JS_URL }, { category: 'food' }), /javascript:/);
+});
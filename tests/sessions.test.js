@@ -0,0 +1,179 @@
+// Saved sessions and share links with hostile content: the HTML export of a chat with
+// hostile cards, stored transcripts and ids that were tampered with, and share links
+// crafted by someone else
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, activeContent } = require('./helpers/page.js');
+
+const IMG = '<img src=x onerror=alert(1)>';
+const JS_URL = 'javascript:alert(1)';
+
+let window;
+let ChatSessions;
+
+test.before(async () => {
+    window = await loadPage();
+    ChatSessions = window.eval('ChatSessions');
+});
+
+test.after(() => window.close());
+
+test.beforeEach(() => {
+    window.clearChat();
+    ChatSessions.start();
+});
+
+// A share link for any payload, the way encode writes them
+function shareLink(data) {
+    const bytes = new TextEncoder().encode(JSON.stringify(data));
+    return Buffer.from(bytes).toString('base64url');
+}
+
+test('the HTML export of a chat with hostile cards is inert', () => {
+    const Cards = window.eval('Cards');
+    const session = ChatSessions.current;
+    session.city = `Tokyo ${IMG}`;
+
+    window.addUserMessage(`food ${IMG}`);
+    ChatSessions.recordQuery(`food ${IMG}`);
+    window.addBotMessage(`Found ${IMG}`, `🍜 ${IMG}`);
+    Cards.append('place', { name: `Sushi ${IMG}`, cuisine: IMG, distanceKm: 0.4, website: JS_URL, lat: 35.68, lon: 139.76 }, { category: 'food' });
+    Cards.append('event', { title: IMG, description: IMG, source: IMG, url: JS_URL });
+    ChatSessions.capture();
+
+    assert.equal(session.transcript.length, 4);
+    const exported = window.eval('SessionExport').toHTML(session);
+    assert.deepEqual(activeContent(exported), []);
+    assert.doesNotMatch(exported, /<img|javascript:/i);
+    assert.match(exported, /<title>CulturalBot session - Tokyo &#60;img src=x onerror=alert\(1\)&#62;<\/title>/);
+    assert.match(exported, /Sushi &(#60|lt);img/);
+});
+
+test('a tampered stored transcript is sanitized when reopened or exported', async () => {
+    const session = {
+        id: 'tampered',
+        city: 'Tokyo',
+        steps: [{ query: 'food' }],
+        startedAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString(),
+        transcript: [
+            { className: 'message user-message', html: 'food' },
+            { className: 'message bot-message', html: `<div class="category">🍜 Food</div><p onmouseover="alert(1)">Found ${IMG}<a href="${JS_URL}">menu</a></p><script>alert(1)</script>` }
+        ]
+    };
+    ChatSessions.sessions.push(session);
+
+    await window.openSession('tampered');
+    const messages = window.document.getElementById('messages');
+    assert.deepEqual(activeContent(messages.innerHTML), []);
+    assert.equal(messages.querySelectorAll('script, img').length, 0);
+    assert.match(messages.textContent, /Found menu/);
+
+    const exported = window.eval('SessionExport').toHTML(session);
+    assert.deepEqual(activeContent(exported), []);
+    assert.doesNotMatch(exported, /<img|<script>alert|javascript:/i);
+    ChatSessions.remove('tampered');
+});
+
+test('stored ids reach the sidebar buttons as data, not script', () => {
+    const TripList = window.eval('TripList');
+    const QUOTE = `x');alert(1);('`;
+    TripList.items = [{ id: QUOTE, kind: 'place', name: IMG, cityKey: 'tokyo', cityName: 'Tokyo', note: `"${IMG}` }];
+    ChatSessions.sessions.push({ id: QUOTE, city: 'Tokyo', steps: [{ query: IMG }], updatedAt: Date.now(), transcript: [] });
+    window.renderTripPanel();
+    window.renderSessionList();
+
+    const tripList = window.document.getElementById('tripList');
+    const sessionList = window.document.getElementById('sessionList');
+    assert.deepEqual(activeContent(tripList.innerHTML), []);
+    assert.deepEqual(activeContent(sessionList.innerHTML), []);
+
+    const note = tripList.querySelector('.trip-note');
+    note.value = 'by the station';
+    note.dispatchEvent(new window.Event('change'));
+    assert.equal(TripList.items[0].note, 'by the station');
+    tripList.querySelector('[data-trip-remove]').click();
+    assert.equal(TripList.items.length, 0);
+    Array.from(sessionList.querySelectorAll('[data-session-action="delete"]'))
+        .find(button => button.dataset.sessionId === QUOTE)
+        .click();
+    assert.equal(ChatSessions.get(QUOTE), null);
+});
+
+test('quick replies carry their intent as data', () => {
+    window.askForClarification([{ intent: 'food' }, { intent: `weather');alert(1);('` }]);
+    const messages = window.document.getElementById('messages');
+    assert.deepEqual(activeContent(messages.innerHTML), []);
+    assert.equal(messages.querySelector('[data-action="chooseIntent"]').dataset.intent, 'food');
+});
+
+test('a share link round-trips through encode and decode', () => {
+    const session = { city: 'Kyoto, Japan', steps: [{ query: 'food' }, { city: 'Osaka, Japan' }, { intent: 'weather' }] };
+    assert.deepEqual(JSON.parse(JSON.stringify(ChatSessions.decode(ChatSessions.encode(session)))), session);
+});
+
+test('hostile share links keep only plain steps', () => {
+    const replay = ChatSessions.decode(shareLink({
+        v: 1,
+        city: `Kyoto ${IMG}`,
+        steps: [
+            { query: `  ${IMG}  `, html: IMG },
+            { query: 'x'.repeat(5000) },
+            { query: 42 },
+            { query: '   ' },
+            { city: { toString: IMG } },
+            { intent: '__proto__' },
+            { intent: 'constructor' },
+            { intent: 'food', onclick: JS_URL },
+            { html: IMG },
+            null,
+            'weather',
+            [IMG]
+        ]
+    }));
+
+    assert.equal(replay.city, `Kyoto ${IMG}`);
+    assert.deepEqual(JSON.parse(JSON.stringify(replay.steps)), [{ query: IMG }, { query: 'x'.repeat(500) }, { intent: 'food' }]);
+});
+
+test('long share links are cut to the replay limit', () => {
+    const steps = Array.from({ length: 500 }, (step, index) => ({ query: `question ${index}` }));
+    const replay = ChatSessions.decode(shareLink({ v: 1, city: 'Tokyo', steps }));
+    assert.equal(replay.steps.length, ChatSessions.maxReplaySteps);
+});
+
+test('malformed share links decode to nothing', () => {
+    [
+        '',
+        '!!!not-base64!!!',
+        shareLink('just a string'),
+        shareLink(null),
+        shareLink([]),
+        shareLink({ city: 'Tokyo' }),
+        shareLink({ city: { name: IMG }, steps: [{ query: 'food' }] }),
+        shareLink({ city: 'Tokyo', steps: [{ html: IMG }] }),
+        Buffer.from('{"city":"Tokyo","steps":[').toString('base64url'),
+        Buffer.from([0xff, 0xfe, 0x00]).toString('base64url')
+    ].forEach(link => assert.equal(ChatSessions.decode(link), null, link));
+});
+
+test('opening a hostile share link shows its city as text', async () => {
+    const link = shareLink({ v: 1, city: `Atlantis ${IMG}`, steps: [{ intent: 'food' }] });
+    window.history.replaceState(null, '', `/#session=${link}`);
+    window.replaySharedSession();
+    assert.equal(window.location.hash, '');
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    const messages = window.document.getElementById('messages');
+    assert.deepEqual(activeContent(messages.innerHTML), []);
+    assert.match(messages.textContent, /Atlantis <img src=x onerror=alert\(1\)>/);
+});
+
+test('an unreadable share link is reported, not replayed', () => {
+    window.history.replaceState(null, '', '/#session=AAAA');
+    window.replaySharedSession();
+
+    const messages = window.document.getElementById('messages');
+    assert.equal(messages.children.length, 1);
+    assert.equal(ChatSessions.current.steps.length, 0);
+});
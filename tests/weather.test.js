@@ -0,0 +1,164 @@
+// OpenWeatherMap provider replayed from recorded responses, with failover to demo data
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { fakeFetch, fixture, loadApis, resetApis } = require('./helpers/fake-fetch.js');
+
+const apis = loadApis();
+const { WeatherAPI, EntityExtractor, QuotaMeter, RequestScheduler } = apis;
+
+const CURRENT = /api\.openweathermap\.org\/data\/2\.5\/weather\?/;
+const FORECAST = /api\.openweathermap\.org\/data\/2\.5\/forecast\?/;
+const settle = () => new Promise(resolve => setTimeout(resolve, 20));
+
+test.beforeEach(() => resetApis(apis));
+
+test('current weather comes from OpenWeatherMap and is cached', async () => {
+    const fetch = globalThis.fetch = fakeFetch([{ match: CURRENT, fixture: 'openweathermap-weather.json' }]);
+
+    const weather = await WeatherAPI.getCurrentWeather('tokyo');
+    assert.equal(weather.temperature, 19);
+    assert.equal(weather.condition, 'broken clouds');
+    assert.equal(weather.humidity, 63);
+    assert.equal(weather.isRealTime, true);
+    assert.match(weather.source, /OpenWeatherMap/);
+    assert.match(fetch.requests[0].url, /lat=35\.6762&lon=139\.6503&appid=test-openweather-key&units=metric/);
+
+    await WeatherAPI.getCurrentWeather('tokyo');
+    assert.equal(fetch.count(CURRENT), 1);
+    assert.equal(QuotaMeter.used('openweathermap'), 1);
+});
+
+test('stale weather is served while it refreshes, expired weather is fetched again', async () => {
+    const fetch = globalThis.fetch = fakeFetch([{ match: CURRENT, fixture: 'openweathermap-weather.json' }]);
+    await WeatherAPI.getCurrentWeather('tokyo');
+
+    WeatherAPI.cache.get('weather_tokyo').timestamp -= WeatherAPI.cacheTimeout + 1;
+    const stale = await WeatherAPI.getCurrentWeather('tokyo');
+    assert.equal(stale.temperature, 19);
+    await settle();
+    assert.equal(fetch.count(CURRENT), 2);
+
+    const entry = WeatherAPI.cache.get('weather_tokyo');
+    assert.ok(WeatherAPI.cache.isFresh(entry));
+    entry.timestamp -= WeatherAPI.cacheTimeout * 2 + 1;
+    await WeatherAPI.getCurrentWeather('tokyo');
+    assert.equal(fetch.count(CURRENT), 3);
+    assert.equal(QuotaMeter.used('openweathermap'), 3);
+});
+
+test('forecast slots are summarised per day', async () => {
+    globalThis.fetch = fakeFetch([{ match: FORECAST, fixture: 'openweathermap-forecast.json' }]);
+
+    const forecast = await WeatherAPI.getForecast('tokyo', 5);
+    assert.equal(forecast.isRealTime, true);
+    assert.deepEqual(forecast.days.map(day => EntityExtractor.toISODate(day.date)), ['2025-10-19', '2025-10-20']);
+    assert.deepEqual(forecast.days[0], {
+        date: forecast.days[0].date,
+        label: forecast.days[0].label,
+        weekday: 0,
+        minTemp: 14,
+        maxTemp: 22,
+        condition: 'clear sky',
+        humidity: 62,
+        precipitationChance: 30
+    });
+});
+
+// The fixture is Tokyo (UTC+9) from midnight to midnight, two days of eight slots each
+test('forecast days are the city\'s days in any time zone', () => {
+    const data = JSON.parse(fixture('openweathermap-forecast.json'));
+    const zone = process.env.TZ;
+    try {
+        ['UTC', 'America/Los_Angeles', 'Asia/Kolkata', 'Pacific/Kiritimati'].forEach(timeZone => {
+            process.env.TZ = timeZone;
+            const days = WeatherAPI.summarizeForecast(data.list, data.city.timezone);
+            assert.deepEqual(days.map(day => EntityExtractor.toISODate(day.date)), ['2025-10-19', '2025-10-20'], timeZone);
+            assert.deepEqual(days.map(day => day.weekday), [0, 1], timeZone);
+        });
+    } finally {
+        if (zone === undefined) delete process.env.TZ;
+        else process.env.TZ = zone;
+    }
+});
+
+test('a rejected API key (401) falls back to demo data without caching it', async () => {
+    const fetch = globalThis.fetch = fakeFetch([
+        { match: CURRENT, status: 401, body: { cod: 401, message: 'Invalid API key.' } }
+    ]);
+
+    const weather = await WeatherAPI.getCurrentWeather('tokyo');
+    assert.equal(weather.isRealTime, false);
+    assert.match(weather.source, /Demo/);
+    assert.equal(weather.temperature, 22);
+    assert.equal(fetch.count(CURRENT), 1); // 4xx is not retried
+    assert.equal(fetch.count(/api\.open-meteo\.com/), 1); // the next live provider was tried
+    assert.equal(WeatherAPI.cache.get('weather_tokyo'), undefined);
+});
+
+test('server errors are retried before falling back', async () => {
+    const fetch = globalThis.fetch = fakeFetch([{ match: CURRENT, status: 502, body: 'Bad Gateway' }]);
+
+    const weather = await WeatherAPI.getCurrentWeather('tokyo');
+    assert.equal(weather.isRealTime, false);
+    assert.equal(fetch.count(CURRENT), RequestScheduler.maxRetries + 1);
+    assert.equal(QuotaMeter.used('openweathermap'), RequestScheduler.maxRetries + 1);
+});
+
+test('a Retry-After too long to wait for falls back at once and leaves the host open', async () => {
+    const fetch = globalThis.fetch = fakeFetch([
+        { match: CURRENT, status: 429, headers: { 'Retry-After': '3600' }, body: 'Too Many Requests', times: 1 },
+        { match: CURRENT, fixture: 'openweathermap-weather.json' }
+    ]);
+
+    const started = Date.now();
+    const weather = await WeatherAPI.getCurrentWeather('tokyo');
+    assert.equal(weather.isRealTime, false);
+    assert.equal(fetch.count(CURRENT), 1);
+
+    const next = await WeatherAPI.getCurrentWeather('tokyo');
+    assert.equal(next.isRealTime, true);
+    assert.equal(fetch.count(CURRENT), 2);
+    assert.ok(Date.now() - started < 1000);
+});
+
+test('malformed JSON falls back to demo data', async () => {
+    globalThis.fetch = fakeFetch([{ match: CURRENT, body: '{"main": {"temp": 18.6,' }]);
+
+    const weather = await WeatherAPI.getCurrentWeather('tokyo');
+    assert.equal(weather.isRealTime, false);
+});
+
+test('a request that never answers times out and falls back', async () => {
+    const fetch = globalThis.fetch = fakeFetch([{ match: CURRENT, timeout: true }]);
+    const timeout = RequestScheduler.timeout;
+    RequestScheduler.timeout = 20;
+    try {
+        const weather = await WeatherAPI.getCurrentWeather('tokyo');
+        assert.equal(weather.isRealTime, false);
+        assert.equal(fetch.count(CURRENT), 1);
+    } finally {
+        RequestScheduler.timeout = timeout;
+    }
+});
+
+test('the timeout counts the time spent waiting in the queue', async () => {
+    const fetch = globalThis.fetch = fakeFetch([{ match: CURRENT, fixture: 'openweathermap-weather.json' }]);
+    const timeout = RequestScheduler.timeout;
+    RequestScheduler.timeout = 20;
+    RequestScheduler.queue('api.openweathermap.org').nextAt = Date.now() + 60000;
+    try {
+        const weather = await WeatherAPI.getCurrentWeather('tokyo');
+        assert.equal(weather.isRealTime, false);
+        assert.equal(fetch.count(CURRENT), 0);
+    } finally {
+        RequestScheduler.timeout = timeout;
+    }
+});
+
+test('an empty forecast falls back to the demo forecast', async () => {
+    globalThis.fetch = fakeFetch([{ match: FORECAST, body: { cod: '200', message: 0, cnt: 0, list: [] } }]);
+
+    const forecast = await WeatherAPI.getForecast('tokyo', 3);
+    assert.equal(forecast.isRealTime, false);
+    assert.equal(forecast.days.length, 3);
+});